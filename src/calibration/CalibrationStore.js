@@ -0,0 +1,112 @@
+/**
+ * CalibrationStore.js — Persists calibration results in localStorage.
+ *
+ * A saved calibration is reapplied to HeadPoseEstimator on the next load,
+ * and a saved screen measurement to the screen size.
+ * Storage failures (private browsing, disabled storage, corrupt data) are
+ * treated as "no calibration" rather than errors.
+ */
+
+const STORAGE_KEY = 'headtracking.calibration.v1';
+const SCREEN_STORAGE_KEY = 'headtracking.screen.v1';
+
+/**
+ * @typedef {Object} Calibration
+ * @property {number} version        - Format version (1)
+ * @property {number} focalLengthPx  - Solved focal length at `videoWidth`
+ * @property {number} videoWidth     - Video width the focal length was measured at
+ * @property {number} distanceMm     - Viewing distance used for the measurement
+ * @property {{x: number, y: number}} sensitivity - Per-axis sensitivity
+ * @property {{x: number, y: number, z: number}} neutral - Resting eye position (mm)
+ * @property {string} createdAt      - ISO timestamp
+ */
+
+/**
+ * @returns {Calibration|null} The saved calibration, or null if none
+ */
+export function loadCalibration() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const cal = JSON.parse(raw);
+    if (cal?.version !== 1 || !Number.isFinite(cal.focalLengthPx)) return null;
+    return cal;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {Calibration} calibration
+ */
+export function saveCalibration(calibration) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+  } catch (err) {
+    console.warn('Could not save calibration:', err);
+  }
+}
+
+export function clearCalibration() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+}
+
+/**
+ * Save a screen measurement. Stored per device pixel so it stays valid
+ * when the browser zoom (and with it the CSS pixel size) changes.
+ *
+ * @param {number} mmPerCssPx - Measured millimetres per CSS pixel
+ */
+export function saveScreenScale(mmPerCssPx) {
+  try {
+    localStorage.setItem(SCREEN_STORAGE_KEY, JSON.stringify({
+      version: 1,
+      mmPerDevicePx: mmPerCssPx / window.devicePixelRatio,
+      createdAt: new Date().toISOString(),
+    }));
+  } catch (err) {
+    console.warn('Could not save screen measurement:', err);
+  }
+}
+
+/**
+ * @returns {number|null} Saved millimetres per CSS pixel at the current
+ *   zoom level, or null if the screen has not been measured
+ */
+export function loadScreenScale() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SCREEN_STORAGE_KEY));
+    if (saved?.version !== 1 || !(saved.mmPerDevicePx > 0)) return null;
+    return saved.mmPerDevicePx * window.devicePixelRatio;
+  } catch {
+    return null;
+  }
+}
+
+export function clearScreenScale() {
+  try {
+    localStorage.removeItem(SCREEN_STORAGE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+}
+
+/**
+ * Apply a calibration to a HeadPoseEstimator. The focal length is rescaled
+ * if the webcam now runs at a different resolution.
+ *
+ * @param {Calibration} calibration
+ * @param {import('../tracking/HeadPoseEstimator.js').HeadPoseEstimator} estimator
+ * @param {number} videoWidth - Current webcam width (px)
+ */
+export function applyCalibration(calibration, estimator, videoWidth) {
+  const scale = calibration.videoWidth ? videoWidth / calibration.videoWidth : 1;
+  estimator.setFocalLength(calibration.focalLengthPx * scale);
+  estimator.setUseIrisDepth(true);
+  estimator.setSensitivity(calibration.sensitivity);
+  estimator.setNeutralPosition(calibration.neutral);
+}
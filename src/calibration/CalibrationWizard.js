@@ -0,0 +1,342 @@
+/**
+ * CalibrationWizard.js — Guided on-screen calibration flow.
+ *
+ * Steps:
+ *   1. Viewer sits at a measured distance and looks at the screen centre.
+ *      The average iris width gives the webcam focal length (pinhole model)
+ *      and the average eye position becomes the neutral (resting) position.
+ *   2. Viewer looks at each screen corner in turn and leans toward it as
+ *      far as is comfortable. Per-axis sensitivity is chosen so that a
+ *      comfortable lean moves the viewpoint to the edge of the screen.
+ *
+ * Each step is captured with Space / Enter (or the Capture button) by
+ * averaging about a second of tracking samples. Escape cancels.
+ *
+ * The wizard drives HeadPoseEstimator directly while it runs; the caller
+ * persists the returned Calibration (see CalibrationStore.js) or restores
+ * the previous settings if it was cancelled.
+ */
+
+/** Duration of each capture (ms) */
+const CAPTURE_MS = 1000;
+
+/** Minimum tracked frames for a capture to count */
+const MIN_SAMPLES = 5;
+
+/** Leans smaller than this (mm) are ignored when solving sensitivity */
+const MIN_LEAN_MM = 15;
+
+/** Solved sensitivity is clamped to this range */
+const SENSITIVITY_RANGE = [0.5, 4];
+
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+/** Rejection reason used when the user cancels */
+const CANCELLED = Symbol('cancelled');
+
+export class CalibrationWizard {
+  /**
+   * @param {Object} options
+   * @param {import('../tracking/PoseSource.js').PoseSource} options.source
+   * @param {import('../tracking/HeadPoseEstimator.js').HeadPoseEstimator} options.estimator
+   * @param {number} options.screenWidthMm
+   * @param {number} options.screenHeightMm
+   * @param {number} options.videoWidth - Webcam width the focal length refers to (px)
+   * @param {number} [options.defaultDistanceMm=600] - Pre-filled viewing distance
+   */
+  constructor(options) {
+    this._source = options.source;
+    this._estimator = options.estimator;
+    this._screenW = options.screenWidthMm;
+    this._screenH = options.screenHeightMm;
+    this._videoWidth = options.videoWidth;
+    this._distanceMm = options.defaultDistanceMm ?? 600;
+
+    this._active = false;
+    this._cancelled = false;
+    this._root = null;
+    this._pending = null; // { resolve, reject } of the step awaiting input
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** @returns {boolean} */
+  isActive() {
+    return this._active;
+  }
+
+  /**
+   * Run the calibration flow.
+   *
+   * @returns {Promise<import('./CalibrationStore.js').Calibration|null>}
+   *   The new calibration, or null if the user cancelled
+   */
+  async start() {
+    if (this._active) return null;
+    this._active = true;
+    this._cancelled = false;
+    this._buildDom();
+    window.addEventListener('keydown', this._onKeyDown, true);
+
+    try {
+      // --- Step 1: distance + neutral ---
+      let focalLengthPx;
+      let neutral;
+      for (;;) {
+        this._show({
+          title: 'Calibration — distance',
+          text: 'Sit so your eyes are the distance below from the screen, ' +
+            'look at the dot in the centre and hold still.',
+          marker: null,
+          showDistance: true,
+        });
+        await this._waitForCapture();
+        this._distanceMm = Number(this._distanceInput.value) || this._distanceMm;
+
+        const samples = await this._capture();
+        if (!samples) continue;
+
+        try {
+          focalLengthPx = this._estimator.calibrate(
+            samples.map((s) => s.landmarks),
+            this._distanceMm
+          );
+        } catch (err) {
+          this._setStatus(err.message, true);
+          continue;
+        }
+        // Measured with the new focal length, so depth is now iris-based
+        neutral = this._meanPosition(samples);
+        break;
+      }
+
+      // --- Step 2: corners ---
+      const leans = [];
+      for (const corner of CORNERS) {
+        for (;;) {
+          this._show({
+            title: `Calibration — ${corner} corner`,
+            text: `Look at the ${corner} marker and lean toward it ` +
+              'as far as is comfortable, then hold still.',
+            marker: corner,
+            showDistance: false,
+          });
+          await this._waitForCapture();
+          const samples = await this._capture();
+          if (!samples) continue;
+          leans.push({ corner, pos: this._meanPosition(samples) });
+          break;
+        }
+      }
+
+      // --- Solve ---
+      const sensitivity = {
+        x: solveSensitivity(leans.map((l) => Math.abs(l.pos.x - neutral.x)), this._screenW / 2),
+        y: solveSensitivity(leans.map((l) => Math.abs(l.pos.y - neutral.y)), this._screenH / 2),
+      };
+
+      /** @type {import('./CalibrationStore.js').Calibration} */
+      const calibration = {
+        version: 1,
+        focalLengthPx,
+        videoWidth: this._videoWidth,
+        distanceMm: this._distanceMm,
+        sensitivity,
+        neutral,
+        createdAt: new Date().toISOString(),
+      };
+
+      this._estimator.setSensitivity(sensitivity);
+      this._estimator.setNeutralPosition(neutral);
+
+      this._show({
+        title: 'Calibration complete',
+        text: `Focal length ${focalLengthPx.toFixed(0)} px · ` +
+          `sensitivity X ${sensitivity.x.toFixed(2)}, Y ${sensitivity.y.toFixed(2)}. ` +
+          'Press C at any time to recalibrate.',
+        marker: null,
+        showDistance: false,
+        captureLabel: 'Done',
+      });
+      await this._waitForCapture();
+
+      return calibration;
+    } catch (err) {
+      if (err === CANCELLED) return null;
+      throw err;
+    } finally {
+      this._teardown();
+    }
+  }
+
+  /**
+   * Abort the flow; start() resolves with null.
+   */
+  cancel() {
+    this._cancelled = true;
+    this._pending?.reject(CANCELLED);
+    this._pending = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — capture
+  // ---------------------------------------------------------------------------
+
+  /** Resolve when the user presses Space / Enter or clicks Capture. */
+  _waitForCapture() {
+    return new Promise((resolve, reject) => {
+      // Cancelled while a capture was running
+      if (this._cancelled) {
+        reject(CANCELLED);
+        return;
+      }
+      this._pending = { resolve, reject };
+    });
+  }
+
+  /**
+   * Collect tracking samples for CAPTURE_MS.
+   * @returns {Promise<Array<{landmarks: Array, matrix: Object|null}>|null>}
+   *   Samples, or null (with a status message) if too few frames were tracked
+   */
+  _capture() {
+    this._setStatus('Capturing — hold still…');
+    this._captureButton.disabled = true;
+
+    return new Promise((resolve) => {
+      const samples = [];
+      const start = performance.now();
+      let last = null;
+
+      const tick = () => {
+        if (!this._active) {
+          resolve(null);
+          return;
+        }
+        const landmarks = this._source.getLatestLandmarks();
+        if (landmarks && landmarks !== last) {
+          samples.push({ landmarks, matrix: this._source.getTransformationMatrix() });
+          last = landmarks;
+        }
+
+        if (performance.now() - start < CAPTURE_MS) {
+          requestAnimationFrame(tick);
+          return;
+        }
+
+        this._captureButton.disabled = false;
+        if (samples.length < MIN_SAMPLES) {
+          this._setStatus('Face not tracked clearly — check lighting and try again.', true);
+          resolve(null);
+        } else {
+          this._setStatus('');
+          resolve(samples);
+        }
+      };
+      requestAnimationFrame(tick);
+    });
+  }
+
+  _meanPosition(samples) {
+    const sum = { x: 0, y: 0, z: 0 };
+    for (const s of samples) {
+      const p = this._estimator.measure(s.landmarks, s.matrix);
+      sum.x += p.x;
+      sum.y += p.y;
+      sum.z += p.z;
+    }
+    const n = samples.length;
+    return { x: sum.x / n, y: sum.y / n, z: sum.z / n };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — UI
+  // ---------------------------------------------------------------------------
+
+  _buildDom() {
+    const root = document.createElement('div');
+    root.id = 'calibration';
+    root.innerHTML = `
+      <div class="calibration-marker"></div>
+      <div class="calibration-panel">
+        <h2 class="calibration-title"></h2>
+        <p class="calibration-text"></p>
+        <label class="calibration-distance">
+          Viewing distance
+          <input type="number" min="200" max="2000" step="10"> mm
+        </label>
+        <p class="calibration-status"></p>
+        <div class="calibration-buttons">
+          <button type="button" data-action="capture">Capture</button>
+          <button type="button" data-action="cancel">Cancel</button>
+        </div>
+      </div>`;
+    document.body.appendChild(root);
+
+    this._root = root;
+    this._marker = root.querySelector('.calibration-marker');
+    this._title = root.querySelector('.calibration-title');
+    this._text = root.querySelector('.calibration-text');
+    this._distanceLabel = root.querySelector('.calibration-distance');
+    this._distanceInput = root.querySelector('.calibration-distance input');
+    this._status = root.querySelector('.calibration-status');
+    this._captureButton = root.querySelector('[data-action="capture"]');
+
+    this._distanceInput.value = String(this._distanceMm);
+    this._captureButton.addEventListener('click', () => this._confirm());
+    root.querySelector('[data-action="cancel"]').addEventListener('click', () => this.cancel());
+  }
+
+  _show({ title, text, marker, showDistance, captureLabel = 'Capture' }) {
+    this._title.textContent = title;
+    this._text.textContent = text + ' Press Space to capture.';
+    this._distanceLabel.hidden = !showDistance;
+    this._captureButton.textContent = captureLabel;
+    this._marker.dataset.corner = marker ?? 'centre';
+  }
+
+  _setStatus(message, isError = false) {
+    this._status.textContent = message;
+    this._status.classList.toggle('error', isError);
+  }
+
+  _confirm() {
+    if (this._captureButton.disabled) return;
+    this._pending?.resolve();
+    this._pending = null;
+  }
+
+  _onKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.cancel();
+    } else if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      this._confirm();
+    }
+    // Keep app shortcuts (and typing in the distance field) from leaking
+    e.stopPropagation();
+  }
+
+  _teardown() {
+    this._active = false;
+    this._pending = null;
+    window.removeEventListener('keydown', this._onKeyDown, true);
+    this._root?.remove();
+    this._root = null;
+  }
+}
+
+/**
+ * Sensitivity that maps the average comfortable lean onto `targetMm`.
+ * Falls back to 1 if the viewer barely moved.
+ */
+function solveSensitivity(leansMm, targetMm) {
+  const mean = leansMm.reduce((a, b) => a + b, 0) / leansMm.length;
+  if (!(mean >= MIN_LEAN_MM)) return 1;
+  const s = targetMm / mean;
+  return Math.min(Math.max(s, SENSITIVITY_RANGE[0]), SENSITIVITY_RANGE[1]);
+}
@@ -0,0 +1,217 @@
+/**
+ * ScreenMeasure.js — Measures the physical size of the display.
+ *
+ * The viewer holds a credit card (ISO/IEC 7810 ID-1, 85.60 × 53.98 mm)
+ * against the screen and resizes an on-screen outline until it matches,
+ * or lines up an on-screen bar with a ruler. That gives millimetres per
+ * CSS pixel, from which the physical screen size follows:
+ *
+ *   mmPerCssPx = referenceMm / outlineWidthCssPx
+ *   screenWidthMm  = screen.width  × mmPerCssPx
+ *   screenHeightMm = screen.height × mmPerCssPx
+ *
+ * Controls: drag the handle, mouse wheel or ←/→ (Shift for ×10) to
+ * resize; Enter to confirm; Escape to cancel.
+ */
+
+/** ID-1 card dimensions (credit cards, most ID cards) */
+const CARD_WIDTH_MM = 85.6;
+const CARD_HEIGHT_MM = 53.98;
+
+/** Default ruler length to match (mm) */
+const DEFAULT_RULER_MM = 100;
+
+const MIN_WIDTH_PX = 40;
+
+export class ScreenMeasure {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.mmPerCssPx] - Current scale, used for the initial outline size
+   */
+  constructor(options = {}) {
+    // Start the outline at the size the current scale predicts
+    const mmPerPx = options.mmPerCssPx ?? 0.26; // ≈ 96 dpi
+    this._widthPx = Math.round(CARD_WIDTH_MM / mmPerPx);
+    this._mode = 'card';
+    this._rulerMm = DEFAULT_RULER_MM;
+
+    this._active = false;
+    this._root = null;
+    this._finish = null;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onWheel = this._onWheel.bind(this);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** @returns {boolean} */
+  isActive() {
+    return this._active;
+  }
+
+  /**
+   * Show the measurement overlay.
+   *
+   * @returns {Promise<{ mmPerCssPx: number, widthMm: number, heightMm: number }|null>}
+   *   The measured scale and derived screen size, or null if cancelled
+   */
+  start() {
+    if (this._active) return Promise.resolve(null);
+    this._active = true;
+    this._buildDom();
+    this._update();
+    window.addEventListener('keydown', this._onKeyDown, true);
+    window.addEventListener('wheel', this._onWheel, { passive: false });
+
+    return new Promise((resolve) => {
+      this._finish = (result) => {
+        this._teardown();
+        resolve(result);
+      };
+    });
+  }
+
+  cancel() {
+    this._finish?.(null);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  _confirm() {
+    const referenceMm = this._mode === 'card' ? CARD_WIDTH_MM : this._rulerMm;
+    const mmPerCssPx = referenceMm / this._widthPx;
+    this._finish?.({
+      mmPerCssPx,
+      widthMm: window.screen.width * mmPerCssPx,
+      heightMm: window.screen.height * mmPerCssPx,
+    });
+  }
+
+  _resize(deltaPx) {
+    this._widthPx = Math.max(MIN_WIDTH_PX, Math.round(this._widthPx + deltaPx));
+    this._update();
+  }
+
+  _update() {
+    const isCard = this._mode === 'card';
+    this._shape.classList.toggle('ruler', !isCard);
+    this._shape.style.width = `${this._widthPx}px`;
+    this._shape.style.height = isCard
+      ? `${(this._widthPx * CARD_HEIGHT_MM) / CARD_WIDTH_MM}px`
+      : '';
+
+    const referenceMm = isCard ? CARD_WIDTH_MM : this._rulerMm;
+    const mmPerCssPx = referenceMm / this._widthPx;
+    const w = window.screen.width * mmPerCssPx;
+    const h = window.screen.height * mmPerCssPx;
+    const diagonalIn = Math.hypot(w, h) / 25.4;
+
+    this._rulerLabel.hidden = isCard;
+    this._text.textContent = isCard
+      ? 'Hold a credit card against the screen and resize the outline until it matches the card exactly.'
+      : 'Hold a ruler against the screen and resize the bar until it spans the length below.';
+    this._readout.textContent =
+      `Screen ≈ ${w.toFixed(0)} × ${h.toFixed(0)} mm (${diagonalIn.toFixed(1)}")`;
+  }
+
+  _buildDom() {
+    const root = document.createElement('div');
+    root.id = 'screen-measure';
+    root.innerHTML = `
+      <div class="measure-shape"><div class="measure-handle"></div></div>
+      <div class="calibration-panel">
+        <h2>Measure screen size</h2>
+        <p class="measure-text"></p>
+        <div class="calibration-buttons">
+          <button type="button" data-mode="card">Credit card</button>
+          <button type="button" data-mode="ruler">Ruler</button>
+        </div>
+        <label class="calibration-distance measure-ruler">
+          Ruler length
+          <input type="number" min="10" max="1000" step="1"> mm
+        </label>
+        <p class="calibration-status measure-readout"></p>
+        <div class="calibration-buttons">
+          <button type="button" data-action="confirm">Save</button>
+          <button type="button" data-action="cancel">Cancel</button>
+        </div>
+      </div>`;
+    document.body.appendChild(root);
+
+    this._root = root;
+    this._shape = root.querySelector('.measure-shape');
+    this._text = root.querySelector('.measure-text');
+    this._readout = root.querySelector('.measure-readout');
+    this._rulerLabel = root.querySelector('.measure-ruler');
+    const rulerInput = root.querySelector('.measure-ruler input');
+    rulerInput.value = String(this._rulerMm);
+
+    rulerInput.addEventListener('input', () => {
+      this._rulerMm = Number(rulerInput.value) || DEFAULT_RULER_MM;
+      this._update();
+    });
+    root.querySelectorAll('[data-mode]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this._mode = btn.dataset.mode;
+        this._update();
+      });
+    });
+    root.querySelector('[data-action="confirm"]').addEventListener('click', () => this._confirm());
+    root.querySelector('[data-action="cancel"]').addEventListener('click', () => this.cancel());
+
+    // Drag the handle to resize; the shape is centred, so the width
+    // changes by twice the pointer movement
+    const handle = root.querySelector('.measure-handle');
+    handle.addEventListener('pointerdown', (e) => {
+      handle.setPointerCapture(e.pointerId);
+      let lastX = e.clientX;
+      const onMove = (ev) => {
+        this._resize((ev.clientX - lastX) * 2);
+        lastX = ev.clientX;
+      };
+      const onUp = () => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', onUp);
+      };
+      handle.addEventListener('pointermove', onMove);
+      handle.addEventListener('pointerup', onUp);
+    });
+  }
+
+  _onKeyDown(e) {
+    const step = e.shiftKey ? 10 : 1;
+    if (e.key === 'Escape') {
+      this.cancel();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this._confirm();
+    } else if (e.key === 'ArrowRight' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      this._resize(step);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      this._resize(-step);
+    }
+    // Keep app shortcuts (and typing in the ruler field) from leaking
+    e.stopPropagation();
+  }
+
+  _onWheel(e) {
+    e.preventDefault();
+    this._resize(e.deltaY < 0 ? 2 : -2);
+  }
+
+  _teardown() {
+    this._active = false;
+    this._finish = null;
+    window.removeEventListener('keydown', this._onKeyDown, true);
+    window.removeEventListener('wheel', this._onWheel);
+    this._root?.remove();
+    this._root = null;
+  }
+}
@@ -8,6 +8,24 @@
  * for the most convincing parallax effect.
  */
 
+/**
+ * Pinned @mediapipe/tasks-vision release (bump deliberately, not via
+ * @latest). FaceTracker's default asset URLs are derived from it too.
+ */
+export const MEDIAPIPE_VERSION = '0.10.14';
+export const MEDIAPIPE_CDN = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}`;
+
+/**
+ * Self-hosted MediaPipe assets, used instead of the CDN URLs in
+ * CONFIG.tracking when the page is opened with `?offline`.
+ * Paths are relative to index.html; see vendor/README.md for the layout.
+ */
+export const OFFLINE_ASSETS = {
+  mediapipeModuleUrl: './vendor/mediapipe/tasks-vision/vision_bundle.mjs',
+  mediapipeWasmPath: './vendor/mediapipe/tasks-vision/wasm',
+  modelAssetPath: './vendor/mediapipe/models/face_landmarker.task',
+};
+
 export const CONFIG = {
 
   // Physical screen dimensions in mm.
@@ -15,6 +33,15 @@ export const CONFIG = {
   screen: {
     widthMm: 344,             // Screen width (e.g. 344 mm for 16" MacBook Pro)
     heightMm: 215,            // Screen height
+    // World-space corners (mm) of a screen that is not upright at z = 0,
+    // e.g. a tilted laptop lid, a wall-mounted or a tabletop display.
+    // Overrides widthMm / heightMm. Head positions stay relative to the
+    // screen (the webcam is mounted on it); the scene is laid out in world
+    // space. Example — the 344 × 215 mm screen above, leaning back 20°:
+    //   { lowerLeft:  { x: -172, y: -101.0, z:  36.8 },
+    //     lowerRight: { x:  172, y: -101.0, z:  36.8 },
+    //     upperLeft:  { x: -172, y:  101.0, z: -36.8 } }
+    corners: null,
   },
 
   // Projection / clipping planes (mm)
@@ -22,6 +49,34 @@ export const CONFIG = {
     nearClip: 1,              // Near clipping plane
     farClip: 10000,           // Far clipping plane
     defaultViewingDistance: 600, // Default assumed eye distance from screen (mm)
+    // Follow the browser window's position and size on the monitor, so a
+    // non-fullscreen window shows the matching part of the scene.
+    trackWindowPlacement: true,
+  },
+
+  // Multi-screen rigs (wraparound monitors, L-shaped desks, corner CAVEs).
+  // Every display is rendered through its own off-axis camera from the same
+  // tracked eye position, which is relative to the webcam's screen above.
+  // All displays share the canvas, each drawn into its viewport (fractions
+  // of the canvas, from the bottom-left). For one browser window per
+  // monitor, open ?display=<name> in each; add &follow to every window
+  // except the one running the webcam. Empty = single screen.
+  // Example — a 530 × 300 mm left monitor angled 30° toward the viewer:
+  //   { name: 'left', viewport: { x: 0, y: 0, width: 1 / 3, height: 1 },
+  //     corners: { lowerLeft:  { x: -724, y: -150, z: 265 },
+  //                lowerRight: { x: -265, y: -150, z: 0 },
+  //                upperLeft:  { x: -724, y:  150, z: 265 } } }
+  multiScreen: {
+    displays: [],
+    channelName: 'headtracking-pose', // BroadcastChannel shared by the windows
+  },
+
+  // Stereoscopic output: each eye gets its own off-axis frustum.
+  // Also switchable at runtime with the S key.
+  stereo: {
+    mode: 'off',              // 'off' | 'anaglyph' (red/cyan) | 'side-by-side' | 'top-bottom' | 'interlaced' (rows)
+    ipdMm: 63,                // Interpupillary distance (adult average ≈ 63 mm)
+    swapEyes: false,          // Swap left / right (e.g. a TV that expects the other order)
   },
 
   // Face tracking (webcam + MediaPipe FaceLandmarker)
@@ -29,8 +84,54 @@ export const CONFIG = {
     videoWidth: 640,          // Webcam capture width (px)
     videoHeight: 480,         // Webcam capture height (px)
     videoElementId: 'webcam', // DOM <video> element id
+    camera: null,             // Device id or part of the camera's name (e.g. 'Logitech'); null = default front camera
     minDetectionConfidence: 0.5,
     minTrackingConfidence: 0.5,
+    useWorker: true,          // Run detection in a Web Worker (falls back to in-thread)
+    delegate: 'auto',         // 'auto' (GPU, falling back to the CPU) | 'GPU' | 'CPU'
+    assetRetries: 3,          // Extra attempts at loading the MediaPipe module, WASM and model
+    assetRetryDelayMs: 1000,  // Wait before the first retry, doubled for each further one
+
+    // Tracking state (searching / tracking / degraded / lost, see the debug overlay)
+    staleAfterMs: 250,        // A face without a new detection for this long is 'degraded'
+    lostTimeoutMs: 1500,      // 'lost' this long → 'searching'
+    maxJitter: 0.05,          // Landmark jitter (fraction of the eye distance) above which tracking is 'degraded'
+
+    // MediaPipe assets (pinned; absolute or relative to index.html)
+    mediapipeModuleUrl: `${MEDIAPIPE_CDN}/vision_bundle.mjs`, // JS module
+    mediapipeWasmPath: `${MEDIAPIPE_CDN}/wasm`,               // WASM fileset directory
+    modelAssetPath:                                            // Face landmarker model
+      'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
+  },
+
+  // Several people in front of the webcam: which face drives the view
+  viewer: {
+    maxFaces: 1,              // Faces detected per webcam frame; e.g. 3 where several people watch (each costs detection time)
+    policy: 'locked',         // 'locked' (first viewer, until gone) | 'nearest' (largest irises) | 'centred' (closest to the image centre)
+    switchDelayMs: 500,       // 'nearest' / 'centred': another face must be preferred this long before the view switches
+    lostTimeoutMs: 1000,      // 'locked': someone else takes over once the viewer has been out of view this long
+  },
+
+  // Webcam placement relative to the screen and lens intrinsics.
+  // Used to back-project the tracked face into screen-centred mm.
+  webcam: {
+    offsetXMm: 0,             // Lens offset from screen centre (+ = right), e.g. -250 for a webcam left of the screen
+    aboveTopEdgeMm: 10,       // Lens height above the top edge of the display area
+    offsetZMm: 0,             // Lens distance in front of the screen plane
+    tiltDeg: 0,               // Optical axis tilted down toward the desk (+)
+    panDeg: 0,                // Optical axis turned toward the viewer's right (+)
+    rollDeg: 0,               // Rotation about the optical axis
+    focalLengthPx: null,      // Focal length (px at tracking.videoWidth); null = videoWidth × headPose.fovFactor
+    principalPointX: null,    // Optical centre (px at tracking.videoWidth × videoHeight); null = image centre
+    principalPointY: null,
+  },
+
+  // Trace replay (runs without a webcam). Also settable via URL:
+  //   ?replay=traces/session.ndjson&speed=2&loop=0
+  replay: {
+    url: null,                // JSON / NDJSON trace URL; null = live webcam
+    speed: 1.0,               // Playback rate (1 = real time)
+    loop: true,               // Restart the trace when it ends
   },
 
   // Head pose estimation from face landmarks
@@ -39,7 +140,8 @@ export const CONFIG = {
     // depth estimation via pinhole camera model.
     irisDiameterMm: 11.7,
 
-    // Approximate webcam field-of-view factor.
+    // Approximate webcam field-of-view factor, used unless
+    // webcam.focalLengthPx is set.
     // focalLength_px ≈ videoWidth * fovFactor. Typical webcam ~60° → ~0.8
     fovFactor: 0.8,
 
@@ -51,15 +153,73 @@ export const CONFIG = {
     // Whether to use iris-based depth tracking (experimental).
     // If false, Z is held at defaultViewingDistance.
     useIrisDepth: false,
+
+    // Use MediaPipe's facial transformation matrix for head orientation
+    // (yaw / pitch / roll) and to keep the tracked point between the eyes
+    // when the head turns.
+    useRotation: true,
+
+    // Offset from the nose tip to the midpoint between the eyes (mm),
+    // head facing the screen. Rotated with the head each frame.
+    noseToEyesMm: { x: 0, y: 30, z: 25 },
   },
 
-  // One-Euro filter parameters for smoothing head position
-  // (Casiez et al., CHI 2012)
+  // Head position smoothing: an ordered pipeline of stages, each fed the
+  // previous stage's output. Reorder, remove or add stages freely:
+  //   { type: 'gate', maxJump: 200, maxSpeed: 3000, maxRejects: 3 }
+  //       Reject single-frame jumps (mm / mm·s⁻¹); give in after maxRejects frames
+  //   { type: 'median', size: 3 }
+  //       Per-axis median of the last `size` frames
+  //   { type: 'one-euro', minCutoff: 1.0, beta: 0.5, dCutoff: 1.0 }
+  //       Adaptive low-pass (Casiez et al., CHI 2012): minCutoff low → smoother
+  //       when still, beta high → more responsive to fast moves
+  //   { type: 'kalman', model: 'velocity', processNoise: 2e4, measurementNoise: 4,
+  //     predictionMs: 30, dampingMs: 100, maxPredictionMs: 150 }
+  //       Predictive filter: extrapolates from the webcam frame's capture time
+  //       to the display time (render time + predictionMs, with interpolation
+  //       mode 'extrapolate' below); model 'velocity' or
+  //       'acceleration' (try processNoise ~1e6); dampingMs limits overshoot
+  //   { type: 'dead-zone', threshold: 2.0 }
+  //       Hold until moved `threshold` mm, then jump
+  //   { type: 'soft-dead-zone', threshold: 2.0 }
+  //       Hold within `threshold` mm, then drag along (hysteresis, no jump)
+  //   { type: 'clamp', min: { z: 150 }, max: { z: 2000 } }
+  //       Per-axis limits (mm)
   smoothing: {
-    minCutoff: 1.0,           // Low cutoff when stationary → smoother
-    beta: 0.5,                // Speed coefficient → higher = more responsive to fast moves
-    dCutoff: 1.0,             // Cutoff for derivative estimation
-    deadZone: 2.0,            // Dead zone threshold (mm) — suppress micro-jitter
+    stages: [
+      { type: 'gate', maxJump: 200, maxSpeed: 3000, maxRejects: 3 },
+      { type: 'one-euro', minCutoff: 1.0, beta: 0.5, dCutoff: 1.0 },
+      { type: 'dead-zone', threshold: 2.0 },
+    ],
+    // One-Euro filter for the head rotation (radians)
+    rotation: { minCutoff: 1.0, beta: 0.5, dCutoff: 1.0 },
+  },
+
+  // Tracking delivers a pose per webcam frame (~30 Hz); the display runs at
+  // 60-120 Hz. Each rendered frame gets a pose for its own time.
+  interpolation: {
+    mode: 'extrapolate',      // 'extrapolate' (no added latency) | 'interpolate' (smoothest, one webcam frame later) | 'off' (hold each pose)
+    maxExtrapolationMs: 50,   // Hold the pose once the newest webcam frame is older than this
+  },
+
+  // When the face is lost: hold the view, then ease back to the default
+  // viewing position; blend back in when the face is found again
+  fallback: {
+    holdMs: 500,              // Keep the last view this long (a blink or glance away changes nothing)
+    easeMs: 1500,             // Then move to the default position over this long
+    reacquireMs: 400,         // Blend from there to the tracked position when the face is back
+    attractMode: false,       // While idle, slowly orbit the default position (unattended displays)
+    attractRadiusMm: 80,      // Orbit size (mm)
+    attractPeriodMs: 12000,   // Time for one orbit
+  },
+
+  // Session recording for bug reports (press 'R' to start / stop)
+  recording: {
+    captureVideo: false,      // Also record a low-res copy of the webcam feed
+    videoWidth: 160,          // Recorded video width (px)
+    videoHeight: 120,         // Recorded video height (px)
+    videoFps: 15,             // Recorded video frame rate
+    videoBitsPerSecond: 250000,
   },
 
   // Debug options
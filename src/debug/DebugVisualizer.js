@@ -0,0 +1,340 @@
+/**
+ * DebugVisualizer.js — Graphical part of the debug overlay ('D').
+ *
+ * Draws into #debug-canvas, from top to bottom:
+ *
+ *   - The webcam feed (mirrored, like a selfie view) with every face
+ *     landmark, the nose tip (landmark 1) and both iris circles
+ *     (468–472, 473–477) drawn over it. Without a video (replay, or
+ *     CONFIG.debug.showWebcam off) the landmarks are drawn on black. The
+ *     tracking state and its confidence are shown in the corner.
+ *   - A top-down (X / Z) and a side (Z / Y) view of the screen, the webcam,
+ *     the raw and filtered eye positions and the frustum through the
+ *     visible part of the screen (the canvas rectangle when the window
+ *     does not fill the screen), extended behind the screen.
+ *   - Raw (dim) and filtered (bright) X, Y and Z over the last few seconds.
+ *
+ * Everything is in the tracking screen's frame (screen-centred mm, +Z
+ * toward the viewer); oriented and multi-screen setups are not drawn in
+ * world space.
+ */
+
+/** Panel sizes in CSS pixels */
+const WIDTH = 288;
+const VIDEO_HEIGHT = 216;
+const DIAGRAM_SIZE = WIDTH / 2;
+const TRACE_HEIGHT = 132;
+const HEIGHT = VIDEO_HEIGHT + DIAGRAM_SIZE + TRACE_HEIGHT;
+
+/** Smallest range (mm) a trace is scaled to, so stillness is not magnified into noise */
+const MIN_TRACE_SPAN_MM = 20;
+
+const COLOR = {
+  text: '#0f0',
+  dim: 'rgba(0, 255, 0, 0.35)',
+  grid: 'rgba(0, 255, 0, 0.15)',
+  screen: '#fff',
+  frustum: 'rgba(0, 255, 0, 0.12)',
+  raw: 'rgba(255, 255, 255, 0.45)',
+  nose: '#f33',
+  iris: '#0ff',
+  webcam: '#fc3',
+  background: 'rgba(0, 0, 0, 0.6)',
+};
+
+/** Colour of each tracking state's label */
+const STATE_COLOR = {
+  initialising: '#888',
+  searching: '#fc3',
+  tracking: '#0f0',
+  degraded: '#f93',
+  lost: '#f33',
+};
+
+/**
+ * @typedef {Object} DebugFrame
+ * @property {HTMLVideoElement|null} video - Webcam element, null without a webcam
+ * @property {Array<{x: number, y: number}>|null} landmarks - Normalised face landmarks
+ * @property {import('../tracking/TrackingStateMachine.js').TrackingStatus|null} tracking -
+ *   Tracking state of the pose source
+ * @property {{x: number, y: number, z: number}|null} raw - Eye position before smoothing (mm)
+ * @property {{x: number, y: number, z: number}|null} filtered - Eye position used for rendering (mm)
+ * @property {number} screenWidthMm
+ * @property {number} screenHeightMm
+ * @property {import('../projection/WindowPlacement.js').RectMm|null} viewportRect -
+ *   Visible part of the screen, null = all of it
+ * @property {import('../tracking/HeadPoseEstimator.js').WebcamPose} webcam - Webcam placement
+ * @property {number} defaultViewingDistance - Sets the depth range of the diagrams (mm)
+ */
+
+export class DebugVisualizer {
+  /**
+   * @param {Object} options
+   * @param {HTMLCanvasElement} options.canvas
+   * @param {boolean} [options.showWebcam=true] - Draw the video under the landmarks
+   * @param {number} [options.historyLength=240] - Frames kept for the traces
+   */
+  constructor(options) {
+    this._canvas = options.canvas;
+    this._showWebcam = options.showWebcam ?? true;
+    this._historyLength = options.historyLength ?? 240;
+    this._history = [];
+
+    this._ctx = this._canvas.getContext('2d');
+    this._dpr = 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** @param {boolean} enabled - Draw the webcam feed under the landmarks */
+  setShowWebcam(enabled) {
+    this._showWebcam = enabled;
+  }
+
+  /** Forget the trace history, e.g. when the overlay is shown again. */
+  reset() {
+    this._history = [];
+  }
+
+  /**
+   * Record one frame's positions and redraw.
+   * @param {DebugFrame} frame
+   */
+  draw(frame) {
+    this._history.push({ raw: frame.raw, filtered: frame.filtered });
+    if (this._history.length > this._historyLength) this._history.shift();
+
+    this._resize();
+    const ctx = this._ctx;
+    ctx.clearRect(0, 0, WIDTH, HEIGHT);
+    ctx.font = '10px monospace';
+    ctx.textBaseline = 'top';
+
+    this._drawVideo(frame);
+    this._drawDiagram(frame, 'top', 0, VIDEO_HEIGHT);
+    this._drawDiagram(frame, 'side', DIAGRAM_SIZE, VIDEO_HEIGHT);
+    this._drawTraces(VIDEO_HEIGHT + DIAGRAM_SIZE);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — panels
+  // ---------------------------------------------------------------------------
+
+  /** Match the backing store to the device pixel ratio */
+  _resize() {
+    const dpr = window.devicePixelRatio || 1;
+    if (dpr === this._dpr) return;
+    this._dpr = dpr;
+    this._canvas.width = Math.round(WIDTH * dpr);
+    this._canvas.height = Math.round(HEIGHT * dpr);
+    this._canvas.style.width = `${WIDTH}px`;
+    this._canvas.style.height = `${HEIGHT}px`;
+    this._ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  _drawVideo({ video, landmarks, tracking }) {
+    const ctx = this._ctx;
+    const w = WIDTH;
+    const h = VIDEO_HEIGHT;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, w, h);
+    if (this._showWebcam && video && video.readyState >= 2) {
+      ctx.save();
+      ctx.translate(w, 0);
+      ctx.scale(-1, 1);
+      ctx.drawImage(video, 0, 0, w, h);
+      ctx.restore();
+    }
+
+    if (landmarks?.length) {
+      // Mirrored to match the video
+      const px = (p) => (1 - p.x) * w;
+      const py = (p) => p.y * h;
+
+      ctx.fillStyle = COLOR.dim;
+      for (const p of landmarks) {
+        ctx.fillRect(px(p) - 0.5, py(p) - 0.5, 1, 1);
+      }
+
+      if (landmarks.length > 477) {
+        ctx.strokeStyle = COLOR.iris;
+        ctx.lineWidth = 1;
+        for (const [centre, left, right] of [[468, 469, 471], [473, 474, 476]]) {
+          const r = Math.abs(landmarks[left].x - landmarks[right].x) * w / 2;
+          ctx.beginPath();
+          ctx.arc(px(landmarks[centre]), py(landmarks[centre]), r, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      }
+
+      ctx.fillStyle = COLOR.nose;
+      ctx.beginPath();
+      ctx.arc(px(landmarks[1]), py(landmarks[1]), 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    label(ctx, landmarks?.length ? `${landmarks.length} landmarks` : 'No face', 4, 4);
+
+    if (tracking) {
+      const text = `${tracking.state} ${Math.round(tracking.confidence * 100)}%`;
+      ctx.fillStyle = STATE_COLOR[tracking.state] ?? COLOR.text;
+      ctx.textAlign = 'right';
+      ctx.fillText(text, w - 4, 4);
+      ctx.textAlign = 'left';
+      // Confidence bar under the label
+      ctx.fillRect(w - 4 - 60 * tracking.confidence, 16, 60 * tracking.confidence, 2);
+    }
+  }
+
+  /**
+   * Top view: X to the right, the viewer (+Z) at the bottom.
+   * Side view: Z to the right (viewer on the right), Y up.
+   */
+  _drawDiagram(frame, view, left, top) {
+    const ctx = this._ctx;
+    const size = DIAGRAM_SIZE;
+    const distance = frame.defaultViewingDistance;
+    const eye = frame.filtered;
+
+    // Lateral axis of the diagram (X or Y) and its screen extent
+    const axis = view === 'top' ? 'x' : 'y';
+    const half = (view === 'top' ? frame.screenWidthMm : frame.screenHeightMm) / 2;
+    const r = frame.viewportRect;
+    const edges = r
+      ? (view === 'top' ? [r.left, r.right] : [r.bottom, r.top])
+      : [-half, half];
+
+    // From half the viewing distance behind the screen to 1.5 × in front
+    const behind = distance * 0.5;
+    const scale = Math.min(size / (2 * distance), size / (2.6 * half));
+    const toCanvas = view === 'top'
+      ? (lateral, z) => [left + size / 2 + lateral * scale, top + size * 0.25 - z * scale]
+      : (lateral, z) => [left + size * 0.25 + z * scale, top + size / 2 - lateral * scale];
+
+    ctx.fillStyle = COLOR.background;
+    ctx.fillRect(left, top, size, size);
+    ctx.strokeStyle = COLOR.grid;
+    ctx.strokeRect(left + 0.5, top + 0.5, size - 1, size - 1);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, size, size);
+    ctx.clip();
+
+    // Frustum through the visible window, extended behind the screen
+    if (eye && eye.z > 0) {
+      const e = eye[axis];
+      const t = (eye.z + behind) / eye.z;
+      const far = edges.map((edge) => e + (edge - e) * t);
+      ctx.fillStyle = COLOR.frustum;
+      ctx.strokeStyle = COLOR.dim;
+      ctx.beginPath();
+      ctx.moveTo(...toCanvas(e, eye.z));
+      ctx.lineTo(...toCanvas(far[0], -behind));
+      ctx.lineTo(...toCanvas(far[1], -behind));
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // Screen, and the visible part of it
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = COLOR.dim;
+    line(ctx, toCanvas(-half, 0), toCanvas(half, 0));
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = COLOR.screen;
+    line(ctx, toCanvas(edges[0], 0), toCanvas(edges[1], 0));
+    ctx.lineWidth = 1;
+
+    // Webcam
+    const webcam = frame.webcam;
+    const cam = view === 'top'
+      ? toCanvas(webcam.offsetXMm ?? 0, webcam.offsetZMm ?? 0)
+      : toCanvas(half + (webcam.aboveTopEdgeMm ?? 10), webcam.offsetZMm ?? 0);
+    ctx.fillStyle = COLOR.webcam;
+    ctx.fillRect(cam[0] - 2, cam[1] - 2, 4, 4);
+
+    // Eye positions
+    if (frame.raw) dot(ctx, toCanvas(frame.raw[axis], frame.raw.z), 2, COLOR.raw);
+    if (eye) dot(ctx, toCanvas(eye[axis], eye.z), 3, COLOR.text);
+
+    ctx.restore();
+    label(ctx, view === 'top' ? 'Top (X/Z)' : 'Side (Z/Y)', left + 4, top + size - 14);
+  }
+
+  _drawTraces(top) {
+    const ctx = this._ctx;
+    const rowH = TRACE_HEIGHT / 3;
+    const n = this._historyLength;
+    const dx = WIDTH / (n - 1);
+    // Newest sample at the right edge
+    const x0 = WIDTH - (this._history.length - 1) * dx;
+
+    ctx.fillStyle = COLOR.background;
+    ctx.fillRect(0, top, WIDTH, TRACE_HEIGHT);
+
+    ['x', 'y', 'z'].forEach((axis, row) => {
+      const y0 = top + row * rowH;
+      const values = this._history.flatMap((s) => [s.raw?.[axis], s.filtered?.[axis]])
+        .filter((v) => v !== undefined);
+
+      ctx.strokeStyle = COLOR.grid;
+      line(ctx, [0, y0 + 0.5], [WIDTH, y0 + 0.5]);
+
+      if (values.length > 0) {
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max - min < MIN_TRACE_SPAN_MM) {
+          const mid = (min + max) / 2;
+          min = mid - MIN_TRACE_SPAN_MM / 2;
+          max = mid + MIN_TRACE_SPAN_MM / 2;
+        }
+        const toY = (v) => y0 + rowH - 3 - (v - min) / (max - min) * (rowH - 6);
+
+        for (const [key, color] of [['raw', COLOR.raw], ['filtered', COLOR.text]]) {
+          ctx.strokeStyle = color;
+          ctx.beginPath();
+          let drawing = false;
+          this._history.forEach((s, i) => {
+            const v = s[key]?.[axis];
+            if (v === undefined) {
+              drawing = false;
+              return;
+            }
+            if (drawing) ctx.lineTo(x0 + i * dx, toY(v));
+            else ctx.moveTo(x0 + i * dx, toY(v));
+            drawing = true;
+          });
+          ctx.stroke();
+        }
+      }
+
+      const latest = this._history.at(-1)?.filtered?.[axis];
+      label(ctx, `${axis.toUpperCase()} ${latest !== undefined ? latest.toFixed(1) : '--'} mm`, 4, y0 + 2);
+    });
+  }
+}
+
+// --- Helpers ---
+
+function line(ctx, [x1, y1], [x2, y2]) {
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.stroke();
+}
+
+function dot(ctx, [x, y], radius, color) {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+function label(ctx, text, x, y) {
+  ctx.fillStyle = COLOR.text;
+  ctx.fillText(text, x, y);
+}
@@ -0,0 +1,265 @@
+/**
+ * PerfTelemetry.js — Per-stage timings and rates for the tracking and
+ * render pipeline.
+ *
+ * Modules report durations with record(stage, ms) (or time(stage, fn)) and
+ * events with tick(rate, t). Each stage keeps a rolling window of its most
+ * recent samples, from which summary() derives p50 / p95 / p99; each rate
+ * counts its events over the last RATE_WINDOW_MS.
+ *
+ * Stages recorded by the app (ms):
+ *   video-frame - Interval between webcam frames
+ *   detect      - FaceLandmarker.detectForVideo (in the worker, if used)
+ *   detect-age  - Frame capture → result available on the main thread
+ *   estimate    - HeadPoseEstimator.estimate
+ *   project     - Off-axis camera update(s)
+ *   render      - SceneManager.render
+ *   frame       - Whole render loop iteration
+ *   pose-age    - Frame capture → the render that uses it
+ *
+ * Rates (per second): video, tracking (detection results), render.
+ *
+ * Every sample is also kept in a log (up to MAX_LOG_SAMPLES) for export as
+ * CSV (t, stage, ms) or JSON (summary plus samples).
+ */
+
+/** Samples per stage the percentiles are computed over */
+const DEFAULT_WINDOW_SIZE = 600;
+
+/** Events counted for a rate (ms) */
+const RATE_WINDOW_MS = 2000;
+
+/** Samples kept for export (oldest dropped first) */
+const MAX_LOG_SAMPLES = 100000;
+
+/**
+ * @typedef {Object} StageSummary
+ * @property {number} count - Samples in the window
+ * @property {number} mean
+ * @property {number} p50
+ * @property {number} p95
+ * @property {number} p99
+ * @property {number} max
+ */
+
+/**
+ * Fixed-size window of recent values with percentile queries.
+ */
+class RollingHistogram {
+  /** @param {number} size - Values kept */
+  constructor(size) {
+    this._values = new Float64Array(size);
+    this._count = 0;
+    this._next = 0;
+  }
+
+  push(value) {
+    this._values[this._next] = value;
+    this._next = (this._next + 1) % this._values.length;
+    this._count = Math.min(this._count + 1, this._values.length);
+  }
+
+  /** @returns {StageSummary|null} null while empty */
+  summary() {
+    if (this._count === 0) return null;
+    const sorted = this._values.slice(0, this._count).sort();
+    const at = (q) => sorted[Math.min(this._count - 1, Math.ceil(q * this._count) - 1)];
+    return {
+      count: this._count,
+      mean: sorted.reduce((sum, v) => sum + v, 0) / this._count,
+      p50: at(0.5),
+      p95: at(0.95),
+      p99: at(0.99),
+      max: sorted[this._count - 1],
+    };
+  }
+}
+
+export class PerfTelemetry {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowSize=600] - Samples per stage for the percentiles
+   */
+  constructor(options = {}) {
+    this._windowSize = options.windowSize ?? DEFAULT_WINDOW_SIZE;
+    this._stages = new Map(); // stage → RollingHistogram
+    this._rates = new Map();  // rate → event times (ms)
+    this._log = [];           // [t, stage, ms]
+    this._startedAt = performance.now();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Recording
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Record one duration.
+   *
+   * @param {string} stage - e.g. 'estimate'
+   * @param {number} ms
+   * @param {number} [t=performance.now()] - When it happened
+   */
+  record(stage, ms, t = performance.now()) {
+    if (!Number.isFinite(ms)) return;
+    let histogram = this._stages.get(stage);
+    if (!histogram) {
+      histogram = new RollingHistogram(this._windowSize);
+      this._stages.set(stage, histogram);
+    }
+    histogram.push(ms);
+
+    this._log.push([t, stage, ms]);
+    // Trimmed in batches; one splice per sample would copy the whole log
+    if (this._log.length > MAX_LOG_SAMPLES * 1.1) {
+      this._log.splice(0, this._log.length - MAX_LOG_SAMPLES);
+    }
+  }
+
+  /**
+   * Run `fn` and record how long it took.
+   *
+   * @template T
+   * @param {string} stage
+   * @param {() => T} fn
+   * @returns {T} Whatever fn returned
+   */
+  time(stage, fn) {
+    const start = performance.now();
+    try {
+      return fn();
+    } finally {
+      this.record(stage, performance.now() - start, start);
+    }
+  }
+
+  /**
+   * Count one event toward a rate.
+   *
+   * @param {string} rate - e.g. 'render'
+   * @param {number} [t=performance.now()]
+   */
+  tick(rate, t = performance.now()) {
+    let times = this._rates.get(rate);
+    if (!times) {
+      times = [];
+      this._rates.set(rate, times);
+    }
+    times.push(t);
+    while (times.length > 0 && times[0] < t - RATE_WINDOW_MS) times.shift();
+  }
+
+  /** Drop everything recorded so far. */
+  reset() {
+    this._stages.clear();
+    this._rates.clear();
+    this._log = [];
+    this._startedAt = performance.now();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {string} rate
+   * @param {number} [now=performance.now()]
+   * @returns {number} Events per second over the last RATE_WINDOW_MS
+   */
+  getRate(rate, now = performance.now()) {
+    const times = this._rates.get(rate) ?? [];
+    const recent = times.filter((t) => t >= now - RATE_WINDOW_MS);
+    if (recent.length < 2) return 0;
+    // Measured over the span the events cover, so the rate is right
+    // shortly after startup too
+    return ((recent.length - 1) * 1000) / (recent.at(-1) - recent[0]);
+  }
+
+  /**
+   * @returns {{ stages: Object<string, StageSummary>, rates: Object<string, number> }}
+   */
+  summary() {
+    const stages = {};
+    for (const [stage, histogram] of this._stages) {
+      stages[stage] = histogram.summary();
+    }
+    const rates = {};
+    for (const rate of this._rates.keys()) {
+      rates[rate] = this.getRate(rate);
+    }
+    return { stages, rates };
+  }
+
+  /**
+   * Multi-line text for the debug overlay.
+   * @returns {string}
+   */
+  formatSummary() {
+    const { stages, rates } = this.summary();
+    const rate = (name) => (rates[name] ?? 0).toFixed(1);
+    const lines = [`Rates: video ${rate('video')} Hz, tracking ${rate('tracking')} Hz, render ${rate('render')} fps`];
+    lines.push('Stage (ms)    p50    p95    p99');
+    for (const [stage, s] of Object.entries(stages)) {
+      lines.push(
+        `${stage.padEnd(11)} ${fixed(s.p50)} ${fixed(s.p95)} ${fixed(s.p99)}`
+      );
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * @returns {string} One row per sample: t (ms since start), stage, ms
+   */
+  exportCSV() {
+    const rows = this._log.map(([t, stage, ms]) =>
+      `${(t - this._startedAt).toFixed(3)},${stage},${ms.toFixed(3)}`
+    );
+    return ['t_ms,stage,duration_ms', ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * @returns {string} Summary, rates and every logged sample
+   */
+  exportJSON() {
+    return JSON.stringify({
+      type: 'headtracking-telemetry',
+      version: 1,
+      createdAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      ...this.summary(),
+      samples: this._log.map(([t, stage, ms]) => ({
+        t: round(t - this._startedAt),
+        stage,
+        ms: round(ms),
+      })),
+    });
+  }
+
+  /**
+   * Download the log as telemetry-<time>.csv or .json.
+   * @param {'csv'|'json'} [format='csv']
+   */
+  download(format = 'csv') {
+    const text = format === 'json' ? this.exportJSON() : this.exportCSV();
+    const type = format === 'json' ? 'application/json' : 'text/csv';
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `telemetry-${stamp}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// --- Helpers ---
+
+function fixed(value) {
+  return value.toFixed(2).padStart(6);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -7,40 +7,142 @@
  * Startup sequence:
  *   1. Create OffAxisCamera with screen geometry + projection config
  *   2. Create SceneManager (renderer, scene, lighting, demo content)
- *   3. Create FaceTracker (webcam + MediaPipe FaceLandmarker)
+ *   3. Create the pose source: FaceTracker (webcam + MediaPipe
+ *      FaceLandmarker), or ReplaySource when a trace is configured
  *   4. Create HeadPoseEstimator (landmark → mm conversion + smoothing)
  *   5. Start render loop: track → estimate → project → render
  */
 
-import { CONFIG } from './config.js';
+import { CONFIG, OFFLINE_ASSETS } from './config.js';
 import { FaceTracker } from './tracking/FaceTracker.js';
+import { loadCameraChoice } from './tracking/CameraStore.js';
+import { ReplaySource } from './tracking/ReplaySource.js';
+import { BroadcastSource, PoseBroadcaster } from './tracking/BroadcastSource.js';
+import { SessionRecorder } from './tracking/SessionRecorder.js';
 import { HeadPoseEstimator } from './tracking/HeadPoseEstimator.js';
+import { PoseInterpolator, INTERPOLATION_MODES } from './tracking/PoseInterpolator.js';
+import { VIEWER_POLICIES } from './tracking/ViewerSelector.js';
+import { PoseFallback } from './tracking/PoseFallback.js';
 import { OffAxisCamera } from './projection/OffAxisCamera.js';
+import { screenBasis } from './projection/KooimaProjection.js';
+import { WindowPlacement } from './projection/WindowPlacement.js';
+import { DisplayRig } from './projection/DisplayRig.js';
+import { KALMAN_MODELS } from './projection/Smoothing.js';
+import { eyePositions, eulerToRotation, rotateVector } from './tracking/PoseMath.js';
 import { SceneManager } from './scene/SceneManager.js';
 import { toggleTargetMode } from './scene/DemoContent.js';
+import { STEREO_MODES } from './scene/StereoModes.js';
+import { DebugVisualizer } from './debug/DebugVisualizer.js';
+import { PerfTelemetry } from './debug/PerfTelemetry.js';
+import { SettingsPanel } from './settings/SettingsPanel.js';
+import { ProfileMenu } from './settings/ProfileMenu.js';
+import { CameraMenu } from './settings/CameraMenu.js';
+import { ConfigError, validateConfig } from './settings/ConfigSchema.js';
+import { mergeConfig, diffConfig, parseUrlOverrides, applyUrlOverrides } from './settings/ConfigOverrides.js';
+import { listProfiles, loadProfile, getActiveProfile, setActiveProfile } from './settings/ConfigProfiles.js';
+import { CalibrationWizard } from './calibration/CalibrationWizard.js';
+import { ScreenMeasure } from './calibration/ScreenMeasure.js';
+import {
+  loadCalibration,
+  saveCalibration,
+  clearCalibration,
+  applyCalibration,
+  loadScreenScale,
+  saveScreenScale,
+  clearScreenScale,
+} from './calibration/CalibrationStore.js';
 
 // ---------------------------------------------------------------------------
 // DOM references
 // ---------------------------------------------------------------------------
 const loadingEl = document.getElementById('loading');
 const loadingText = document.getElementById('loading-text');
+const errorPanel = document.getElementById('error-panel');
+const errorTitle = document.getElementById('error-title');
+const errorMessage = document.getElementById('error-message');
+const errorAction = document.getElementById('error-action');
 const debugEl = document.getElementById('debug');
 const debugStats = document.getElementById('debug-stats');
+const debugCanvas = document.getElementById('debug-canvas');
+const recordingEl = document.getElementById('recording-indicator');
 
 // ---------------------------------------------------------------------------
 // Module instances (set during init)
 // ---------------------------------------------------------------------------
-let offAxisCamera = null;
+let offAxisCamera = null;  // Single-screen mode
+let eyeCameras = [];       // Single-screen mode, [left, right] for stereo
+let displayRig = null;     // Multi-screen mode
+let poseBroadcaster = null;
 let sceneManager = null;
-let faceTracker = null;
+let poseSource = null;
 let headPoseEstimator = null;
+let poseInterpolator = null;
+let poseFallback = null;
+let sessionRecorder = null;
+let calibrationWizard = null;
+let screenMeasure = null;
+let windowPlacement = null;
+let settingsPanel = null;
+let profileMenu = null;
+let cameraMenu = null;
+let debugVisualizer = null;
+
+// config.js as written, the base that profiles are stored relative to
+const BASE_CONFIG = structuredClone(CONFIG);
+
+// Apply the selected profile and URL overrides; init() reports an invalid result
+const { profile: activeProfile, error: configError } = loadConfigOverrides();
+
+// An oriented screen takes its size from its corners
+if (!configError && CONFIG.screen.corners) {
+  const { width, height } = screenBasis(CONFIG.screen.corners);
+  CONFIG.screen.widthMm = width;
+  CONFIG.screen.heightMm = height;
+}
+
+// Configured screen size, restored when a measurement is cleared
+const CONFIGURED_SCREEN = { ...CONFIG.screen };
+
+// Screen size measured on this device ({ widthMm, heightMm }), null if none;
+// it is stored per device, so profiles keep the configured size instead
+let measuredScreen = null;
+
+// Whole config as loaded (with profile and URL overrides), restored by the
+// settings panel's reset button
+const DEFAULT_CONFIG = structuredClone(CONFIG);
+
+// CONFIG keys only read at startup; the settings panel shows them read-only
+const RELOAD_ONLY_SETTINGS = [
+  'screen.corners',
+  'multiScreen',
+  'tracking.videoElementId',
+  'tracking.camera',
+  'tracking.useWorker',
+  'tracking.delegate',
+  'tracking.assetRetries',
+  'tracking.assetRetryDelayMs',
+  'tracking.mediapipeModuleUrl',
+  'tracking.mediapipeWasmPath',
+  'tracking.modelAssetPath',
+  'replay.url',
+  'smoothing.stages.*.type',
+];
+
+// Capture time of the last tracking sample the estimator has seen (ms)
+let lastSampleTime = null;
+
+// Timestamps closer than this (ms) belong to the same sample
+const SAME_SAMPLE_MS = 0.5;
 
 // ---------------------------------------------------------------------------
-// FPS tracking
+// Performance telemetry (shown in the debug overlay, exported with 'E')
 // ---------------------------------------------------------------------------
-let frameCount = 0;
-let fpsTimestamp = performance.now();
-let currentFps = 0;
+const telemetry = new PerfTelemetry();
+
+// The percentile summary is recomputed this often (ms), not every frame
+const TELEMETRY_REFRESH_MS = 500;
+let telemetryText = '';
+let telemetryTextAt = 0;
 
 // ---------------------------------------------------------------------------
 // Initialization
@@ -48,62 +150,148 @@ let currentFps = 0;
 
 async function init() {
   try {
-    // 1. Off-axis camera
+    if (configError) throw configError;
+
+    // Use the measured screen size from a previous session, if any
+    applySavedScreenScale();
+
+    // 1. Off-axis camera, or one per display of a multi-screen rig
     updateLoading('Setting up camera projection...');
-    offAxisCamera = new OffAxisCamera({
-      screenWidthMm: CONFIG.screen.widthMm,
-      screenHeightMm: CONFIG.screen.heightMm,
-      defaultViewingDistance: CONFIG.projection.defaultViewingDistance,
-      nearClip: CONFIG.projection.nearClip,
-      farClip: CONFIG.projection.farClip,
-    });
+    const displays = selectDisplays();
+    if (displays.length > 0) {
+      displayRig = new DisplayRig({
+        displays,
+        trackingCorners: CONFIG.screen.corners,
+        defaultViewingDistance: CONFIG.projection.defaultViewingDistance,
+        nearClip: CONFIG.projection.nearClip,
+        farClip: CONFIG.projection.farClip,
+      });
+    } else {
+      const cameraConfig = {
+        screenWidthMm: CONFIG.screen.widthMm,
+        screenHeightMm: CONFIG.screen.heightMm,
+        screenCorners: CONFIG.screen.corners,
+        defaultViewingDistance: CONFIG.projection.defaultViewingDistance,
+        nearClip: CONFIG.projection.nearClip,
+        farClip: CONFIG.projection.farClip,
+      };
+      offAxisCamera = new OffAxisCamera(cameraConfig);
+      eyeCameras = [new OffAxisCamera(cameraConfig), new OffAxisCamera(cameraConfig)];
+    }
 
     // 2. Scene manager (renderer + scene + demo content)
     updateLoading('Building scene...');
-    sceneManager = new SceneManager(offAxisCamera);
-
-    // 3. Face tracker (webcam + MediaPipe)
-    updateLoading('Initializing face tracking...');
-    faceTracker = new FaceTracker({
-      videoWidth: CONFIG.tracking.videoWidth,
-      videoHeight: CONFIG.tracking.videoHeight,
-      videoElementId: CONFIG.tracking.videoElementId,
-      minDetectionConfidence: CONFIG.tracking.minDetectionConfidence,
-      minTrackingConfidence: CONFIG.tracking.minTrackingConfidence,
-      onError: (err) => console.warn('FaceTracker error:', err),
-    });
+    const sceneOptions = {
+      onContextLost: handleContextLost,
+      onContextRestored: handleContextRestored,
+    };
+    if (displayRig) {
+      sceneManager = new SceneManager(displayRig.displays[0].camera, sceneOptions);
+      sceneManager.setViews(displayRig.getViews());
+    } else {
+      sceneManager = new SceneManager(offAxisCamera, sceneOptions);
+      sceneManager.setEyeCameras(eyeCameras[0].getCamera(), eyeCameras[1].getCamera());
+      windowPlacement = new WindowPlacement(document.getElementById('canvas'));
+    }
+    sceneManager.setStereoMode(CONFIG.stereo.mode);
 
-    await faceTracker.init();
+    // 3. Pose source (webcam + MediaPipe, or a recorded trace)
+    poseSource = createPoseSource();
+    await poseSource.init();
 
-    // 4. Head pose estimator (landmarks → mm + smoothing)
+    // 4. Head pose estimator (landmarks → mm + smoothing), at the
+    // resolution the webcam actually delivers
+    const video = videoSize();
     headPoseEstimator = new HeadPoseEstimator({
       screenWidthMm: CONFIG.screen.widthMm,
       screenHeightMm: CONFIG.screen.heightMm,
       defaultViewingDistance: CONFIG.projection.defaultViewingDistance,
-      videoWidth: CONFIG.tracking.videoWidth,
-      videoHeight: CONFIG.tracking.videoHeight,
+      videoWidth: video.width,
+      videoHeight: video.height,
       sensitivityX: CONFIG.headPose.sensitivityX,
       sensitivityY: CONFIG.headPose.sensitivityY,
       sensitivityZ: CONFIG.headPose.sensitivityZ,
       useIrisDepth: CONFIG.headPose.useIrisDepth,
-      focalLengthPx: CONFIG.headPose.useIrisDepth
-        ? CONFIG.tracking.videoWidth * CONFIG.headPose.fovFactor
-        : null,
-      smoothing: {
-        minCutoff: CONFIG.smoothing.minCutoff,
-        beta: CONFIG.smoothing.beta,
-        dCutoff: CONFIG.smoothing.dCutoff,
-        deadZone: CONFIG.smoothing.deadZone,
-      },
+      irisDiameterMm: CONFIG.headPose.irisDiameterMm,
+      useRotation: CONFIG.headPose.useRotation,
+      noseToEyesMm: CONFIG.headPose.noseToEyesMm,
+      ipdMm: CONFIG.stereo.ipdMm,
+      focalLengthPx: configuredFocalLength(),
+      principalPoint: configuredPrincipalPoint(),
+      webcamPose: CONFIG.webcam,
+      smoothing: CONFIG.smoothing,
+    });
+
+    // Reapply a calibration saved by a previous session
+    restoreCalibration();
+
+    // Tracking-rate samples → display-rate poses
+    poseInterpolator = new PoseInterpolator(CONFIG.interpolation);
+    poseFallback = new PoseFallback({
+      ...CONFIG.fallback,
+      defaultPosition: { x: 0, y: 0, z: CONFIG.projection.defaultViewingDistance },
     });
 
-    // 5. Hide loading overlay
+    // Share the tracked pose with the other windows of a multi-screen rig
+    if (CONFIG.multiScreen.displays.length > 0 && !(poseSource instanceof BroadcastSource)) {
+      poseBroadcaster = new PoseBroadcaster(CONFIG.multiScreen.channelName);
+    }
+
+    // 5. Session recorder (started / stopped with 'R')
+    sessionRecorder = new SessionRecorder({
+      config: CONFIG,
+      captureVideo: CONFIG.recording.captureVideo,
+      videoWidth: CONFIG.recording.videoWidth,
+      videoHeight: CONFIG.recording.videoHeight,
+      videoFps: CONFIG.recording.videoFps,
+      videoBitsPerSecond: CONFIG.recording.videoBitsPerSecond,
+    });
+    if (poseSource instanceof FaceTracker) {
+      poseSource.setRecorder(sessionRecorder);
+      poseSource.setTelemetry(telemetry);
+    }
+
+    // 6. Debug overlay ('D'), then hide the loading overlay
+    if (debugCanvas) {
+      debugVisualizer = new DebugVisualizer({
+        canvas: debugCanvas,
+        showWebcam: CONFIG.debug.showWebcam,
+      });
+    }
+    applySetting('debug.enabled');
     hideLoading();
 
-    // 6. Set up keyboard shortcuts
+    // 7. Settings panel ('P') and keyboard shortcuts
+    const toolbars = [];
+    profileMenu = new ProfileMenu({
+      current: activeProfile,
+      base: BASE_CONFIG,
+      getOverrides: profileOverrides,
+      onSwitch: switchProfile,
+    });
+    toolbars.push(profileMenu.getElement());
+    if (poseSource instanceof FaceTracker) {
+      cameraMenu = new CameraMenu({ tracker: poseSource });
+      toolbars.push(cameraMenu.getElement());
+    }
+    settingsPanel = new SettingsPanel({
+      config: CONFIG,
+      readOnly: RELOAD_ONLY_SETTINGS,
+      choices: {
+        'stereo.mode': STEREO_MODES,
+        'interpolation.mode': INTERPOLATION_MODES,
+        'viewer.policy': VIEWER_POLICIES,
+        'smoothing.stages.*.model': KALMAN_MODELS,
+      },
+      nullable: ['webcam.focalLengthPx', 'webcam.principalPointX', 'webcam.principalPointY'],
+      validate: validateSetting,
+      onChange: applySetting,
+      onReset: resetSettings,
+      toolbars,
+    });
     setupKeyboardShortcuts();
 
-    // 7. Start render loop
+    // 8. Start render loop
     requestAnimationFrame(animate);
 
   } catch (err) {
@@ -111,57 +299,308 @@ async function init() {
   }
 }
 
+/**
+ * Merge the selected profile (`?profile=<name>`, else the active one) and
+ * the dotted URL overrides (`?screen.widthMm=597`) into CONFIG, in that
+ * order, and check the result against the schema.
+ *
+ * @returns {{ profile: string|null, error: ConfigError|null }} The profile
+ *   applied, and everything wrong with the resulting config
+ */
+function loadConfigOverrides() {
+  const params = new URLSearchParams(window.location.search);
+  const problems = [];
+  const sources = ['config.js'];
+
+  let profile = params.get('profile') ?? getActiveProfile();
+  if (profile !== null) {
+    const overrides = loadProfile(profile);
+    if (overrides) {
+      mergeConfig(CONFIG, overrides);
+      sources.push(`profile "${profile}"`);
+    } else {
+      const saved = listProfiles().join(', ') || 'none';
+      problems.push(`profile "${profile}" does not exist (saved profiles: ${saved})`);
+      profile = null;
+    }
+  }
+
+  const url = parseUrlOverrides(params);
+  if (url.overrides.length > 0) sources.push('the URL');
+  problems.push(...url.problems, ...applyUrlOverrides(CONFIG, url.overrides));
+
+  problems.push(...validateConfig(CONFIG));
+  return {
+    profile,
+    error: problems.length > 0 ? new ConfigError(problems, sources.join(' + ')) : null,
+  };
+}
+
+/**
+ * Displays of the multi-screen rig this window renders: the one named by
+ * the `?display=` URL parameter, or all of them.
+ *
+ * @returns {import('./projection/DisplayRig.js').DisplayConfig[]}
+ */
+function selectDisplays() {
+  const { displays } = CONFIG.multiScreen;
+  const name = new URLSearchParams(window.location.search).get('display');
+  if (name === null) return displays;
+
+  const selected = displays.filter((d) => d.name === name);
+  if (selected.length === 0) {
+    const known = displays.map((d) => d.name).join(', ') || 'none configured';
+    throw new Error(`Unknown display "${name}" (known: ${known}).`);
+  }
+  return selected;
+}
+
+/**
+ * Build the configured pose source. `?follow` takes head poses from
+ * another window of a multi-screen rig; a replay trace (CONFIG.replay.url
+ * or the `?replay=` URL parameter) takes precedence over the live webcam.
+ */
+function createPoseSource() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('follow')) {
+    updateLoading('Waiting for the tracking window...');
+    return new BroadcastSource({ channelName: CONFIG.multiScreen.channelName });
+  }
+
+  const replayUrl = params.get('replay') ?? CONFIG.replay.url;
+
+  if (replayUrl) {
+    updateLoading('Loading replay trace...');
+    return new ReplaySource({
+      url: replayUrl,
+      // ?speed= and ?loop= are applied (and validated) as replay.* overrides
+      speed: CONFIG.replay.speed,
+      loop: CONFIG.replay.loop,
+    });
+  }
+
+  // ?offline serves MediaPipe from the self-hosted copy under vendor/
+  const assets = params.has('offline') ? OFFLINE_ASSETS : CONFIG.tracking;
+
+  updateLoading('Initializing face tracking...');
+  const tracker = new FaceTracker({
+    videoWidth: CONFIG.tracking.videoWidth,
+    videoHeight: CONFIG.tracking.videoHeight,
+    videoElementId: CONFIG.tracking.videoElementId,
+    // ?camera=<name> for this visit, else the one picked in the settings panel
+    camera: params.get('camera') ?? loadCameraChoice()?.deviceId ?? CONFIG.tracking.camera,
+    minDetectionConfidence: CONFIG.tracking.minDetectionConfidence,
+    minTrackingConfidence: CONFIG.tracking.minTrackingConfidence,
+    useWorker: CONFIG.tracking.useWorker,
+    delegate: CONFIG.tracking.delegate,
+    assetRetries: CONFIG.tracking.assetRetries,
+    assetRetryDelayMs: CONFIG.tracking.assetRetryDelayMs,
+    maxFaces: CONFIG.viewer.maxFaces,
+    viewer: CONFIG.viewer,
+    staleAfterMs: CONFIG.tracking.staleAfterMs,
+    lostTimeoutMs: CONFIG.tracking.lostTimeoutMs,
+    maxJitter: CONFIG.tracking.maxJitter,
+    mediapipeModuleUrl: assets.mediapipeModuleUrl,
+    mediapipeWasmPath: assets.mediapipeWasmPath,
+    modelAssetPath: assets.modelAssetPath,
+  });
+  return tracker
+    .on('error', handleTrackerError)
+    .on('viewer', handleViewerChange)
+    .on('videoSize', (width, height) => headPoseEstimator?.setVideoSize(width, height));
+}
+
 // ---------------------------------------------------------------------------
 // Render loop
 // ---------------------------------------------------------------------------
 
-function animate() {
+function animate(timestamp) {
   requestAnimationFrame(animate);
+  const frameStart = performance.now();
+  telemetry.tick('render', frameStart);
+
+  // Get latest face landmarks from the pose source
+  const landmarks = poseSource.getLatestLandmarks();
 
-  // Get latest face landmarks from tracker
-  const landmarks = faceTracker.getLatestLandmarks();
+  // Convert to smoothed head position in mm, once per tracking sample (a
+  // processed video frame) and as of its capture time; the interpolator
+  // carries it to this frame's render time. Sources that supply head
+  // positions directly (e.g. replayed pose traces) bypass the estimator,
+  // and those without timestamps are used as they are. The pose also
+  // carries head orientation (rotation / quaternion) when the source
+  // provides a facial transformation matrix.
+  const poseTime = poseSource.getLatestTimestamp();
+  let headPos;
+  if (poseTime === null) {
+    headPos = headPoseEstimator.estimate(landmarks, poseSource.getTransformationMatrix()) ??
+      poseSource.getLatestHeadPosition();
+  } else {
+    if (lastSampleTime === null || Math.abs(poseTime - lastSampleTime) > SAME_SAMPLE_MS) {
+      lastSampleTime = poseTime;
+      const sample = telemetry.time('estimate', () => headPoseEstimator.estimate(
+        landmarks,
+        poseSource.getTransformationMatrix(),
+        poseTime,
+        poseTime
+      )) ?? poseSource.getLatestHeadPosition();
+      if (sample) poseInterpolator.push(sample, poseTime);
+      else poseInterpolator.reset();
+    }
+    headPos = poseInterpolator.sample(frameStart);
+  }
 
-  // Convert to smoothed head position in mm
-  const headPos = headPoseEstimator.estimate(landmarks);
+  // Without a face: hold, then ease back to the default position (or
+  // orbit it in attract mode); a face found again is blended in. The
+  // tracking state counts a stalled detector's last pose as no face.
+  const trackingStatus = poseSource.getTrackingStatus();
+  const trackedPos = headPos;
+  headPos = poseFallback.update(trackedPos, frameStart, trackingStatus.state);
 
-  // Update camera projection if we have a valid head position
-  if (headPos) {
-    offAxisCamera.updateFromHeadPosition(headPos);
+  // Follow the canvas as the window is moved or resized. The screen size
+  // (configured or measured) gives the physical size of a CSS pixel.
+  if (windowPlacement && CONFIG.projection.trackWindowPlacement) {
+    const mmPerCssPx = CONFIG.screen.widthMm / window.screen.width;
+    if (windowPlacement.update(mmPerCssPx)) {
+      for (const camera of [offAxisCamera, ...eyeCameras]) {
+        camera.setViewportRect(windowPlacement.getRectMm());
+      }
+    }
   }
 
+  // Update camera projection
+  telemetry.time('project', () => {
+    (displayRig ?? offAxisCamera).updateFromHeadPosition(headPos);
+    if (CONFIG.stereo.mode !== 'off') {
+      updateEyeCameras(headPos);
+    }
+  });
+  poseBroadcaster?.post(headPos);
+
   // Render
-  sceneManager.render();
+  telemetry.time('render', () => sceneManager.render());
+  if (trackedPos && poseTime !== null) {
+    telemetry.record('pose-age', performance.now() - poseTime);
+  }
+
+  sessionRecorder.recordPose(trackedPos, timestamp);
 
   // Update debug overlay
-  updateDebugStats(headPos, landmarks !== null);
+  updateDebugStats(headPos, trackingStatus);
+  drawDebugVisualizer(landmarks, headPos);
 
-  // FPS counter
-  frameCount++;
-  const now = performance.now();
-  if (now - fpsTimestamp >= 1000) {
-    currentFps = frameCount;
-    frameCount = 0;
-    fpsTimestamp = now;
+  telemetry.record('frame', performance.now() - frameStart, frameStart);
+}
+
+/**
+ * Point the left / right eye cameras at the tracked eye positions. Poses
+ * without per-eye positions (e.g. replayed head positions) get eyes either
+ * side of the head position, along its rotation if known.
+ */
+function updateEyeCameras(headPos) {
+  let left = headPos.leftEye;
+  let right = headPos.rightEye;
+  if (!left || !right) {
+    const axis = headPos.rotation
+      ? rotateVector(eulerToRotation(headPos.rotation), { x: 1, y: 0, z: 0 })
+      : { x: 1, y: 0, z: 0 };
+    ({ left, right } = eyePositions(headPos, axis, CONFIG.stereo.ipdMm));
+  }
+  if (CONFIG.stereo.swapEyes) {
+    [left, right] = [right, left];
   }
+
+  if (displayRig) {
+    displayRig.updateFromEyePositions(left, right);
+  } else {
+    eyeCameras[0].updateFromHeadPosition(left);
+    eyeCameras[1].updateFromHeadPosition(right);
+  }
+}
+
+/**
+ * Switch to the next stereo output mode.
+ */
+function cycleStereoMode() {
+  const next = STEREO_MODES[(STEREO_MODES.indexOf(CONFIG.stereo.mode) + 1) % STEREO_MODES.length];
+  CONFIG.stereo.mode = next;
+  sceneManager.setStereoMode(next);
+  settingsPanel.refresh();
+}
+
+/**
+ * Someone else became the viewer: start the filters afresh instead of
+ * gliding (or gating) from the previous viewer's head to theirs.
+ */
+function handleViewerChange(viewerId) {
+  if (viewerId === null) return;
+  headPoseEstimator.reset();
+  poseInterpolator.reset();
+  poseFallback.blendIn(performance.now());
 }
 
 // ---------------------------------------------------------------------------
 // Debug overlay
 // ---------------------------------------------------------------------------
 
-function updateDebugStats(headPos, faceDetected) {
+function updateDebugStats(headPos, tracking) {
   if (!CONFIG.debug.enabled || !debugStats) return;
 
   const x = headPos ? headPos.x.toFixed(1) : '--';
   const y = headPos ? headPos.y.toFixed(1) : '--';
   const z = headPos ? headPos.z.toFixed(1) : '--';
+  const rot = headPos?.rotation;
+  const deg = (rad) => (rad * 180 / Math.PI).toFixed(1);
+
+  const now = performance.now();
+  if (now - telemetryTextAt >= TELEMETRY_REFRESH_MS) {
+    telemetryText = telemetry.formatSummary();
+    telemetryTextAt = now;
+  }
 
   debugStats.textContent =
-    `FPS: ${currentFps}\n` +
-    `Face: ${faceDetected ? 'YES' : 'NO'}\n` +
+    `Tracking: ${tracking.state} (confidence ${tracking.confidence.toFixed(2)})${viewerText()}\n` +
+    detectorText() +
     `Head X: ${x} mm\n` +
     `Head Y: ${y} mm\n` +
-    `Head Z: ${z} mm`;
+    `Head Z: ${z} mm\n` +
+    `Yaw/Pitch/Roll: ${rot ? `${deg(rot.yaw)}° ${deg(rot.pitch)}° ${deg(rot.roll)}°` : '--'}\n` +
+    `View: ${poseFallback.getPhase()}\n` +
+    `Stereo: ${CONFIG.stereo.mode}\n` +
+    telemetryText;
+}
+
+/** ' (viewer #2 of 3 faces)' while more than one face is in view */
+function viewerText() {
+  if (!(poseSource instanceof FaceTracker) || poseSource.getFaceCount() < 2) return '';
+  return ` (viewer #${poseSource.getViewerId() ?? '-'} of ${poseSource.getFaceCount()} faces)`;
+}
+
+/** 'Detector: CPU, in a worker' line for the webcam tracker */
+function detectorText() {
+  if (!(poseSource instanceof FaceTracker)) return '';
+  const { delegate, worker } = poseSource.getDetector();
+  return `Detector: ${delegate ?? '--'}, ${worker ? 'in a worker' : 'in-thread'}\n`;
+}
+
+/**
+ * Webcam + landmarks, frustum diagrams and position traces.
+ */
+function drawDebugVisualizer(landmarks, headPos) {
+  if (!CONFIG.debug.enabled || !debugVisualizer) return;
+
+  debugVisualizer.draw({
+    video: poseSource instanceof FaceTracker ? poseSource.getVideoElement() : null,
+    landmarks,
+    tracking: poseSource.getTrackingStatus(),
+    // Sources that supply head positions directly have no unfiltered one
+    raw: landmarks ? headPoseEstimator.getRawPosition() : null,
+    filtered: headPos,
+    screenWidthMm: CONFIG.screen.widthMm,
+    screenHeightMm: CONFIG.screen.heightMm,
+    viewportRect: CONFIG.projection.trackWindowPlacement ? windowPlacement?.getRectMm() ?? null : null,
+    webcam: CONFIG.webcam,
+    defaultViewingDistance: CONFIG.projection.defaultViewingDistance,
+  });
 }
 
 // ---------------------------------------------------------------------------
@@ -169,31 +608,438 @@ function updateDebugStats(headPos, faceDetected) {
 // ---------------------------------------------------------------------------
 
 function setupKeyboardShortcuts() {
-  window.addEventListener('keydown', (e) => {
-    switch (e.key.toLowerCase()) {
-      case 'd':
-        // Toggle debug overlay
-        CONFIG.debug.enabled = !CONFIG.debug.enabled;
-        if (debugEl) {
-          debugEl.classList.toggle('hidden', !CONFIG.debug.enabled);
+  // Adding the same function again is a no-op, so a retried init() cannot
+  // install the shortcuts twice
+  window.addEventListener('keydown', handleKeydown);
+}
+
+function handleKeydown(e) {
+  switch (e.key.toLowerCase()) {
+    case 'c':
+      // Shift+C clears the saved calibration; C (re)calibrates
+      if (e.shiftKey) {
+        clearCalibration();
+        restoreCalibration();
+      } else {
+        runCalibration();
+      }
+      break;
+
+    case 'd':
+      // Toggle debug overlay
+      CONFIG.debug.enabled = !CONFIG.debug.enabled;
+      applySetting('debug.enabled');
+      settingsPanel.refresh();
+      break;
+
+    case 'p':
+      // Toggle the settings panel
+      settingsPanel.toggle();
+      break;
+
+    case 'm':
+      // Shift+M clears the measured screen size; M measures it
+      if (e.shiftKey) {
+        clearScreenScale();
+        measuredScreen = null;
+        setScreenSize(CONFIGURED_SCREEN.widthMm, CONFIGURED_SCREEN.heightMm);
+      } else {
+        runScreenMeasure();
+      }
+      break;
+
+    case 's':
+      // Cycle stereo output: off → anaglyph → side-by-side → top-bottom → interlaced
+      cycleStereoMode();
+      break;
+
+    case 't':
+      // Toggle between 3D objects and bullseye targets
+      toggleTargetMode();
+      break;
+
+    case 'f':
+      // Toggle fullscreen
+      if (!document.fullscreenElement) {
+        document.documentElement.requestFullscreen().catch(() => {});
+      } else {
+        document.exitFullscreen().catch(() => {});
+      }
+      break;
+
+    case 'r':
+      toggleRecording();
+      break;
+
+    case 'e':
+      // Export performance telemetry: E as CSV, Shift+E as JSON
+      telemetry.download(e.shiftKey ? 'json' : 'csv');
+      break;
+
+    case ' ':
+      // Pause / resume trace playback
+      if (poseSource instanceof ReplaySource) {
+        if (poseSource.isPlaying()) poseSource.pause();
+        else poseSource.play();
+      }
+      break;
+
+    case 'arrowleft':
+    case 'arrowright':
+      // Seek trace playback by 5 seconds
+      if (poseSource instanceof ReplaySource) {
+        const step = e.key === 'ArrowLeft' ? -5000 : 5000;
+        poseSource.seek(poseSource.getCurrentTime() + step);
+      }
+      break;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Calibration
+// ---------------------------------------------------------------------------
+
+async function runCalibration() {
+  if (calibrationWizard?.isActive() || screenMeasure?.isActive()) return;
+
+  calibrationWizard = new CalibrationWizard({
+    source: poseSource,
+    estimator: headPoseEstimator,
+    screenWidthMm: CONFIG.screen.widthMm,
+    screenHeightMm: CONFIG.screen.heightMm,
+    videoWidth: videoSize().width,
+    defaultDistanceMm: CONFIG.projection.defaultViewingDistance,
+  });
+
+  const calibration = await calibrationWizard.start();
+  if (calibration) {
+    saveCalibration(calibration);
+  } else {
+    // Cancelled part-way: undo whatever the wizard had already applied
+    restoreCalibration();
+  }
+}
+
+/**
+ * Apply the saved calibration, or the CONFIG defaults if there is none.
+ */
+function restoreCalibration() {
+  const saved = loadCalibration();
+  if (saved) {
+    applyCalibration(saved, headPoseEstimator, videoSize().width);
+    return;
+  }
+  headPoseEstimator.setFocalLength(configuredFocalLength());
+  headPoseEstimator.setUseIrisDepth(CONFIG.headPose.useIrisDepth);
+  headPoseEstimator.setSensitivity({
+    x: CONFIG.headPose.sensitivityX,
+    y: CONFIG.headPose.sensitivityY,
+    z: CONFIG.headPose.sensitivityZ,
+  });
+  headPoseEstimator.setNeutralPosition({ x: 0, y: 0, z: CONFIG.projection.defaultViewingDistance });
+}
+
+// ---------------------------------------------------------------------------
+// Screen measurement
+// ---------------------------------------------------------------------------
+
+async function runScreenMeasure() {
+  if (calibrationWizard?.isActive() || screenMeasure?.isActive()) return;
+
+  screenMeasure = new ScreenMeasure({
+    mmPerCssPx: CONFIG.screen.widthMm / window.screen.width,
+  });
+  const result = await screenMeasure.start();
+  if (!result) return;
+
+  saveScreenScale(result.mmPerCssPx);
+  measuredScreen = { widthMm: result.widthMm, heightMm: result.heightMm };
+  setScreenSize(result.widthMm, result.heightMm);
+}
+
+/**
+ * Push a new physical screen size into the config and every module
+ * that depends on it.
+ */
+function setScreenSize(widthMm, heightMm) {
+  CONFIG.screen.widthMm = widthMm;
+  CONFIG.screen.heightMm = heightMm;
+  for (const camera of [offAxisCamera, ...eyeCameras]) {
+    camera?.setScreenSize(widthMm, heightMm);
+  }
+  headPoseEstimator?.setScreenSize(widthMm, heightMm);
+  settingsPanel?.refresh();
+}
+
+/**
+ * Apply the screen size measured in a previous session, if any.
+ */
+function applySavedScreenScale() {
+  const savedScale = loadScreenScale();
+  if (savedScale) {
+    measuredScreen = {
+      widthMm: window.screen.width * savedScale,
+      heightMm: window.screen.height * savedScale,
+    };
+    setScreenSize(measuredScreen.widthMm, measuredScreen.heightMm);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Live settings
+// ---------------------------------------------------------------------------
+
+/**
+ * Push a CONFIG value changed in the settings panel into the running
+ * modules. Keys without a runtime setter are in RELOAD_ONLY_SETTINGS.
+ *
+ * @param {string} path - Dotted CONFIG key, e.g. 'headPose.sensitivityX'
+ */
+function applySetting(path) {
+  const [section, key] = path.split('.');
+
+  switch (section) {
+    case 'screen':
+      setScreenSize(CONFIG.screen.widthMm, CONFIG.screen.heightMm);
+      break;
+
+    case 'projection': {
+      const { nearClip, farClip, defaultViewingDistance } = CONFIG.projection;
+      if (key === 'nearClip' || key === 'farClip') {
+        for (const camera of [offAxisCamera, ...eyeCameras]) {
+          camera?.setClipPlanes(nearClip, farClip);
         }
-        break;
-
-      case 't':
-        // Toggle between 3D objects and bullseye targets
-        toggleTargetMode();
-        break;
-
-      case 'f':
-        // Toggle fullscreen
-        if (!document.fullscreenElement) {
-          document.documentElement.requestFullscreen().catch(() => {});
-        } else {
-          document.exitFullscreen().catch(() => {});
+        displayRig?.setClipPlanes(nearClip, farClip);
+      } else if (key === 'defaultViewingDistance') {
+        headPoseEstimator.setDefaultViewingDistance(defaultViewingDistance);
+        poseFallback.setDefaultPosition({ x: 0, y: 0, z: defaultViewingDistance });
+        // The uncalibrated neutral position sits at this distance
+        if (!loadCalibration()) restoreCalibration();
+      } else if (key === 'trackWindowPlacement') {
+        // Switched off: back to the whole screen; on: re-measure next frame
+        windowPlacement?.reset();
+        for (const camera of [offAxisCamera, ...eyeCameras]) {
+          camera?.setViewportRect(null);
         }
-        break;
+      }
+      break;
     }
-  });
+
+    case 'stereo':
+      sceneManager.setStereoMode(CONFIG.stereo.mode);
+      headPoseEstimator.setIpd(CONFIG.stereo.ipdMm);
+      break;
+
+    case 'tracking':
+      if (key === 'videoWidth' || key === 'videoHeight') {
+        applyVideoSize();
+      } else if (poseSource instanceof FaceTracker) {
+        poseSource.setConfidence(CONFIG.tracking);
+        poseSource.setTrackingOptions(CONFIG.tracking);
+      }
+      break;
+
+    case 'viewer':
+      if (poseSource instanceof FaceTracker) {
+        if (key === 'maxFaces') poseSource.setMaxFaces(CONFIG.viewer.maxFaces);
+        else poseSource.setViewerOptions(CONFIG.viewer);
+      }
+      break;
+
+    case 'webcam':
+      headPoseEstimator.setWebcamPose(CONFIG.webcam);
+      headPoseEstimator.setPrincipalPoint(configuredPrincipalPoint());
+      // A saved calibration supersedes the configured focal length
+      if (!loadCalibration()) headPoseEstimator.setFocalLength(configuredFocalLength());
+      break;
+
+    case 'replay':
+      if (poseSource instanceof ReplaySource) {
+        poseSource.setSpeed(CONFIG.replay.speed);
+        poseSource.setLoop(CONFIG.replay.loop);
+      }
+      break;
+
+    case 'headPose':
+      applyHeadPoseSetting(key);
+      break;
+
+    case 'interpolation':
+      poseInterpolator.setOptions(CONFIG.interpolation);
+      break;
+
+    case 'fallback':
+      poseFallback.setOptions(CONFIG.fallback);
+      break;
+
+    case 'smoothing':
+      headPoseEstimator.setSmoothingStages(CONFIG.smoothing.stages);
+      headPoseEstimator.setRotationSmoothing(CONFIG.smoothing.rotation);
+      break;
+
+    case 'recording':
+      sessionRecorder.setVideoOptions(CONFIG.recording);
+      break;
+
+    case 'debug':
+      debugEl?.classList.toggle('hidden', !CONFIG.debug.enabled);
+      debugVisualizer?.setShowWebcam(CONFIG.debug.showWebcam);
+      // Traces start afresh rather than joining across the hidden stretch
+      if (key === 'enabled') debugVisualizer?.reset();
+      break;
+  }
+}
+
+function applyHeadPoseSetting(key) {
+  const hp = CONFIG.headPose;
+  switch (key) {
+    case 'sensitivityX':
+    case 'sensitivityY':
+    case 'sensitivityZ':
+      headPoseEstimator.setSensitivity({ x: hp.sensitivityX, y: hp.sensitivityY, z: hp.sensitivityZ });
+      break;
+    case 'useIrisDepth':
+      headPoseEstimator.setUseIrisDepth(hp.useIrisDepth);
+      break;
+    case 'irisDiameterMm':
+      headPoseEstimator.setIrisDiameter(hp.irisDiameterMm);
+      break;
+    case 'useRotation':
+      headPoseEstimator.setUseRotation(hp.useRotation);
+      break;
+    case 'noseToEyesMm':
+      headPoseEstimator.setNoseToEyes(hp.noseToEyesMm);
+      break;
+    case 'fovFactor':
+      if (!loadCalibration()) headPoseEstimator.setFocalLength(configuredFocalLength());
+      break;
+  }
+}
+
+/**
+ * Ask the webcam for the configured resolution and tell the estimator
+ * what it got.
+ */
+async function applyVideoSize() {
+  const { videoWidth, videoHeight } = CONFIG.tracking;
+  if (!(poseSource instanceof FaceTracker)) {
+    headPoseEstimator.setVideoSize(videoWidth, videoHeight);
+    return;
+  }
+  // The estimator follows the resolution the camera settles on ('videoSize')
+  try {
+    await poseSource.setVideoSize(videoWidth, videoHeight);
+  } catch (err) {
+    console.warn('Could not change the webcam resolution:', err);
+  }
+}
+
+/**
+ * Restore every CONFIG section to its value at startup and apply it, then
+ * the saved screen measurement and calibration, as on a fresh page load.
+ */
+function resetSettings() {
+  for (const [section, defaults] of Object.entries(DEFAULT_CONFIG)) {
+    CONFIG[section] = structuredClone(defaults);
+    for (const key of Object.keys(defaults)) {
+      applySetting(`${section}.${key}`);
+    }
+  }
+  applySavedScreenScale();
+  restoreCalibration();
+}
+
+/**
+ * Check a value entered in the settings panel against the schema.
+ *
+ * @returns {string|null} The first problem it would cause, or null
+ */
+function validateSetting(path, value) {
+  const candidate = structuredClone(CONFIG);
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((o, key) => o[key], candidate)[last] = value;
+
+  const existing = new Set(validateConfig(CONFIG));
+  return validateConfig(candidate).find((problem) => !existing.has(problem)) ?? null;
+}
+
+/**
+ * The current settings as a profile: what differs from config.js, with a
+ * measured screen dimension replaced by the configured one. A dimension
+ * edited in the settings panel since it was measured is kept.
+ *
+ * @returns {Object} Partial config
+ */
+function profileOverrides() {
+  const config = { ...CONFIG, screen: { ...CONFIG.screen } };
+  for (const key of ['widthMm', 'heightMm']) {
+    if (measuredScreen && config.screen[key] === measuredScreen[key]) {
+      config.screen[key] = CONFIGURED_SCREEN[key];
+    }
+  }
+  return diffConfig(config, BASE_CONFIG);
+}
+
+/**
+ * Make `name` the profile applied at startup and reload. A `?profile=` URL
+ * parameter would take precedence, so it is dropped.
+ *
+ * @param {string|null} name - Profile, or null for config.js alone
+ */
+function switchProfile(name) {
+  setActiveProfile(name);
+  const url = new URL(window.location.href);
+  url.searchParams.delete('profile');
+  window.location.href = url.href;
+}
+
+/**
+ * Resolution of the webcam frames: as delivered by the camera, else as
+ * configured (replays).
+ */
+function videoSize() {
+  const delivered = poseSource instanceof FaceTracker ? poseSource.getVideoSize() : null;
+  return delivered ?? { width: CONFIG.tracking.videoWidth, height: CONFIG.tracking.videoHeight };
+}
+
+/**
+ * Focal length from CONFIG at the delivered resolution: explicit (given
+ * at tracking.videoWidth), or derived from the field of view.
+ */
+function configuredFocalLength() {
+  const { width } = videoSize();
+  const { focalLengthPx } = CONFIG.webcam;
+  return focalLengthPx !== null
+    ? focalLengthPx * width / CONFIG.tracking.videoWidth
+    : width * CONFIG.headPose.fovFactor;
+}
+
+/**
+ * Principal point from CONFIG (given at tracking.videoWidth × videoHeight)
+ * at the delivered resolution, or null for the image centre.
+ */
+function configuredPrincipalPoint() {
+  const { principalPointX: x, principalPointY: y } = CONFIG.webcam;
+  if (x === null || y === null) return null;
+  const { width, height } = videoSize();
+  return { x: x * width / CONFIG.tracking.videoWidth, y: y * height / CONFIG.tracking.videoHeight };
+}
+
+// ---------------------------------------------------------------------------
+// Session recording
+// ---------------------------------------------------------------------------
+
+function toggleRecording() {
+  if (sessionRecorder.isRecording()) {
+    sessionRecorder.stop();
+  } else {
+    const video = poseSource instanceof FaceTracker ? poseSource.getVideoElement() : null;
+    sessionRecorder.start({ video });
+  }
+  if (recordingEl) {
+    recordingEl.classList.toggle('hidden', !sessionRecorder.isRecording());
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -218,16 +1064,111 @@ function handleInitError(err) {
 
   // Provide helpful messages for common errors
   if (err.code === 'permission-denied') {
-    userMessage = 'Camera access denied. Please allow camera permission and reload.';
+    userMessage = 'Camera access denied. Please allow camera permission, then retry.';
   } else if (err.code === 'camera-unavailable') {
-    userMessage = 'No camera found. Please connect a webcam and reload.';
+    userMessage = 'No camera found. Please connect a webcam, then retry.';
+  } else if (err.code === 'model-error') {
+    userMessage = `Face tracking model failed to load. ${err.message}`;
+  } else if (err.code === 'config-invalid') {
+    // Retrying would not change the config; fixing it needs a reload
+    userMessage = `${err.message}\n\nFix these values and reload.`;
+    showError('Invalid configuration', userMessage, { label: 'Reload', run: reload });
+    updateLoading('');
+    return;
   }
 
-  if (loadingText) {
-    loadingText.textContent = userMessage;
+  showError('Could not start', userMessage, { label: 'Retry', run: retryInit });
+  updateLoading('');
+}
+
+/**
+ * Undo what a failed init() built and run it again, e.g. once camera
+ * permission is granted or the network is back.
+ */
+function retryInit() {
+  hideError();
+  poseSource?.destroy();
+  poseBroadcaster?.destroy();
+  sceneManager?.dispose();
+  sessionRecorder?.stop();
+  settingsPanel?.dispose();
+  profileMenu?.dispose();
+  cameraMenu?.dispose();
+  poseSource = null;
+  poseBroadcaster = null;
+  sceneManager = null;
+  sessionRecorder = null;
+  settingsPanel = null;
+  profileMenu = null;
+  cameraMenu = null;
+  // The rest hold no listeners, timers, DOM elements or GPU resources of
+  // their own; dropping them is all the disposal they need
+  displayRig = null;
+  offAxisCamera = null;
+  eyeCameras = [];
+  windowPlacement = null;
+  headPoseEstimator = null;
+  poseInterpolator = null;
+  poseFallback = null;
+  debugVisualizer = null;
+  lastSampleTime = null;
+  updateLoading('Retrying...');
+  init();
+}
+
+/**
+ * Runtime tracker errors are logged; one that stops tracking altogether
+ * (no delegate left to detect with) is shown.
+ */
+function handleTrackerError(err) {
+  console.warn('FaceTracker error:', err);
+  if (err.code === 'model-error') {
+    showError(
+      'Face tracking stopped',
+      `${err.message}\n\nThe view stays at its default position.`,
+      { label: 'Reload', run: reload }
+    );
   }
 }
 
+function handleContextLost() {
+  console.warn('WebGL context lost; waiting for the browser to restore it.');
+  showError(
+    'Graphics interrupted',
+    'The browser reset the graphics context (GPU reset or driver update). ' +
+      'Rendering resumes as soon as it is restored.',
+    { label: 'Reload', run: reload }
+  );
+}
+
+function handleContextRestored() {
+  hideError();
+}
+
+/**
+ * Show the error panel over the app.
+ *
+ * @param {string} title
+ * @param {string} message - May span several lines
+ * @param {{ label: string, run: Function }} action - The panel's button
+ */
+function showError(title, message, action) {
+  if (!errorPanel) return;
+  errorTitle.textContent = title;
+  errorMessage.textContent = message;
+  errorAction.textContent = action.label;
+  errorAction.onclick = action.run;
+  errorPanel.classList.remove('hidden');
+}
+
+function hideError() {
+  errorPanel?.classList.add('hidden');
+}
+
+function reload() {
+  window.location.reload();
+}
+
 // ---------------------------------------------------------------------------
 // Start
 // ---------------------------------------------------------------------------
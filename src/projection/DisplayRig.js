@@ -0,0 +1,121 @@
+/**
+ * DisplayRig.js
+ *
+ * A set of physical screens viewed from one tracked eye position:
+ * wraparound monitors, L-shaped desks or a corner CAVE. Each display has
+ * its own world-space corners and its own OffAxisCamera, and is drawn into
+ * a viewport of the shared canvas (a window spanning several monitors) or
+ * fills the canvas on its own (one browser window per monitor).
+ *
+ * Head positions are measured relative to the tracking screen — the one
+ * the webcam is mounted on — and carried into world space through its
+ * corners, so every display sees the same eye. For stereo output each
+ * display also has a camera per eye.
+ */
+
+import { OffAxisCamera } from './OffAxisCamera.js';
+
+/**
+ * @typedef {Object} Viewport
+ * @property {number} x      - Left edge, fraction of canvas width
+ * @property {number} y      - Bottom edge, fraction of canvas height
+ * @property {number} width  - Fraction of canvas width
+ * @property {number} height - Fraction of canvas height
+ */
+
+/**
+ * @typedef {Object} DisplayConfig
+ * @property {string} name - Identifier, e.g. for the `?display=` URL parameter
+ * @property {import('./KooimaProjection.js').ScreenCorners} corners - World-space corners (mm)
+ * @property {Viewport} [viewport] - Area of the canvas the display is drawn into
+ */
+
+/** Viewport covering the whole canvas */
+const FULL_VIEWPORT = { x: 0, y: 0, width: 1, height: 1 };
+
+export class DisplayRig {
+    /**
+     * @param {Object} config
+     * @param {DisplayConfig[]} config.displays - Screens to render (at least one)
+     * @param {import('./KooimaProjection.js').ScreenCorners|null} config.trackingCorners -
+     *   Corners of the screen head positions are relative to, null = axis-aligned at z = 0
+     * @param {number} config.defaultViewingDistance - Default eye distance from screen (mm)
+     * @param {number} config.nearClip - Near clipping plane (mm)
+     * @param {number} config.farClip  - Far clipping plane (mm)
+     */
+    constructor(config) {
+        if (!config.displays.length) {
+            throw new Error('DisplayRig needs at least one display.');
+        }
+
+        // A lone display fills the canvas whatever its configured viewport
+        const single = config.displays.length === 1;
+
+        this.displays = config.displays.map((display) => {
+            const cameraConfig = {
+                screenCorners: display.corners,
+                trackingCorners: config.trackingCorners,
+                defaultViewingDistance: config.defaultViewingDistance,
+                nearClip: config.nearClip,
+                farClip: config.farClip,
+            };
+            return {
+                name: display.name,
+                viewport: single ? FULL_VIEWPORT : (display.viewport ?? FULL_VIEWPORT),
+                camera: new OffAxisCamera(cameraConfig),
+                eyes: [new OffAxisCamera(cameraConfig), new OffAxisCamera(cameraConfig)],
+            };
+        });
+    }
+
+    /**
+     * Update every display's camera from the shared head position.
+     *
+     * @param {{x: number, y: number, z: number}} headPos - Eye position relative
+     *   to the tracking screen (mm)
+     */
+    updateFromHeadPosition(headPos) {
+        for (const display of this.displays) {
+            display.camera.updateFromHeadPosition(headPos);
+        }
+    }
+
+    /**
+     * Update every display's eye cameras for stereo output.
+     *
+     * @param {{x: number, y: number, z: number}} leftEye  - Relative to the tracking screen (mm)
+     * @param {{x: number, y: number, z: number}} rightEye - Relative to the tracking screen (mm)
+     */
+    updateFromEyePositions(leftEye, rightEye) {
+        for (const display of this.displays) {
+            display.eyes[0].updateFromHeadPosition(leftEye);
+            display.eyes[1].updateFromHeadPosition(rightEye);
+        }
+    }
+
+    /**
+     * Change every camera's clipping planes at runtime.
+     *
+     * @param {number} near - Near clipping plane (mm)
+     * @param {number} far  - Far clipping plane (mm)
+     */
+    setClipPlanes(near, far) {
+        for (const display of this.displays) {
+            for (const camera of [display.camera, ...display.eyes]) {
+                camera.setClipPlanes(near, far);
+            }
+        }
+    }
+
+    /**
+     * Camera / viewport pairs for SceneManager.setViews().
+     * @returns {Array<{camera: import('three').PerspectiveCamera, eyeCameras: import('three').PerspectiveCamera[], viewport: Viewport}>}
+     */
+    getViews() {
+        return this.displays.map((d) => ({
+            camera: d.camera.getCamera(),
+            eyeCameras: d.eyes.map((eye) => eye.getCamera()),
+            viewport: d.viewport,
+        }));
+    }
+}
@@ -33,6 +33,23 @@
  * @property {number} z
  */
 
+/**
+ * @typedef {Object} ScreenCorners
+ * @property {Vec3} lowerLeft  - pa
+ * @property {Vec3} lowerRight - pb
+ * @property {Vec3} upperLeft  - pc
+ */
+
+/**
+ * @typedef {Object} ScreenBasis
+ * @property {Vec3}   centre - Screen centre in world space
+ * @property {Vec3}   vr     - Unit vector along the screen's right edge
+ * @property {Vec3}   vu     - Unit vector along the screen's up edge
+ * @property {Vec3}   vn     - Unit screen normal, pointing toward the viewer
+ * @property {number} width  - Screen width (distance pa → pb)
+ * @property {number} height - Screen height (distance pa → pc)
+ */
+
 /**
  * Compute asymmetric frustum parameters using Kooima's Generalized
  * Perspective Projection.
@@ -169,6 +186,42 @@ export function calculateGeneralizedProjection(eyePos, screenLL, screenLR, scree
     };
 }
 
+/**
+ * Orthonormal basis and size of an arbitrarily oriented screen.
+ *
+ * @param {ScreenCorners} corners
+ * @returns {ScreenBasis}
+ */
+export function screenBasis({ lowerLeft, lowerRight, upperLeft }) {
+    const right = sub(lowerRight, lowerLeft);
+    const up = sub(upperLeft, lowerLeft);
+    const vr = normalize(right);
+    const vu = normalize(up);
+    return {
+        centre: add(lowerLeft, scale(add(right, up), 0.5)),
+        vr,
+        vu,
+        vn: normalize(cross(vr, vu)),
+        width: length(right),
+        height: length(up),
+    };
+}
+
+/**
+ * Convert a point from screen-local coordinates (origin at the screen
+ * centre, +X right, +Y up, +Z toward the viewer) to world space.
+ *
+ * @param {ScreenBasis} basis
+ * @param {Vec3} p - Screen-local point
+ * @returns {Vec3}
+ */
+export function screenToWorld(basis, p) {
+    return add(
+        basis.centre,
+        add(scale(basis.vr, p.x), add(scale(basis.vu, p.y), scale(basis.vn, p.z)))
+    );
+}
+
 // --- Vector math helpers (inline, no dependencies) ---
 
 /** @param {Vec3} a @param {Vec3} b @returns {Vec3} */
@@ -200,6 +253,11 @@ function cross(a, b) {
     };
 }
 
+/** @param {Vec3} v @returns {number} */
+function length(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
 /** @param {Vec3} v @returns {Vec3} */
 function normalize(v) {
     const len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
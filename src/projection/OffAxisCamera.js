@@ -5,13 +5,40 @@
  * projection driven by the viewer's head position. Uses KooimaProjection
  * for the underlying math.
  *
+ * The screen is either axis-aligned at z = 0 (the default) or described by
+ * its corner positions in world space, e.g. a tilted laptop lid or a wall /
+ * tabletop display. Oriented screens use Kooima's generalized projection
+ * and view matrix directly. Head positions are always given in the
+ * screen's own frame (the webcam is mounted on it) and are carried into
+ * world space through the screen's basis. In a multi-screen rig the head
+ * is tracked relative to one screen and viewed through several; each
+ * camera is then given the tracking screen's corners separately.
+ *
+ * By default the canvas is assumed to cover the whole physical screen.
+ * setViewportRect() narrows the projection to the canvas's actual
+ * rectangle on the monitor, so a non-fullscreen browser window still
+ * behaves like a correctly placed window into the scene.
+ *
  * IMPORTANT: Never call camera.updateProjectionMatrix() — that would
  * overwrite our custom asymmetric frustum with Three.js's default
  * symmetric perspective.
  */
 
 import * as THREE from 'three';
-import { calculateOffAxisFrustum } from './KooimaProjection.js';
+import {
+    calculateOffAxisFrustum,
+    calculateGeneralizedProjection,
+    screenBasis,
+    screenToWorld,
+} from './KooimaProjection.js';
+
+/** Basis of the default screen: upright at z = 0, centred on the origin */
+const AXIS_ALIGNED = {
+    centre: { x: 0, y: 0, z: 0 },
+    vr: { x: 1, y: 0, z: 0 },
+    vu: { x: 0, y: 1, z: 0 },
+    vn: { x: 0, y: 0, z: 1 },
+};
 
 export class OffAxisCamera {
     /**
@@ -21,13 +48,31 @@ export class OffAxisCamera {
      * @param {number} config.defaultViewingDistance - Default eye distance from screen (mm)
      * @param {number} config.nearClip - Near clipping plane (mm)
      * @param {number} config.farClip  - Far clipping plane (mm)
+     * @param {import('./KooimaProjection.js').ScreenCorners|null} [config.screenCorners=null] -
+     *   World-space corners of an arbitrarily oriented screen, null = axis-aligned
+     *   at z = 0. screenWidthMm / screenHeightMm default to the corners' size.
+     * @param {import('./KooimaProjection.js').ScreenCorners|null} [config.trackingCorners] -
+     *   Corners of the screen head positions are measured relative to (the one
+     *   the webcam is mounted on), null = axis-aligned. Defaults to screenCorners.
      */
     constructor(config) {
-        this.screenWidth  = config.screenWidthMm;
-        this.screenHeight = config.screenHeightMm;
+        // Orientation of a non-axis-aligned screen (null = axis-aligned)
+        const corners = config.screenCorners ?? null;
+        const trackingCorners = config.trackingCorners === undefined
+            ? corners
+            : config.trackingCorners;
+        this.basis = corners ? screenBasis(corners) : null;
+        this.trackingBasis = trackingCorners ? screenBasis(trackingCorners) : null;
+
+        this.screenWidth  = config.screenWidthMm ?? this.basis?.width;
+        this.screenHeight = config.screenHeightMm ?? this.basis?.height;
+
         this.near = config.nearClip;
         this.far  = config.farClip;
 
+        // Canvas rectangle on the screen (mm, screen-centred); null = full screen
+        this.viewportRect = null;
+
         // Create a PerspectiveCamera — the initial fov/aspect don't matter
         // because we immediately override the projection matrix
         this.camera = new THREE.PerspectiveCamera(
@@ -42,6 +87,47 @@ export class OffAxisCamera {
         this.updateFromHeadPosition(defaultPos);
     }
 
+    /**
+     * Change the physical screen size at runtime (e.g. after measuring it).
+     * An oriented screen keeps its centre and orientation.
+     * Re-applies the projection for the last head position.
+     *
+     * @param {number} widthMm
+     * @param {number} heightMm
+     */
+    setScreenSize(widthMm, heightMm) {
+        this.screenWidth  = widthMm;
+        this.screenHeight = heightMm;
+        this.updateFromHeadPosition(this._lastHeadPos);
+    }
+
+    /**
+     * Change the clipping planes at runtime.
+     * Re-applies the projection for the last head position.
+     *
+     * @param {number} near - Near clipping plane (mm)
+     * @param {number} far  - Far clipping plane (mm)
+     */
+    setClipPlanes(near, far) {
+        this.near = near;
+        this.far  = far;
+        this.camera.near = near;
+        this.camera.far  = far;
+        this.updateFromHeadPosition(this._lastHeadPos);
+    }
+
+    /**
+     * Restrict the projection to the part of the screen the canvas covers.
+     * Re-applies the projection for the last head position.
+     *
+     * @param {import('./WindowPlacement.js').RectMm|null} rect - Canvas rectangle
+     *   in screen-centred mm, or null for the whole screen
+     */
+    setViewportRect(rect) {
+        this.viewportRect = rect;
+        this.updateFromHeadPosition(this._lastHeadPos);
+    }
+
     /**
      * Update camera projection and position from tracked head position.
      *
@@ -49,15 +135,85 @@ export class OffAxisCamera {
      *                                  (x: right, y: up, z: toward viewer)
      */
     updateFromHeadPosition(headPos) {
-        // Compute asymmetric frustum from eye position and screen geometry
+        this._lastHeadPos = { x: headPos.x, y: headPos.y, z: headPos.z };
+
+        if (this.basis || this.trackingBasis) {
+            this._updateOriented(headPos);
+            return;
+        }
+
+        // Visible window: the canvas rectangle, or the whole screen.
+        // The frustum only depends on the eye relative to the window, so
+        // shift the eye into window-centred coordinates.
+        const rect = this.viewportRect;
+        const view = rect
+            ? {
+                width:   rect.right - rect.left,
+                height:  rect.top - rect.bottom,
+                centreX: (rect.left + rect.right) / 2,
+                centreY: (rect.bottom + rect.top) / 2,
+            }
+            : { width: this.screenWidth, height: this.screenHeight, centreX: 0, centreY: 0 };
+
+        // Compute asymmetric frustum from eye position and window geometry
         const frustum = calculateOffAxisFrustum(
-            headPos,
-            { width: this.screenWidth, height: this.screenHeight },
+            { x: headPos.x - view.centreX, y: headPos.y - view.centreY, z: headPos.z },
+            { width: view.width, height: view.height },
+            this.near,
+            this.far
+        );
+
+        this._setProjection(frustum);
+
+        // Move the camera to the eye position
+        this.camera.position.set(headPos.x, headPos.y, headPos.z);
+
+        // Look toward the screen plane (z = 0) from the eye position
+        // We look at a point directly ahead on the screen plane
+        this.camera.lookAt(headPos.x, headPos.y, 0);
+
+        // Force world matrix update
+        this.camera.updateMatrixWorld(true);
+    }
+
+    /**
+     * Generalized projection for an oriented screen: the frustum and view
+     * matrix come straight from Kooima's algorithm.
+     * @private
+     */
+    _updateOriented(headPos) {
+        const b = this.basis ?? AXIS_ALIGNED;
+        const hw = this.screenWidth / 2;
+        const hh = this.screenHeight / 2;
+        const r = this.viewportRect ?? { left: -hw, right: hw, bottom: -hh, top: hh };
+
+        const { frustum, viewMatrix } = calculateGeneralizedProjection(
+            screenToWorld(this.trackingBasis ?? AXIS_ALIGNED, headPos),
+            screenToWorld(b, { x: r.left,  y: r.bottom, z: 0 }),
+            screenToWorld(b, { x: r.right, y: r.bottom, z: 0 }),
+            screenToWorld(b, { x: r.left,  y: r.top,    z: 0 }),
             this.near,
             this.far
         );
 
-        // Set the custom projection matrix
+        this._setProjection(frustum);
+
+        // The camera's world matrix is the inverse of the view matrix;
+        // decompose it so position / quaternion stay consistent
+        this.camera.matrix.fromArray(viewMatrix).invert();
+        this.camera.matrix.decompose(
+            this.camera.position,
+            this.camera.quaternion,
+            this.camera.scale
+        );
+        this.camera.updateMatrixWorld(true);
+    }
+
+    /**
+     * Set the custom projection matrix from frustum extents.
+     * @private
+     */
+    _setProjection(frustum) {
         // Three.js makePerspective signature: (left, right, top, bottom, near, far)
         this.camera.projectionMatrix.makePerspective(
             frustum.left,
@@ -72,16 +228,6 @@ export class OffAxisCamera {
         this.camera.projectionMatrixInverse
             .copy(this.camera.projectionMatrix)
             .invert();
-
-        // Move the camera to the eye position
-        this.camera.position.set(headPos.x, headPos.y, headPos.z);
-
-        // Look toward the screen plane (z = 0) from the eye position
-        // We look at a point directly ahead on the screen plane
-        this.camera.lookAt(headPos.x, headPos.y, 0);
-
-        // Force world matrix update
-        this.camera.updateMatrixWorld(true);
     }
 
     /**
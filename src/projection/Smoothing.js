@@ -1,13 +1,16 @@
 /**
- * Smoothing.js — One-Euro Filter for adaptive signal smoothing.
+ * Smoothing.js — One-Euro and Kalman filters for head position smoothing.
  *
- * Implements the algorithm from:
+ * The One-Euro filter implements the algorithm from:
  * Casiez, Roussel, Vogel. "1€ Filter: A Simple Speed-based Low-pass Filter
  * for Noisy Input in Interactive Systems." CHI 2012.
  *
  * The One-Euro filter adapts its cutoff frequency based on input speed:
  * - When the signal is slow/stationary → low cutoff → heavy smoothing (removes jitter)
  * - When the signal moves fast → high cutoff → light smoothing (stays responsive)
+ *
+ * The Kalman filter tracks velocity (and optionally acceleration) as well,
+ * so it can also predict the position at the time a frame is displayed.
  */
 
 /**
@@ -101,6 +104,17 @@ export class OneEuroFilter {
         return this._xFilter.filter(x, alpha);
     }
 
+    /**
+     * Change the filter parameters at runtime. The filter state is kept,
+     * so the output does not jump. Omitted parameters are unchanged.
+     * @param {{ minCutoff?: number, beta?: number, dCutoff?: number }} params
+     */
+    setParameters({ minCutoff, beta, dCutoff }) {
+        if (minCutoff !== undefined) this.minCutoff = minCutoff;
+        if (beta !== undefined) this.beta = beta;
+        if (dCutoff !== undefined) this.dCutoff = dCutoff;
+    }
+
     /**
      * Reset filter state. Call when tracking is lost and reacquired
      * to avoid a smoothing lag from the stale previous value.
@@ -168,6 +182,18 @@ export class Vector3OneEuroFilter {
         return filtered;
     }
 
+    /**
+     * Change the filter parameters at runtime without resetting it.
+     * Omitted parameters are unchanged.
+     * @param {{ minCutoff?: number, beta?: number, dCutoff?: number, deadZone?: number }} params
+     */
+    setParameters({ deadZone, ...params }) {
+        this._filterX.setParameters(params);
+        this._filterY.setParameters(params);
+        this._filterZ.setParameters(params);
+        if (deadZone !== undefined) this._deadZone = deadZone;
+    }
+
     /**
      * Reset all axis filters and dead zone state.
      */
@@ -178,3 +204,208 @@ export class Vector3OneEuroFilter {
         this._lastOutput = null;
     }
 }
+
+// -----------------------------------------------------------------------------
+// Kalman filter with prediction
+// -----------------------------------------------------------------------------
+
+/** Motion models of KalmanFilter */
+export const KALMAN_MODELS = ['velocity', 'acceleration'];
+
+/**
+ * Kalman filter for a scalar signal under a constant-velocity or
+ * constant-acceleration motion model.
+ *
+ * Besides smoothing, the state carries velocity (and acceleration), so the
+ * filter can extrapolate the signal past the last measurement — used to
+ * compensate the camera → detection → render → display latency.
+ *
+ * The process noise is the spectral density of the unmodelled derivative:
+ * acceleration for the velocity model (mm²/s³), jerk for the acceleration
+ * model (mm²/s⁵). Higher values follow changes faster but smooth less.
+ *
+ * @param {Object} [options]
+ * @param {'velocity'|'acceleration'} [options.model='velocity'] - Motion model
+ * @param {number} [options.processNoise=2e4] - Process noise spectral density
+ * @param {number} [options.measurementNoise=4] - Measurement variance (mm²)
+ */
+export class KalmanFilter {
+    constructor({ model = 'velocity', processNoise = 2e4, measurementNoise = 4 } = {}) {
+        this.order = model === 'acceleration' ? 3 : 2;
+        this.processNoise = processNoise;
+        this.measurementNoise = measurementNoise;
+        this.reset();
+    }
+
+    /**
+     * Incorporate a measurement.
+     * @param {number} z - Measured value
+     * @param {number} timestamp - Measurement time in seconds
+     * @returns {number} Filtered value at the measurement time
+     */
+    filter(z, timestamp) {
+        if (this._tPrev === null) {
+            this._x = this.order === 3 ? [z, 0, 0] : [z, 0];
+            this._P = this._initialCovariance();
+            this._tPrev = timestamp;
+            return z;
+        }
+
+        const dt = timestamp - this._tPrev;
+        if (dt <= 0) return this._x[0];
+        this._tPrev = timestamp;
+        this._predictState(dt);
+
+        // Update with H = [1, 0, (0)]: only the value is measured
+        const n = this.order;
+        const P = this._P;
+        const s = P[0][0] + this.measurementNoise;
+        const k = P.map((row) => row[0] / s);
+        const innovation = z - this._x[0];
+        for (let i = 0; i < n; i++) {
+            this._x[i] += k[i] * innovation;
+        }
+        const row0 = P[0].slice();
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                P[i][j] -= k[i] * row0[j];
+            }
+        }
+        return this._x[0];
+    }
+
+    /**
+     * Extrapolate the filtered value to a later time without changing the state.
+     *
+     * The horizon is damped so a sudden stop does not overshoot far: with a
+     * damping time constant τ the effective horizon is τ·(1 − e^(−h/τ)),
+     * which follows h for short horizons and never exceeds τ.
+     *
+     * @param {number} timestamp - Target time in seconds
+     * @param {Object} [options]
+     * @param {number} [options.damping=0] - Damping time constant τ in seconds (0 = undamped)
+     * @param {number} [options.maxHorizon=Infinity] - Cap on the extrapolation (seconds)
+     * @returns {number|null} Predicted value, or null before the first measurement
+     */
+    predict(timestamp, { damping = 0, maxHorizon = Infinity } = {}) {
+        if (this._tPrev === null) return null;
+        let h = Math.min(Math.max(timestamp - this._tPrev, 0), maxHorizon);
+        if (damping > 0) {
+            h = damping * (1 - Math.exp(-h / damping));
+        }
+        const [p, v, a = 0] = this._x;
+        return p + v * h + 0.5 * a * h * h;
+    }
+
+    /**
+     * Reset filter state. Call when tracking is lost and reacquired.
+     */
+    reset() {
+        this._x = null;
+        this._P = null;
+        this._tPrev = null;
+    }
+
+    /** @private Propagate state and covariance by dt seconds. */
+    _predictState(dt) {
+        const n = this.order;
+        const F = n === 3
+            ? [[1, dt, 0.5 * dt * dt], [0, 1, dt], [0, 0, 1]]
+            : [[1, dt], [0, 1]];
+
+        // x = F·x
+        this._x = F.map((row) => row.reduce((sum, f, j) => sum + f * this._x[j], 0));
+
+        // P = F·P·Fᵀ + Q
+        const FP = F.map((row) => this._P[0].map((_, j) =>
+            row.reduce((sum, f, k) => sum + f * this._P[k][j], 0)));
+        const Q = this._processCovariance(dt);
+        this._P = FP.map((row, i) => F.map((fRow, j) =>
+            row.reduce((sum, v, k) => sum + v * fRow[k], 0) + Q[i][j]));
+    }
+
+    /** @private Discretised white-noise process covariance. */
+    _processCovariance(dt) {
+        const q = this.processNoise;
+        const dt2 = dt * dt;
+        const dt3 = dt2 * dt;
+        if (this.order === 2) {
+            return [
+                [q * dt3 / 3, q * dt2 / 2],
+                [q * dt2 / 2, q * dt],
+            ];
+        }
+        const dt4 = dt3 * dt;
+        const dt5 = dt4 * dt;
+        return [
+            [q * dt5 / 20, q * dt4 / 8, q * dt3 / 6],
+            [q * dt4 / 8,  q * dt3 / 3, q * dt2 / 2],
+            [q * dt3 / 6,  q * dt2 / 2, q * dt],
+        ];
+    }
+
+    /** @private Large initial uncertainty in the unmeasured derivatives. */
+    _initialCovariance() {
+        const r = this.measurementNoise;
+        return this.order === 3
+            ? [[r, 0, 0], [0, 1e6, 0], [0, 0, 1e8]]
+            : [[r, 0], [0, 1e6]];
+    }
+}
+
+/**
+ * Kalman filter for 3D vectors (x, y, z) with latency-compensating prediction.
+ * Applies independent filters per axis.
+ *
+ * @param {Object} [options] - KalmanFilter options, plus:
+ * @param {number} [options.dampingMs=100] - Prediction damping time constant (ms)
+ * @param {number} [options.maxPredictionMs=150] - Cap on the extrapolation (ms)
+ */
+export class Vector3KalmanFilter {
+    constructor({ dampingMs = 100, maxPredictionMs = 150, ...options } = {}) {
+        this._filterX = new KalmanFilter(options);
+        this._filterY = new KalmanFilter(options);
+        this._filterZ = new KalmanFilter(options);
+        this._predictOptions = { damping: dampingMs / 1000, maxHorizon: maxPredictionMs / 1000 };
+    }
+
+    /**
+     * Filter a 3D position.
+     * @param {{ x: number, y: number, z: number }} pos - Measured position (mm)
+     * @param {number} timestamp - Measurement time in seconds
+     * @returns {{ x: number, y: number, z: number }} Filtered position
+     */
+    filter(pos, timestamp) {
+        return {
+            x: this._filterX.filter(pos.x, timestamp),
+            y: this._filterY.filter(pos.y, timestamp),
+            z: this._filterZ.filter(pos.z, timestamp),
+        };
+    }
+
+    /**
+     * Extrapolate the filtered position to a later time, e.g. when the
+     * frame being rendered will reach the display.
+     * @param {number} timestamp - Target time in seconds
+     * @returns {{ x: number, y: number, z: number }|null} Predicted position,
+     *   or null before the first measurement
+     */
+    predict(timestamp) {
+        const x = this._filterX.predict(timestamp, this._predictOptions);
+        if (x === null) return null;
+        return {
+            x,
+            y: this._filterY.predict(timestamp, this._predictOptions),
+            z: this._filterZ.predict(timestamp, this._predictOptions),
+        };
+    }
+
+    /**
+     * Reset all axis filters.
+     */
+    reset() {
+        this._filterX.reset();
+        this._filterY.reset();
+        this._filterZ.reset();
+    }
+}
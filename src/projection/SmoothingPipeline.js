@@ -0,0 +1,332 @@
+/**
+ * SmoothingPipeline.js — Ordered, reconfigurable chain of head position filters.
+ *
+ * Each stage takes the previous stage's output. Stages are described by
+ * plain specs ({ type, ...options }, see STAGE_TYPES) so the chain can be
+ * set from config.js and rebuilt at runtime.
+ *
+ * Stage types:
+ *   gate           - Rejects single-frame jumps (bad detections) by holding
+ *                    the last good position; accepts the new position after
+ *                    `maxRejects` consecutive rejections (a real move)
+ *   median         - Per-axis median of the last `size` frames
+ *   one-euro       - Adaptive low-pass (Vector3OneEuroFilter)
+ *   kalman         - Kalman filter, extrapolated to the display time
+ *   dead-zone      - Holds until the input moves `threshold` mm, then jumps
+ *   soft-dead-zone - Holds while the input stays within `threshold` mm, then
+ *                    is dragged along at that distance (hysteresis, no jump)
+ *   clamp          - Per-axis limits
+ *
+ * A stage is any object with filter(pos, timestamp, displayTime) and reset().
+ * Times are in seconds: `timestamp` is the capture time of the frame (the
+ * same frame may be filtered more than once), `displayTime` the time the
+ * result is for. The render loop filters each frame once, as of its capture
+ * time, and PoseInterpolator carries the result to the render time.
+ */
+
+import { Vector3OneEuroFilter, Vector3KalmanFilter } from './Smoothing.js';
+
+/**
+ * @typedef {Object} StageSpec
+ * @property {string} type - One of the keys of STAGE_TYPES
+ */
+
+/** Stages used when none are configured: One-Euro with a 2 mm dead zone */
+export const DEFAULT_STAGES = [
+    { type: 'one-euro' },
+    { type: 'dead-zone', threshold: 2.0 },
+];
+
+// -----------------------------------------------------------------------------
+// Stages
+// -----------------------------------------------------------------------------
+
+/**
+ * Velocity / jump outlier gate.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxJump=200]   - Largest plausible move between frames (mm)
+ * @param {number} [options.maxSpeed=3000] - Largest plausible speed (mm/s)
+ * @param {number} [options.maxRejects=3]  - Consecutive rejections before giving in
+ */
+class OutlierGate {
+    constructor({ maxJump = 200, maxSpeed = 3000, maxRejects = 3 } = {}) {
+        this.maxJump = maxJump;
+        this.maxSpeed = maxSpeed;
+        this.maxRejects = maxRejects;
+        this.reset();
+    }
+
+    filter(pos, timestamp) {
+        // The same frame polled again: repeat the earlier decision
+        if (this._tSeen !== null && timestamp <= this._tSeen) return this._output;
+        this._tSeen = timestamp;
+
+        if (this._accepted) {
+            const d = distance(pos, this._accepted);
+            const dt = timestamp - this._tAccepted;
+            const outlier = d > this.maxJump || (dt > 0 && d / dt > this.maxSpeed);
+            if (outlier && this._rejects < this.maxRejects) {
+                this._rejects++;
+                return this._output;
+            }
+        }
+
+        this._accepted = pos;
+        this._tAccepted = timestamp;
+        this._rejects = 0;
+        this._output = pos;
+        return pos;
+    }
+
+    reset() {
+        this._accepted = null;
+        this._tAccepted = 0;
+        this._tSeen = null;
+        this._rejects = 0;
+        this._output = null;
+    }
+}
+
+/**
+ * Per-axis median over a sliding window of frames.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.size=3] - Window length in frames (odd values work best)
+ */
+class MedianFilter {
+    constructor({ size = 3 } = {}) {
+        this.size = Math.max(1, Math.round(size));
+        this.reset();
+    }
+
+    filter(pos, timestamp) {
+        if (this._tSeen === null || timestamp > this._tSeen) {
+            this._tSeen = timestamp;
+            this._window.push(pos);
+            if (this._window.length > this.size) this._window.shift();
+        }
+        return {
+            x: median(this._window.map((p) => p.x)),
+            y: median(this._window.map((p) => p.y)),
+            z: median(this._window.map((p) => p.z)),
+        };
+    }
+
+    reset() {
+        this._window = [];
+        this._tSeen = null;
+    }
+}
+
+/**
+ * Kalman filter whose output is predicted forward to the display time.
+ *
+ * @param {Object} [options] - Vector3KalmanFilter options, plus:
+ * @param {number} [options.predictionMs=30] - Render-to-display latency to predict past displayTime
+ */
+class PredictiveKalman {
+    constructor({ predictionMs = 30, ...options } = {}) {
+        this.predictionMs = predictionMs;
+        this._filter = new Vector3KalmanFilter(options);
+    }
+
+    filter(pos, timestamp, displayTime) {
+        const filtered = this._filter.filter(pos, timestamp);
+        return this._filter.predict(displayTime + this.predictionMs / 1000) ?? filtered;
+    }
+
+    reset() {
+        this._filter.reset();
+    }
+}
+
+/**
+ * Hard dead zone: the output stays put until the input moves more than
+ * `threshold` mm away from it, then jumps to the input.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.threshold=2] - Dead zone radius (mm)
+ */
+class DeadZone {
+    constructor({ threshold = 2 } = {}) {
+        this.threshold = threshold;
+        this.reset();
+    }
+
+    filter(pos) {
+        if (this._output && distance(pos, this._output) < this.threshold) {
+            return this._output;
+        }
+        this._output = pos;
+        return pos;
+    }
+
+    reset() {
+        this._output = null;
+    }
+}
+
+/**
+ * Soft dead zone with hysteresis (backlash): the output stays put while the
+ * input jitters within `threshold` mm of it; beyond that it is dragged along
+ * at exactly that distance. Unlike the hard dead zone there is no jump when
+ * the input leaves the zone, and reversing direction needs a full
+ * 2 × threshold of travel before the output moves back.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.threshold=2] - Dead zone radius (mm)
+ */
+class SoftDeadZone {
+    constructor({ threshold = 2 } = {}) {
+        this.threshold = threshold;
+        this.reset();
+    }
+
+    filter(pos) {
+        if (!this._output) {
+            this._output = pos;
+            return pos;
+        }
+        const d = distance(pos, this._output);
+        if (d > this.threshold) {
+            const k = (d - this.threshold) / d;
+            this._output = {
+                x: this._output.x + (pos.x - this._output.x) * k,
+                y: this._output.y + (pos.y - this._output.y) * k,
+                z: this._output.z + (pos.z - this._output.z) * k,
+            };
+        }
+        return this._output;
+    }
+
+    reset() {
+        this._output = null;
+    }
+}
+
+/**
+ * Per-axis clamp, e.g. to keep the eye in front of the screen.
+ *
+ * @param {Object} [options]
+ * @param {{x?: number, y?: number, z?: number}} [options.min] - Lower limits (mm)
+ * @param {{x?: number, y?: number, z?: number}} [options.max] - Upper limits (mm)
+ */
+class AxisClamp {
+    constructor({ min = {}, max = {} } = {}) {
+        this.min = min;
+        this.max = max;
+    }
+
+    filter(pos) {
+        const clamp = (v, axis) =>
+            Math.min(Math.max(v, this.min[axis] ?? -Infinity), this.max[axis] ?? Infinity);
+        return { x: clamp(pos.x, 'x'), y: clamp(pos.y, 'y'), z: clamp(pos.z, 'z') };
+    }
+
+    reset() {}
+}
+
+/** Stage constructors by spec type */
+export const STAGE_TYPES = {
+    'gate': (o) => new OutlierGate(o),
+    'median': (o) => new MedianFilter(o),
+    // The dead zone is a stage of its own here
+    'one-euro': (o) => new Vector3OneEuroFilter({ deadZone: 0, ...o }),
+    'kalman': (o) => new PredictiveKalman(o),
+    'dead-zone': (o) => new DeadZone(o),
+    'soft-dead-zone': (o) => new SoftDeadZone(o),
+    'clamp': (o) => new AxisClamp(o),
+};
+
+/**
+ * Build a stage from its spec.
+ *
+ * @param {StageSpec} spec
+ * @returns {{ filter: Function, reset: Function }}
+ */
+export function createStage({ type, ...options }) {
+    const create = STAGE_TYPES[type];
+    if (!create) {
+        throw new Error(
+            `Unknown smoothing stage "${type}" (expected ${Object.keys(STAGE_TYPES).join(', ')}).`
+        );
+    }
+    return create(options);
+}
+
+// -----------------------------------------------------------------------------
+// Pipeline
+// -----------------------------------------------------------------------------
+
+export class SmoothingPipeline {
+    /**
+     * @param {StageSpec[]} [specs=DEFAULT_STAGES] - Stages in application order
+     */
+    constructor(specs = DEFAULT_STAGES) {
+        this.setStages(specs);
+    }
+
+    /**
+     * Replace the chain. A stage whose type is unchanged and that supports
+     * setParameters() (One-Euro) is retuned in place and keeps its state,
+     * so settings can be adjusted live; every other stage starts afresh.
+     * @param {StageSpec[]} specs
+     */
+    setStages(specs) {
+        const previous = this._specs ?? [];
+        this._stages = specs.map(({ type, ...options }, i) => {
+            const stage = this._stages?.[i];
+            if (previous[i]?.type === type && stage.setParameters) {
+                stage.setParameters(options);
+                return stage;
+            }
+            return createStage({ type, ...options });
+        });
+        this._specs = specs.map((s) => ({ ...s }));
+    }
+
+    /**
+     * @returns {StageSpec[]} Copies of the current stage specs
+     */
+    getStages() {
+        return this._specs.map((s) => ({ ...s }));
+    }
+
+    /**
+     * Run a position through every stage.
+     *
+     * @param {{ x: number, y: number, z: number }} pos - Raw position (mm)
+     * @param {number} timestamp - Capture time of the frame (seconds)
+     * @param {number} [displayTime=timestamp] - Time the result is rendered (seconds)
+     * @returns {{ x: number, y: number, z: number }} Filtered position
+     */
+    filter(pos, timestamp, displayTime = timestamp) {
+        let out = pos;
+        for (const stage of this._stages) {
+            out = stage.filter(out, timestamp, displayTime);
+        }
+        return out;
+    }
+
+    /**
+     * Reset every stage. Call when tracking is lost and reacquired.
+     */
+    reset() {
+        for (const stage of this._stages) {
+            stage.reset();
+        }
+    }
+}
+
+// --- Helpers ---
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
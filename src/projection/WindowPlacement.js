@@ -0,0 +1,86 @@
+/**
+ * WindowPlacement.js
+ *
+ * Locates the render canvas on the physical monitor, so the off-axis
+ * projection can treat a browser window that is not fullscreen as a
+ * smaller window into the same scene.
+ *
+ * The canvas rectangle is derived from the window's position on screen
+ * (window.screenX / screenY), the browser chrome around the viewport
+ * (outer minus inner size) and the canvas's bounding rect, then converted
+ * to millimetres relative to the physical screen centre using the
+ * millimetres-per-CSS-pixel scale.
+ *
+ * Browsers fire no event when a window is moved, so update() is cheap
+ * enough to poll every frame and reports whether anything changed.
+ */
+
+/**
+ * @typedef {Object} RectMm
+ * @property {number} left   - Left edge, mm from screen centre (+X right)
+ * @property {number} right  - Right edge, mm from screen centre
+ * @property {number} bottom - Bottom edge, mm from screen centre (+Y up)
+ * @property {number} top    - Top edge, mm from screen centre
+ */
+
+export class WindowPlacement {
+    /**
+     * @param {HTMLCanvasElement} canvas - The render canvas
+     */
+    constructor(canvas) {
+        this._canvas = canvas;
+        this._key = '';
+        this._rect = null;
+    }
+
+    /**
+     * Recompute the canvas rectangle.
+     *
+     * @param {number} mmPerCssPx - Physical size of one CSS pixel (mm)
+     * @returns {boolean} True if the rectangle changed since the last call
+     */
+    update(mmPerCssPx) {
+        const r = this._canvas.getBoundingClientRect();
+        const scr = window.screen;
+
+        // Viewport origin on the current screen (CSS px). screenX/Y are in
+        // desktop coordinates; subtract the screen's own origin for
+        // multi-monitor setups (Chrome exposes it as screen.left/top).
+        const chromeX = Math.max(0, (window.outerWidth - window.innerWidth) / 2);
+        const chromeTop = Math.max(0, window.outerHeight - window.innerHeight - chromeX);
+        const viewportX = window.screenX - (scr.left ?? scr.availLeft ?? 0) + chromeX;
+        const viewportY = window.screenY - (scr.top ?? scr.availTop ?? 0) + chromeTop;
+
+        const pxLeft = viewportX + r.left;
+        const pxTop = viewportY + r.top;
+
+        const key = [pxLeft, pxTop, r.width, r.height, scr.width, scr.height, mmPerCssPx].join();
+        if (key === this._key) return false;
+        this._key = key;
+
+        const cx = scr.width / 2;
+        const cy = scr.height / 2;
+        this._rect = {
+            left:   (pxLeft - cx) * mmPerCssPx,
+            right:  (pxLeft + r.width - cx) * mmPerCssPx,
+            top:    (cy - pxTop) * mmPerCssPx,
+            bottom: (cy - pxTop - r.height) * mmPerCssPx,
+        };
+        return true;
+    }
+
+    /**
+     * Forget the last rectangle, so the next update() reports a change.
+     */
+    reset() {
+        this._key = '';
+        this._rect = null;
+    }
+
+    /**
+     * @returns {RectMm|null} Canvas rectangle from the last update()
+     */
+    getRectMm() {
+        return this._rect;
+    }
+}
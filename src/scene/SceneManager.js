@@ -4,27 +4,58 @@
  * Manages the Three.js WebGL renderer, scene graph, and lighting.
  * Handles window resize events and provides a render() method for
  * the animation loop.
+ *
+ * The scene is normally drawn through a single camera over the whole
+ * canvas; setViews() splits the canvas into viewports, one camera each,
+ * for multi-screen rigs. In a stereo mode each view is drawn through its
+ * pair of eye cameras instead (see StereoCompositor.js).
+ *
+ * When the browser takes the WebGL context away (GPU reset, driver update,
+ * too many contexts) rendering pauses until it is given back, and the
+ * renderer's resources are then rebuilt.
  */
 
 import * as THREE from 'three';
 import { createDemoScene } from './DemoContent.js';
+import { StereoCompositor } from './StereoCompositor.js';
+
+/** Viewport covering the whole canvas */
+const FULL_VIEWPORT = { x: 0, y: 0, width: 1, height: 1 };
 
 export class SceneManager {
     /**
      * @param {import('../projection/OffAxisCamera.js').OffAxisCamera} offAxisCamera
+     * @param {Object} [options]
+     * @param {Function} [options.onContextLost] - Called when the WebGL context is lost
+     * @param {Function} [options.onContextRestored] - Called once it is back and
+     *   rendering resumes
      */
-    constructor(offAxisCamera) {
+    constructor(offAxisCamera, options = {}) {
         this.camera = offAxisCamera.getCamera();
+        this.eyeCameras = null;
+        this.views = null;
+        this.contextLost = false;
+        this.onContextLost = options.onContextLost ?? null;
+        this.onContextRestored = options.onContextRestored ?? null;
+        this._size = new THREE.Vector2();
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x111111);
 
         // WebGL renderer
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: document.getElementById('canvas'),
-            antialias: true
-        });
+        try {
+            this.renderer = new THREE.WebGLRenderer({
+                canvas: document.getElementById('canvas'),
+                antialias: true
+            });
+        } catch (err) {
+            throw new Error(
+                `WebGL is not available (${err.message}). Enable hardware acceleration ` +
+                'in the browser settings, or use a browser with WebGL support.'
+            );
+        }
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.stereo = new StereoCompositor(this.renderer);
 
         // Lighting
         const ambient = new THREE.AmbientLight(0x404040, 0.6);
@@ -44,13 +75,77 @@ export class SceneManager {
         // Handle window resize
         this._onResize = this._onResize.bind(this);
         window.addEventListener('resize', this._onResize);
+
+        // Handle WebGL context loss; three.js registers its own handlers
+        // first, so they have run by the time these do
+        this._onContextLost = this._onContextLost.bind(this);
+        this._onContextRestored = this._onContextRestored.bind(this);
+        this.renderer.domElement.addEventListener('webglcontextlost', this._onContextLost);
+        this.renderer.domElement.addEventListener('webglcontextrestored', this._onContextRestored);
     }
 
     /**
-     * Render one frame.
+     * Render one frame (nothing while the WebGL context is lost).
      */
     render() {
-        this.renderer.render(this.scene, this.camera);
+        if (this.contextLost) return;
+
+        const stereo = this.stereo.isActive();
+        if (!this.views && !stereo) {
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+
+        const views = this.views
+            ?? [{ camera: this.camera, eyeCameras: this.eyeCameras, viewport: FULL_VIEWPORT }];
+
+        // One scissored viewport per view; coordinates are CSS pixels
+        // from the bottom-left corner of the canvas
+        const size = this.renderer.getSize(this._size);
+        this.renderer.setScissorTest(true);
+        for (const { camera, eyeCameras, viewport } of views) {
+            const x = viewport.x * size.x;
+            const y = viewport.y * size.y;
+            const w = viewport.width * size.x;
+            const h = viewport.height * size.y;
+            if (stereo && eyeCameras) {
+                this.stereo.render(this.scene, eyeCameras[0], eyeCameras[1], { x, y, width: w, height: h });
+                continue;
+            }
+            this.renderer.setViewport(x, y, w, h);
+            this.renderer.setScissor(x, y, w, h);
+            this.renderer.render(this.scene, camera);
+        }
+        this.renderer.setScissorTest(false);
+        this.renderer.setViewport(0, 0, size.x, size.y);
+    }
+
+    /**
+     * Render through several cameras, each into its own part of the canvas.
+     *
+     * @param {Array<{camera: THREE.Camera, eyeCameras?: THREE.Camera[], viewport: import('../projection/DisplayRig.js').Viewport}>|null} views -
+     *   Cameras (plus left / right eye cameras for stereo) and viewports,
+     *   or null to render through the single camera
+     */
+    setViews(views) {
+        this.views = views;
+    }
+
+    /**
+     * Left / right eye cameras used for the single camera in stereo modes.
+     *
+     * @param {THREE.Camera} left
+     * @param {THREE.Camera} right
+     */
+    setEyeCameras(left, right) {
+        this.eyeCameras = [left, right];
+    }
+
+    /**
+     * @param {string} mode - One of STEREO_MODES ('off' for mono)
+     */
+    setStereoMode(mode) {
+        this.stereo.setMode(mode);
     }
 
     /**
@@ -68,11 +163,35 @@ export class SceneManager {
         // No call to camera.updateProjectionMatrix() here.
     }
 
+    /** @private */
+    _onContextLost(event) {
+        // Without this the browser does not try to restore the context
+        event.preventDefault();
+        this.contextLost = true;
+        this.onContextLost?.();
+    }
+
+    /** @private */
+    _onContextRestored() {
+        // three.js has reset its GL state and re-uploads geometry, textures
+        // and shaders as they are next drawn. The compositor's offscreen
+        // targets are rebuilt on their next use, and the drawing buffer is
+        // sized afresh (the window may have changed meanwhile).
+        this.stereo.dispose();
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.contextLost = false;
+        this.onContextRestored?.();
+    }
+
     /**
      * Clean up event listeners and renderer.
      */
     dispose() {
         window.removeEventListener('resize', this._onResize);
+        this.renderer.domElement.removeEventListener('webglcontextlost', this._onContextLost);
+        this.renderer.domElement.removeEventListener('webglcontextrestored', this._onContextRestored);
+        this.stereo.dispose();
         this.renderer.dispose();
     }
 }
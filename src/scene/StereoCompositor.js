@@ -0,0 +1,207 @@
+/**
+ * StereoCompositor.js
+ *
+ * Renders a left / right eye camera pair into one viewport in the format
+ * a stereoscopic display expects:
+ *
+ *   anaglyph     — both eyes blended for red/cyan glasses (Dubois matrices)
+ *   side-by-side — left eye in the left half, right eye in the right half
+ *   top-bottom   — left eye in the top half, right eye in the bottom half
+ *   interlaced   — alternating pixel rows, left eye on the top row
+ *                  (passive polarised 3D monitors / TVs)
+ *
+ * Side-by-side and top-bottom render each eye straight into half of the
+ * viewport (the display stretches it back). Anaglyph and interlaced render
+ * both eyes into offscreen targets and combine them in a fullscreen pass.
+ */
+
+import * as THREE from 'three';
+import { STEREO_MODES } from './StereoModes.js';
+
+// Dubois least-squares red/cyan matrices (column-major)
+const ANAGLYPH_LEFT = [
+    0.456100, -0.0400822, -0.0152161,
+    0.500484, -0.0378246, -0.0205971,
+    0.176381, -0.0157589, -0.00546856,
+];
+const ANAGLYPH_RIGHT = [
+    -0.0434706, 0.378476, -0.0721527,
+    -0.0879388, 0.73364, -0.112961,
+    -0.00155529, -0.0184503, 1.2264,
+];
+
+const COMPOSITE_VERTEX = /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const COMPOSITE_FRAGMENT = /* glsl */ `
+    uniform sampler2D mapLeft;
+    uniform sampler2D mapRight;
+    uniform mat3 colorMatrixLeft;
+    uniform mat3 colorMatrixRight;
+    uniform bool interlaced;
+    uniform float bufferHeight;
+    varying vec2 vUv;
+
+    void main() {
+        vec4 colorL = texture2D(mapLeft, vUv);
+        vec4 colorR = texture2D(mapRight, vUv);
+
+        if (interlaced) {
+            // Row 0 is the top row of the drawing buffer
+            float row = bufferHeight - 1.0 - floor(gl_FragCoord.y);
+            gl_FragColor = mod(row, 2.0) < 0.5 ? colorL : colorR;
+        } else {
+            vec3 color = colorMatrixLeft * colorL.rgb + colorMatrixRight * colorR.rgb;
+            gl_FragColor = vec4(clamp(color, 0.0, 1.0), max(colorL.a, colorR.a));
+        }
+
+        #include <colorspace_fragment>
+    }
+`;
+
+export class StereoCompositor {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.mode = 'off';
+
+        // Created on first use by a mode that needs them
+        this._targets = null;
+        this._material = null;
+        this._quadScene = null;
+        this._quadCamera = null;
+        this._bufferSize = new THREE.Vector2();
+    }
+
+    /**
+     * @param {string} mode - One of STEREO_MODES
+     */
+    setMode(mode) {
+        if (!STEREO_MODES.includes(mode)) {
+            throw new Error(`Unknown stereo mode "${mode}" (expected ${STEREO_MODES.join(', ')}).`);
+        }
+        this.mode = mode;
+    }
+
+    /** @returns {boolean} True unless the mode is 'off' */
+    isActive() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Render both eyes into a viewport. Expects the renderer's scissor test
+     * to be enabled.
+     *
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} leftCamera
+     * @param {THREE.Camera} rightCamera
+     * @param {{x: number, y: number, width: number, height: number}} rect -
+     *   Viewport in CSS pixels from the bottom-left of the canvas
+     */
+    render(scene, leftCamera, rightCamera, rect) {
+        const { x, y, width: w, height: h } = rect;
+
+        switch (this.mode) {
+            case 'side-by-side':
+                this._renderInto(scene, leftCamera, x, y, w / 2, h);
+                this._renderInto(scene, rightCamera, x + w / 2, y, w / 2, h);
+                break;
+
+            case 'top-bottom':
+                this._renderInto(scene, leftCamera, x, y + h / 2, w, h / 2);
+                this._renderInto(scene, rightCamera, x, y, w, h / 2);
+                break;
+
+            case 'anaglyph':
+            case 'interlaced':
+                this._renderComposite(scene, leftCamera, rightCamera, rect);
+                break;
+
+            default:
+                this._renderInto(scene, leftCamera, x, y, w, h);
+        }
+    }
+
+    /**
+     * Release the offscreen targets and composite material.
+     */
+    dispose() {
+        this._targets?.forEach((t) => t.dispose());
+        this._material?.dispose();
+        this._quadScene?.children[0].geometry.dispose();
+        this._targets = null;
+        this._material = null;
+        this._quadScene = null;
+    }
+
+    // ---------------------------------------------------------------------------
+    // Private
+    // ---------------------------------------------------------------------------
+
+    /** @private */
+    _renderInto(scene, camera, x, y, w, h) {
+        this.renderer.setViewport(x, y, w, h);
+        this.renderer.setScissor(x, y, w, h);
+        this.renderer.render(scene, camera);
+    }
+
+    /** @private */
+    _renderComposite(scene, leftCamera, rightCamera, rect) {
+        const renderer = this.renderer;
+        const pixelRatio = renderer.getPixelRatio();
+        const w = Math.max(1, Math.round(rect.width * pixelRatio));
+        const h = Math.max(1, Math.round(rect.height * pixelRatio));
+        this._ensureResources(w, h);
+
+        // Each eye into its own target at the viewport's resolution
+        const [left, right] = this._targets;
+        renderer.setRenderTarget(left);
+        renderer.render(scene, leftCamera);
+        renderer.setRenderTarget(right);
+        renderer.render(scene, rightCamera);
+        renderer.setRenderTarget(null);
+
+        const uniforms = this._material.uniforms;
+        uniforms.interlaced.value = this.mode === 'interlaced';
+        uniforms.bufferHeight.value = renderer.getDrawingBufferSize(this._bufferSize).y;
+
+        this._renderInto(this._quadScene, this._quadCamera, rect.x, rect.y, rect.width, rect.height);
+    }
+
+    /** @private */
+    _ensureResources(width, height) {
+        if (!this._targets) {
+            this._targets = [0, 1].map(() => new THREE.WebGLRenderTarget(width, height));
+            this._material = new THREE.ShaderMaterial({
+                uniforms: {
+                    mapLeft: { value: this._targets[0].texture },
+                    mapRight: { value: this._targets[1].texture },
+                    colorMatrixLeft: { value: new THREE.Matrix3().fromArray(ANAGLYPH_LEFT) },
+                    colorMatrixRight: { value: new THREE.Matrix3().fromArray(ANAGLYPH_RIGHT) },
+                    interlaced: { value: false },
+                    bufferHeight: { value: 1 },
+                },
+                vertexShader: COMPOSITE_VERTEX,
+                fragmentShader: COMPOSITE_FRAGMENT,
+                depthTest: false,
+                depthWrite: false,
+            });
+            this._quadScene = new THREE.Scene();
+            this._quadScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this._material));
+            this._quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        }
+
+        for (const target of this._targets) {
+            if (target.width !== width || target.height !== height) {
+                target.setSize(width, height);
+            }
+        }
+    }
+}
@@ -0,0 +1,10 @@
+/**
+ * StereoModes.js
+ *
+ * Stereo output modes (see StereoCompositor.js). Kept apart from the
+ * compositor so the config schema can be checked without three.js, e.g.
+ * by the tests under test/ in Node.
+ */
+
+/** Output modes, in the order the S key cycles through them */
+export const STEREO_MODES = ['off', 'anaglyph', 'side-by-side', 'top-bottom', 'interlaced'];
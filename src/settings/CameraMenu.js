@@ -0,0 +1,110 @@
+/**
+ * CameraMenu.js — Webcam picker shown at the top of the settings panel.
+ *
+ * Lists the connected cameras, switches to the one picked without a
+ * reload and remembers it for the next visit (see CameraStore.js). A
+ * `?camera=` URL parameter still takes precedence at startup.
+ */
+
+import {
+  loadCameraChoice,
+  saveCameraChoice,
+  clearCameraChoice,
+} from '../tracking/CameraStore.js';
+
+/** Select entry for "whatever camera the browser picks" */
+const DEFAULT_CAMERA = '';
+
+export class CameraMenu {
+  /**
+   * @param {Object} options
+   * @param {import('../tracking/FaceTracker.js').FaceTracker} options.tracker
+   */
+  constructor(options) {
+    this._tracker = options.tracker;
+
+    this._root = null;
+    this._select = null;
+    this._status = null;
+    this._onCamerasChanged = () => this.refresh();
+  }
+
+  /** @returns {HTMLElement} The controls, built on first use */
+  getElement() {
+    if (!this._root) this._buildDom();
+    return this._root;
+  }
+
+  /** Stop following camera changes and remove the controls from the page. */
+  dispose() {
+    if (!this._root) return;
+    this._tracker.off('camera', this._onCamerasChanged);
+    navigator.mediaDevices?.removeEventListener?.('devicechange', this._onCamerasChanged);
+    this._root.remove();
+    this._root = null;
+  }
+
+  /** Re-list the cameras, e.g. after one was plugged in or removed. */
+  async refresh() {
+    if (!this._root) return;
+    const cameras = await this._tracker.listCameras();
+    const saved = loadCameraChoice();
+
+    this._select.replaceChildren(new Option('Default camera', DEFAULT_CAMERA));
+    for (const camera of cameras) {
+      this._select.add(new Option(camera.label, camera.deviceId));
+    }
+    if (saved && !cameras.some((c) => c.deviceId === saved.deviceId)) {
+      this._select.add(new Option(`${saved.label} (not connected)`, saved.deviceId));
+    }
+    this._select.value = saved?.deviceId ?? DEFAULT_CAMERA;
+
+    const current = this._tracker.getCamera();
+    this._showStatus(current ? `In use: ${current.label}` : 'No camera connected.', !current);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — UI
+  // ---------------------------------------------------------------------------
+
+  _buildDom() {
+    const root = document.createElement('div');
+    root.className = 'settings-camera';
+    root.innerHTML = `
+      <label>Camera <select></select></label>
+      <div class="settings-status"></div>`;
+
+    this._root = root;
+    this._select = root.querySelector('select');
+    this._status = root.querySelector('.settings-status');
+
+    this._select.addEventListener('change', () => this._switch(this._select.value));
+    this._tracker.on('camera', this._onCamerasChanged);
+    navigator.mediaDevices?.addEventListener?.('devicechange', this._onCamerasChanged);
+    this.refresh();
+  }
+
+  async _switch(deviceId) {
+    this._select.disabled = true;
+    try {
+      const camera = await this._tracker.setCamera(deviceId === DEFAULT_CAMERA ? null : deviceId);
+      if (deviceId === DEFAULT_CAMERA) {
+        clearCameraChoice();
+      } else {
+        saveCameraChoice(camera);
+      }
+    } catch (err) {
+      await this.refresh();
+      this._showStatus(`Could not switch cameras. ${err.message}`, true);
+      return;
+    } finally {
+      this._select.disabled = false;
+    }
+    await this.refresh();
+  }
+
+  _showStatus(message, isError = false) {
+    this._status.textContent = message;
+    this._status.classList.toggle('error', isError);
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * ConfigOverrides.js — Layering partial configs onto CONFIG.
+ *
+ * Profiles store only the keys that differ from config.js (diffConfig) and
+ * are merged back on top of it at startup (mergeConfig). URL parameters
+ * with a dotted key override single values:
+ *
+ *   ?screen.widthMm=597&headPose.useIrisDepth=true
+ *   ?smoothing.stages.1.beta=0.8&headPose.noseToEyesMm={"x":0,"y":28,"z":25}
+ *
+ * Values are parsed according to the schema: numbers, true / false (or
+ * 1 / 0, or a bare key for true), 'null' where allowed, and JSON for
+ * objects and lists. ?speed= and ?loop= are short for ?replay.speed= and
+ * ?replay.loop=. Other parameters without a dot (?replay=, ?offline, ...)
+ * are left to main.js.
+ *
+ * Keys that would reach Object.prototype (__proto__, constructor,
+ * prototype) are refused everywhere, in URL paths and in imported profiles.
+ */
+
+import { CONFIG_SCHEMA, schemaAt, isDescriptor } from './ConfigSchema.js';
+
+/** Keys never written into a config (or used as a name), whatever their source */
+export const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/** URL parameters that stand for a dotted key */
+const URL_ALIASES = { speed: 'replay.speed', loop: 'replay.loop' };
+
+/**
+ * Deep-merge `overrides` into `target` in place. Objects are merged key by
+ * key; lists and other values replace the target's. Unsafe keys (see
+ * above) are skipped.
+ *
+ * @param {Object} target
+ * @param {Object} overrides - Partial config
+ * @returns {Object} target
+ */
+export function mergeConfig(target, overrides) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (UNSAFE_KEYS.has(key)) continue;
+    if (isObject(value) && isObject(target[key]) && Object.hasOwn(target, key)) {
+      mergeConfig(target[key], value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+  return target;
+}
+
+/**
+ * The keys of `config` whose values differ from `base`. Lists are compared
+ * and returned whole.
+ *
+ * @param {Object} config
+ * @param {Object} base
+ * @returns {Object} Partial config; mergeConfig(clone of base, diff) equals config
+ */
+export function diffConfig(config, base) {
+  const diff = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (isObject(value) && isObject(base[key])) {
+      const inner = diffConfig(value, base[key]);
+      if (Object.keys(inner).length > 0) diff[key] = inner;
+    } else if (JSON.stringify(value) !== JSON.stringify(base[key])) {
+      diff[key] = structuredClone(value);
+    }
+  }
+  return diff;
+}
+
+/**
+ * @typedef {Object} UrlOverride
+ * @property {string} path - Dotted CONFIG key
+ * @property {*} value     - Parsed value (unparseable text is kept as a
+ *   string, so validation can report it)
+ */
+
+/**
+ * Read the CONFIG overrides from URL parameters.
+ *
+ * @param {URLSearchParams} params
+ * @returns {{ overrides: UrlOverride[], problems: string[] }}
+ */
+export function parseUrlOverrides(params) {
+  const overrides = [];
+  const problems = [];
+
+  for (const [name, text] of params) {
+    const path = Object.hasOwn(URL_ALIASES, name) ? URL_ALIASES[name] : name;
+    if (!path.includes('.')) continue;
+
+    if (path.split('.').some((key) => UNSAFE_KEYS.has(key))) {
+      problems.push(`${path} (URL) is not a known setting`);
+      continue;
+    }
+    const section = path.split('.')[0];
+    if (!Object.hasOwn(CONFIG_SCHEMA, section)) {
+      problems.push(`${path} (URL) is not a known setting`);
+      continue;
+    }
+    const node = schemaAt(path);
+    try {
+      overrides.push({ path, value: parseValue(node, text) });
+    } catch {
+      problems.push(`${path} (URL) is not valid JSON: ${text}`);
+    }
+  }
+  return { overrides, problems };
+}
+
+/**
+ * Write URL overrides into a config. Keys the schema does not know are
+ * written too, and reported by validateConfig(); unsafe keys are not, and
+ * only the config's own properties are followed.
+ *
+ * @param {Object} config
+ * @param {UrlOverride[]} overrides
+ * @returns {string[]} Keys whose parent does not exist, as problems
+ */
+export function applyUrlOverrides(config, overrides) {
+  const problems = [];
+  for (const { path, value } of overrides) {
+    const keys = path.split('.');
+    if (keys.some((key) => UNSAFE_KEYS.has(key))) {
+      problems.push(`${path} (URL) is not a known setting`);
+      continue;
+    }
+    const last = keys.pop();
+    const parent = keys.reduce(
+      (o, key) => (o !== null && typeof o === 'object' && Object.hasOwn(o, key) ? o[key] : undefined),
+      config
+    );
+    if (parent === null || typeof parent !== 'object') {
+      problems.push(`${path} (URL): ${keys.join('.')} does not exist`);
+      continue;
+    }
+    parent[last] = value;
+  }
+  return problems;
+}
+
+// --- Helpers ---
+
+/**
+ * @param {Object|null} node - Schema descriptor or group; null below a
+ *   leaf (e.g. one option of a smoothing stage)
+ * @param {string} text
+ */
+function parseValue(node, text) {
+  if (node && !isDescriptor(node)) return JSON.parse(text);
+
+  switch (node?.kind) {
+    case 'number':
+      if (text === 'null' && node.nullable) return null;
+      return text !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+
+    case 'boolean':
+      if (text === '' || text === 'true' || text === '1') return true;
+      if (text === 'false' || text === '0') return false;
+      return text;
+
+    case 'string':
+      return text === 'null' && node.nullable ? null : text;
+
+    case 'enum':
+      return text;
+
+    case undefined:
+      // Below a leaf: a number, true / false / null, or a string
+      if (text !== '' && Number.isFinite(Number(text))) return Number(text);
+      if (text === 'true' || text === 'false' || text === 'null') return JSON.parse(text);
+      return text;
+
+    default:
+      // Vectors, corners, displays, stages
+      return text === 'null' ? null : JSON.parse(text);
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,163 @@
+/**
+ * ConfigProfiles.js — Named config profiles in localStorage.
+ *
+ * A profile holds the CONFIG keys that differ from config.js (e.g. the
+ * screen size, webcam placement and smoothing of one particular desk or
+ * TV). One profile may be marked active; it is applied at every startup
+ * unless the URL names another with `?profile=<name>`.
+ *
+ * Profiles are exported and imported as JSON files:
+ *
+ *   {"type":"headtracking-profile", "version":1, "name":"tv", "config":{...}}
+ *
+ * Storage failures (private browsing, disabled storage, corrupt data) are
+ * treated as "no profiles" rather than errors.
+ */
+
+import { mergeConfig, UNSAFE_KEYS } from './ConfigOverrides.js';
+import { assertValidConfig } from './ConfigSchema.js';
+
+const STORAGE_KEY = 'headtracking.profiles.v1';
+const FILE_TYPE = 'headtracking-profile';
+
+/**
+ * @typedef {Object} ProfileStore
+ * @property {number} version - Format version (1)
+ * @property {string|null} active - Name of the profile applied at startup
+ * @property {Object<string, Object>} profiles - Partial configs by name
+ */
+
+/**
+ * @returns {string[]} Names of the saved profiles, sorted
+ */
+export function listProfiles() {
+  return Object.keys(readStore().profiles).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null} The profile's partial config, or null if there is none
+ */
+export function loadProfile(name) {
+  const { profiles } = readStore();
+  return Object.hasOwn(profiles, name) ? profiles[name] : null;
+}
+
+/**
+ * Save (or replace) a profile.
+ *
+ * @param {string} name
+ * @param {Object} overrides - Partial config, usually from diffConfig()
+ * @returns {boolean} True if it was stored
+ * @throws {Error} If `name` cannot be used as a profile name
+ */
+export function saveProfile(name, overrides) {
+  checkName(name);
+  const store = readStore();
+  store.profiles[name] = overrides;
+  return writeStore(store, 'profile');
+}
+
+/**
+ * Delete a profile; it stops being the active one.
+ * @param {string} name
+ */
+export function deleteProfile(name) {
+  const store = readStore();
+  delete store.profiles[name];
+  if (store.active === name) store.active = null;
+  writeStore(store, 'profiles');
+}
+
+/**
+ * @returns {string|null} Name of the profile applied at startup
+ */
+export function getActiveProfile() {
+  const { active, profiles } = readStore();
+  return active !== null && Object.hasOwn(profiles, active) ? active : null;
+}
+
+/**
+ * @param {string|null} name - Profile to apply at startup, or null for config.js alone
+ */
+export function setActiveProfile(name) {
+  const store = readStore();
+  store.active = name;
+  writeStore(store, 'active profile');
+}
+
+// -----------------------------------------------------------------------------
+// Import / export
+// -----------------------------------------------------------------------------
+
+/**
+ * @param {string} name
+ * @param {Object} overrides
+ * @returns {string} JSON file contents
+ */
+export function serializeProfile(name, overrides) {
+  return JSON.stringify({ type: FILE_TYPE, version: 1, name, config: overrides }, null, 2) + '\n';
+}
+
+/**
+ * Read an exported profile and check that it makes a valid config on top
+ * of `base`.
+ *
+ * @param {string} text - File contents
+ * @param {Object} base - Config the profile applies to (config.js)
+ * @returns {{ name: string, config: Object }}
+ * @throws {Error} If the file is not a profile; ConfigError if its settings are invalid
+ */
+export function parseProfile(text, base) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file (${err.message}).`);
+  }
+  if (file?.type !== FILE_TYPE || file.version !== 1) {
+    throw new Error('Not a head tracking profile (expected "type": "headtracking-profile", "version": 1).');
+  }
+  if (typeof file.name !== 'string' || file.name.trim() === '') {
+    throw new Error('The profile has no name.');
+  }
+  checkName(file.name.trim());
+  if (file.config === null || typeof file.config !== 'object' || Array.isArray(file.config)) {
+    throw new Error('The profile has no "config" object.');
+  }
+
+  assertValidConfig(mergeConfig(structuredClone(base), file.config), `profile "${file.name}"`);
+  return { name: file.name.trim(), config: file.config };
+}
+
+// --- Helpers ---
+
+/** Profiles are stored by name as object keys, so some names are taken */
+function checkName(name) {
+  if (UNSAFE_KEYS.has(name)) {
+    throw new Error(`"${name}" cannot be used as a profile name.`);
+  }
+}
+
+/** @returns {ProfileStore} */
+function readStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (store?.version === 1 && store.profiles && typeof store.profiles === 'object') {
+      return { version: 1, active: store.active ?? null, profiles: store.profiles };
+    }
+  } catch {
+    // Fall through to an empty store
+  }
+  return { version: 1, active: null, profiles: {} };
+}
+
+function writeStore(store, what) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    return true;
+  } catch (err) {
+    console.warn(`Could not save ${what}:`, err);
+    return false;
+  }
+}
@@ -0,0 +1,436 @@
+/**
+ * ConfigSchema.js — Types and limits of every CONFIG key.
+ *
+ * The config assembled at startup (config.js, then the selected profile,
+ * then URL overrides) is checked against this schema before any module is
+ * built, so a typo or an impossible value is reported by key instead of
+ * surfacing later as NaN positions or a black screen.
+ *
+ * A schema is a nested object mirroring CONFIG. Leaves are descriptors
+ * made by the helpers below ({ kind, ... }); anything else is a group of
+ * keys.
+ */
+
+import { STEREO_MODES } from '../scene/StereoModes.js';
+import { STAGE_TYPES } from '../projection/SmoothingPipeline.js';
+import { KALMAN_MODELS } from '../projection/Smoothing.js';
+import { INTERPOLATION_MODES } from '../tracking/PoseInterpolator.js';
+import { VIEWER_POLICIES } from '../tracking/ViewerSelector.js';
+import { DELEGATES } from '../tracking/FaceTracker.js';
+
+/** Edges of a screen rectangle may deviate this much from 90° (cosine) */
+const PERPENDICULAR_TOLERANCE = 0.01;
+
+// -----------------------------------------------------------------------------
+// Descriptors
+// -----------------------------------------------------------------------------
+
+/**
+ * @param {Object} [limits]
+ * @param {number} [limits.min]     - Smallest allowed value
+ * @param {number} [limits.max]     - Largest allowed value
+ * @param {boolean} [limits.positive=false] - Must be > 0
+ * @param {boolean} [limits.integer=false]  - Must be a whole number
+ * @param {boolean} [limits.nullable=false] - null is allowed
+ */
+const number = (limits = {}) => ({ kind: 'number', ...limits });
+const boolean = () => ({ kind: 'boolean' });
+const string = ({ nullable = false } = {}) => ({ kind: 'string', nullable });
+const oneOf = (values) => ({ kind: 'enum', values });
+const vector3 = () => ({ kind: 'vector3' });
+const axisLimits = () => ({ kind: 'axisLimits' });
+const corners = ({ nullable = false } = {}) => ({ kind: 'corners', nullable });
+const displays = () => ({ kind: 'displays' });
+const stages = () => ({ kind: 'stages' });
+
+export const CONFIG_SCHEMA = {
+  screen: {
+    widthMm: number({ positive: true }),
+    heightMm: number({ positive: true }),
+    corners: corners({ nullable: true }),
+  },
+  projection: {
+    nearClip: number({ positive: true }),
+    farClip: number({ positive: true }),
+    defaultViewingDistance: number({ positive: true }),
+    trackWindowPlacement: boolean(),
+  },
+  multiScreen: {
+    displays: displays(),
+    channelName: string(),
+  },
+  stereo: {
+    mode: oneOf(STEREO_MODES),
+    ipdMm: number({ min: 40, max: 90 }),
+    swapEyes: boolean(),
+  },
+  tracking: {
+    videoWidth: number({ positive: true, integer: true }),
+    videoHeight: number({ positive: true, integer: true }),
+    videoElementId: string(),
+    camera: string({ nullable: true }),
+    minDetectionConfidence: number({ min: 0, max: 1 }),
+    minTrackingConfidence: number({ min: 0, max: 1 }),
+    useWorker: boolean(),
+    delegate: oneOf(DELEGATES),
+    assetRetries: number({ min: 0, integer: true }),
+    assetRetryDelayMs: number({ min: 0 }),
+    staleAfterMs: number({ min: 0 }),
+    lostTimeoutMs: number({ min: 0 }),
+    maxJitter: number({ positive: true }),
+    mediapipeModuleUrl: string(),
+    mediapipeWasmPath: string(),
+    modelAssetPath: string(),
+  },
+  viewer: {
+    maxFaces: number({ min: 1, max: 10, integer: true }),
+    policy: oneOf(VIEWER_POLICIES),
+    switchDelayMs: number({ min: 0 }),
+    lostTimeoutMs: number({ min: 0 }),
+  },
+  webcam: {
+    offsetXMm: number(),
+    aboveTopEdgeMm: number(),
+    offsetZMm: number(),
+    tiltDeg: number({ min: -90, max: 90 }),
+    panDeg: number({ min: -90, max: 90 }),
+    rollDeg: number({ min: -180, max: 180 }),
+    focalLengthPx: number({ positive: true, nullable: true }),
+    principalPointX: number({ min: 0, nullable: true }),
+    principalPointY: number({ min: 0, nullable: true }),
+  },
+  replay: {
+    url: string({ nullable: true }),
+    speed: number({ positive: true }),
+    loop: boolean(),
+  },
+  headPose: {
+    irisDiameterMm: number({ min: 8, max: 16 }),
+    fovFactor: number({ positive: true }),
+    sensitivityX: number({ min: 0 }),
+    sensitivityY: number({ min: 0 }),
+    sensitivityZ: number({ min: 0 }),
+    useIrisDepth: boolean(),
+    useRotation: boolean(),
+    noseToEyesMm: vector3(),
+  },
+  smoothing: {
+    stages: stages(),
+    rotation: {
+      minCutoff: number({ positive: true }),
+      beta: number({ min: 0 }),
+      dCutoff: number({ positive: true }),
+    },
+  },
+  interpolation: {
+    mode: oneOf(INTERPOLATION_MODES),
+    maxExtrapolationMs: number({ min: 0 }),
+  },
+  fallback: {
+    holdMs: number({ min: 0 }),
+    easeMs: number({ min: 0 }),
+    reacquireMs: number({ min: 0 }),
+    attractMode: boolean(),
+    attractRadiusMm: number({ min: 0 }),
+    attractPeriodMs: number({ positive: true }),
+  },
+  recording: {
+    captureVideo: boolean(),
+    videoWidth: number({ positive: true, integer: true }),
+    videoHeight: number({ positive: true, integer: true }),
+    videoFps: number({ positive: true }),
+    videoBitsPerSecond: number({ positive: true, integer: true }),
+  },
+  debug: {
+    enabled: boolean(),
+    showWebcam: boolean(),
+  },
+};
+
+/** Options of each smoothing stage type (see SmoothingPipeline.js) */
+const STAGE_SCHEMAS = {
+  'gate': {
+    maxJump: number({ positive: true }),
+    maxSpeed: number({ positive: true }),
+    maxRejects: number({ min: 0, integer: true }),
+  },
+  'median': {
+    size: number({ min: 1, integer: true }),
+  },
+  'one-euro': {
+    minCutoff: number({ positive: true }),
+    beta: number({ min: 0 }),
+    dCutoff: number({ positive: true }),
+  },
+  'kalman': {
+    model: oneOf(KALMAN_MODELS),
+    processNoise: number({ positive: true }),
+    measurementNoise: number({ positive: true }),
+    predictionMs: number({ min: 0 }),
+    dampingMs: number({ min: 0 }),
+    maxPredictionMs: number({ min: 0 }),
+  },
+  'dead-zone': {
+    threshold: number({ min: 0 }),
+  },
+  'soft-dead-zone': {
+    threshold: number({ min: 0 }),
+  },
+  'clamp': {
+    min: axisLimits(),
+    max: axisLimits(),
+  },
+};
+
+// -----------------------------------------------------------------------------
+// Validation
+// -----------------------------------------------------------------------------
+
+/**
+ * Thrown for a config that does not match the schema. `problems` holds
+ * one message per offending key.
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - e.g. 'screen.widthMm must be greater than 0 (got -5)'
+   * @param {string} [source='config'] - Where the values came from, for the message
+   */
+  constructor(problems, source = 'config') {
+    super(`Invalid settings in ${source}:\n  ${problems.join('\n  ')}`);
+    this.name = 'ConfigError';
+    this.code = 'config-invalid';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check a complete config against CONFIG_SCHEMA.
+ *
+ * @param {Object} config
+ * @returns {string[]} Problems found, empty if the config is valid
+ */
+export function validateConfig(config) {
+  const problems = [];
+  checkGroup(CONFIG_SCHEMA, config, '', problems);
+
+  // Rules spanning several keys
+  const { nearClip, farClip } = config.projection ?? {};
+  if (nearClip > 0 && farClip > 0 && !(farClip > nearClip)) {
+    problems.push(
+      `projection.farClip (${farClip}) must be greater than projection.nearClip (${nearClip})`
+    );
+  }
+  const { staleAfterMs, lostTimeoutMs } = config.tracking ?? {};
+  if (staleAfterMs >= 0 && lostTimeoutMs >= 0 && !(lostTimeoutMs > staleAfterMs)) {
+    problems.push(
+      `tracking.lostTimeoutMs (${lostTimeoutMs}) must be greater than tracking.staleAfterMs (${staleAfterMs})`
+    );
+  }
+  return problems;
+}
+
+/**
+ * @param {Object} config
+ * @param {string} [source] - Where the values came from, for the error message
+ * @throws {ConfigError} If the config does not match the schema
+ */
+export function assertValidConfig(config, source) {
+  const problems = validateConfig(config);
+  if (problems.length > 0) throw new ConfigError(problems, source);
+}
+
+/**
+ * Descriptor (or group) for a dotted key, or null if the schema has no such key.
+ *
+ * @param {string} path - e.g. 'headPose.noseToEyesMm'
+ * @returns {Object|null}
+ */
+export function schemaAt(path) {
+  let node = CONFIG_SCHEMA;
+  for (const key of path.split('.')) {
+    if (!node || node.kind || !Object.hasOwn(node, key)) return null;
+    node = node[key];
+  }
+  return node;
+}
+
+/** @returns {boolean} True for a leaf descriptor, false for a group */
+export function isDescriptor(node) {
+  return typeof node?.kind === 'string';
+}
+
+function checkGroup(schema, value, path, problems) {
+  if (!isObject(value)) {
+    problems.push(`${path || 'config'} must be an object (got ${describe(value)})`);
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    if (!Object.hasOwn(schema, key)) {
+      problems.push(`${join(path, key)} is not a known setting`);
+    }
+  }
+  for (const [key, node] of Object.entries(schema)) {
+    const keyPath = join(path, key);
+    if (!Object.hasOwn(value, key)) {
+      problems.push(`${keyPath} is missing`);
+    } else if (isDescriptor(node)) {
+      checkValue(node, value[key], keyPath, problems);
+    } else {
+      checkGroup(node, value[key], keyPath, problems);
+    }
+  }
+}
+
+function checkValue(desc, value, path, problems) {
+  const fail = (rule) => problems.push(`${path} ${rule} (got ${describe(value)})`);
+
+  if (value === null && desc.nullable) return;
+
+  switch (desc.kind) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      if (desc.integer && !Number.isInteger(value)) return fail('must be a whole number');
+      if (desc.positive && !(value > 0)) return fail('must be greater than 0');
+      if (desc.min !== undefined && value < desc.min) return fail(`must be at least ${desc.min}`);
+      if (desc.max !== undefined && value > desc.max) return fail(`must be at most ${desc.max}`);
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('must be true or false');
+      return;
+
+    case 'string':
+      if (typeof value !== 'string') fail('must be a string');
+      return;
+
+    case 'enum':
+      if (!desc.values.includes(value)) fail(`must be one of ${desc.values.join(', ')}`);
+      return;
+
+    case 'vector3':
+      if (!isVector3(value)) fail('must be { x, y, z } with numbers');
+      return;
+
+    case 'axisLimits':
+      if (!isObject(value) || !Object.entries(value).every(
+        ([axis, limit]) => ['x', 'y', 'z'].includes(axis) && Number.isFinite(limit)
+      )) {
+        fail('must be { x?, y?, z? } with numbers');
+      }
+      return;
+
+    case 'corners':
+      checkCorners(value, path, problems);
+      return;
+
+    case 'displays':
+      checkDisplays(value, path, problems);
+      return;
+
+    case 'stages':
+      checkStages(value, path, problems);
+      return;
+  }
+}
+
+/** lowerLeft / lowerRight / upperLeft of a non-degenerate rectangle */
+function checkCorners(value, path, problems) {
+  const names = ['lowerLeft', 'lowerRight', 'upperLeft'];
+  if (!isObject(value) || !names.every((n) => isVector3(value[n]))) {
+    problems.push(`${path} must be { lowerLeft, lowerRight, upperLeft }, each { x, y, z } (got ${describe(value)})`);
+    return;
+  }
+  const { lowerLeft: a, lowerRight: b, upperLeft: c } = value;
+  const right = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+  const up = { x: c.x - a.x, y: c.y - a.y, z: c.z - a.z };
+  const w = Math.hypot(right.x, right.y, right.z);
+  const h = Math.hypot(up.x, up.y, up.z);
+  if (!(w > 0) || !(h > 0)) {
+    problems.push(`${path} describes a screen of zero width or height`);
+    return;
+  }
+  const cos = (right.x * up.x + right.y * up.y + right.z * up.z) / (w * h);
+  if (Math.abs(cos) > PERPENDICULAR_TOLERANCE) {
+    problems.push(
+      `${path}: lowerLeft → lowerRight and lowerLeft → upperLeft must be at right angles ` +
+      `(they are ${(Math.acos(cos) * 180 / Math.PI).toFixed(1)}° apart)`
+    );
+  }
+}
+
+function checkDisplays(value, path, problems) {
+  if (!Array.isArray(value)) {
+    problems.push(`${path} must be a list (got ${describe(value)})`);
+    return;
+  }
+  const seen = new Set();
+  value.forEach((display, i) => {
+    const at = `${path}[${i}]`;
+    if (!isObject(display)) {
+      problems.push(`${at} must be { name, corners, viewport? } (got ${describe(display)})`);
+      return;
+    }
+    if (typeof display.name !== 'string' || display.name === '') {
+      problems.push(`${at}.name must be a non-empty string`);
+    } else if (seen.has(display.name)) {
+      problems.push(`${at}.name "${display.name}" is used by another display`);
+    }
+    seen.add(display.name);
+    checkCorners(display.corners, `${at}.corners`, problems);
+
+    const vp = display.viewport;
+    if (vp === undefined) return;
+    const inUnit = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+    if (!isObject(vp) || !['x', 'y', 'width', 'height'].every((k) => inUnit(vp[k]))) {
+      problems.push(`${at}.viewport must be { x, y, width, height }, fractions of the canvas from 0 to 1`);
+    }
+  });
+}
+
+function checkStages(value, path, problems) {
+  if (!Array.isArray(value)) {
+    problems.push(`${path} must be a list of stages (got ${describe(value)})`);
+    return;
+  }
+  const types = Object.keys(STAGE_TYPES);
+  value.forEach((stage, i) => {
+    const at = `${path}[${i}]`;
+    if (!isObject(stage) || !types.includes(stage.type)) {
+      problems.push(`${at}.type must be one of ${types.join(', ')} (got ${describe(stage?.type)})`);
+      return;
+    }
+    // Every option may be left out (its default is used)
+    const schema = STAGE_SCHEMAS[stage.type];
+    for (const [key, option] of Object.entries(stage)) {
+      if (key === 'type') continue;
+      if (!Object.hasOwn(schema, key)) {
+        problems.push(
+          `${at}.${key} is not an option of ${stage.type} stages ` +
+          `(expected ${Object.keys(schema).join(', ')})`
+        );
+      } else {
+        checkValue(schema[key], option, `${at}.${key}`, problems);
+      }
+    }
+  });
+}
+
+// --- Helpers ---
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isVector3(value) {
+  return isObject(value) && ['x', 'y', 'z'].every((k) => Number.isFinite(value[k]));
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function describe(value) {
+  if (value === undefined) return 'nothing';
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
@@ -0,0 +1,178 @@
+/**
+ * ProfileMenu.js — Profile controls shown at the top of the settings panel.
+ *
+ * Picks the profile applied at startup, saves the current settings into a
+ * profile, and exports / imports profiles as JSON files (see
+ * ConfigProfiles.js for the storage and file format).
+ */
+
+import {
+  listProfiles,
+  saveProfile,
+  deleteProfile,
+  serializeProfile,
+  parseProfile,
+} from './ConfigProfiles.js';
+
+/** Select entry for "no profile, config.js alone" */
+const NO_PROFILE = '';
+
+export class ProfileMenu {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.current - Profile applied in this session
+   * @param {Object} options.base - Config profiles apply to (config.js), for validating imports
+   * @param {() => Object} options.getOverrides - Current settings as a partial config
+   * @param {(name: string|null) => void} options.onSwitch - Apply another profile (reloads)
+   */
+  constructor(options) {
+    this._current = options.current;
+    this._base = options.base;
+    this._getOverrides = options.getOverrides;
+    this._onSwitch = options.onSwitch;
+
+    this._root = null;
+    this._select = null;
+    this._status = null;
+  }
+
+  /** @returns {HTMLElement} The controls, built on first use */
+  getElement() {
+    if (!this._root) this._buildDom();
+    return this._root;
+  }
+
+  /** Remove the controls from the page. */
+  dispose() {
+    this._root?.remove();
+    this._root = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — UI
+  // ---------------------------------------------------------------------------
+
+  _buildDom() {
+    const root = document.createElement('div');
+    root.className = 'settings-profiles';
+    root.innerHTML = `
+      <label>Profile <select></select></label>
+      <button type="button" data-action="save">Save</button>
+      <button type="button" data-action="save-as">Save as…</button>
+      <button type="button" data-action="delete">Delete</button>
+      <button type="button" data-action="export">Export</button>
+      <button type="button" data-action="import">Import…</button>
+      <input type="file" accept=".json,application/json" hidden>
+      <div class="settings-status"></div>`;
+
+    this._root = root;
+    this._select = root.querySelector('select');
+    this._status = root.querySelector('.settings-status');
+    this._fillSelect();
+
+    this._select.addEventListener('change', () => {
+      this._onSwitch(this._select.value === NO_PROFILE ? null : this._select.value);
+    });
+
+    const fileInput = root.querySelector('input[type="file"]');
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) this._import(await file.text());
+    });
+
+    const actions = {
+      'save': () => (this._current ? this._save(this._current) : this._saveAs()),
+      'save-as': () => this._saveAs(),
+      'delete': () => this._delete(),
+      'export': () => this._export(),
+      'import': () => fileInput.click(),
+    };
+    for (const [action, run] of Object.entries(actions)) {
+      root.querySelector(`[data-action="${action}"]`).addEventListener('click', run);
+    }
+  }
+
+  _fillSelect() {
+    this._select.replaceChildren(new Option('(config.js)', NO_PROFILE));
+    for (const name of listProfiles()) {
+      this._select.add(new Option(name, name));
+    }
+    this._select.value = this._current ?? NO_PROFILE;
+    this._root.querySelector('[data-action="delete"]').disabled = this._current === null;
+  }
+
+  _save(name) {
+    let saved;
+    try {
+      saved = saveProfile(name, this._getOverrides());
+    } catch (err) {
+      this._showStatus(`Could not save the profile. ${err.message}`, true);
+      return;
+    }
+    if (saved) {
+      this._current = name;
+      this._fillSelect();
+      this._showStatus(`Saved the current settings as "${name}".`);
+    } else {
+      this._showStatus('Could not save the profile (storage unavailable).', true);
+    }
+  }
+
+  _saveAs() {
+    const name = window.prompt('Profile name:', this._current ?? '')?.trim();
+    if (!name) return;
+    if (name !== this._current && listProfiles().includes(name) &&
+        !window.confirm(`Replace the profile "${name}"?`)) {
+      return;
+    }
+    this._save(name);
+  }
+
+  _delete() {
+    const name = this._current;
+    if (name === null || !window.confirm(`Delete the profile "${name}"?`)) return;
+    deleteProfile(name);
+    this._current = null;
+    this._fillSelect();
+    this._showStatus(`Deleted "${name}". Its settings stay in use until the page is reloaded.`);
+  }
+
+  _export() {
+    const name = this._current ?? 'config';
+    const blob = new Blob([serializeProfile(name, this._getOverrides())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `profile-${name.replace(/[^\w.-]+/g, '_')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  _import(text) {
+    let profile;
+    try {
+      profile = parseProfile(text, this._base);
+    } catch (err) {
+      this._showStatus(`Import failed. ${err.message}`, true);
+      return;
+    }
+    if (listProfiles().includes(profile.name) &&
+        !window.confirm(`Replace the profile "${profile.name}"?`)) {
+      return;
+    }
+    if (!saveProfile(profile.name, profile.config)) {
+      this._showStatus('Could not save the profile (storage unavailable).', true);
+      return;
+    }
+    this._fillSelect();
+    this._showStatus(`Imported "${profile.name}". Select it to apply it.`);
+  }
+
+  _showStatus(message, isError = false) {
+    this._status.textContent = message;
+    this._status.classList.toggle('error', isError);
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * SettingsPanel.js — In-app editor for CONFIG.
+ *
+ * Builds a form from the structure of the config object: one collapsible
+ * section per top-level key, a number field per number, a checkbox per
+ * boolean, a drop-down for strings with known choices and a group per
+ * nested object (e.g. each smoothing stage). Keys that are only read at
+ * startup are shown read-only.
+ *
+ * Edits are written straight into the config object and reported through
+ * onChange(path), which pushes them into the running modules (see
+ * applySetting() in main.js). Number fields apply on Enter, on blur or
+ * when stepped with the arrows; rejected values are outlined, with the
+ * reason in the field's tooltip. Escape closes the panel.
+ */
+
+export class SettingsPanel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Config object to edit (CONFIG)
+   * @param {string[]} [options.readOnly=[]] - Dotted keys shown read-only,
+   *   including everything below them; '*' matches any one key
+   * @param {Object<string, string[]>} [options.choices={}] - Allowed values of
+   *   string keys, shown as a drop-down
+   * @param {string[]} [options.nullable=[]] - Number keys that may be null
+   *   (left empty in the form)
+   * @param {(path: string, value: *) => string|null} [options.validate] - Returns
+   *   why a new value is not allowed, or null; rejected values are not written
+   * @param {HTMLElement[]} [options.toolbars=[]] - Extra controls shown under the header
+   * @param {(path: string, value: *) => void} options.onChange - Called after a
+   *   value has been written into the config
+   * @param {() => void} options.onReset - Restore the defaults into the config
+   */
+  constructor(options) {
+    this._config = options.config;
+    this._readOnly = options.readOnly ?? [];
+    this._choices = options.choices ?? {};
+    this._nullable = options.nullable ?? [];
+    this._validate = options.validate ?? (() => null);
+    this._toolbars = options.toolbars ?? [];
+    this._onChange = options.onChange;
+    this._onReset = options.onReset;
+
+    this._root = null;
+    this._body = null;
+    this._fields = []; // { path, input } of every editable field
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** @returns {boolean} */
+  isOpen() {
+    return this._root !== null && !this._root.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this._root) this._buildDom();
+    this.refresh();
+    this._root.classList.remove('hidden');
+  }
+
+  close() {
+    if (!this._root) return;
+    this._root.classList.add('hidden');
+    if (this._root.contains(document.activeElement)) document.activeElement.blur();
+  }
+
+  toggle() {
+    if (this.isOpen()) this.close();
+    else this.open();
+  }
+
+  /** Remove the panel, with its toolbars, from the page. */
+  dispose() {
+    this._root?.remove();
+    this._root = null;
+    this._body = null;
+    this._fields = [];
+  }
+
+  /**
+   * Show the current config values, e.g. after a hotkey changed one.
+   * The field being edited is left alone.
+   */
+  refresh() {
+    if (!this._root) return;
+    for (const { path, input } of this._fields) {
+      if (input === document.activeElement) continue;
+      showValue(input, getPath(this._config, path));
+      input.classList.remove('invalid');
+      input.title = '';
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — UI
+  // ---------------------------------------------------------------------------
+
+  _buildDom() {
+    const root = document.createElement('div');
+    root.id = 'settings';
+    root.className = 'hidden';
+    root.innerHTML = `
+      <div class="settings-header">
+        <h2>Settings</h2>
+        <button type="button" data-action="reset">Reset to defaults</button>
+        <button type="button" data-action="close">Close</button>
+      </div>
+      <div class="settings-body"></div>`;
+    root.querySelector('.settings-header').after(...this._toolbars);
+    document.body.appendChild(root);
+
+    this._root = root;
+    this._body = root.querySelector('.settings-body');
+    this._buildSections();
+
+    root.querySelector('[data-action="reset"]').addEventListener('click', () => {
+      this._onReset();
+      // Rebuild: the defaults may differ in shape (e.g. smoothing stages)
+      this._buildSections();
+      this.refresh();
+    });
+    root.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+
+    root.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+      // Keep app shortcuts from firing while typing in a field
+      e.stopPropagation();
+    });
+  }
+
+  _buildSections() {
+    const openSections = new Set(
+      [...this._body.querySelectorAll('details[open]')].map((d) => d.dataset.section)
+    );
+    this._body.replaceChildren();
+    this._fields = [];
+
+    for (const [section, value] of Object.entries(this._config)) {
+      const details = document.createElement('details');
+      details.className = 'settings-section';
+      details.dataset.section = section;
+      details.open = openSections.has(section);
+      const summary = document.createElement('summary');
+      summary.textContent = section;
+      details.appendChild(summary);
+      this._buildFields(details, value, section);
+      this._body.appendChild(details);
+    }
+  }
+
+  /**
+   * Add a row per key of `obj` (recursing into nested objects).
+   * @param {HTMLElement} parent
+   * @param {Object} obj
+   * @param {string} path - Dotted key of `obj`
+   */
+  _buildFields(parent, obj, path) {
+    for (const [key, value] of Object.entries(obj)) {
+      const fullPath = `${path}.${key}`;
+
+      if (isPlainGroup(value) && !this._isReadOnly(fullPath)) {
+        const group = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        // Array items (smoothing stages) are named after their type
+        legend.textContent = Array.isArray(obj) && value.type ? `${key}: ${value.type}` : key;
+        group.appendChild(legend);
+        this._buildFields(group, value, fullPath);
+        parent.appendChild(group);
+        continue;
+      }
+
+      const row = document.createElement('label');
+      row.className = 'settings-row';
+      const name = document.createElement('span');
+      name.textContent = key;
+      row.appendChild(name);
+      row.appendChild(this._createInput(fullPath, value));
+      parent.appendChild(row);
+    }
+  }
+
+  /** @returns {HTMLElement} Input (or read-only output) for one value */
+  _createInput(path, value) {
+    const choices = matchPattern(this._choices, path);
+    const nullable = this._nullable.includes(path);
+    let input;
+    let read;
+
+    // Startup-only keys, and values the form has no editor for
+    const editable = !this._isReadOnly(path) &&
+      (value === null ? nullable : typeof value !== 'object');
+    if (!editable) {
+      const output = document.createElement('output');
+      output.textContent = JSON.stringify(value);
+      output.title = `${output.textContent} (edit config.js and reload)`;
+      return output;
+    }
+
+    if (typeof value === 'boolean') {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      read = () => input.checked;
+    } else if (typeof value === 'number' || nullable) {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.step = 'any';
+      if (nullable) input.placeholder = 'auto';
+      read = () => (input.value === '' && nullable ? null : Number(input.value));
+    } else if (choices) {
+      input = document.createElement('select');
+      for (const choice of choices) {
+        input.add(new Option(choice, choice));
+      }
+      read = () => input.value;
+    } else {
+      input = document.createElement('input');
+      input.type = 'text';
+      read = () => input.value;
+    }
+
+    input.addEventListener('change', () => {
+      const next = read();
+      const problem = typeof next === 'number' && (input.value === '' || !Number.isFinite(next))
+        ? 'Not a number'
+        : this._validate(path, next);
+      input.classList.toggle('invalid', problem !== null);
+      input.title = problem ?? '';
+      if (problem !== null) return;
+      setPath(this._config, path, next);
+      this._onChange(path, next);
+    });
+
+    showValue(input, value);
+    this._fields.push({ path, input });
+    return input;
+  }
+
+  _isReadOnly(path) {
+    return this._readOnly.some((pattern) => pathMatches(pattern, path, true));
+  }
+}
+
+// --- Helpers ---
+
+/** Objects and arrays of objects get a group; anything else is a single field. */
+function isPlainGroup(value) {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value)) return value.length > 0 && value.every((v) => v !== null && typeof v === 'object');
+  return true;
+}
+
+function showValue(input, value) {
+  if (input.type === 'checkbox') input.checked = Boolean(value);
+  else input.value = value ?? '';
+}
+
+/**
+ * Does a dotted pattern ('*' = any one key) match `path`? With `prefix`,
+ * also matches anything below the pattern.
+ */
+function pathMatches(pattern, path, prefix = false) {
+  const want = pattern.split('.');
+  const have = path.split('.');
+  if (have.length < want.length || (!prefix && have.length !== want.length)) return false;
+  return want.every((key, i) => key === '*' || key === have[i]);
+}
+
+function matchPattern(table, path) {
+  const pattern = Object.keys(table).find((p) => pathMatches(p, path));
+  return pattern ? table[pattern] : null;
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, key) => o?.[key], obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((o, key) => o[key], obj)[last] = value;
+}
@@ -0,0 +1,75 @@
+/**
+ * BroadcastSource.js — Shares head poses between browser windows.
+ *
+ * A multi-screen rig driven by one webcam runs one browser window per
+ * monitor. The window that tracks the face publishes each head pose with a
+ * PoseBroadcaster; the other windows read it through a BroadcastSource, so
+ * every screen follows the same eye position. Both sides use a
+ * BroadcastChannel, which only connects windows of the same origin.
+ *
+ * Message format: { type: 'pose', head: { x, y, z, ... } | null, t }
+ */
+
+import { PoseSource } from './PoseSource.js';
+
+/** Poses older than this (ms) are treated as "no face" */
+const DEFAULT_STALE_MS = 500;
+
+export class PoseBroadcaster {
+  /**
+   * @param {string} channelName - BroadcastChannel name shared with the receivers
+   */
+  constructor(channelName) {
+    this._channel = new BroadcastChannel(channelName);
+  }
+
+  /**
+   * Publish the current head pose.
+   *
+   * @param {Object|null} headPos - Head pose from HeadPoseEstimator, or null if no face
+   */
+  post(headPos) {
+    this._channel.postMessage({ type: 'pose', head: headPos, t: performance.now() });
+  }
+
+  destroy() {
+    this._channel.close();
+  }
+}
+
+export class BroadcastSource extends PoseSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.channelName - BroadcastChannel name used by the tracking window
+   * @param {number} [options.staleMs=500] - Age after which a pose is discarded
+   */
+  constructor(options) {
+    super();
+    this._channelName = options.channelName;
+    this._staleMs = options.staleMs ?? DEFAULT_STALE_MS;
+
+    this._channel = null;
+    this._head = null;
+    this._receivedAt = 0;
+  }
+
+  async init() {
+    this._channel = new BroadcastChannel(this._channelName);
+    this._channel.onmessage = (e) => {
+      if (e.data?.type !== 'pose') return;
+      this._head = e.data.head;
+      this._receivedAt = performance.now();
+    };
+  }
+
+  getLatestHeadPosition() {
+    // Timestamps are not comparable across windows; use the arrival time
+    if (performance.now() - this._receivedAt > this._staleMs) return null;
+    return this._head;
+  }
+
+  destroy() {
+    this._channel?.close();
+    this._channel = null;
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * CameraStore.js — Remembers the webcam picked in the settings panel.
+ *
+ * The choice is stored in localStorage by device id, with the camera's
+ * name for display while it is unplugged. Storage failures (private
+ * browsing, disabled storage, corrupt data) are treated as "no choice"
+ * rather than errors.
+ */
+
+const STORAGE_KEY = 'headtracking.camera.v1';
+
+/**
+ * @typedef {Object} CameraChoice
+ * @property {number} version  - Format version (1)
+ * @property {string} deviceId - MediaDeviceInfo.deviceId
+ * @property {string} label    - Camera name when it was picked
+ */
+
+/**
+ * @returns {CameraChoice|null} The remembered camera, or null for the default
+ */
+export function loadCameraChoice() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved?.version !== 1 || typeof saved.deviceId !== 'string' || !saved.deviceId) return null;
+    return saved;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {{deviceId: string, label: string}} camera
+ */
+export function saveCameraChoice(camera) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: 1,
+      deviceId: camera.deviceId,
+      label: camera.label,
+    }));
+  } catch (err) {
+    console.warn('Could not save the camera choice:', err);
+  }
+}
+
+export function clearCameraChoice() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+}
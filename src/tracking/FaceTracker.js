@@ -2,9 +2,23 @@
  * FaceTracker.js — Webcam + MediaPipe FaceLandmarker integration
  *
  * Initialises the webcam via getUserMedia and runs MediaPipe Face Landmarker
- * to detect 478 facial landmarks per frame. Exposes a polling API
- * (getLatestLandmarks) for the render loop and an optional callback API
- * for landmark updates.
+ * to detect 478 facial landmarks per frame. Implements the PoseSource
+ * polling API (getLatestLandmarks) for the render loop and emits the
+ * PoseSource events ('state', 'faceFound', 'faceLost', 'landmarks',
+ * 'viewer', 'error'); a TrackingStateMachine follows how well the face is
+ * being tracked.
+ *
+ * Detection runs in a dedicated Web Worker (landmarkerWorker.js) when
+ * workers and OffscreenCanvas are available, so inference never stalls
+ * the render thread. Otherwise it falls back to running in-thread inside
+ * requestAnimationFrame.
+ *
+ * The camera can be picked by device id or name and swapped at runtime;
+ * if it is unplugged, another one (or the same one, plugged back in) is
+ * taken over without a reload.
+ *
+ * Several faces can be detected at once (maxFaces); a ViewerSelector
+ * decides which of them is the viewer, and only that face is reported.
  *
  * Key landmarks extracted:
  *   - Nose tip: index 1
@@ -12,38 +26,114 @@
  *   - Right iris centre: index 473
  */
 
-const MEDIAPIPE_WASM_CDN =
-  'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm';
+import { PoseSource } from './PoseSource.js';
+import { ViewerSelector } from './ViewerSelector.js';
+import { TrackingStateMachine } from './TrackingStateMachine.js';
+import { MEDIAPIPE_CDN } from '../config.js';
+
+const DEFAULT_MODULE_URL = `${MEDIAPIPE_CDN}/vision_bundle.mjs`;
+
+const DEFAULT_WASM_PATH = `${MEDIAPIPE_CDN}/wasm`;
 
-const FACE_LANDMARKER_MODEL =
+const DEFAULT_MODEL_ASSET_PATH =
   'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
 
-export class FaceTracker {
+/** Wait between attempts to get a camera back after it went away (ms) */
+const CAMERA_RETRY_MS = 2000;
+
+/** Where the landmarker runs: 'auto' tries the GPU, then the CPU */
+export const DELEGATES = ['auto', 'GPU', 'CPU'];
+
+/** Detections failing in a row on the GPU before 'auto' switches to the CPU */
+const MAX_GPU_ERRORS = 10;
+
+/** A frame the worker has not answered for this long means it hung (ms) */
+const WORKER_TIMEOUT_MS = 3000;
+
+export class FaceTracker extends PoseSource {
   /**
    * @param {Object} [options]
    * @param {number} [options.videoWidth=640]  - Ideal webcam width
    * @param {number} [options.videoHeight=480] - Ideal webcam height
    * @param {string} [options.videoElementId='webcam'] - ID of the <video> element
+   * @param {string|null} [options.camera=null] - Camera to use: device id or part
+   *   of its name (case-insensitive); null = the default front camera
    * @param {number} [options.minDetectionConfidence=0.5]
    * @param {number} [options.minTrackingConfidence=0.5]
-   * @param {Function} [options.onLandmarks] - Callback: (landmarks, timestamp) => void
-   * @param {Function} [options.onError]     - Callback: (error) => void
+   * @param {string} [options.mediapipeModuleUrl] - URL of the tasks-vision JS module
+   * @param {string} [options.mediapipeWasmPath]  - Directory holding the WASM fileset
+   * @param {string} [options.modelAssetPath]     - URL of face_landmarker.task
+   * @param {boolean} [options.useWorker=true] - Run detection in a Web Worker when supported
+   * @param {number} [options.maxFaces=1] - Faces detected per frame
+   * @param {Object} [options.viewer] - ViewerSelector options (policy, switchDelayMs, lostTimeoutMs)
+   * @param {number} [options.staleAfterMs=250] - A face without a new result
+   *   for this long counts as degraded
+   * @param {number} [options.lostTimeoutMs=1500] - Time in 'lost' before 'searching'
+   * @param {number} [options.maxJitter=0.05] - Landmark jitter (fraction of the
+   *   eye distance) above which tracking counts as degraded
+   * @param {'auto'|'GPU'|'CPU'} [options.delegate='auto'] - Where the landmarker
+   *   runs; 'auto' falls back to the CPU when the GPU fails
+   * @param {number} [options.assetRetries=3] - Extra attempts at loading the
+   *   MediaPipe module, its WASM fileset and the model
+   * @param {number} [options.assetRetryDelayMs=1000] - Wait before the first
+   *   retry, doubled for each further one
    */
   constructor(options = {}) {
+    super();
     this._videoWidth = options.videoWidth ?? 640;
     this._videoHeight = options.videoHeight ?? 480;
     this._videoElementId = options.videoElementId ?? 'webcam';
+    this._camera = options.camera ?? null;
     this._minDetectionConfidence = options.minDetectionConfidence ?? 0.5;
     this._minTrackingConfidence = options.minTrackingConfidence ?? 0.5;
-    this._onLandmarks = options.onLandmarks ?? null;
-    this._onError = options.onError ?? null;
+    // Resolve relative asset paths against the page, not this module
+    this._moduleUrl = resolveAssetUrl(options.mediapipeModuleUrl ?? DEFAULT_MODULE_URL);
+    this._wasmPath = resolveAssetUrl(options.mediapipeWasmPath ?? DEFAULT_WASM_PATH);
+    this._modelAssetPath = resolveAssetUrl(options.modelAssetPath ?? DEFAULT_MODEL_ASSET_PATH);
+    this._useWorker = options.useWorker ?? true;
+    this._maxFaces = options.maxFaces ?? 1;
+    this._delegateChoice = options.delegate ?? 'auto';
+    this._retry = {
+      retries: options.assetRetries ?? 3,
+      delayMs: options.assetRetryDelayMs ?? 1000,
+    };
+    this._viewerSelector = new ViewerSelector({
+      ...options.viewer,
+      onChange: (viewerId, previousId) => this._emit('viewer', viewerId, previousId),
+    });
+    this._trackingState = new TrackingStateMachine({
+      staleAfterMs: options.staleAfterMs,
+      lostTimeoutMs: options.lostTimeoutMs,
+      maxJitter: options.maxJitter,
+      onChange: (state, previous) => this._onStateChange(state, previous),
+    });
 
     this._video = null;
     this._faceLandmarker = null;
     this._latestResult = null;
+    this._latestTimestamp = null;
     this._running = false;
     this._animFrameId = null;
     this._lastVideoTime = -1;
+    this._recorder = null;
+    this._telemetry = null;
+    this._lastFrameArrival = null;
+    this._watchingFrames = false;
+    this._reportedSize = null;
+    this._reacquiring = false;
+    this._reacquireTimer = null;
+    this._onDeviceChange = this._onDeviceChange.bind(this);
+    this._emitVideoSize = this._emitVideoSize.bind(this);
+
+    // Delegate in use, and failed detections in a row on it
+    this._delegate = null;
+    this._detectErrors = 0;
+    this._reloadingDetector = false;
+
+    // Worker detection state (null worker = in-thread fallback)
+    this._worker = null;
+    this._workerBusy = false;
+    this._workerSentAt = null;
   }
 
   // ---------------------------------------------------------------------------
@@ -52,12 +142,21 @@ export class FaceTracker {
 
   /**
    * Initialise webcam and MediaPipe model. Must be called once before use.
-   * Rejects if camera permission is denied or the model fails to load.
+   * Rejects if camera permission is denied or the model fails to load
+   * (after retries, and on every delegate allowed).
    */
   async init() {
     await this._initWebcam();
-    await this._initFaceLandmarker();
+
+    // Fail early with a clear message if the model file is missing;
+    // MediaPipe's own error for a bad model path is opaque.
+    await assertAssetReachable(this._modelAssetPath, this._retry);
+
+    await this._initDetector(delegatesFor(this._delegateChoice));
+
     this._running = true;
+    this._trackingState.start();
+    this._watchVideoFrames();
     this._detect();
   }
 
@@ -103,6 +202,15 @@ export class FaceTracker {
     return this._latestResult.facialTransformationMatrixes[0];
   }
 
+  /**
+   * Time the latest detected frame was grabbed from the video (ms,
+   * performance.now() clock).
+   * @returns {number|null}
+   */
+  getLatestTimestamp() {
+    return this._latestTimestamp;
+  }
+
   /**
    * Whether a face is currently detected.
    * @returns {boolean}
@@ -111,6 +219,195 @@ export class FaceTracker {
     return this.getLatestLandmarks() !== null;
   }
 
+  /**
+   * Tracking state, confidence and the measurements behind them.
+   * @returns {import('./TrackingStateMachine.js').TrackingStatus}
+   */
+  getTrackingStatus() {
+    return this._trackingState.getStatus();
+  }
+
+  /**
+   * Where detection runs; the delegate is null before init().
+   * @returns {{ delegate: 'GPU'|'CPU'|null, worker: boolean }}
+   */
+  getDetector() {
+    return { delegate: this._delegate, worker: this._worker !== null };
+  }
+
+  /**
+   * The <video> element showing the webcam feed (available after init).
+   * @returns {HTMLVideoElement|null}
+   */
+  getVideoElement() {
+    return this._video;
+  }
+
+  /**
+   * Id of the face currently treated as the viewer (ids count up as new
+   * faces appear), or null if none is in view.
+   * @returns {number|null}
+   */
+  getViewerId() {
+    return this._viewerSelector.getViewerId();
+  }
+
+  /**
+   * Number of faces in the latest detection, the viewer included.
+   * @returns {number}
+   */
+  getFaceCount() {
+    return this._viewerSelector.getFaceCount();
+  }
+
+  /**
+   * Video inputs, named once camera access has been granted.
+   * @returns {Promise<Array<{deviceId: string, label: string}>>}
+   */
+  async listCameras() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((d) => d.kind === 'videoinput')
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+  }
+
+  /**
+   * The camera in use, or null before init / while it is disconnected.
+   * @returns {{deviceId: string, label: string}|null}
+   */
+  getCamera() {
+    const track = this._video?.srcObject?.getVideoTracks()[0];
+    if (!track || track.readyState === 'ended') return null;
+    return { deviceId: track.getSettings().deviceId ?? '', label: track.label };
+  }
+
+  /**
+   * Switch to another camera. The current one keeps running if the new
+   * one cannot be opened.
+   *
+   * @param {string|null} camera - Device id or part of the name; null = default
+   * @returns {Promise<{deviceId: string, label: string}|null>} The camera in use
+   */
+  async setCamera(camera) {
+    this._camera = camera;
+    if (!this._video) return null;
+    const deviceId = await this._findCamera(camera);
+    if (camera && !deviceId) {
+      throw new FaceTrackerError('camera-unavailable', `No camera matches "${camera}".`);
+    }
+    await this._attachStream(await this._openStream(deviceId));
+    return this.getCamera();
+  }
+
+  /**
+   * Resolution the webcam actually delivers (it may not match the request).
+   * @returns {{width: number, height: number}|null} null before init
+   */
+  getVideoSize() {
+    if (!this._video?.videoWidth) return null;
+    return { width: this._video.videoWidth, height: this._video.videoHeight };
+  }
+
+  /**
+   * Attach a SessionRecorder that receives every detection result, with
+   * the viewer's face first.
+   * Pass null to detach.
+   *
+   * @param {import('./SessionRecorder.js').SessionRecorder|null} recorder
+   */
+  setRecorder(recorder) {
+    this._recorder = recorder;
+  }
+
+  /**
+   * Attach a PerfTelemetry that receives frame arrival and detection
+   * timings. Pass null to detach.
+   *
+   * @param {import('../debug/PerfTelemetry.js').PerfTelemetry|null} telemetry
+   */
+  setTelemetry(telemetry) {
+    this._telemetry = telemetry;
+  }
+
+  /**
+   * Change the detection / tracking confidence thresholds at runtime.
+   * Omitted values are unchanged.
+   *
+   * @param {{ minDetectionConfidence?: number, minTrackingConfidence?: number }} confidence
+   */
+  setConfidence({ minDetectionConfidence, minTrackingConfidence }) {
+    this._minDetectionConfidence = minDetectionConfidence ?? this._minDetectionConfidence;
+    this._minTrackingConfidence = minTrackingConfidence ?? this._minTrackingConfidence;
+
+    const { minFaceDetectionConfidence, minFacePresenceConfidence } = this._landmarkerOptions();
+    const options = {
+      minFaceDetectionConfidence,
+      minFacePresenceConfidence,
+      minTrackingConfidence: this._minTrackingConfidence,
+    };
+    if (this._worker) {
+      this._worker.postMessage({ type: 'options', options });
+    } else {
+      this._faceLandmarker?.setOptions(options).catch((err) => this._emit('error', err));
+    }
+  }
+
+  /**
+   * Change the thresholds of the tracking state machine at runtime.
+   * Omitted values are unchanged.
+   *
+   * @param {{ staleAfterMs?: number, lostTimeoutMs?: number, maxJitter?: number }} options
+   */
+  setTrackingOptions({ staleAfterMs, lostTimeoutMs, maxJitter }) {
+    this._trackingState.setOptions({ staleAfterMs, lostTimeoutMs, maxJitter });
+  }
+
+  /**
+   * Change how many faces are detected per frame.
+   * @param {number} maxFaces
+   */
+  setMaxFaces(maxFaces) {
+    this._maxFaces = maxFaces;
+    const options = { numFaces: maxFaces };
+    if (this._worker) {
+      this._worker.postMessage({ type: 'options', options });
+    } else {
+      this._faceLandmarker?.setOptions(options).catch((err) => this._emit('error', err));
+    }
+  }
+
+  /**
+   * Change the viewer selection policy or its timings at runtime.
+   * @param {Object} options - ViewerSelector options; omitted ones are unchanged
+   */
+  setViewerOptions(options) {
+    this._viewerSelector.setOptions(options);
+  }
+
+  /**
+   * Ask the webcam for a different resolution. The camera may pick the
+   * nearest size it supports.
+   *
+   * @param {number} width  - Ideal width (px)
+   * @param {number} height - Ideal height (px)
+   * @returns {Promise<{width: number, height: number}>} The resolution in use
+   */
+  async setVideoSize(width, height) {
+    this._videoWidth = width;
+    this._videoHeight = height;
+
+    const track = this._video?.srcObject?.getVideoTracks()[0];
+    if (!track) return { width, height };
+    try {
+      await track.applyConstraints({ width: { ideal: width }, height: { ideal: height } });
+    } catch (err) {
+      throw new FaceTrackerError('camera-error', err.message);
+    }
+    const settings = track.getSettings();
+    return { width: settings.width ?? width, height: settings.height ?? height };
+  }
+
   /**
    * Stop tracking and release webcam resources.
    */
@@ -120,15 +417,22 @@ export class FaceTracker {
       cancelAnimationFrame(this._animFrameId);
       this._animFrameId = null;
     }
+    navigator.mediaDevices?.removeEventListener?.('devicechange', this._onDeviceChange);
+    this._video?.removeEventListener('resize', this._emitVideoSize);
+    clearTimeout(this._reacquireTimer);
     if (this._video?.srcObject) {
-      this._video.srcObject.getTracks().forEach((t) => t.stop());
+      stopStream(this._video.srcObject);
       this._video.srcObject = null;
     }
     if (this._faceLandmarker) {
       this._faceLandmarker.close();
       this._faceLandmarker = null;
     }
+    this._terminateWorker();
     this._latestResult = null;
+    this._latestTimestamp = null;
+    this._viewerSelector.reset();
+    this._trackingState.reset();
   }
 
   // ---------------------------------------------------------------------------
@@ -144,34 +448,51 @@ export class FaceTracker {
       );
     }
 
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: this._videoWidth },
-          height: { ideal: this._videoHeight },
-          facingMode: 'user',
-        },
-        audio: false,
-      });
-
-      this._video = document.getElementById(this._videoElementId);
-      if (!this._video) {
-        // Create a hidden video element if none exists in the DOM
-        this._video = document.createElement('video');
-        this._video.id = this._videoElementId;
-        this._video.style.display = 'none';
-        document.body.appendChild(this._video);
+    let deviceId = await this._findCamera(this._camera);
+    let stream = await this._openStream(deviceId);
+    if (this._camera && deviceId === null) {
+      // Camera names are hidden until access is granted; look again now
+      deviceId = await this._findCamera(this._camera);
+      if (deviceId && deviceId !== streamDeviceId(stream)) {
+        stopStream(stream);
+        stream = await this._openStream(deviceId);
       }
+    }
 
-      this._video.srcObject = stream;
-      this._video.setAttribute('playsinline', '');
-      this._video.setAttribute('autoplay', '');
+    this._video = document.getElementById(this._videoElementId);
+    if (!this._video) {
+      // Create a hidden video element if none exists in the DOM
+      this._video = document.createElement('video');
+      this._video.id = this._videoElementId;
+      this._video.style.display = 'none';
+      document.body.appendChild(this._video);
+    }
+    this._video.setAttribute('playsinline', '');
+    this._video.setAttribute('autoplay', '');
+    this._video.addEventListener('resize', this._emitVideoSize);
 
-      await new Promise((resolve, reject) => {
-        this._video.onloadeddata = resolve;
-        this._video.onerror = reject;
-        this._video.play().catch(reject);
-      });
+    await this._attachStream(stream);
+    navigator.mediaDevices.addEventListener?.('devicechange', this._onDeviceChange);
+  }
+
+  /**
+   * Open a camera stream at the configured resolution.
+   * @param {string|null} deviceId - Camera to open, null = the default front camera
+   * @returns {Promise<MediaStream>}
+   */
+  async _openStream(deviceId) {
+    const video = {
+      width: { ideal: this._videoWidth },
+      height: { ideal: this._videoHeight },
+    };
+    if (deviceId) {
+      video.deviceId = { exact: deviceId };
+    } else {
+      video.facingMode = 'user';
+    }
+
+    try {
+      return await navigator.mediaDevices.getUserMedia({ video, audio: false });
     } catch (err) {
       if (
         err.name === 'NotAllowedError' ||
@@ -184,7 +505,8 @@ export class FaceTracker {
       }
       if (
         err.name === 'NotFoundError' ||
-        err.name === 'DevicesNotFoundError'
+        err.name === 'DevicesNotFoundError' ||
+        err.name === 'OverconstrainedError'
       ) {
         throw new FaceTrackerError(
           'camera-unavailable',
@@ -195,33 +517,307 @@ export class FaceTracker {
     }
   }
 
+  /** Show a stream in the video element, replacing (and stopping) the previous one. */
+  async _attachStream(stream) {
+    const previous = this._video.srcObject;
+    this._video.srcObject = stream;
+    if (previous && previous !== stream) stopStream(previous);
+
+    stream.getVideoTracks()[0]?.addEventListener('ended', () => {
+      // Only the stream in use matters; replaced ones are stopped on purpose
+      if (this._video?.srcObject !== stream) return;
+      this._emit('error', new FaceTrackerError('camera-lost', 'The camera was disconnected.'));
+      this._reacquireCamera();
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        this._video.onloadeddata = resolve;
+        this._video.onerror = reject;
+        this._video.play().catch(reject);
+      });
+    } catch (err) {
+      throw new FaceTrackerError('camera-error', err?.message ?? String(err));
+    }
+    this._emitVideoSize();
+    this._emit('camera', this.getCamera());
+  }
+
+  /**
+   * Device id of the camera matching `camera` (its device id, or part of
+   * its name, case-insensitive), or null if none matches.
+   */
+  async _findCamera(camera) {
+    if (!camera) return null;
+    const cameras = await this.listCameras();
+    const wanted = camera.toLowerCase();
+    const match = cameras.find((c) => c.deviceId === camera) ??
+      cameras.find((c) => c.label && c.label.toLowerCase().includes(wanted));
+    return match?.deviceId || null;
+  }
+
+  /** A camera was plugged in or removed. */
+  async _onDeviceChange() {
+    if (!this._running) return;
+    const track = this._video?.srcObject?.getVideoTracks()[0];
+    if (!track || track.readyState === 'ended') {
+      this._reacquireCamera();
+      return;
+    }
+    // The preferred camera (re)appeared while another one is in use
+    const preferred = await this._findCamera(this._camera);
+    if (preferred && preferred !== track.getSettings().deviceId) {
+      this.setCamera(this._camera).catch((err) => this._emit('error', err));
+    }
+  }
+
+  /**
+   * Get a camera back after the one in use went away: the preferred one if
+   * present, else the default. Retried until a camera is found (plugging
+   * one in retries at once).
+   */
+  async _reacquireCamera() {
+    if (this._reacquiring || !this._running) return;
+    this._reacquiring = true;
+    clearTimeout(this._reacquireTimer);
+    try {
+      const deviceId = await this._findCamera(this._camera);
+      await this._attachStream(await this._openStream(deviceId));
+    } catch (err) {
+      this._emit('error', err);
+      if (this._running) {
+        this._reacquireTimer = setTimeout(() => this._reacquireCamera(), CAMERA_RETRY_MS);
+      }
+    } finally {
+      this._reacquiring = false;
+    }
+  }
+
+  /** Report the video resolution when it changes (new camera or constraints). */
+  _emitVideoSize() {
+    const { videoWidth: width, videoHeight: height } = this._video;
+    if (!width || !height) return;
+    if (width === this._reportedSize?.width && height === this._reportedSize?.height) return;
+    this._reportedSize = { width, height };
+    this._emit('videoSize', width, height);
+  }
+
   // ---------------------------------------------------------------------------
   // Private — MediaPipe
   // ---------------------------------------------------------------------------
 
-  async _initFaceLandmarker() {
-    // Dynamic import so the module is CDN-friendly (no bundler required)
-    const { FaceLandmarker, FilesetResolver } = await import(
-      'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest'
-    );
+  /**
+   * Load the landmarker in a worker when supported, else in-thread, on the
+   * first of `delegates` that works. When every delegate fails, the whole
+   * round is retried with backoff: a network failure fails them all.
+   *
+   * @param {string[]} delegates - 'GPU' / 'CPU', in the order to try them
+   */
+  async _initDetector(delegates) {
+    if (this._useWorker && isWorkerDetectionSupported()) {
+      try {
+        // A fresh worker per attempt, so no failed import is remembered
+        await withRetry(
+          () => this._withDelegates(delegates, (delegate) => this._initWorker(delegate)),
+          { ...this._retry, what: 'Loading the face landmarker in the worker' }
+        );
+        return;
+      } catch (err) {
+        console.warn('FaceTracker: worker detection unavailable, running in-thread.', err);
+      }
+    }
+    await this._initFaceLandmarker(delegates);
+  }
 
-    const vision = await FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_CDN);
+  /**
+   * Run `create` with each delegate in turn until it resolves, and make
+   * that one the delegate in use; rejects with the error of the last one.
+   *
+   * @param {string[]} delegates
+   * @param {(delegate: string) => Promise<void>} create
+   */
+  async _withDelegates(delegates, create) {
+    for (const [i, delegate] of delegates.entries()) {
+      try {
+        await create(delegate);
+        this._delegate = delegate;
+        return;
+      } catch (err) {
+        if (i === delegates.length - 1) throw err;
+        console.warn(`FaceTracker: ${delegate} delegate failed, trying ${delegates[i + 1]}.`, err);
+      }
+    }
+  }
 
-    this._faceLandmarker = await FaceLandmarker.createFromOptions(vision, {
+  async _initFaceLandmarker(delegates) {
+    // Dynamic import so the module works from a CDN or a local copy
+    // (no bundler required). A failed import is remembered by URL, so
+    // retries ask for a fresh one.
+    let FaceLandmarker, FilesetResolver;
+    try {
+      ({ FaceLandmarker, FilesetResolver } = await withRetry(
+        (attempt) => import(attempt === 0 ? this._moduleUrl : retryUrl(this._moduleUrl, attempt)),
+        { ...this._retry, what: 'Loading the MediaPipe module' }
+      ));
+    } catch (err) {
+      throw new FaceTrackerError(
+        'model-error',
+        `Failed to load MediaPipe module from ${this._moduleUrl}: ${err.message}`
+      );
+    }
+
+    try {
+      await withRetry(async () => {
+        const vision = await FilesetResolver.forVisionTasks(this._wasmPath);
+        await this._withDelegates(delegates, async (delegate) => {
+          this._faceLandmarker = await FaceLandmarker.createFromOptions(
+            vision,
+            this._landmarkerOptions(delegate)
+          );
+        });
+      }, { ...this._retry, what: 'Loading the MediaPipe WASM fileset and model' });
+    } catch (err) {
+      throw new FaceTrackerError(
+        'model-error',
+        `Failed to initialise MediaPipe from ${this._wasmPath}: ${err?.message ?? err}`
+      );
+    }
+  }
+
+  /**
+   * FaceLandmarker options shared by the in-thread and worker paths.
+   * @param {string|null} [delegate] - Defaults to the delegate in use
+   */
+  _landmarkerOptions(delegate = this._delegate) {
+    return {
       baseOptions: {
-        modelAssetPath: FACE_LANDMARKER_MODEL,
-        delegate: 'GPU',
+        modelAssetPath: this._modelAssetPath,
+        delegate,
       },
       runningMode: 'VIDEO',
-      numFaces: 1,
+      numFaces: this._maxFaces,
       minFaceDetectionConfidence: this._minDetectionConfidence,
       minFacePresenceConfidence: this._minDetectionConfidence,
       minTrackingConfidence: this._minTrackingConfidence,
       outputFaceBlendshapes: false,
       outputFacialTransformationMatrixes: true,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — Worker
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start the detection worker and wait until its model is loaded.
+   * Rejects (and stops the worker) if the worker cannot load MediaPipe.
+   *
+   * @param {string} delegate - 'GPU' / 'CPU'
+   */
+  _initWorker(delegate) {
+    // Classic worker, so tasks-vision can importScripts() its WASM glue
+    this._worker = new Worker(new URL('./landmarkerWorker.js', import.meta.url));
+
+    const ready = new Promise((resolve, reject) => {
+      this._worker.onmessage = (e) => {
+        if (e.data.type === 'ready') {
+          this._worker.onmessage = (msg) => this._onWorkerMessage(msg.data);
+          this._worker.onerror = (err) => {
+            this._onWorkerFailure(new Error(err.message || 'Detection worker crashed'));
+          };
+          resolve();
+        } else if (e.data.type === 'init-error') {
+          reject(new Error(e.data.message));
+        }
+      };
+      this._worker.onerror = (e) => reject(new Error(e.message || 'Worker failed to start'));
+
+      this._worker.postMessage({
+        type: 'init',
+        moduleUrl: this._moduleUrl,
+        wasmPath: this._wasmPath,
+        modelAssetPath: this._modelAssetPath,
+        options: this._landmarkerOptions(delegate),
+      });
+    });
+    return ready.catch((err) => {
+      this._terminateWorker();
+      throw err;
     });
   }
 
+  _onWorkerMessage(msg) {
+    this._workerBusy = false;
+    if (msg.type === 'result') {
+      this._telemetry?.record('detect', msg.detectMs);
+      this._handleResult(msg.result, msg.timestamp, this._lastVideoTime);
+    } else if (msg.type === 'error') {
+      this._onDetectError(new Error(msg.message));
+    }
+  }
+
+  _terminateWorker() {
+    if (!this._worker) return;
+    this._worker.postMessage({ type: 'close' });
+    this._worker.terminate();
+    this._worker = null;
+    this._workerBusy = false;
+  }
+
+  /**
+   * The worker crashed (out of memory, WASM abort, GPU lost) or stopped
+   * answering: carry on detecting in-thread.
+   */
+  _onWorkerFailure(err) {
+    this._emit('error', err);
+    if (this._reloadingDetector) return;
+    console.warn('FaceTracker: detection worker failed, running in-thread.', err);
+    const delegates = this._delegate === 'CPU' ? ['CPU'] : delegatesFor(this._delegateChoice);
+    this._reloadDetector(() => this._initFaceLandmarker(delegates));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — Delegate fallback
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Report a failed detection. With the 'auto' delegate, a GPU that keeps
+   * failing (its context lost, a driver crash) is swapped for the CPU.
+   */
+  _onDetectError(err) {
+    this._emit('error', err);
+    this._detectErrors++;
+    if (this._delegateChoice === 'auto' && this._delegate === 'GPU' &&
+      this._detectErrors >= MAX_GPU_ERRORS && !this._reloadingDetector) {
+      console.warn(`FaceTracker: ${this._detectErrors} detections failed on the GPU, switching to the CPU.`);
+      this._reloadDetector(() => this._initDetector(['CPU']));
+    }
+  }
+
+  /**
+   * Replace the landmarker (worker or in-thread) with what `load` sets up;
+   * detection pauses meanwhile.
+   *
+   * @param {() => Promise<void>} load
+   */
+  async _reloadDetector(load) {
+    this._reloadingDetector = true;
+    this._terminateWorker();
+    this._faceLandmarker?.close();
+    this._faceLandmarker = null;
+    this._delegate = null;
+    try {
+      await load();
+      this._detectErrors = 0;
+    } catch (err) {
+      // Nothing left to detect with
+      this._running = false;
+      this._emit('error', err);
+    } finally {
+      this._reloadingDetector = false;
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Private — Detection Loop
   // ---------------------------------------------------------------------------
@@ -233,33 +829,241 @@ export class FaceTracker {
 
     // Only run detection when a new video frame is available
     const now = performance.now();
+    this._trackingState.check(now);
+    if (this._video.readyState < 2) return; // Between cameras
+    if (this._reloadingDetector) return;
     if (this._video.currentTime === this._lastVideoTime) return;
+    if (!this._watchingFrames) this._frameArrived(now);
+
+    if (this._worker) {
+      // One frame in flight at a time; newer frames are picked up
+      // once the worker reports back
+      if (this._workerBusy) {
+        if (now - this._workerSentAt > WORKER_TIMEOUT_MS) {
+          this._onWorkerFailure(new Error(`Detection worker did not answer within ${WORKER_TIMEOUT_MS} ms`));
+        }
+        return;
+      }
+      this._lastVideoTime = this._video.currentTime;
+      this._postFrameToWorker(now);
+      return;
+    }
+
     this._lastVideoTime = this._video.currentTime;
+    try {
+      const result = this._faceLandmarker.detectForVideo(this._video, now);
+      this._telemetry?.record('detect', performance.now() - now, now);
+      this._handleResult(result, now, this._lastVideoTime);
+    } catch (err) {
+      this._onDetectError(err);
+    }
+  }
 
+  /**
+   * Grab the current video frame and transfer it to the worker.
+   * VideoFrame is preferred (zero-copy); ImageBitmap is the fallback.
+   */
+  async _postFrameToWorker(timestamp) {
+    this._workerBusy = true;
+    this._workerSentAt = timestamp;
     try {
-      this._latestResult = this._faceLandmarker.detectForVideo(
-        this._video,
-        now
-      );
+      const frame = typeof VideoFrame !== 'undefined'
+        ? new VideoFrame(this._video, { timestamp: Math.round(timestamp * 1000) })
+        : await createImageBitmap(this._video);
 
-      if (this._onLandmarks && this._latestResult?.faceLandmarks?.[0]) {
-        this._onLandmarks(this._latestResult.faceLandmarks[0], now);
+      if (!this._worker) {
+        frame.close();
+        return;
       }
+      this._worker.postMessage({ type: 'detect', frame, timestamp }, [frame]);
     } catch (err) {
-      if (this._onError) {
-        this._onError(err);
-      }
+      this._workerBusy = false;
+      this._emit('error', err);
+    }
+  }
+
+  /**
+   * Report webcam frame arrivals to the telemetry as they are presented.
+   * Without requestVideoFrameCallback the detection loop's new-frame check
+   * stands in, at render-frame resolution.
+   */
+  _watchVideoFrames() {
+    if (typeof this._video.requestVideoFrameCallback !== 'function') return;
+    this._watchingFrames = true;
+    const onFrame = (now) => {
+      if (!this._running) return;
+      this._frameArrived(now);
+      this._video.requestVideoFrameCallback(onFrame);
+    };
+    this._video.requestVideoFrameCallback(onFrame);
+  }
+
+  _frameArrived(t) {
+    if (!this._telemetry) return;
+    if (this._lastFrameArrival !== null) {
+      this._telemetry.record('video-frame', t - this._lastFrameArrival, t);
     }
+    this._telemetry.tick('video', t);
+    this._lastFrameArrival = t;
+  }
+
+  /** Store a detection result and notify listeners. */
+  _handleResult(result, timestamp, videoTime) {
+    this._detectErrors = 0;
+
+    // Recordings keep every face, in the detector's order, and which of
+    // them is the viewer
+    const viewer = this._viewerSelector.select(result?.faceLandmarks ?? [], timestamp);
+    this._recorder?.recordDetection(result, timestamp, videoTime, viewer);
+
+    result = this._viewerFirst(result, viewer);
+    this._latestResult = result;
+    this._latestTimestamp = timestamp;
+
+    if (this._telemetry) {
+      const now = performance.now();
+      this._telemetry.record('detect-age', now - timestamp, now);
+      this._telemetry.tick('tracking', now);
+    }
+
+    const landmarks = result?.faceLandmarks?.[0] ?? null;
+    this._trackingState.update(landmarks, timestamp);
+    if (landmarks) this._emit('landmarks', landmarks, timestamp);
+  }
+
+  /** Forward state changes as events. */
+  _onStateChange(state, previous) {
+    this._emit('state', state, previous);
+    if (state === 'lost') {
+      this._emit('faceLost');
+    } else if ((state === 'tracking' || state === 'degraded') &&
+      (previous === 'searching' || previous === 'lost')) {
+      this._emit('faceFound');
+    }
+  }
+
+  /**
+   * Reorder a detection result so the viewer's face comes first. While
+   * the viewer is out of view (a locked viewer waiting to come back) the
+   * result has no faces, so nobody else takes over the view.
+   *
+   * @param {Object|null} result - FaceLandmarkerResult
+   * @param {number} index - The viewer's face in `result`, -1 if none
+   */
+  _viewerFirst(result, index) {
+    const faces = result?.faceLandmarks ?? [];
+    if (index === 0) return result;
+    if (index < 0) return { faceLandmarks: [], facialTransformationMatrixes: [] };
+
+    // Matrices stay aligned with their faces (null where one is missing)
+    const matrices = result.facialTransformationMatrixes ?? [];
+    const order = [index, ...[...faces.keys()].filter((i) => i !== index)];
+    return {
+      faceLandmarks: order.map((i) => faces[i]),
+      facialTransformationMatrixes: order.map((i) => matrices[i] ?? null),
+    };
   }
 }
 
+/** Device id of a stream's video track */
+function streamDeviceId(stream) {
+  return stream.getVideoTracks()[0]?.getSettings().deviceId ?? null;
+}
+
+function stopStream(stream) {
+  stream.getTracks().forEach((t) => t.stop());
+}
+
+/**
+ * Whether this browser can run detection in a worker: workers plus
+ * OffscreenCanvas (for the GPU delegate) and a way to transfer frames.
+ */
+function isWorkerDetectionSupported() {
+  return (
+    typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    (typeof VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined')
+  );
+}
+
+/** Delegates to try for a delegate option, in order */
+function delegatesFor(choice) {
+  return choice === 'auto' ? ['GPU', 'CPU'] : [choice];
+}
+
+// -----------------------------------------------------------------------------
+// Asset helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Resolve an asset path relative to the page (index.html) rather than
+ * this module, so local paths in CONFIG behave as users expect.
+ */
+function resolveAssetUrl(path) {
+  return new URL(path, document.baseURI).href;
+}
+
+/**
+ * Throw a 'model-error' FaceTrackerError if the asset cannot be fetched.
+ * Network and server errors are retried; a missing file is not.
+ */
+async function assertAssetReachable(url, retry) {
+  let response;
+  try {
+    response = await withRetry(async () => {
+      const res = await fetch(url, { method: 'HEAD' });
+      if (res.status >= 500) throw new Error(`HTTP ${res.status}`);
+      return res;
+    }, { ...retry, what: 'Checking the face landmarker model' });
+  } catch (err) {
+    throw new FaceTrackerError(
+      'model-error',
+      `Face landmarker model is unreachable at ${url}: ${err.message}`
+    );
+  }
+  if (!response.ok) {
+    throw new FaceTrackerError(
+      'model-error',
+      `Face landmarker model is missing at ${url} (HTTP ${response.status}).`
+    );
+  }
+}
+
+/**
+ * Run `task` until it resolves, at most `retries` more times, waiting
+ * delayMs before the first retry and twice as long before each further
+ * one. Rejects with the last error.
+ *
+ * @param {(attempt: number) => Promise<*>} task - Called with 0, 1, …
+ * @param {{ retries: number, delayMs: number, what: string }} options
+ */
+async function withRetry(task, { retries, delayMs, what }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (err) {
+      if (attempt >= retries) throw err;
+      const wait = delayMs * 2 ** attempt;
+      console.warn(`FaceTracker: ${what} failed, retrying in ${wait} ms.`, err);
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+}
+
+/** `url` made distinct for retry number `attempt` */
+function retryUrl(url, attempt) {
+  const retried = new URL(url);
+  retried.searchParams.set('retry', attempt);
+  return retried.href;
+}
+
 // -----------------------------------------------------------------------------
 // Error type
 // -----------------------------------------------------------------------------
 
 export class FaceTrackerError extends Error {
   /**
-   * @param {'permission-denied'|'camera-unavailable'|'camera-error'|'model-error'} code
+   * @param {'permission-denied'|'camera-unavailable'|'camera-error'|'camera-lost'|'model-error'} code
    * @param {string} message
    */
   constructor(code, message) {
@@ -1,31 +1,94 @@
 /**
  * HeadPoseEstimator.js — Converts face landmarks to smoothed 3D head position.
  *
- * Takes MediaPipe Face Landmarker output (478 normalised landmarks) and
- * produces a world-space head position in millimetres (screen-centred),
+ * Takes MediaPipe Face Landmarker output (478 normalised landmarks plus
+ * the facial transformation matrix) and produces a world-space eye
+ * position in millimetres (screen-centred) and the head orientation,
  * suitable for driving the off-axis projection camera.
  *
  * Pipeline:
  *   1. Extract nose tip (landmark 1) for lateral (X, Y) position
  *   2. Extract iris landmarks (468, 473) for depth (Z) via pinhole model
- *   3. Convert normalised coordinates → mm (screen-centred)
- *   4. Apply sensitivity multipliers
- *   5. Smooth with Vector3OneEuroFilter (from Smoothing.js)
+ *   3. Back-project the nose tip through the pinhole camera model
+ *      (focal length, principal point, depth) into camera space, then
+ *      into screen-centred mm using the webcam's pose relative to the screen
+ *   4. Extract head rotation from the transformation matrix and move
+ *      from the nose tip to the point between the eyes
+ *   5. Apply sensitivity multipliers around the neutral (resting) position
+ *   6. Smooth with the configured SmoothingPipeline (outlier gate, One-Euro,
+ *      predictive Kalman, dead zone, …; see SmoothingPipeline.js)
+ *   7. Place each eye half the interpupillary distance from the midpoint,
+ *      along the head's X axis or, without a rotation, the line through
+ *      the iris centres (468, 473)
  *
  * The iris-based depth estimation uses the biological constant that the
  * human iris diameter is ~11.7 mm. Combined with a calibrated focal length
  * this gives distance via the pinhole camera equation:
  *   Z = (focalLengthPx × 11.7) / irisWidthPx
+ *
+ * Back-projection of an image point (u, v) at depth Z, camera looking at
+ * the viewer with the image not mirrored:
+ *   Xc = −(u − cx) · Z / f     (image right is the viewer's left)
+ *   Yc = −(v − cy) · Z / f     (image Y points down)
+ *   Zc = Z
+ *   P_screen = cameraPosition + R_camera · (Xc, Yc, Zc)
  */
 
 import { Vector3OneEuroFilter } from '../projection/Smoothing.js';
+import { SmoothingPipeline } from '../projection/SmoothingPipeline.js';
+import {
+  rotationFromTransformMatrix,
+  rotationToEuler,
+  eulerToRotation,
+  rotationToQuaternion,
+  rotateVector,
+  eyePositions,
+} from './PoseMath.js';
 
 /** Average human iris diameter in mm */
-const IRIS_DIAMETER_MM = 11.7;
+const DEFAULT_IRIS_DIAMETER_MM = 11.7;
 
 /** Minimum iris width in pixels to trust the depth estimate */
 const MIN_IRIS_PX = 5;
 
+/**
+ * Offset from the nose tip to the midpoint between the eyes (mm) with the
+ * head facing the screen: eyes sit above and behind the nose tip.
+ */
+const DEFAULT_NOSE_TO_EYES_MM = { x: 0, y: 30, z: 25 };
+
+/** Fallback focal length as a fraction of the image width (~60° HFOV) */
+const DEFAULT_FOV_FACTOR = 0.8;
+
+/** Adult average interpupillary distance (mm) */
+const DEFAULT_IPD_MM = 63;
+
+/** Screen +X, the eye axis of a head facing the screen */
+const X_AXIS = { x: 1, y: 0, z: 0 };
+
+/**
+ * @typedef {Object} WebcamPose
+ * @property {number} [offsetXMm=0]       - Lens offset from the screen centre, +X right (mm)
+ * @property {number} [aboveTopEdgeMm=10] - Lens height above the screen's top edge (mm)
+ * @property {number} [offsetZMm=0]       - Lens distance in front of the screen plane (mm)
+ * @property {number} [tiltDeg=0]         - Downward tilt of the optical axis (degrees)
+ * @property {number} [panDeg=0]          - Pan of the optical axis toward the viewer's right (degrees)
+ * @property {number} [rollDeg=0]         - Roll about the optical axis (degrees)
+ */
+
+/**
+ * @typedef {Object} HeadPose
+ * @property {number} x - Eye position, mm (+X right)
+ * @property {number} y - Eye position, mm (+Y up)
+ * @property {number} z - Eye position, mm (+Z toward viewer)
+ * @property {import('./PoseMath.js').EulerAngles|null} rotation - Head orientation
+ *   relative to facing the screen, or null if unavailable
+ * @property {import('./PoseMath.js').Quaternion|null} quaternion - Same orientation
+ *   as a unit quaternion, or null if unavailable
+ * @property {{x: number, y: number, z: number}} leftEye  - Viewer's left eye (mm)
+ * @property {{x: number, y: number, z: number}} rightEye - Viewer's right eye (mm)
+ */
+
 export class HeadPoseEstimator {
   /**
    * @param {Object} config
@@ -38,12 +101,24 @@ export class HeadPoseEstimator {
    * @param {number} [config.sensitivityY=1]  - Vertical tracking multiplier
    * @param {number} [config.sensitivityZ=1]  - Depth tracking multiplier
    * @param {boolean} [config.useIrisDepth=false] - Enable iris-based depth
-   * @param {number|null} [config.focalLengthPx=null] - Camera focal length (px)
-   * @param {Object} [config.smoothing]       - One-Euro filter options
-   * @param {number} [config.smoothing.minCutoff=1.0]
-   * @param {number} [config.smoothing.beta=0.5]
-   * @param {number} [config.smoothing.dCutoff=1.0]
-   * @param {number} [config.smoothing.deadZone=2.0]
+   * @param {number} [config.irisDiameterMm=11.7] - Assumed iris diameter for depth
+   * @param {number|null} [config.focalLengthPx=null] - Camera focal length (px);
+   *   null derives it from the video width and fovFactor
+   * @param {number} [config.fovFactor=0.8] - focalLengthPx ≈ videoWidth × fovFactor
+   * @param {{x: number, y: number}|null} [config.principalPoint=null] - Optical centre
+   *   in video pixels; null = image centre
+   * @param {WebcamPose} [config.webcamPose] - Webcam placement relative to the screen
+   * @param {boolean} [config.useRotation=true] - Use the transformation matrix
+   *   for head orientation and nose-to-eye correction
+   * @param {{x: number, y: number, z: number}} [config.noseToEyesMm] - Offset from
+   *   the nose tip to the midpoint between the eyes, head facing the screen
+   * @param {{x: number, y: number, z: number}} [config.neutralPosition] - Resting eye
+   *   position that sensitivity scales around; defaults to (0, 0, defaultViewingDistance)
+   * @param {number} [config.ipdMm=63] - Interpupillary distance for the per-eye positions
+   * @param {Object} [config.smoothing]
+   * @param {import('../projection/SmoothingPipeline.js').StageSpec[]} [config.smoothing.stages] -
+   *   Position filter stages in order; defaults to One-Euro + dead zone
+   * @param {Object} [config.smoothing.rotation] - One-Euro options for the head rotation
    */
   constructor(config) {
     this._screenW = config.screenWidthMm;
@@ -55,10 +130,25 @@ export class HeadPoseEstimator {
     this._sensY = config.sensitivityY ?? 1.0;
     this._sensZ = config.sensitivityZ ?? 1.0;
     this._useIrisDepth = config.useIrisDepth ?? false;
-    this._focalLengthPx = config.focalLengthPx ?? null;
+    this._irisDiameterMm = config.irisDiameterMm ?? DEFAULT_IRIS_DIAMETER_MM;
+    this._focalLengthPx = config.focalLengthPx ?? this._videoW * (config.fovFactor ?? DEFAULT_FOV_FACTOR);
+    this._principalPoint = config.principalPoint ?? null;
+    this.setWebcamPose(config.webcamPose ?? {});
+    this._useRotation = config.useRotation ?? true;
+    this._noseToEyes = config.noseToEyesMm ?? DEFAULT_NOSE_TO_EYES_MM;
+    this._neutral = config.neutralPosition ?? { x: 0, y: 0, z: this._defaultZ };
+    this._ipdMm = config.ipdMm ?? DEFAULT_IPD_MM;
 
-    this._filter = new Vector3OneEuroFilter(config.smoothing ?? {});
+    const smoothing = config.smoothing ?? {};
+    this._filter = new SmoothingPipeline(smoothing.stages);
+    // Angles get a plain One-Euro filter; the mm-based stages do not
+    // apply to radians.
+    this._rotationFilter = new Vector3OneEuroFilter({
+      ...(smoothing.rotation ?? {}),
+      deadZone: 0,
+    });
     this._wasTracking = false;
+    this._rawPosition = null;
   }
 
   /**
@@ -68,68 +158,256 @@ export class HeadPoseEstimator {
    *   +X = right, +Y = up, +Z = toward viewer (out of screen)
    *
    * @param {Array<{x: number, y: number, z: number}>} landmarks - 478 normalised landmarks
-   * @returns {{ x: number, y: number, z: number }} Head position in mm
+   * @param {{ data: ArrayLike<number> }|null} [transformMatrix=null] - MediaPipe facial
+   *   transformation matrix for the same frame
+   * @param {number|null} [timestampMs=null] - Capture time of the landmarks
+   *   (performance.now() clock); null = now
+   * @param {number|null} [displayTimeMs=null] - Time the pose is for, which
+   *   predictive smoothing stages extrapolate to; null = now. The render
+   *   loop passes the capture time and extrapolates later (PoseInterpolator).
+   * @returns {HeadPose|null} Eye position in mm and head orientation
    */
-  estimate(landmarks) {
+  estimate(landmarks, transformMatrix = null, timestampMs = null, displayTimeMs = null) {
     if (!landmarks || landmarks.length === 0) {
       // Face lost — reset filter so we don't smooth across a gap
       if (this._wasTracking) {
-        this._filter.reset();
-        this._wasTracking = false;
+        this.reset();
       }
+      this._rawPosition = null;
       return null;
     }
     this._wasTracking = true;
 
-    const nose = landmarks[1]; // Nose tip
+    // Filters run on capture time, so a frame polled twice counts once
+    const now = performance.now();
+    const t = (timestampMs ?? now) / 1000;
 
-    // --- Lateral position (X, Y) ---
-    // Normalised → mm, centred on screen.
-    // getUserMedia returns a non-mirrored image: the camera's left is the
-    // viewer's right.  Negate X so that moving right → positive x.
-    let x = (0.5 - nose.x) * this._screenW;
-    let y = (0.5 - nose.y) * this._screenH; // Y flipped (cam Y is down)
-
-    // --- Depth (Z) ---
-    let z = this._defaultZ;
-    if (this._useIrisDepth && this._focalLengthPx !== null) {
-      z = this._estimateDepthFromIris(landmarks);
+    // --- Rotation ---
+    let rotation = null;
+    let rotationMatrix = null;
+    const rawRotation = this._useRotation && transformMatrix
+      ? rotationFromTransformMatrix(transformMatrix)
+      : null;
+    if (rawRotation) {
+      const e = rotationToEuler(rawRotation);
+      const f = this._rotationFilter.filter({ x: e.yaw, y: e.pitch, z: e.roll }, t);
+      rotation = { yaw: f.x, pitch: f.y, roll: f.z };
+      rotationMatrix = eulerToRotation(rotation);
     }
 
+    // --- Eye position in screen-centred mm ---
+    let { x, y, z } = this._eyePosition(landmarks, rotationMatrix);
+
     // --- Sensitivity ---
-    x *= this._sensX;
-    y *= this._sensY;
-    // Z sensitivity: scale deviation from default distance
-    z = this._defaultZ + (z - this._defaultZ) * this._sensZ;
+    // Scale the deviation from the neutral (resting) position
+    const n = this._neutral;
+    x = n.x + (x - n.x) * this._sensX;
+    y = n.y + (y - n.y) * this._sensY;
+    z = n.z + (z - n.z) * this._sensZ;
+    this._rawPosition = { x, y, z };
+
+    // --- Smooth (and predict to the display time) ---
+    const pos = this._filter.filter({ x, y, z }, t, (displayTimeMs ?? now) / 1000);
 
-    // --- Smooth ---
-    const t = performance.now() / 1000;
-    return this._filter.filter({ x, y, z }, t);
+    // --- Per-eye positions ---
+    const axis = rotationMatrix
+      ? rotateVector(rotationMatrix, X_AXIS)
+      : this._irisAxis(landmarks);
+    const eyes = eyePositions(pos, axis, this._ipdMm);
+
+    return {
+      x: pos.x,
+      y: pos.y,
+      z: pos.z,
+      rotation,
+      quaternion: rotationMatrix ? rotationToQuaternion(rotationMatrix) : null,
+      leftEye: eyes.left,
+      rightEye: eyes.right,
+    };
+  }
+
+  /**
+   * Measure the unsmoothed eye position for one frame, before sensitivity
+   * is applied. Used by calibration.
+   *
+   * @param {Array<{x: number, y: number, z: number}>} landmarks
+   * @param {{ data: ArrayLike<number> }|null} [transformMatrix=null]
+   * @returns {{ x: number, y: number, z: number, irisPx: number }}
+   */
+  measure(landmarks, transformMatrix = null) {
+    const rotationMatrix = this._useRotation && transformMatrix
+      ? rotationFromTransformMatrix(transformMatrix)
+      : null;
+    return {
+      ...this._eyePosition(landmarks, rotationMatrix),
+      irisPx: this._irisWidthPx(landmarks),
+    };
+  }
+
+  /**
+   * @returns {{ x: number, y: number, z: number }|null} Eye position of the
+   *   last estimate() before smoothing (sensitivity applied), or null if it
+   *   found no face
+   */
+  getRawPosition() {
+    return this._rawPosition;
   }
 
   /**
    * Calibrate the focal length from a known viewing distance.
    * User sits at `distanceMm` and we measure iris width in pixels.
    *
-   * @param {Array<{x: number, y: number, z: number}>} landmarks
+   * @param {Array<{x: number, y: number, z: number}>|Array<Array<{x: number, y: number, z: number}>>} landmarks
+   *   One landmark set, or several captured while holding still (averaged)
    * @param {number} distanceMm - Known distance from screen (mm)
    * @returns {number} Computed focal length in pixels
    */
   calibrate(landmarks, distanceMm) {
-    const irisPx = this._irisWidthPx(landmarks);
+    const sets = Array.isArray(landmarks[0]) ? landmarks : [landmarks];
+    const irisPx = sets.reduce((sum, lm) => sum + this._irisWidthPx(lm), 0) / sets.length;
     if (irisPx < MIN_IRIS_PX) {
       throw new Error('Cannot calibrate: iris not detected clearly enough.');
     }
-    this._focalLengthPx = (irisPx * distanceMm) / IRIS_DIAMETER_MM;
+    this._focalLengthPx = (irisPx * distanceMm) / this._irisDiameterMm;
     this._useIrisDepth = true;
     return this._focalLengthPx;
   }
 
+  /**
+   * Change the physical screen size at runtime (e.g. after measuring it).
+   * @param {number} widthMm
+   * @param {number} heightMm
+   */
+  setScreenSize(widthMm, heightMm) {
+    this._screenW = widthMm;
+    this._screenH = heightMm;
+  }
+
+  /** @param {number} px - Camera focal length in pixels */
+  setFocalLength(px) {
+    this._focalLengthPx = px;
+  }
+
+  /** @param {boolean} enabled - Use iris size for depth */
+  setUseIrisDepth(enabled) {
+    this._useIrisDepth = enabled;
+  }
+
+  /** @param {number} mm - Assumed iris diameter for iris-based depth */
+  setIrisDiameter(mm) {
+    this._irisDiameterMm = mm;
+  }
+
+  /**
+   * Change the webcam resolution the landmarks refer to. The focal length
+   * and principal point are in pixels and scale with the width / height.
+   * @param {number} width  - Video width (px)
+   * @param {number} height - Video height (px)
+   */
+  setVideoSize(width, height) {
+    const sx = width / this._videoW;
+    const sy = height / this._videoH;
+    this._focalLengthPx *= sx;
+    if (this._principalPoint) {
+      this._principalPoint = { x: this._principalPoint.x * sx, y: this._principalPoint.y * sy };
+    }
+    this._videoW = width;
+    this._videoH = height;
+  }
+
+  /**
+   * @param {{x: number, y: number}|null} point - Optical centre in video
+   *   pixels, null = image centre
+   */
+  setPrincipalPoint(point) {
+    this._principalPoint = point ? { x: point.x, y: point.y } : null;
+  }
+
+  /** @param {number} mm - Depth used when iris depth is off or unreliable */
+  setDefaultViewingDistance(mm) {
+    this._defaultZ = mm;
+  }
+
+  /** @param {boolean} enabled - Use the transformation matrix for orientation */
+  setUseRotation(enabled) {
+    this._useRotation = enabled;
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} offset - Nose tip to eye
+   *   midpoint (mm), head facing the screen
+   */
+  setNoseToEyes(offset) {
+    this._noseToEyes = { x: offset.x, y: offset.y, z: offset.z };
+  }
+
+  /**
+   * @param {{x?: number, y?: number, z?: number}} sensitivity - Per-axis multipliers
+   */
+  setSensitivity({ x, y, z }) {
+    if (x !== undefined) this._sensX = x;
+    if (y !== undefined) this._sensY = y;
+    if (z !== undefined) this._sensZ = z;
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} pos - Resting eye position (mm)
+   *   that sensitivity scales around
+   */
+  setNeutralPosition(pos) {
+    this._neutral = { x: pos.x, y: pos.y, z: pos.z };
+  }
+
+  /** @param {number} mm - Interpupillary distance */
+  setIpd(mm) {
+    this._ipdMm = mm;
+  }
+
+  /**
+   * Set where the webcam sits relative to the screen.
+   * @param {WebcamPose} pose
+   */
+  setWebcamPose(pose) {
+    const deg = Math.PI / 180;
+    this._webcamOffsetX = pose.offsetXMm ?? 0;
+    this._webcamAboveTop = pose.aboveTopEdgeMm ?? 10;
+    this._webcamOffsetZ = pose.offsetZMm ?? 0;
+    this._webcamRotation = eulerToRotation({
+      yaw: (pose.panDeg ?? 0) * deg,
+      pitch: (pose.tiltDeg ?? 0) * deg,
+      roll: (pose.rollDeg ?? 0) * deg,
+    });
+  }
+
+  /**
+   * Replace the position smoothing stages at runtime.
+   * @param {import('../projection/SmoothingPipeline.js').StageSpec[]} stages
+   */
+  setSmoothingStages(stages) {
+    this._filter.setStages(stages);
+  }
+
+  /**
+   * @returns {import('../projection/SmoothingPipeline.js').StageSpec[]} Current smoothing stages
+   */
+  getSmoothingStages() {
+    return this._filter.getStages();
+  }
+
+  /**
+   * Retune the head rotation filter without resetting it.
+   * @param {{ minCutoff?: number, beta?: number, dCutoff?: number }} params - One-Euro parameters
+   */
+  setRotationSmoothing(params) {
+    this._rotationFilter.setParameters({ ...params, deadZone: 0 });
+  }
+
   /**
    * Reset the smoothing filter. Call when tracking is lost and reacquired.
    */
   reset() {
     this._filter.reset();
+    this._rotationFilter.reset();
     this._wasTracking = false;
   }
 
@@ -137,6 +415,85 @@ export class HeadPoseEstimator {
   // Private
   // ---------------------------------------------------------------------------
 
+  /**
+   * Unsmoothed eye midpoint in screen-centred mm.
+   *
+   * The nose tip swings sideways when the head turns while the eyes stay
+   * put, so follow the rotated nose-to-eyes offset back to the eyes.
+   * Depth already refers to the eyes (iris size or the assumed viewing
+   * distance), so only the lateral components of the offset are applied.
+   *
+   * @param {Array<{x: number, y: number, z: number}>} landmarks
+   * @param {number[]|null} rotationMatrix - Head rotation, or null if unknown
+   */
+  _eyePosition(landmarks, rotationMatrix) {
+    const nose = landmarks[1]; // Nose tip
+
+    // --- Depth (distance from the camera along its optical axis) ---
+    let depth = this._defaultZ;
+    if (this._useIrisDepth) {
+      depth = this._estimateDepthFromIris(landmarks);
+    }
+
+    // --- Pinhole back-projection → screen-centred mm ---
+    const p = this._backProject(nose.x, nose.y, depth);
+
+    const offset = rotationMatrix
+      ? rotateVector(rotationMatrix, this._noseToEyes)
+      : this._noseToEyes;
+    return { x: p.x + offset.x, y: p.y + offset.y, z: p.z };
+  }
+
+  /**
+   * Unit vector from the left to the right eye through the iris centres.
+   * Both are back-projected at the same depth, so only the direction is
+   * meaningful; falls back to screen +X if the irises are missing.
+   *
+   * @param {Array<{x: number, y: number, z: number}>} landmarks
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  _irisAxis(landmarks) {
+    if (landmarks.length <= 473) return X_AXIS;
+    const a = this._backProject(landmarks[468].x, landmarks[468].y, this._defaultZ);
+    const b = this._backProject(landmarks[473].x, landmarks[473].y, this._defaultZ);
+    const d = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+    const len = Math.hypot(d.x, d.y, d.z);
+    if (len === 0) return X_AXIS;
+    // Point toward the viewer's right (+X) whichever iris is which
+    const s = d.x < 0 ? -1 / len : 1 / len;
+    return { x: d.x * s, y: d.y * s, z: d.z * s };
+  }
+
+  /**
+   * Back-project a normalised image point at the given depth into
+   * screen-centred mm.
+   *
+   * @param {number} nx - Normalised image x (0 = left of the camera image)
+   * @param {number} ny - Normalised image y (0 = top of the camera image)
+   * @param {number} depth - Distance along the camera's optical axis (mm)
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  _backProject(nx, ny, depth) {
+    const cx = this._principalPoint?.x ?? this._videoW / 2;
+    const cy = this._principalPoint?.y ?? this._videoH / 2;
+    const f = this._focalLengthPx;
+
+    // Camera space with screen-aligned axes (camera faces the viewer)
+    const cam = {
+      x: -(nx * this._videoW - cx) * depth / f,
+      y: -(ny * this._videoH - cy) * depth / f,
+      z: depth,
+    };
+
+    // Camera pose relative to the screen centre
+    const p = rotateVector(this._webcamRotation, cam);
+    return {
+      x: p.x + this._webcamOffsetX,
+      y: p.y + this._screenH / 2 + this._webcamAboveTop,
+      z: p.z + this._webcamOffsetZ,
+    };
+  }
+
   /**
    * Estimate head distance from camera using iris diameter.
    * Pinhole camera model: Z = (f_px × iris_mm) / iris_px
@@ -146,7 +503,7 @@ export class HeadPoseEstimator {
   _estimateDepthFromIris(landmarks) {
     const irisPx = this._irisWidthPx(landmarks);
     if (irisPx < MIN_IRIS_PX) return this._defaultZ;
-    return (this._focalLengthPx * IRIS_DIAMETER_MM) / irisPx;
+    return (this._focalLengthPx * this._irisDiameterMm) / irisPx;
   }
 
   /**
@@ -0,0 +1,181 @@
+/**
+ * PoseFallback.js — What the virtual eye does while no face is tracked.
+ *
+ * Sits between the tracked pose and the cameras. Each render it receives
+ * the tracked pose (null while there is none) and returns the pose to
+ * render, which is never null. A pose while the source reports its face
+ * lost counts as none, e.g. the last result of a stalled detector, which
+ * would otherwise be held forever:
+ *
+ *   tracking    - The tracked pose as it is
+ *   holding     - Face lost: the last pose, for holdMs (a blink or a
+ *                 glance away does not move the view)
+ *   easing      - Then a smooth move to the default pose over easeMs
+ *   idle        - The default pose (also before the first face)
+ *   attract     - Instead of idle, with attract mode on: a slow figure-of-
+ *                 eight around the default pose, so an unattended display
+ *                 still shows its depth
+ *   reacquiring - Face back: a blend from wherever the eye was to the
+ *                 tracked pose over reacquireMs, instead of a snap
+ */
+
+import { blendPose } from './PoseMath.js';
+
+export const FALLBACK_PHASES = ['tracking', 'holding', 'easing', 'idle', 'attract', 'reacquiring'];
+
+/** Tracking states (see TrackingStateMachine) in which there is no face */
+const NO_FACE_STATES = ['lost', 'searching'];
+
+export class PoseFallback {
+  /**
+   * @param {Object} [options]
+   * @param {{x: number, y: number, z: number}} [options.defaultPosition] - Where
+   *   the eye rests without a face (mm); defaults to 600 mm in front of the centre
+   * @param {number} [options.holdMs=500] - Last pose kept after the face is lost
+   * @param {number} [options.easeMs=1500] - Duration of the move to the default pose
+   * @param {number} [options.reacquireMs=400] - Duration of the blend back to tracking
+   * @param {boolean} [options.attractMode=false] - Orbit the default pose when idle
+   * @param {number} [options.attractRadiusMm=80] - Orbit size
+   * @param {number} [options.attractPeriodMs=12000] - Time for one orbit
+   */
+  constructor(options = {}) {
+    this._defaultPose = null;
+    this.setDefaultPosition(options.defaultPosition ?? { x: 0, y: 0, z: 600 });
+    this.setOptions(options);
+    this.reset();
+  }
+
+  /**
+   * @param {Object} options - Same as the constructor (without
+   *   defaultPosition); omitted ones are unchanged
+   */
+  setOptions(options) {
+    this._holdMs = options.holdMs ?? this._holdMs ?? 500;
+    this._easeMs = options.easeMs ?? this._easeMs ?? 1500;
+    this._reacquireMs = options.reacquireMs ?? this._reacquireMs ?? 400;
+    this._attractMode = options.attractMode ?? this._attractMode ?? false;
+    this._attractRadiusMm = options.attractRadiusMm ?? this._attractRadiusMm ?? 80;
+    this._attractPeriodMs = options.attractPeriodMs ?? this._attractPeriodMs ?? 12000;
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} position - Resting eye position (mm)
+   */
+  setDefaultPosition(position) {
+    this._defaultPose = {
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      rotation: { yaw: 0, pitch: 0, roll: 0 },
+      quaternion: { x: 0, y: 0, z: 0, w: 1 },
+    };
+  }
+
+  /** Start over at the default pose, e.g. when the pose source changes. */
+  reset() {
+    this._phase = 'idle';
+    this._since = null;     // When the current phase started (ms)
+    this._from = null;      // Pose the current move starts from
+    this._output = this._defaultPose;
+  }
+
+  /**
+   * Blend from the pose shown last to the tracked poses that follow, as
+   * when a face is reacquired; e.g. when someone else becomes the viewer.
+   *
+   * @param {number} timeMs - Render time the blend starts at
+   */
+  blendIn(timeMs) {
+    if (this._phase === 'tracking' || this._phase === 'reacquiring') {
+      this._enter('reacquiring', timeMs);
+    }
+  }
+
+  /** @returns {string} One of FALLBACK_PHASES */
+  getPhase() {
+    return this._phase;
+  }
+
+  /**
+   * @param {import('./HeadPoseEstimator.js').HeadPose|null} tracked - Tracked pose, null if none
+   * @param {number} timeMs - Render time (performance.now() clock)
+   * @param {string} [trackingState] - The source's tracking state; none
+   *   for sources that do not report one
+   * @returns {import('./HeadPoseEstimator.js').HeadPose} Pose to render
+   */
+  update(tracked, timeMs, trackingState) {
+    if (NO_FACE_STATES.includes(trackingState)) tracked = null;
+    this._since ??= timeMs;
+    this._output = tracked ? this._track(tracked, timeMs) : this._fallBack(timeMs);
+    return this._output;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  _track(tracked, timeMs) {
+    if (this._phase !== 'tracking' && this._phase !== 'reacquiring') {
+      this._enter('reacquiring', timeMs);
+    }
+    if (this._phase === 'reacquiring') {
+      const k = (timeMs - this._since) / this._reacquireMs;
+      if (k < 1) return blendPose(this._from, tracked, smoothstep(k));
+      this._enter('tracking', timeMs);
+    }
+    return tracked;
+  }
+
+  _fallBack(timeMs) {
+    if (this._phase === 'tracking' || this._phase === 'reacquiring') {
+      this._enter('holding', timeMs);
+    }
+    if (this._phase === 'holding') {
+      if (timeMs - this._since < this._holdMs) return this._from;
+      this._enter('easing', timeMs);
+    }
+    if (this._phase === 'easing') {
+      const k = (timeMs - this._since) / this._easeMs;
+      if (k < 1) return blendPose(this._from, this._defaultPose, smoothstep(k));
+      this._enter('idle', timeMs);
+    }
+    if (this._phase === 'idle' && this._attractMode) {
+      this._enter('attract', timeMs);
+    } else if (this._phase === 'attract' && !this._attractMode) {
+      this._enter('easing', timeMs);
+      return this._output;
+    }
+    return this._phase === 'attract' ? this._orbit(timeMs) : this._defaultPose;
+  }
+
+  /** Switch phase; the move (if any) starts from the pose shown last. */
+  _enter(phase, timeMs) {
+    this._phase = phase;
+    this._since = timeMs;
+    this._from = this._output;
+  }
+
+  /**
+   * Figure-of-eight around the default pose: a full sideways sweep and two
+   * vertical ones per period, starting at the centre.
+   */
+  _orbit(timeMs) {
+    const angle = 2 * Math.PI * (timeMs - this._since) / this._attractPeriodMs;
+    const r = this._attractRadiusMm;
+    // Ramp in over the first quarter period so the motion starts gently
+    const ramp = Math.min(1, (timeMs - this._since) / (this._attractPeriodMs / 4));
+    return {
+      ...this._defaultPose,
+      x: this._defaultPose.x + r * ramp * Math.sin(angle),
+      y: this._defaultPose.y + r * 0.5 * ramp * Math.sin(2 * angle),
+    };
+  }
+}
+
+// --- Helpers ---
+
+/** Ease in and out: 0 → 1 with zero slope at both ends */
+function smoothstep(k) {
+  const t = Math.min(Math.max(k, 0), 1);
+  return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,112 @@
+/**
+ * PoseInterpolator.js — Head poses at display rate from tracking-rate samples.
+ *
+ * The webcam delivers ~30 frames per second while the display refreshes at
+ * 60–120 Hz. The render loop pushes one pose per processed video frame,
+ * tagged with the frame's capture time, and asks for the pose at each
+ * render time:
+ *
+ *   extrapolate - Continue along the velocity of the last two samples to
+ *                 the render time (no added latency). Held once the newest
+ *                 sample is more than maxExtrapolationMs old, so a stalled
+ *                 tracker does not send the view flying.
+ *   interpolate - Blend between the two samples around (render time − one
+ *                 sample interval). Smoothest, but a sample interval later.
+ *   off         - The newest sample as it is (steps at the tracking rate).
+ *
+ * Positions (head and eyes) are blended linearly; the head rotation is
+ * blended as yaw / pitch / roll angles and its quaternion rebuilt.
+ */
+
+import { blendPose } from './PoseMath.js';
+
+export const INTERPOLATION_MODES = ['extrapolate', 'interpolate', 'off'];
+
+/** Samples kept; interpolation needs the pair around a slightly past time */
+const MAX_SAMPLES = 8;
+
+/** Weight of a new interval in the running sample interval estimate */
+const INTERVAL_SMOOTHING = 0.1;
+
+/** Sample interval assumed until two samples have arrived (ms, 30 Hz) */
+const DEFAULT_INTERVAL_MS = 1000 / 30;
+
+export class PoseInterpolator {
+  /**
+   * @param {Object} [options]
+   * @param {'extrapolate'|'interpolate'|'off'} [options.mode='extrapolate']
+   * @param {number} [options.maxExtrapolationMs=50] - Longest time predicted
+   *   past the newest sample
+   */
+  constructor(options = {}) {
+    this.setOptions(options);
+    this.reset();
+  }
+
+  /**
+   * @param {Object} options - Same as the constructor; omitted ones are unchanged
+   */
+  setOptions(options) {
+    this._mode = options.mode ?? this._mode ?? 'extrapolate';
+    this._maxExtrapolationMs = options.maxExtrapolationMs ?? this._maxExtrapolationMs ?? 50;
+    if (!INTERPOLATION_MODES.includes(this._mode)) {
+      throw new Error(
+        `Unknown interpolation mode "${this._mode}" (expected ${INTERPOLATION_MODES.join(', ')}).`
+      );
+    }
+  }
+
+  /**
+   * Add the pose estimated from one video frame. A sample that is not newer
+   * than the last one (e.g. a replay seeking backwards) starts afresh.
+   *
+   * @param {import('./HeadPoseEstimator.js').HeadPose} pose
+   * @param {number} timeMs - Capture time of the frame (performance.now() clock)
+   */
+  push(pose, timeMs) {
+    const last = this._samples.at(-1);
+    if (last && timeMs <= last.t) {
+      this.reset();
+    } else if (last) {
+      const interval = timeMs - last.t;
+      this._intervalMs += (interval - this._intervalMs) * INTERVAL_SMOOTHING;
+    }
+    this._samples.push({ pose, t: timeMs });
+    if (this._samples.length > MAX_SAMPLES) this._samples.shift();
+  }
+
+  /**
+   * Forget all samples, e.g. when the face is lost.
+   */
+  reset() {
+    this._samples = [];
+    this._intervalMs = DEFAULT_INTERVAL_MS;
+  }
+
+  /**
+   * @param {number} timeMs - Render time (performance.now() clock)
+   * @returns {import('./HeadPoseEstimator.js').HeadPose|null} Pose for this
+   *   render, or null before the first sample
+   */
+  sample(timeMs) {
+    const samples = this._samples;
+    const newest = samples.at(-1);
+    if (!newest) return null;
+    if (this._mode === 'off' || samples.length < 2) return newest.pose;
+
+    if (this._mode === 'interpolate') {
+      const t = timeMs - this._intervalMs;
+      if (t >= newest.t) return newest.pose;
+      if (t <= samples[0].t) return samples[0].pose;
+      const i = samples.findIndex((s) => s.t > t);
+      const a = samples[i - 1];
+      const b = samples[i];
+      return blendPose(a.pose, b.pose, (t - a.t) / (b.t - a.t));
+    }
+
+    // Extrapolate along the last interval, up to maxExtrapolationMs ahead
+    const previous = samples.at(-2);
+    const ahead = Math.min(Math.max(timeMs - newest.t, 0), this._maxExtrapolationMs);
+    return blendPose(previous.pose, newest.pose, 1 + ahead / (newest.t - previous.t));
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * PoseMath.js — Rotation helpers for head pose estimation.
+ *
+ * Converts MediaPipe's facial transformation matrix into a head rotation
+ * expressed in the screen coordinate system used throughout the app
+ * (+X right, +Y up, +Z toward the viewer), and between the rotation
+ * representations exposed on the pose object (Euler angles, quaternion),
+ * and blends whole poses.
+ *
+ * Rotation matrices are plain 9-element arrays in row-major order.
+ * This is a pure math module with no Three.js or rendering dependencies.
+ */
+
+/**
+ * @typedef {Object} EulerAngles
+ * @property {number} yaw   - Rotation about +Y (radians); positive = head turns to the viewer's left
+ * @property {number} pitch - Rotation about +X (radians); positive = head tilts back (looks up)
+ * @property {number} roll  - Rotation about +Z (radians); positive = head tilts to the viewer's left
+ */
+
+/**
+ * @typedef {Object} Quaternion
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ * @property {number} w
+ */
+
+/**
+ * Extract the head rotation from a MediaPipe facial transformation matrix.
+ *
+ * The matrix (column-major 4×4) maps the canonical face model into camera
+ * space, where the camera looks down −Z and the image is not mirrored.
+ * Screen space is camera space rotated 180° about Y, so the rotation is
+ * conjugated by diag(−1, 1, −1). The result is the identity when the
+ * viewer faces the camera squarely.
+ *
+ * Any uniform scale in the matrix is removed.
+ *
+ * @param {{ data: ArrayLike<number> }} matrix - MediaPipe Matrix (4×4, column-major)
+ * @returns {number[]|null} Row-major 3×3 rotation, or null if the matrix is degenerate
+ */
+export function rotationFromTransformMatrix(matrix) {
+  const d = matrix?.data;
+  if (!d || d.length < 16) return null;
+
+  // Column lengths give the scale of each axis
+  const sx = Math.hypot(d[0], d[1], d[2]);
+  const sy = Math.hypot(d[4], d[5], d[6]);
+  const sz = Math.hypot(d[8], d[9], d[10]);
+  if (sx === 0 || sy === 0 || sz === 0) return null;
+
+  // Element (row r, col c) of the camera-space rotation is d[c * 4 + r] / s_c;
+  // conjugating by diag(-1, 1, -1) flips the sign where exactly one of
+  // r, c is an X or Z index.
+  const sign = [-1, 1, -1];
+  const scale = [sx, sy, sz];
+  const r = new Array(9);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      r[row * 3 + col] = sign[row] * sign[col] * d[col * 4 + row] / scale[col];
+    }
+  }
+  return r;
+}
+
+/**
+ * Decompose a rotation matrix into yaw, pitch and roll
+ * (intrinsic Y-X-Z order: R = Ry(yaw) · Rx(pitch) · Rz(roll)).
+ *
+ * @param {number[]} r - Row-major 3×3 rotation
+ * @returns {EulerAngles}
+ */
+export function rotationToEuler(r) {
+  const pitch = Math.asin(clamp(-r[5], -1, 1));
+
+  // Gimbal lock at ±90° pitch: fold roll into yaw
+  if (Math.abs(r[5]) < 0.9999999) {
+    return {
+      yaw: Math.atan2(r[2], r[8]),
+      pitch,
+      roll: Math.atan2(r[3], r[4]),
+    };
+  }
+  return { yaw: Math.atan2(-r[6], r[0]), pitch, roll: 0 };
+}
+
+/**
+ * Build a rotation matrix from yaw, pitch and roll (Y-X-Z order).
+ *
+ * @param {EulerAngles} e
+ * @returns {number[]} Row-major 3×3 rotation
+ */
+export function eulerToRotation({ yaw, pitch, roll }) {
+  const cy = Math.cos(yaw), sy = Math.sin(yaw);
+  const cp = Math.cos(pitch), sp = Math.sin(pitch);
+  const cr = Math.cos(roll), sr = Math.sin(roll);
+
+  return [
+    cy * cr + sy * sp * sr, sy * sp * cr - cy * sr, sy * cp,
+    cp * sr,                cp * cr,                -sp,
+    cy * sp * sr - sy * cr, sy * sr + cy * sp * cr, cy * cp,
+  ];
+}
+
+/**
+ * Convert a rotation matrix to a unit quaternion.
+ *
+ * @param {number[]} r - Row-major 3×3 rotation
+ * @returns {Quaternion}
+ */
+export function rotationToQuaternion(r) {
+  const [m00, m01, m02, m10, m11, m12, m20, m21, m22] = r;
+  const trace = m00 + m11 + m22;
+
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    return { w: 0.25 / s, x: (m21 - m12) * s, y: (m02 - m20) * s, z: (m10 - m01) * s };
+  }
+  if (m00 > m11 && m00 > m22) {
+    const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+    return { w: (m21 - m12) / s, x: 0.25 * s, y: (m01 + m10) / s, z: (m02 + m20) / s };
+  }
+  if (m11 > m22) {
+    const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+    return { w: (m02 - m20) / s, x: (m01 + m10) / s, y: 0.25 * s, z: (m12 + m21) / s };
+  }
+  const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+  return { w: (m10 - m01) / s, x: (m02 + m20) / s, y: (m12 + m21) / s, z: 0.25 * s };
+}
+
+/**
+ * Positions of both eyes, half the interpupillary distance either side of
+ * their midpoint along the head's left-to-right axis.
+ *
+ * @param {{x: number, y: number, z: number}} centre - Midpoint between the eyes
+ * @param {{x: number, y: number, z: number}} axis - Unit vector from the left to the right eye
+ * @param {number} ipdMm - Interpupillary distance (mm)
+ * @returns {{ left: {x: number, y: number, z: number}, right: {x: number, y: number, z: number} }}
+ */
+export function eyePositions(centre, axis, ipdMm) {
+  const h = ipdMm / 2;
+  return {
+    left: { x: centre.x - axis.x * h, y: centre.y - axis.y * h, z: centre.z - axis.z * h },
+    right: { x: centre.x + axis.x * h, y: centre.y + axis.y * h, z: centre.z + axis.z * h },
+  };
+}
+
+/**
+ * Rotate a vector by a rotation matrix.
+ *
+ * @param {number[]} r - Row-major 3×3 rotation
+ * @param {{x: number, y: number, z: number}} v
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function rotateVector(r, v) {
+  return {
+    x: r[0] * v.x + r[1] * v.y + r[2] * v.z,
+    y: r[3] * v.x + r[4] * v.y + r[5] * v.z,
+    z: r[6] * v.x + r[7] * v.y + r[8] * v.z,
+  };
+}
+
+/**
+ * Pose a fraction `k` of the way from `a` to `b` (k > 1 extrapolates).
+ * Positions (head and eyes) are blended linearly, the rotation as yaw /
+ * pitch / roll angles with its quaternion rebuilt. Eyes that only one of
+ * the poses has are left out (they would not match the blended head).
+ *
+ * @param {import('./HeadPoseEstimator.js').HeadPose} a
+ * @param {import('./HeadPoseEstimator.js').HeadPose} b
+ * @param {number} k
+ * @returns {import('./HeadPoseEstimator.js').HeadPose}
+ */
+export function blendPose(a, b, k) {
+  const { leftEye, rightEye, ...rest } = b;
+  const pose = { ...rest, ...lerp(a, b, k) };
+  if (a.leftEye && leftEye) pose.leftEye = lerp(a.leftEye, leftEye, k);
+  if (a.rightEye && rightEye) pose.rightEye = lerp(a.rightEye, rightEye, k);
+  if (a.rotation && b.rotation) {
+    pose.rotation = {
+      yaw: lerpAngle(a.rotation.yaw, b.rotation.yaw, k),
+      pitch: lerpAngle(a.rotation.pitch, b.rotation.pitch, k),
+      roll: lerpAngle(a.rotation.roll, b.rotation.roll, k),
+    };
+    pose.quaternion = rotationToQuaternion(eulerToRotation(pose.rotation));
+  }
+  return pose;
+}
+
+function lerp(a, b, k) {
+  return {
+    x: a.x + (b.x - a.x) * k,
+    y: a.y + (b.y - a.y) * k,
+    z: a.z + (b.z - a.z) * k,
+  };
+}
+
+/** Blend angles (radians) the short way round */
+function lerpAngle(a, b, k) {
+  const d = Math.atan2(Math.sin(b - a), Math.cos(b - a));
+  return a + d * k;
+}
+
+function clamp(v, lo, hi) {
+  return Math.min(Math.max(v, lo), hi);
+}
@@ -0,0 +1,158 @@
+/**
+ * PoseSource.js — Common contract for anything that feeds head pose data
+ * into the render loop.
+ *
+ * The render loop polls a pose source once per frame. A source provides
+ * either raw face landmarks (which HeadPoseEstimator turns into a head
+ * position) or a ready-made head position in screen-centred mm, or both.
+ *
+ * Implementations:
+ *   - FaceTracker  — live webcam + MediaPipe FaceLandmarker
+ *   - ReplaySource — playback of a recorded landmark / head-position trace
+ *   - BroadcastSource — head positions published by another browser window
+ *
+ * Subclasses override the methods they can serve; the defaults describe
+ * a source that currently has nothing to report.
+ *
+ * Sources also report what happens between polls as events, subscribed to
+ * with on(event, handler):
+ *
+ *   'state'     (state, previous) - Tracking state changed (see TRACKING_STATES)
+ *   'faceFound' ()                - A face is tracked after 'searching' or 'lost'
+ *   'faceLost'  ()                - The tracked face disappeared
+ *   'landmarks' (landmarks, timestamp) - New landmarks were detected
+ *   'viewer'    (viewerId, previousId) - Another face became the viewer
+ *   'camera'    ({deviceId, label}) - A camera was opened (at startup, swapped or reacquired)
+ *   'videoSize' (width, height)   - The video resolution changed
+ *   'error'     (error)           - A non-fatal error (a frame failed to
+ *                                   process, the camera was disconnected)
+ *
+ * Each source emits the events it can detect.
+ */
+
+export class PoseSource {
+  constructor() {
+    this._listeners = new Map(); // event → Set of handlers
+  }
+
+  /**
+   * Subscribe to an event.
+   *
+   * @param {string} event - e.g. 'state'
+   * @param {Function} handler
+   * @returns {this} For chaining
+   */
+  on(event, handler) {
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(handler);
+    return this;
+  }
+
+  /**
+   * Unsubscribe a handler added with on().
+   *
+   * @param {string} event
+   * @param {Function} handler
+   * @returns {this}
+   */
+  off(event, handler) {
+    this._listeners.get(event)?.delete(handler);
+    return this;
+  }
+
+  /**
+   * Prepare the source (open devices, load models or traces).
+   * Must be called once before polling.
+   */
+  async init() {}
+
+  /**
+   * Returns the latest face landmarks, or null if none are available.
+   *
+   * Each landmark is { x, y, z } in normalised image coordinates
+   * (same convention as MediaPipe Face Landmarker).
+   *
+   * @returns {Array<{x: number, y: number, z: number}>|null}
+   */
+  getLatestLandmarks() {
+    return null;
+  }
+
+  /**
+   * Returns the 4×4 facial transformation matrix for the latest landmarks,
+   * or null if unavailable.
+   *
+   * @returns {{ rows: number, columns: number, data: number[] }|null}
+   */
+  getTransformationMatrix() {
+    return null;
+  }
+
+  /**
+   * Capture time of the latest landmarks in ms on the performance.now()
+   * clock, or null if unknown. Lets filters and predictors work from real
+   * frame times rather than render times.
+   *
+   * @returns {number|null}
+   */
+  getLatestTimestamp() {
+    return null;
+  }
+
+  /**
+   * Returns a head position that is already in screen-centred mm, or null.
+   * Sources that only provide landmarks leave this as null.
+   *
+   * @returns {{ x: number, y: number, z: number }|null}
+   */
+  getLatestHeadPosition() {
+    return null;
+  }
+
+  /**
+   * Whether the source currently sees a face.
+   * @returns {boolean}
+   */
+  isFaceDetected() {
+    return this.getLatestLandmarks() !== null || this.getLatestHeadPosition() !== null;
+  }
+
+  /**
+   * Tracking state and confidence. Sources without a state machine report
+   * 'tracking' while they have a face and 'searching' otherwise.
+   *
+   * @returns {import('./TrackingStateMachine.js').TrackingStatus}
+   */
+  getTrackingStatus() {
+    const face = this.isFaceDetected();
+    return {
+      state: face ? 'tracking' : 'searching',
+      confidence: face ? 1 : 0,
+      jitter: null,
+      irisVisible: face,
+      ageMs: null,
+    };
+  }
+
+  /**
+   * Release any resources held by the source.
+   */
+  destroy() {}
+
+  /**
+   * Call every handler subscribed to `event`. A throwing handler is
+   * reported and does not stop the others.
+   *
+   * @param {string} event
+   * @param {...*} args
+   */
+  _emit(event, ...args) {
+    for (const handler of this._listeners.get(event) ?? []) {
+      try {
+        handler(...args);
+      } catch (err) {
+        console.error(`PoseSource: '${event}' handler failed`, err);
+      }
+    }
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * ReplaySource.js — Plays back recorded face landmark / head-position traces.
+ *
+ * Lets the projection and scene pipeline run without a webcam or the
+ * MediaPipe CDN: a timestamped trace is loaded from JSON or NDJSON and
+ * served through the PoseSource polling API at real or accelerated speed.
+ *
+ * Accepted trace formats:
+ *   - JSON array of frames:           [ { t, ... }, ... ]
+ *   - JSON object with a frame list:  { header?, frames: [ ... ] }
+ *   - NDJSON, one record per line. A record with `type: 'header'` is kept
+ *     as trace metadata; other records with a `type` other than 'frame'
+ *     are ignored.
+ *
+ * Frame fields (all optional except the timestamp):
+ *   t | timestamp   - Capture time in ms (any origin; rebased to 0)
+ *   landmarks       - Normalised landmarks as [x, y, z] triples or {x, y, z}
+ *   matrix          - Facial transformation matrix, 16 numbers or { data }
+ *   head | pose     - Head position in screen-centred mm { x, y, z }
+ *   otherFaces, otherMatrices, viewer
+ *                   - Further faces in view and which face (0 = landmarks,
+ *                     1 = otherFaces[0] …, null = none) was the viewer;
+ *                     that face is the one served (see SessionRecorder.js)
+ *
+ * A frame with no landmarks and no head position means "no face".
+ */
+
+import { PoseSource } from './PoseSource.js';
+
+export class ReplaySource extends PoseSource {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url]   - URL of a JSON / NDJSON trace to fetch in init()
+   * @param {string} [options.text]  - Trace contents, used instead of `url`
+   * @param {number} [options.speed=1]  - Playback rate (2 = twice real time); positive
+   * @param {boolean} [options.loop=true] - Restart from the beginning at the end
+   * @param {number} [options.startTime=0] - Initial playhead position (ms)
+   */
+  constructor(options = {}) {
+    super();
+    this._url = options.url ?? null;
+    this._text = options.text ?? null;
+    this._speed = checkSpeed(options.speed ?? 1);
+    this._loop = options.loop ?? true;
+    this._startTime = options.startTime ?? 0;
+
+    this._header = null;
+    this._frames = [];
+    this._duration = 0;
+
+    // Playhead = _offset + (now - _wallStart) * _speed while playing
+    this._playing = false;
+    this._offset = 0;
+    this._wallStart = 0;
+
+    // Frame served last and its timestamp: { index, timestamp }
+    this._stamp = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API — PoseSource
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetch (if needed) and parse the trace, then start playback.
+   * Rejects if the trace cannot be loaded or contains no frames.
+   */
+  async init() {
+    let text = this._text;
+    if (text === null) {
+      if (!this._url) {
+        throw new Error('ReplaySource needs either a url or text option.');
+      }
+      const response = await fetch(this._url);
+      if (!response.ok) {
+        throw new Error(`Failed to load trace ${this._url}: HTTP ${response.status}`);
+      }
+      text = await response.text();
+    }
+
+    this.load(text);
+    this.seek(this._startTime);
+    this.play();
+  }
+
+  getLatestLandmarks() {
+    return this._currentFrame()?.landmarks ?? null;
+  }
+
+  getTransformationMatrix() {
+    return this._currentFrame()?.matrix ?? null;
+  }
+
+  getLatestHeadPosition() {
+    return this._currentFrame()?.head ?? null;
+  }
+
+  /**
+   * Wall-clock time at which the current frame was reached, so filters
+   * see the trace's original frame spacing (scaled by the playback speed).
+   * Fixed once the frame is first served: it is one sample until the next
+   * frame, also while paused.
+   */
+  getLatestTimestamp() {
+    const index = this._currentIndex();
+    if (index < 0) return null;
+    if (this._stamp?.index !== index) {
+      const behind = (this._playhead() - this._frames[index].t) / this._speed;
+      this._stamp = { index, timestamp: performance.now() - behind };
+    }
+    return this._stamp.timestamp;
+  }
+
+  destroy() {
+    this.pause();
+    this._frames = [];
+    this._duration = 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API — playback control
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Replace the loaded trace with the given JSON / NDJSON text.
+   * @param {string} text
+   */
+  load(text) {
+    const { header, frames } = readTrace(text);
+
+    // Rebase timestamps so playback starts at 0
+    const t0 = frames[0].t;
+    for (const f of frames) f.t -= t0;
+
+    this._header = header;
+    this._frames = frames;
+    this._duration = frames[frames.length - 1].t;
+    this._offset = 0;
+    this._wallStart = performance.now();
+    this._stamp = null;
+  }
+
+  play() {
+    if (this._playing) return;
+    this._wallStart = performance.now();
+    this._playing = true;
+  }
+
+  pause() {
+    if (!this._playing) return;
+    this._offset = this._playhead();
+    this._playing = false;
+  }
+
+  /**
+   * Move the playhead to the given trace time.
+   * @param {number} timeMs - Position in ms from the start of the trace
+   */
+  seek(timeMs) {
+    this._offset = this._wrap(timeMs);
+    this._wallStart = performance.now();
+    this._stamp = null;
+  }
+
+  /**
+   * Change the playback rate without moving the playhead.
+   * @param {number} speed - 1 = real time, 2 = double speed, etc.; positive
+   */
+  setSpeed(speed) {
+    checkSpeed(speed);
+    this._offset = this._playhead();
+    this._wallStart = performance.now();
+    this._speed = speed;
+  }
+
+  /** @param {boolean} loop */
+  setLoop(loop) {
+    this._loop = loop;
+  }
+
+  /** @returns {boolean} */
+  isPlaying() {
+    return this._playing;
+  }
+
+  /** @returns {number} Current playhead position (ms) */
+  getCurrentTime() {
+    return this._playhead();
+  }
+
+  /** @returns {number} Trace length (ms) */
+  getDuration() {
+    return this._duration;
+  }
+
+  /** @returns {Object|null} Header record of the trace, if it had one */
+  getHeader() {
+    return this._header;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  _playhead() {
+    if (!this._playing) return this._offset;
+    const elapsed = (performance.now() - this._wallStart) * this._speed;
+    return this._wrap(this._offset + elapsed);
+  }
+
+  /** Wrap (loop) or clamp a trace time into [0, duration]. */
+  _wrap(timeMs) {
+    if (this._duration <= 0) return 0;
+    if (this._loop) {
+      const t = timeMs % this._duration;
+      return t < 0 ? t + this._duration : t;
+    }
+    return Math.min(Math.max(timeMs, 0), this._duration);
+  }
+
+  /** Last frame whose timestamp is at or before the playhead. */
+  _currentFrame() {
+    return this._frames[this._currentIndex()] ?? null;
+  }
+
+  /** Index of _currentFrame(), -1 without frames. */
+  _currentIndex() {
+    const frames = this._frames;
+    if (frames.length === 0) return -1;
+
+    const t = this._playhead();
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid].t <= t) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+}
+
+/** @returns {number} speed, if it is a positive number */
+function checkSpeed(speed) {
+  if (!(Number.isFinite(speed) && speed > 0)) {
+    throw new Error(`Replay speed must be a positive number (got ${speed}).`);
+  }
+  return speed;
+}
+
+// -----------------------------------------------------------------------------
+// Trace parsing
+// -----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} TraceFrame
+ * @property {number} t - Capture time (ms, as recorded)
+ * @property {Array<{x: number, y: number, z: number}>|null} landmarks
+ * @property {{ rows: number, columns: number, data: number[] }|null} matrix
+ * @property {{x: number, y: number, z: number}|null} head - Head position (mm)
+ */
+
+/**
+ * Parse a JSON / NDJSON trace into its header and frames sorted by time.
+ * Also used by the offline tools (tools/evaluate-filters.mjs).
+ *
+ * @param {string} text
+ * @returns {{ header: Object|null, frames: TraceFrame[] }}
+ * @throws {Error} If the text is not a valid trace or has no frames
+ */
+export function readTrace(text) {
+  const { header, records } = parseTrace(text);
+  const frames = records
+    .map(normaliseFrame)
+    .filter((f) => f !== null)
+    .sort((a, b) => a.t - b.t);
+
+  if (frames.length === 0) {
+    throw new Error('Trace contains no frames.');
+  }
+  return { header, frames };
+}
+
+/**
+ * Split JSON / NDJSON trace text into a header and a list of raw records.
+ * @param {string} text
+ * @returns {{ header: Object|null, records: Object[] }}
+ */
+function parseTrace(text) {
+  const trimmed = text.trim();
+
+  // Whole-document JSON first; NDJSON with more than one line fails here
+  try {
+    const doc = JSON.parse(trimmed);
+    if (Array.isArray(doc)) return { header: null, records: doc };
+    if (doc && Array.isArray(doc.frames)) {
+      return { header: doc.header ?? null, records: doc.frames };
+    }
+  } catch {
+    // Fall through to NDJSON
+  }
+
+  let header = null;
+  const records = [];
+  trimmed.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid trace line ${i + 1}: ${err.message}`);
+    }
+    if (record.type === 'header') {
+      header = record;
+    } else if (record.type === undefined || record.type === 'frame') {
+      records.push(record);
+    }
+  });
+  return { header, records };
+}
+
+/**
+ * Convert a raw trace record into { t, landmarks, matrix, head }.
+ * Returns null for records without a usable timestamp.
+ */
+function normaliseFrame(record) {
+  const t = record.t ?? record.timestamp;
+  if (typeof t !== 'number' || !Number.isFinite(t)) return null;
+
+  // The viewer's face and matrix when the recording saw several faces;
+  // none while the viewer was out of view
+  const viewer = record.viewer === undefined ? 0 : record.viewer;
+  const face = Number.isInteger(viewer) ? [record.landmarks, ...(record.otherFaces ?? [])][viewer] : null;
+  const landmarks = Array.isArray(face) && face.length > 0
+    ? face.map((p) => (Array.isArray(p) ? { x: p[0], y: p[1], z: p[2] ?? 0 } : p))
+    : null;
+
+  let matrix = null;
+  const m = Number.isInteger(viewer) ? [record.matrix, ...(record.otherMatrices ?? [])][viewer] : null;
+  if (Array.isArray(m) && m.length === 16) {
+    matrix = { rows: 4, columns: 4, data: m };
+  } else if (m && Array.isArray(m.data)) {
+    matrix = m;
+  }
+
+  const h = record.head ?? record.pose ?? null;
+  const head = h && Number.isFinite(h.x) && Number.isFinite(h.y) && Number.isFinite(h.z)
+    ? { x: h.x, y: h.y, z: h.z }
+    : null;
+
+  return { t, landmarks, matrix, head };
+}
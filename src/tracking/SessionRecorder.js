@@ -0,0 +1,271 @@
+/**
+ * SessionRecorder.js — Captures tracking sessions for bug reports.
+ *
+ * Records every raw detection result from FaceTracker (landmarks and
+ * facial transformation matrix) and every HeadPoseEstimator output from
+ * the render loop, then exports them as a downloadable NDJSON file:
+ *
+ *   {"type":"header", "version":1, "config":{...}, ...}
+ *   {"type":"frame", "t":..., "videoTime":..., "landmarks":[[x,y,z],...], "matrix":[...16]}
+ *   {"type":"pose",  "t":..., "pose":{"x":..,"y":..,"z":..}}
+ *
+ * With several faces in view, a frame also lists the others in the
+ * detector's order (`otherFaces`, `otherMatrices`) and which face was the
+ * viewer (`viewer`: 1 for the first of `otherFaces` …, null for none; left
+ * out when it is `landmarks`).
+ *
+ * The file is directly playable with ReplaySource: 'frame' records carry
+ * the landmarks (the viewer's), 'pose' records are skipped on replay.
+ *
+ * Optionally a low-resolution copy of the webcam feed is captured with
+ * MediaRecorder and downloaded as a separate .webm file.
+ */
+
+/** Decimal places kept for normalised landmark coordinates */
+const LANDMARK_PRECISION = 5;
+
+export class SessionRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config]  - Active app configuration, stored in the header
+   * @param {boolean} [options.captureVideo=false] - Also record the webcam feed
+   * @param {number} [options.videoWidth=160]  - Width of the recorded video (px)
+   * @param {number} [options.videoHeight=120] - Height of the recorded video (px)
+   * @param {number} [options.videoFps=15]     - Frame rate of the recorded video
+   * @param {number} [options.videoBitsPerSecond=250000]
+   */
+  constructor(options = {}) {
+    this._config = options.config ?? null;
+    this._captureVideo = options.captureVideo ?? false;
+    this._videoWidth = options.videoWidth ?? 160;
+    this._videoHeight = options.videoHeight ?? 120;
+    this._videoFps = options.videoFps ?? 15;
+    this._videoBitsPerSecond = options.videoBitsPerSecond ?? 250000;
+
+    this._recording = false;
+    this._lines = [];
+    this._startedAt = null;
+
+    this._mediaRecorder = null;
+    this._videoChunks = [];
+    this._captureCanvas = null;
+    this._captureFrameId = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start a new recording, discarding any previous unsaved one.
+   *
+   * @param {Object} [options]
+   * @param {HTMLVideoElement|null} [options.video] - Webcam element for video capture
+   */
+  start({ video = null } = {}) {
+    if (this._recording) return;
+
+    this._startedAt = new Date();
+    this._lines = [];
+    this._push({
+      type: 'header',
+      version: 1,
+      startedAt: this._startedAt.toISOString(),
+      userAgent: navigator.userAgent,
+      screen: {
+        width: window.screen.width,
+        height: window.screen.height,
+        devicePixelRatio: window.devicePixelRatio,
+      },
+      video: video ? { width: video.videoWidth, height: video.videoHeight } : null,
+      config: this._config,
+    });
+    this._recording = true;
+
+    if (this._captureVideo && video) {
+      this._startVideoCapture(video);
+    }
+  }
+
+  /**
+   * Stop recording and download the session file (plus video, if captured).
+   */
+  stop() {
+    if (!this._recording) return;
+    this._recording = false;
+
+    const baseName = `session-${formatFileTimestamp(this._startedAt)}`;
+    downloadBlob(
+      new Blob([this._lines.join('\n') + '\n'], { type: 'application/x-ndjson' }),
+      `${baseName}.ndjson`
+    );
+    this._lines = [];
+
+    this._stopVideoCapture(baseName);
+  }
+
+  /** @returns {boolean} */
+  isRecording() {
+    return this._recording;
+  }
+
+  /**
+   * Change the video capture options. Takes effect at the next start().
+   *
+   * @param {Object} options - Same video options as the constructor; omitted ones are unchanged
+   */
+  setVideoOptions(options) {
+    this._captureVideo = options.captureVideo ?? this._captureVideo;
+    this._videoWidth = options.videoWidth ?? this._videoWidth;
+    this._videoHeight = options.videoHeight ?? this._videoHeight;
+    this._videoFps = options.videoFps ?? this._videoFps;
+    this._videoBitsPerSecond = options.videoBitsPerSecond ?? this._videoBitsPerSecond;
+  }
+
+  /**
+   * Record a raw FaceLandmarker result. Called from FaceTracker for every
+   * processed video frame, including frames where no face was found.
+   *
+   * @param {Object|null} result    - FaceLandmarkerResult
+   * @param {number}      timestamp - Detection timestamp (ms, performance.now())
+   * @param {number}      [videoTime] - HTMLVideoElement.currentTime (s)
+   * @param {number}      [viewer=0] - The viewer's face in `result`, -1 if none
+   */
+  recordDetection(result, timestamp, videoTime, viewer = 0) {
+    if (!this._recording) return;
+
+    const faces = result?.faceLandmarks ?? [];
+    const matrices = result?.facialTransformationMatrixes ?? [];
+
+    const record = {
+      type: 'frame',
+      t: round(timestamp, 3),
+      videoTime,
+      landmarks: faces[0] ? packLandmarks(faces[0]) : null,
+      matrix: packMatrix(matrices[0]),
+    };
+    if (faces.length > 1) {
+      record.otherFaces = faces.slice(1).map(packLandmarks);
+      record.otherMatrices = faces.slice(1).map((_, i) => packMatrix(matrices[i + 1]));
+    }
+    if (faces.length > 0 && viewer !== 0) {
+      record.viewer = viewer >= 0 ? viewer : null;
+    }
+    this._push(record);
+  }
+
+  /**
+   * Record the head pose used for one rendered frame.
+   *
+   * @param {{x: number, y: number, z: number}|null} pose - Estimator output (mm)
+   * @param {number} timestamp - Frame timestamp (ms, performance.now())
+   */
+  recordPose(pose, timestamp) {
+    if (!this._recording) return;
+    this._push({
+      type: 'pose',
+      t: round(timestamp, 3),
+      pose: pose ? { x: round(pose.x, 2), y: round(pose.y, 2), z: round(pose.z, 2) } : null,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private — video capture
+  // ---------------------------------------------------------------------------
+
+  _startVideoCapture(video) {
+    if (typeof MediaRecorder === 'undefined') {
+      console.warn('SessionRecorder: MediaRecorder not supported; recording landmarks only.');
+      return;
+    }
+
+    // Downscale through a canvas so the video stays small
+    const canvas = document.createElement('canvas');
+    canvas.width = this._videoWidth;
+    canvas.height = this._videoHeight;
+    const ctx = canvas.getContext('2d');
+
+    const draw = () => {
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      this._captureFrameId = requestAnimationFrame(draw);
+    };
+    draw();
+
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm', 'video/mp4']
+      .find((t) => MediaRecorder.isTypeSupported(t));
+
+    this._videoChunks = [];
+    this._captureCanvas = canvas;
+    this._mediaRecorder = new MediaRecorder(canvas.captureStream(this._videoFps), {
+      mimeType,
+      videoBitsPerSecond: this._videoBitsPerSecond,
+    });
+    this._mediaRecorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this._videoChunks.push(e.data);
+    };
+    this._mediaRecorder.start(1000);
+  }
+
+  _stopVideoCapture(baseName) {
+    if (this._captureFrameId != null) {
+      cancelAnimationFrame(this._captureFrameId);
+      this._captureFrameId = null;
+    }
+    if (!this._mediaRecorder) return;
+
+    const recorder = this._mediaRecorder;
+    recorder.onstop = () => {
+      const type = recorder.mimeType || 'video/webm';
+      const ext = type.startsWith('video/mp4') ? 'mp4' : 'webm';
+      downloadBlob(new Blob(this._videoChunks, { type }), `${baseName}.${ext}`);
+      this._videoChunks = [];
+    };
+    recorder.stop();
+    this._mediaRecorder = null;
+    this._captureCanvas = null;
+  }
+
+  _push(record) {
+    this._lines.push(JSON.stringify(record));
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function packLandmarks(landmarks) {
+  return landmarks.map((p) => [
+    round(p.x, LANDMARK_PRECISION),
+    round(p.y, LANDMARK_PRECISION),
+    round(p.z, LANDMARK_PRECISION),
+  ]);
+}
+
+function packMatrix(matrix) {
+  return matrix ? Array.from(matrix.data) : null;
+}
+
+function formatFileTimestamp(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  );
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
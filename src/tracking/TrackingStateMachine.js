@@ -0,0 +1,232 @@
+/**
+ * TrackingStateMachine.js — How well the face is being tracked.
+ *
+ * Fed every detection result (update) and polled between them (check), it
+ * moves through these states:
+ *
+ *   initialising - Webcam and model are still loading
+ *   searching    - Running, but no face has been seen for a while (or yet)
+ *   tracking     - A face is detected and its landmarks look trustworthy
+ *   degraded     - A face is detected, but its landmarks jitter, its irises
+ *                  are hidden (eyes closed, glare, looking away) or results
+ *                  have stopped arriving on time
+ *   lost         - The face just disappeared; back to 'searching' after
+ *                  lostTimeoutMs
+ *
+ * Jitter is the frame-to-frame change in the nose tip's velocity (its
+ * second difference) as a fraction of the eye distance, so it ignores
+ * steady head movement but not noise. It is averaged over a few frames.
+ */
+
+export const TRACKING_STATES = ['initialising', 'searching', 'tracking', 'degraded', 'lost'];
+
+/** Weight of the newest frame in the running jitter average */
+const JITTER_SMOOTHING = 0.2;
+
+/** Degraded tracking recovers once jitter is below this share of maxJitter */
+const RECOVERY_JITTER = 0.75;
+
+/** Eyelid gap / eye width below which an iris counts as hidden */
+const MIN_EYE_OPENNESS = 0.1;
+
+/** Frames with hidden irises before tracking counts as degraded (outlasts a blink) */
+const IRIS_HIDDEN_FRAMES = 10;
+
+/**
+ * @typedef {Object} TrackingStatus
+ * @property {string} state - One of TRACKING_STATES
+ * @property {number} confidence - 0 (no usable face) … 1 (steady, irises visible, fresh)
+ * @property {number|null} jitter - Smoothed landmark jitter (fraction of the eye distance)
+ * @property {boolean} irisVisible - Both irises visible in the latest detection
+ * @property {number|null} ageMs - Time since the latest detection result
+ */
+
+/**
+ * @callback TrackingStateCallback
+ * @param {string} state
+ * @param {string} previous
+ */
+
+export class TrackingStateMachine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.staleAfterMs=250] - A face without a new result
+   *   for this long counts as degraded
+   * @param {number} [options.lostTimeoutMs=1500] - Time in 'lost' before
+   *   'searching'; also how long a stalled detector may go without results
+   *   before the face counts as lost
+   * @param {number} [options.maxJitter=0.05] - Jitter above which tracking is degraded
+   * @param {TrackingStateCallback} [options.onChange] - Called on every state change
+   */
+  constructor(options = {}) {
+    this._onChange = options.onChange ?? null;
+    this.setOptions(options);
+    this._state = 'initialising';
+    this._resetMeasurements();
+  }
+
+  /**
+   * @param {Object} options - Same as the constructor (without onChange);
+   *   omitted ones are unchanged
+   */
+  setOptions(options) {
+    this._staleAfterMs = options.staleAfterMs ?? this._staleAfterMs ?? 250;
+    this._lostTimeoutMs = options.lostTimeoutMs ?? this._lostTimeoutMs ?? 1500;
+    this._maxJitter = options.maxJitter ?? this._maxJitter ?? 0.05;
+  }
+
+  /** Initialisation finished: start searching for a face. */
+  start() {
+    this._resetMeasurements();
+    this._setState('searching');
+  }
+
+  /** Back to 'initialising', e.g. when the source is destroyed. */
+  reset() {
+    this._resetMeasurements();
+    this._setState('initialising');
+  }
+
+  /** @returns {string} One of TRACKING_STATES */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * @param {number} [now=performance.now()]
+   * @returns {TrackingStatus}
+   */
+  getStatus(now = performance.now()) {
+    const ageMs = this._lastResultAt === null ? null : now - this._lastResultAt;
+    return {
+      state: this._state,
+      confidence: this._confidence(ageMs),
+      jitter: this._jitter,
+      irisVisible: this._irisVisible,
+      ageMs,
+    };
+  }
+
+  /**
+   * Feed one detection result.
+   *
+   * @param {Array<{x: number, y: number}>|null} landmarks - The face, or null if none
+   * @param {number} timestamp - Capture time of the frame (ms, performance.now() clock)
+   */
+  update(landmarks, timestamp) {
+    this._lastResultAt = timestamp;
+    if (this._state === 'initialising') return;
+
+    if (!landmarks) {
+      this._noses = [];
+      this._jitter = null;
+      this._irisVisible = false;
+      if (this._state === 'tracking' || this._state === 'degraded') {
+        this._setState('lost');
+      }
+      return;
+    }
+
+    this._lastFaceAt = timestamp;
+    this._measure(landmarks);
+    this._setState(this._healthy() ? 'tracking' : 'degraded');
+  }
+
+  /**
+   * Apply timeouts between results: a face without fresh results degrades
+   * and is eventually lost; a lost face gives way to searching.
+   *
+   * @param {number} [now=performance.now()]
+   */
+  check(now = performance.now()) {
+    const sinceResult = now - (this._lastResultAt ?? now);
+    const sinceFace = now - (this._lastFaceAt ?? now);
+
+    switch (this._state) {
+      case 'tracking':
+      case 'degraded':
+        if (sinceResult > this._lostTimeoutMs) {
+          this._setState('lost');
+        } else if (sinceResult > this._staleAfterMs) {
+          this._setState('degraded');
+        }
+        break;
+      case 'lost':
+        if (sinceFace > this._lostTimeoutMs) this._setState('searching');
+        break;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  _resetMeasurements() {
+    this._lastResultAt = null;
+    this._lastFaceAt = null;
+    this._noses = [];         // Last two nose tips, in eye distances
+    this._jitter = null;
+    this._irisVisible = false;
+    this._irisHiddenFrames = 0;
+  }
+
+  _setState(state) {
+    if (state === this._state) return;
+    const previous = this._state;
+    this._state = state;
+    this._onChange?.(state, previous);
+  }
+
+  _measure(landmarks) {
+    const eyeDistance = distance(landmarks[33], landmarks[263]) || 1;
+    const nose = { x: landmarks[1].x / eyeDistance, y: landmarks[1].y / eyeDistance };
+
+    if (this._noses.length === 2) {
+      const [a, b] = this._noses;
+      const jitter = Math.hypot(nose.x - 2 * b.x + a.x, nose.y - 2 * b.y + a.y);
+      this._jitter = this._jitter === null
+        ? jitter
+        : this._jitter + (jitter - this._jitter) * JITTER_SMOOTHING;
+    }
+    this._noses = [this._noses.at(-1), nose].filter(Boolean);
+
+    this._irisVisible = landmarks.length > 473 &&
+      eyeOpenness(landmarks, 159, 145, 33, 133) >= MIN_EYE_OPENNESS &&
+      eyeOpenness(landmarks, 386, 374, 362, 263) >= MIN_EYE_OPENNESS;
+    this._irisHiddenFrames = this._irisVisible ? 0 : this._irisHiddenFrames + 1;
+  }
+
+  _healthy() {
+    const maxJitter = this._state === 'degraded'
+      ? this._maxJitter * RECOVERY_JITTER
+      : this._maxJitter;
+    return (this._jitter ?? 0) <= maxJitter &&
+      this._irisHiddenFrames < IRIS_HIDDEN_FRAMES;
+  }
+
+  /**
+   * 1 for a steady face with visible irises, less for jitter (0.5 at twice
+   * maxJitter), hidden irises (× 0.5) and results older than staleAfterMs
+   * (falling to 0 at lostTimeoutMs). 0 without a face.
+   */
+  _confidence(ageMs) {
+    if (this._state !== 'tracking' && this._state !== 'degraded') return 0;
+    const steadiness = 1 / (1 + (this._jitter ?? 0) / (2 * this._maxJitter));
+    const iris = this._irisVisible ? 1 : 0.5;
+    const late = Math.max(0, (ageMs ?? 0) - this._staleAfterMs);
+    const freshness = Math.max(0, 1 - late / Math.max(1, this._lostTimeoutMs - this._staleAfterMs));
+    return steadiness * iris * freshness;
+  }
+}
+
+// --- Helpers ---
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/** Eyelid gap relative to eye width (landmark indices of one eye) */
+function eyeOpenness(landmarks, upper, lower, inner, outer) {
+  return distance(landmarks[upper], landmarks[lower]) /
+    (distance(landmarks[inner], landmarks[outer]) || 1);
+}
@@ -0,0 +1,201 @@
+/**
+ * ViewerSelector.js — Picks the face that drives the projection when
+ * several people are in view.
+ *
+ * Faces are followed from frame to frame by the position of their nose tip,
+ * so each keeps an id while it stays in view. One of them is the active
+ * viewer, chosen by policy:
+ *
+ *   locked  - The first viewer, for as long as they are in view; someone
+ *             else takes over only after lostTimeoutMs without them
+ *   nearest - The face with the largest irises (closest to the camera)
+ *   centred - The face closest to the centre of the image
+ *
+ * Switching is damped: another face has to be preferred for switchDelayMs
+ * without interruption before it becomes the viewer, so people passing
+ * behind the viewer do not make the scene lurch.
+ */
+
+export const VIEWER_POLICIES = ['locked', 'nearest', 'centred'];
+
+/** Largest nose tip movement between frames for the same face (normalised image units) */
+const MATCH_DISTANCE = 0.15;
+
+/**
+ * @callback ViewerChangeCallback
+ * @param {number|null} viewerId - New viewer, null when none is in view
+ * @param {number|null} previousId
+ */
+
+export class ViewerSelector {
+  /**
+   * @param {Object} [options]
+   * @param {'locked'|'nearest'|'centred'} [options.policy='locked']
+   * @param {number} [options.switchDelayMs=500] - How long another face must be
+   *   preferred before it becomes the viewer
+   * @param {number} [options.lostTimeoutMs=1000] - How long a locked viewer may
+   *   be out of view before someone else takes over
+   * @param {ViewerChangeCallback} [options.onChange] - Called when the viewer changes
+   */
+  constructor(options = {}) {
+    this._onChange = options.onChange ?? null;
+    this.setOptions(options);
+    this.reset();
+  }
+
+  /**
+   * @param {Object} options - Same as the constructor (without onChange);
+   *   omitted ones are unchanged
+   */
+  setOptions(options) {
+    this._policy = options.policy ?? this._policy ?? 'locked';
+    this._switchDelayMs = options.switchDelayMs ?? this._switchDelayMs ?? 500;
+    this._lostTimeoutMs = options.lostTimeoutMs ?? this._lostTimeoutMs ?? 1000;
+    if (!VIEWER_POLICIES.includes(this._policy)) {
+      throw new Error(
+        `Unknown viewer policy "${this._policy}" (expected ${VIEWER_POLICIES.join(', ')}).`
+      );
+    }
+  }
+
+  /** Forget every face and the viewer. */
+  reset() {
+    this._tracks = [];       // { id, nose, lastSeen }
+    this._nextId = 1;
+    this._viewerId = null;
+    this._challenger = null; // { id, since }
+  }
+
+  /** @returns {number|null} Id of the active viewer */
+  getViewerId() {
+    return this._viewerId;
+  }
+
+  /** @returns {number} Faces seen in the last frame */
+  getFaceCount() {
+    return this._visible?.length ?? 0;
+  }
+
+  /**
+   * Match this frame's faces to the known ones and pick the viewer.
+   *
+   * @param {Array<Array<{x: number, y: number}>>} faces - Landmarks per detected face
+   * @param {number} timestamp - Frame time (ms, performance.now() clock)
+   * @returns {number} Index into `faces` of the viewer, or -1 if the viewer is not in view
+   */
+  select(faces, timestamp) {
+    const ids = this._match(faces, timestamp);
+    this._visible = ids;
+
+    const previous = this._viewerId;
+    this._viewerId = this._choose(faces, ids, timestamp);
+    if (this._viewerId !== previous) {
+      this._challenger = null;
+      this._onChange?.(this._viewerId, previous);
+    }
+    return ids.indexOf(this._viewerId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Give each face the id of the nearest known face within MATCH_DISTANCE
+   * (closest pairs first), or a new id.
+   * @returns {number[]} Id per face
+   */
+  _match(faces, timestamp) {
+    const noses = faces.map((landmarks) => landmarks[1]);
+    const pairs = [];
+    noses.forEach((nose, i) => {
+      this._tracks.forEach((track, j) => {
+        const d = Math.hypot(nose.x - track.nose.x, nose.y - track.nose.y);
+        if (d < MATCH_DISTANCE) pairs.push({ i, j, d });
+      });
+    });
+    pairs.sort((a, b) => a.d - b.d);
+
+    const ids = new Array(faces.length).fill(null);
+    const taken = new Set();
+    for (const { i, j } of pairs) {
+      if (ids[i] !== null || taken.has(j)) continue;
+      ids[i] = this._tracks[j].id;
+      taken.add(j);
+    }
+
+    faces.forEach((_, i) => {
+      let track = this._tracks.find((t) => t.id === ids[i]);
+      if (!track) {
+        track = { id: this._nextId++ };
+        this._tracks.push(track);
+        ids[i] = track.id;
+      }
+      track.nose = { x: noses[i].x, y: noses[i].y };
+      track.lastSeen = timestamp;
+    });
+
+    // Faces gone for longer than a locked viewer may be
+    this._tracks = this._tracks.filter((t) => timestamp - t.lastSeen <= this._lostTimeoutMs);
+    return ids;
+  }
+
+  /** @returns {number|null} Viewer id after this frame */
+  _choose(faces, ids, timestamp) {
+    if (ids.length === 0) {
+      return this._policy === 'locked' && this._isKnown(this._viewerId) ? this._viewerId : null;
+    }
+
+    const current = this._viewerId;
+    const visible = ids.includes(current);
+
+    if (this._policy === 'locked') {
+      if (visible) return current;
+      // Wait for a locked viewer who briefly left the picture
+      if (this._isKnown(current)) return current;
+      return ids[this._best(faces)];
+    }
+
+    const best = ids[this._best(faces)];
+    if (!visible || best === current) {
+      this._challenger = null;
+      return visible ? current : best;
+    }
+
+    // Hysteresis: the other face must stay preferred for switchDelayMs
+    if (this._challenger?.id !== best) {
+      this._challenger = { id: best, since: timestamp };
+    }
+    return timestamp - this._challenger.since >= this._switchDelayMs ? best : current;
+  }
+
+  /** Index of the face the policy prefers ('locked' starts with the nearest) */
+  _best(faces) {
+    const score = this._policy === 'centred'
+      ? (landmarks) => -Math.hypot(landmarks[1].x - 0.5, landmarks[1].y - 0.5)
+      : irisWidth;
+    let best = 0;
+    faces.forEach((landmarks, i) => {
+      if (score(landmarks) > score(faces[best])) best = i;
+    });
+    return best;
+  }
+
+  _isKnown(id) {
+    return id !== null && this._tracks.some((t) => t.id === id);
+  }
+}
+
+// --- Helpers ---
+
+/**
+ * Mean iris width in normalised image units (landmarks 469–471, 474–476),
+ * or the eye distance for landmark sets without irises.
+ */
+function irisWidth(landmarks) {
+  if (landmarks.length > 476) {
+    return (Math.abs(landmarks[469].x - landmarks[471].x) +
+      Math.abs(landmarks[474].x - landmarks[476].x)) / 2;
+  }
+  return Math.abs(landmarks[33].x - landmarks[263].x);
+}
@@ -0,0 +1,91 @@
+/**
+ * landmarkerWorker.js — Runs MediaPipe FaceLandmarker off the main thread.
+ *
+ * Worker driven by FaceTracker. Protocol:
+ *
+ *   main → worker  { type: 'init', moduleUrl, wasmPath, modelAssetPath, options }
+ *   worker → main  { type: 'ready' } | { type: 'init-error', message }
+ *
+ *   main → worker  { type: 'detect', frame, timestamp }   (frame is transferred)
+ *   worker → main  { type: 'result', result, timestamp, detectMs } | { type: 'error', message, timestamp }
+ *
+ *   main → worker  { type: 'options', options }   (FaceLandmarker.setOptions)
+ *
+ *   main → worker  { type: 'close' }
+ *
+ * `frame` is a VideoFrame or ImageBitmap; the worker closes it after use.
+ * `result` carries the same faceLandmarks / facialTransformationMatrixes
+ * fields as a FaceLandmarkerResult; `detectMs` is the time detectForVideo took.
+ *
+ * This is a classic worker, not a module worker: tasks-vision loads its
+ * WASM glue with importScripts(), which only classic workers have. The
+ * tasks-vision module itself comes in through import(), so this file must
+ * not use static imports or exports.
+ */
+
+let faceLandmarker = null;
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+
+  switch (msg.type) {
+    case 'init':
+      try {
+        await init(msg);
+        self.postMessage({ type: 'ready' });
+      } catch (err) {
+        self.postMessage({ type: 'init-error', message: err?.message ?? String(err) });
+      }
+      break;
+
+    case 'detect':
+      detect(msg.frame, msg.timestamp);
+      break;
+
+    case 'options':
+      // No reply: an 'error' message would be taken for a failed detection
+      faceLandmarker?.setOptions(msg.options).catch((err) => {
+        console.warn('landmarkerWorker: setOptions failed', err);
+      });
+      break;
+
+    case 'close':
+      faceLandmarker?.close();
+      faceLandmarker = null;
+      self.close();
+      break;
+  }
+};
+
+async function init({ moduleUrl, wasmPath, modelAssetPath, options }) {
+  const { FaceLandmarker, FilesetResolver } = await import(moduleUrl);
+  const vision = await FilesetResolver.forVisionTasks(wasmPath);
+
+  faceLandmarker = await FaceLandmarker.createFromOptions(vision, {
+    ...options,
+    baseOptions: { ...options.baseOptions, modelAssetPath },
+    // The GPU delegate needs a canvas; workers only have OffscreenCanvas
+    canvas: new OffscreenCanvas(1, 1),
+  });
+}
+
+function detect(frame, timestamp) {
+  try {
+    const start = performance.now();
+    const result = faceLandmarker.detectForVideo(frame, timestamp);
+    const detectMs = performance.now() - start;
+    self.postMessage({
+      type: 'result',
+      result: {
+        faceLandmarks: result.faceLandmarks,
+        facialTransformationMatrixes: result.facialTransformationMatrixes,
+      },
+      timestamp,
+      detectMs,
+    });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message ?? String(err), timestamp });
+  } finally {
+    frame.close();
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * BroadcastSource.test.mjs — Sharing head poses between windows.
+ */
+
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+
+import { PoseBroadcaster, BroadcastSource } from '../src/tracking/BroadcastSource.js';
+
+const open = [];
+
+afterEach(() => {
+  for (const end of open.splice(0)) end.destroy();
+  mock.restoreAll();
+});
+
+/** Broadcaster and receiver on a fresh channel */
+async function connect(options = {}) {
+  const channelName = `test-${Math.random()}`;
+  const broadcaster = new PoseBroadcaster(channelName);
+  const source = new BroadcastSource({ channelName, ...options });
+  open.push(broadcaster, source);
+  await source.init();
+  return { channelName, broadcaster, source };
+}
+
+/** Let the channel deliver pending messages */
+const deliver = () => delay(20);
+
+test('a receiver reports the poses the tracking window publishes', async () => {
+  const { broadcaster, source } = await connect();
+  assert.equal(source.getLatestHeadPosition(), null);
+  assert.equal(source.isFaceDetected(), false);
+
+  broadcaster.post({ x: 10, y: 20, z: 600 });
+  await deliver();
+  assert.deepEqual(source.getLatestHeadPosition(), { x: 10, y: 20, z: 600 });
+  assert.equal(source.isFaceDetected(), true);
+  assert.equal(source.getLatestLandmarks(), null);
+
+  broadcaster.post(null);
+  await deliver();
+  assert.equal(source.getLatestHeadPosition(), null);
+});
+
+test('poses go stale when the tracking window stops publishing', async () => {
+  let clock = 1000;
+  mock.method(performance, 'now', () => clock);
+  const { broadcaster, source } = await connect({ staleMs: 100 });
+  broadcaster.post({ x: 0, y: 0, z: 600 });
+  await deliver();
+
+  clock = 1100;
+  assert.notEqual(source.getLatestHeadPosition(), null);
+  clock = 1101;
+  assert.equal(source.getLatestHeadPosition(), null);
+});
+
+test('messages of other types are ignored', async () => {
+  const { channelName, source } = await connect();
+  const other = new BroadcastChannel(channelName);
+  other.postMessage({ type: 'hello', head: { x: 1, y: 2, z: 3 } });
+  other.close();
+  await deliver();
+  assert.equal(source.getLatestHeadPosition(), null);
+});
@@ -0,0 +1,115 @@
+/**
+ * CalibrationStore.test.mjs — Persisting calibrations and screen
+ * measurements, and applying calibrations.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  loadCalibration,
+  saveCalibration,
+  clearCalibration,
+  saveScreenScale,
+  loadScreenScale,
+  clearScreenScale,
+  applyCalibration,
+} from '../src/calibration/CalibrationStore.js';
+import { HeadPoseEstimator } from '../src/tracking/HeadPoseEstimator.js';
+
+const CALIBRATION = {
+  version: 1,
+  focalLengthPx: 800,
+  videoWidth: 1280,
+  distanceMm: 600,
+  sensitivity: { x: 1.5, y: 2 },
+  neutral: { x: 10, y: 150, z: 550 },
+  createdAt: '2026-01-01T00:00:00.000Z',
+};
+
+let store;
+
+beforeEach(() => {
+  store = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => store.get(key) ?? null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+  globalThis.window = { devicePixelRatio: 1 };
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+  delete globalThis.window;
+  mock.restoreAll();
+});
+
+test('a saved calibration loads back and can be cleared', () => {
+  assert.equal(loadCalibration(), null);
+  saveCalibration(CALIBRATION);
+  assert.deepEqual(loadCalibration(), CALIBRATION);
+  clearCalibration();
+  assert.equal(loadCalibration(), null);
+});
+
+test('corrupt, outdated or incomplete data counts as no calibration', () => {
+  for (const raw of ['{not json', '{"version":2,"focalLengthPx":800}', '{"version":1}']) {
+    store.set('headtracking.calibration.v1', raw);
+    assert.equal(loadCalibration(), null, raw);
+  }
+});
+
+test('unavailable storage is not an error', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  globalThis.localStorage = {
+    getItem() { throw new Error('denied'); },
+    setItem() { throw new Error('quota'); },
+    removeItem() { throw new Error('denied'); },
+  };
+  assert.equal(loadCalibration(), null);
+  saveCalibration(CALIBRATION);
+  clearCalibration();
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('the screen scale is stored per device pixel and follows the zoom level', () => {
+  assert.equal(loadScreenScale(), null);
+  window.devicePixelRatio = 2;
+  saveScreenScale(0.5);
+  assert.equal(JSON.parse(store.get('headtracking.screen.v1')).mmPerDevicePx, 0.25);
+  assert.equal(loadScreenScale(), 0.5);
+
+  // Zooming out to 100 % doubles the number of CSS pixels per mm
+  window.devicePixelRatio = 1;
+  assert.equal(loadScreenScale(), 0.25);
+
+  clearScreenScale();
+  assert.equal(loadScreenScale(), null);
+});
+
+test('an invalid screen measurement is ignored', () => {
+  store.set('headtracking.screen.v1', '{"version":1,"mmPerDevicePx":0}');
+  assert.equal(loadScreenScale(), null);
+});
+
+test('applyCalibration rescales the focal length to the current video width', () => {
+  const estimator = new HeadPoseEstimator({
+    screenWidthMm: 520,
+    screenHeightMm: 300,
+    defaultViewingDistance: 600,
+    videoWidth: 640,
+    videoHeight: 480,
+  });
+  const calls = {};
+  for (const name of ['setFocalLength', 'setUseIrisDepth', 'setSensitivity', 'setNeutralPosition']) {
+    mock.method(estimator, name, (value) => { calls[name] = value; });
+  }
+  applyCalibration(CALIBRATION, estimator, 640);
+  assert.deepEqual(calls, {
+    setFocalLength: 400,
+    setUseIrisDepth: true,
+    setSensitivity: CALIBRATION.sensitivity,
+    setNeutralPosition: CALIBRATION.neutral,
+  });
+});
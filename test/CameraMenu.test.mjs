@@ -0,0 +1,81 @@
+/**
+ * CameraMenu.test.mjs — Webcam picker against a minimal DOM fake.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CameraMenu } from '../src/settings/CameraMenu.js';
+
+let deviceListeners;  // 'devicechange' listeners
+let tracker;
+
+/** An element that accepts what CameraMenu does to it */
+function fakeElement() {
+  const children = new Map();
+  return {
+    options: [],
+    value: '',
+    removed: false,
+    classList: { toggle() {} },
+    addEventListener() {},
+    querySelector(selector) {
+      if (!children.has(selector)) children.set(selector, fakeElement());
+      return children.get(selector);
+    },
+    replaceChildren(...options) { this.options = options; },
+    add(option) { this.options.push(option); },
+    remove() { this.removed = true; },
+  };
+}
+
+beforeEach(() => {
+  deviceListeners = [];
+  const listeners = {};
+  tracker = {
+    listeners,
+    listCameras: async () => [{ deviceId: 'cam-1', label: 'Integrated Camera' }],
+    getCamera: () => ({ deviceId: 'cam-1', label: 'Integrated Camera' }),
+    on(event, handler) { (listeners[event] ??= []).push(handler); },
+    off(event, handler) { listeners[event] = listeners[event].filter((h) => h !== handler); },
+  };
+  globalThis.document = { createElement: () => fakeElement() };
+  globalThis.navigator = {
+    mediaDevices: {
+      addEventListener: (type, listener) => deviceListeners.push(listener),
+      removeEventListener: (type, listener) => {
+        deviceListeners = deviceListeners.filter((l) => l !== listener);
+      },
+    },
+  };
+  globalThis.Option = class {
+    constructor(text, value) {
+      Object.assign(this, { text, value });
+    }
+  };
+  globalThis.localStorage = { getItem: () => null };
+});
+
+afterEach(() => {
+  for (const name of ['document', 'navigator', 'Option', 'localStorage']) {
+    delete globalThis[name];
+  }
+});
+
+test('the menu lists the cameras and follows changes until disposed', async () => {
+  const menu = new CameraMenu({ tracker });
+  const root = menu.getElement();
+  await new Promise((resolve) => setImmediate(resolve));
+  const select = root.querySelector('select');
+  assert.deepEqual(select.options.map((o) => o.text), ['Default camera', 'Integrated Camera']);
+  assert.equal(deviceListeners.length, 1);
+  assert.equal(tracker.listeners.camera.length, 1);
+
+  menu.dispose();
+  assert.equal(root.removed, true);
+  assert.equal(deviceListeners.length, 0);
+  assert.equal(tracker.listeners.camera.length, 0);
+
+  // Disposing a menu that was never shown does nothing
+  new CameraMenu({ tracker }).dispose();
+});
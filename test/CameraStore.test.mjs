@@ -0,0 +1,52 @@
+/**
+ * CameraStore.test.mjs — Remembering the chosen webcam.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadCameraChoice, saveCameraChoice, clearCameraChoice } from '../src/tracking/CameraStore.js';
+
+let store;
+
+beforeEach(() => {
+  store = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => store.get(key) ?? null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+  mock.restoreAll();
+});
+
+test('a saved camera loads back and can be cleared', () => {
+  assert.equal(loadCameraChoice(), null);
+  saveCameraChoice({ deviceId: 'cam-2', label: 'USB Webcam', kind: 'videoinput' });
+  assert.deepEqual(loadCameraChoice(), { version: 1, deviceId: 'cam-2', label: 'USB Webcam' });
+  clearCameraChoice();
+  assert.equal(loadCameraChoice(), null);
+});
+
+test('corrupt, outdated or empty choices mean the default camera', () => {
+  for (const raw of ['{not json', '{"version":2,"deviceId":"cam"}', '{"version":1,"deviceId":""}', '{"version":1}']) {
+    store.set('headtracking.camera.v1', raw);
+    assert.equal(loadCameraChoice(), null, raw);
+  }
+});
+
+test('unavailable storage is not an error', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  globalThis.localStorage = {
+    getItem() { throw new Error('denied'); },
+    setItem() { throw new Error('quota'); },
+    removeItem() { throw new Error('denied'); },
+  };
+  assert.equal(loadCameraChoice(), null);
+  saveCameraChoice({ deviceId: 'cam-1', label: 'Camera' });
+  clearCameraChoice();
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,112 @@
+/**
+ * ConfigOverrides.test.mjs — Merging, diffing and URL overrides.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeConfig, diffConfig, parseUrlOverrides, applyUrlOverrides } from '../src/settings/ConfigOverrides.js';
+import { validateConfig } from '../src/settings/ConfigSchema.js';
+import { CONFIG } from '../src/config.js';
+
+test('mergeConfig merges objects key by key and replaces lists', () => {
+  const target = { a: { x: 1, y: 2 }, list: [1, 2, 3] };
+  mergeConfig(target, { a: { y: 5 }, list: [4] });
+  assert.deepEqual(target, { a: { x: 1, y: 5 }, list: [4] });
+});
+
+test('diffConfig undoes mergeConfig', () => {
+  const base = structuredClone(CONFIG);
+  const config = structuredClone(CONFIG);
+  config.screen.widthMm += 10;
+  config.smoothing.stages[0].enabled = !config.smoothing.stages[0].enabled;
+
+  const diff = diffConfig(config, base);
+  assert.deepEqual(Object.keys(diff).sort(), ['screen', 'smoothing']);
+  assert.deepEqual(Object.keys(diff.screen), ['widthMm']);
+  assert.deepEqual(mergeConfig(structuredClone(base), diff), config);
+});
+
+test('URL overrides are parsed by the schema and written into the config', () => {
+  const config = structuredClone(CONFIG);
+  const params = new URLSearchParams(
+    'screen.widthMm=597&headPose.useIrisDepth=false&smoothing.stages.1.beta=0.8&replay=x.ndjson'
+  );
+  const { overrides, problems } = parseUrlOverrides(params);
+  assert.deepEqual(problems, []);
+  assert.deepEqual(applyUrlOverrides(config, overrides), []);
+  assert.equal(config.screen.widthMm, 597);
+  assert.equal(config.headPose.useIrisDepth, false);
+  assert.equal(config.smoothing.stages[1].beta, 0.8);
+});
+
+test('unknown sections and missing parents are reported', () => {
+  const config = structuredClone(CONFIG);
+  const { overrides, problems } = parseUrlOverrides(new URLSearchParams('nope.x=1&screen.a.b=1'));
+  assert.match(problems[0], /nope\.x/);
+  assert.match(applyUrlOverrides(config, overrides)[0], /screen\.a does not exist/);
+});
+
+test('URL overrides cannot reach Object.prototype', () => {
+  const config = structuredClone(CONFIG);
+  for (const path of ['screen.__proto__.polluted', 'screen.constructor.prototype.polluted']) {
+    const { overrides, problems } = parseUrlOverrides(new URLSearchParams(`${path}=1`));
+    assert.equal(overrides.length, 0);
+    assert.equal(problems.length, 1);
+
+    // Even when handed over directly
+    assert.equal(applyUrlOverrides(config, [{ path, value: 1 }]).length, 1);
+  }
+  assert.equal({}.polluted, undefined);
+});
+
+test('imported profiles cannot reach Object.prototype', () => {
+  const overrides = JSON.parse('{"__proto__": {"polluted": 1}, "screen": {"__proto__": {"polluted": 1}}}');
+  const config = mergeConfig(structuredClone(CONFIG), overrides);
+  assert.equal({}.polluted, undefined);
+  assert.equal(config.polluted, undefined);
+  assert.equal(config.screen.polluted, undefined);
+});
+
+test('?speed= and ?loop= stand for replay.speed and replay.loop', () => {
+  const config = structuredClone(CONFIG);
+  const { overrides, problems } = parseUrlOverrides(new URLSearchParams('speed=2&loop=0'));
+  assert.deepEqual(problems, []);
+  applyUrlOverrides(config, overrides);
+  assert.equal(config.replay.speed, 2);
+  assert.equal(config.replay.loop, false);
+  assert.deepEqual(validateConfig(config), []);
+
+  for (const speed of ['abc', '0', '-1']) {
+    const bad = structuredClone(CONFIG);
+    applyUrlOverrides(bad, parseUrlOverrides(new URLSearchParams(`speed=${speed}`)).overrides);
+    assert.match(validateConfig(bad).join('\n'), /replay\.speed/);
+  }
+});
+
+test('smoothing stages accept only their own options, within range', () => {
+  const problemsWith = (stage) => {
+    const config = structuredClone(CONFIG);
+    config.smoothing.stages = [stage];
+    return validateConfig(config);
+  };
+  for (const stage of [
+    { type: 'one-euro' },
+    { type: 'one-euro', minCutoff: 0.5, beta: 0, dCutoff: 1 },
+    { type: 'median', size: 1 },
+    { type: 'kalman', model: 'acceleration', processNoise: 1e6, dampingMs: 0 },
+    { type: 'clamp', min: { z: 150 }, max: { x: 300, z: 2000 } },
+  ]) {
+    assert.deepEqual(problemsWith(stage), [], JSON.stringify(stage));
+  }
+
+  assert.match(problemsWith({ type: 'one-euro', minCutoff: 0 }).join('\n'), /stages\[0\]\.minCutoff must be greater than 0/);
+  assert.match(problemsWith({ type: 'one-euro', dCutoff: -1 }).join('\n'), /dCutoff must be greater than 0/);
+  assert.match(problemsWith({ type: 'kalman', model: 'foo' }).join('\n'), /model must be one of velocity, acceleration/);
+  assert.match(problemsWith({ type: 'median', size: 0 }).join('\n'), /size must be at least 1/);
+  assert.match(problemsWith({ type: 'median', size: 2.5 }).join('\n'), /size must be a whole number/);
+  assert.match(problemsWith({ type: 'median', sise: 5 }).join('\n'), /sise is not an option of median stages \(expected size\)/);
+  assert.match(problemsWith({ type: 'one-euro', deadZone: 2 }).join('\n'), /deadZone is not an option/);
+  assert.match(problemsWith({ type: 'clamp', min: { w: 1 } }).join('\n'), /min must be \{ x\?, y\?, z\? \}/);
+  assert.match(problemsWith({ type: 'blur' }).join('\n'), /type must be one of/);
+});
@@ -0,0 +1,85 @@
+/**
+ * ConfigProfiles.test.mjs — Named profiles in localStorage, import and export.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/config.js';
+import {
+  listProfiles,
+  loadProfile,
+  saveProfile,
+  deleteProfile,
+  getActiveProfile,
+  setActiveProfile,
+  serializeProfile,
+  parseProfile,
+} from '../src/settings/ConfigProfiles.js';
+
+let store;
+
+beforeEach(() => {
+  store = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => store.get(key) ?? null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+  mock.restoreAll();
+});
+
+test('profiles are saved, listed, activated and deleted', () => {
+  assert.deepEqual(listProfiles(), []);
+  assert.equal(saveProfile('tv', { screen: { widthMm: 1210 } }), true);
+  assert.equal(saveProfile('laptop', { stereo: { mode: 'anaglyph' } }), true);
+  assert.deepEqual(listProfiles(), ['laptop', 'tv']);
+  assert.deepEqual(loadProfile('tv'), { screen: { widthMm: 1210 } });
+  assert.equal(loadProfile('desk'), null);
+
+  setActiveProfile('tv');
+  assert.equal(getActiveProfile(), 'tv');
+  deleteProfile('tv');
+  assert.deepEqual(listProfiles(), ['laptop']);
+  assert.equal(getActiveProfile(), null);
+});
+
+test('names that objects treat specially are refused', () => {
+  for (const name of ['__proto__', 'constructor', 'prototype']) {
+    assert.throws(() => saveProfile(name, { screen: { widthMm: 1 } }), /cannot be used as a profile name/);
+    assert.throws(
+      () => parseProfile(serializeProfile(` ${name} `, {}), CONFIG),
+      /cannot be used as a profile name/
+    );
+    assert.equal(loadProfile(name), null);
+  }
+  assert.deepEqual(listProfiles(), []);
+  assert.equal({}.widthMm, undefined);
+});
+
+test('an exported profile imports back, and invalid ones are rejected', () => {
+  const text = serializeProfile('tv', { screen: { widthMm: 1210 } });
+  assert.deepEqual(parseProfile(text, CONFIG), { name: 'tv', config: { screen: { widthMm: 1210 } } });
+
+  assert.throws(() => parseProfile('{', CONFIG), /Not a JSON file/);
+  assert.throws(() => parseProfile('{"type":"other","version":1}', CONFIG), /Not a head tracking profile/);
+  assert.throws(() => parseProfile(serializeProfile(' ', {}), CONFIG), /no name/);
+  assert.throws(
+    () => parseProfile(serializeProfile('tv', { screen: { widthMm: -1 } }), CONFIG),
+    { name: 'ConfigError', message: /profile "tv"/ }
+  );
+});
+
+test('unavailable storage means no profiles', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  store.set('headtracking.profiles.v1', '{corrupt');
+  assert.deepEqual(listProfiles(), []);
+
+  globalThis.localStorage.setItem = () => { throw new Error('quota'); };
+  assert.equal(saveProfile('tv', {}), false);
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,81 @@
+/**
+ * DebugVisualizer.test.mjs — Debug overlay drawing against a recording
+ * 2D context.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DebugVisualizer } from '../src/debug/DebugVisualizer.js';
+
+let calls;   // [method, ...args] for every context call
+let canvas;
+
+/** A 2D context that records method calls and accepts any property */
+function recordingContext() {
+  return new Proxy({}, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return (...args) => {
+        calls.push([name, ...args]);
+        return { width: 0 };
+      };
+    },
+    set(target, name, value) {
+      target[name] = value;
+      return true;
+    },
+  });
+}
+
+const FRAME = {
+  video: null,
+  landmarks: null,
+  raw: { x: 12, y: 34, z: 612 },
+  filtered: { x: 10, y: 30, z: 600 },
+  screenWidthMm: 520,
+  screenHeightMm: 300,
+  viewportRect: null,
+  webcam: {},
+  defaultViewingDistance: 600,
+};
+
+beforeEach(() => {
+  calls = [];
+  canvas = { style: {}, getContext: () => recordingContext() };
+  globalThis.window = { devicePixelRatio: 2 };
+});
+
+afterEach(() => {
+  delete globalThis.window;
+});
+
+/** Texts written with fillText since the last reset of `calls` */
+const texts = () => calls.filter(([name]) => name === 'fillText').map(([, text]) => text);
+
+test('the backing store follows the device pixel ratio', () => {
+  const visualizer = new DebugVisualizer({ canvas });
+  visualizer.draw(FRAME);
+  assert.equal(canvas.width, 576);
+  assert.equal(canvas.style.width, '288px');
+  assert.deepEqual(calls.find(([name]) => name === 'setTransform'), ['setTransform', 2, 0, 0, 2, 0, 0]);
+});
+
+test('the traces label the latest filtered position', () => {
+  const visualizer = new DebugVisualizer({ canvas });
+  visualizer.draw(FRAME);
+  assert.ok(texts().includes('X 10.0 mm'));
+  assert.ok(texts().includes('Z 600.0 mm'));
+
+  calls = [];
+  visualizer.draw({ ...FRAME, raw: null, filtered: null, landmarks: null });
+  assert.ok(texts().includes('Y -- mm'));
+});
+
+test('landmarks are drawn on black without a video', () => {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  const visualizer = new DebugVisualizer({ canvas });
+  visualizer.draw({ ...FRAME, landmarks });
+  assert.ok(calls.some(([name]) => name === 'arc'), 'landmark and iris dots');
+  assert.ok(!calls.some(([name]) => name === 'drawImage'));
+});
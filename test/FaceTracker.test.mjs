@@ -0,0 +1,590 @@
+/**
+ * FaceTracker.test.mjs — Webcam and MediaPipe set-up against browser fakes.
+ *
+ * The MediaPipe module is a data: URL module that forwards to `vision`
+ * below, so each test can script what loading and detection do.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FaceTracker } from '../src/tracking/FaceTracker.js';
+import { PerfTelemetry } from '../src/debug/PerfTelemetry.js';
+import { MEDIAPIPE_VERSION } from '../src/config.js';
+
+const VISION_MODULE = 'data:text/javascript,' + encodeURIComponent(`
+  export const FilesetResolver = { forVisionTasks: (...a) => globalThis.vision.forVisionTasks(...a) };
+  export const FaceLandmarker = { createFromOptions: (...a) => globalThis.vision.createFromOptions(...a) };
+`);
+
+/** 478 landmarks of a face, all at x, y */
+function faceAt(x, y) {
+  return Array.from({ length: 478 }, () => ({ x, y, z: 0 }));
+}
+
+let video;
+let frames;   // Pending requestAnimationFrame callbacks
+let vision;
+let workers;  // FakeWorkers created by the tracker
+let cameras;  // Devices enumerateDevices reports
+let deviceListeners;  // 'devicechange' listeners
+
+beforeEach(() => {
+  video = {
+    currentTime: 0,
+    videoWidth: 640,
+    videoHeight: 480,
+    readyState: 4,
+    srcObject: null,
+    setAttribute() {},
+    listeners: {},
+    addEventListener(type, listener) { this.listeners[type] = listener; },
+    removeEventListener(type, listener) {
+      if (this.listeners[type] === listener) delete this.listeners[type];
+    },
+    play() {
+      setImmediate(() => this.onloadeddata());
+      return Promise.resolve();
+    },
+  };
+  cameras = [
+    { kind: 'videoinput', deviceId: 'cam-1', label: 'Integrated Camera' },
+    { kind: 'videoinput', deviceId: 'cam-2', label: 'USB Webcam C920' },
+  ];
+  deviceListeners = [];
+  frames = [];
+  vision = {
+    forVisionTasks: async (path) => ({ path }),
+    createFromOptions: async (fileset, options) => ({
+      fileset,
+      options,
+      detectForVideo: () => ({ faceLandmarks: [faceAt(0.5, 0.5)] }),
+      close() {},
+    }),
+  };
+  globalThis.vision = vision;
+  globalThis.document = { baseURI: 'https://example.com/app/index.html', getElementById: () => video };
+  globalThis.navigator = {
+    mediaDevices: {
+      getUserMedia: async ({ video: constraints }) => {
+        const deviceId = constraints.deviceId?.exact ?? cameras[0].deviceId;
+        const camera = cameras.find((c) => c.deviceId === deviceId);
+        if (!camera) throw Object.assign(new Error('gone'), { name: 'OverconstrainedError' });
+        return fakeStream(camera);
+      },
+      enumerateDevices: async () => cameras,
+      addEventListener: (type, listener) => deviceListeners.push(listener),
+      removeEventListener: (type, listener) => {
+        deviceListeners = deviceListeners.filter((l) => l !== listener);
+      },
+    },
+  };
+  globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+  globalThis.cancelAnimationFrame = () => {};
+  mock.method(globalThis, 'fetch', async () => ({ ok: true, status: 200 }));
+  workers = [];
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  for (const name of [
+    'vision', 'document', 'navigator', 'requestAnimationFrame', 'cancelAnimationFrame',
+    'Worker', 'OffscreenCanvas', 'createImageBitmap',
+  ]) {
+    delete globalThis[name];
+  }
+});
+
+/** A MediaStream with one live video track from `camera` */
+function fakeStream(camera) {
+  const listeners = {};
+  const track = {
+    label: camera.label,
+    readyState: 'live',
+    getSettings: () => ({ deviceId: camera.deviceId }),
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    stop() { this.readyState = 'ended'; },
+    /** Simulate unplugging the camera */
+    end() {
+      this.readyState = 'ended';
+      listeners.ended?.();
+    },
+  };
+  return { getTracks: () => [track], getVideoTracks: () => [track] };
+}
+
+/**
+ * Make worker detection available. `respond(worker, message)` plays the
+ * worker's side; by default it loads and answers every frame with one face.
+ */
+function installWorker(respond = (worker, msg) => {
+  if (msg.type === 'init') worker.reply({ type: 'ready' });
+}) {
+  globalThis.Worker = class FakeWorker {
+    constructor(url, options) {
+      this.url = url;
+      this.options = options;
+      this.messages = [];
+      this.terminated = false;
+      workers.push(this);
+    }
+
+    postMessage(msg) {
+      this.messages.push(msg);
+      queueMicrotask(() => respond(this, msg));
+    }
+
+    reply(data) {
+      this.onmessage?.({ data });
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  };
+  globalThis.OffscreenCanvas = class {};
+  globalThis.createImageBitmap = async () => ({ close() {} });
+}
+
+/** Let pending promises and microtasks settle. */
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/** Run the pending detection-loop callbacks for one new video frame. */
+function nextFrame() {
+  video.currentTime += 1 / 30;
+  const pending = frames.splice(0);
+  pending.forEach((callback) => callback());
+}
+
+test('detects faces once loaded', async () => {
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE });
+  await tracker.init();
+  mock.method(performance, 'now', () => 1234.5);
+  nextFrame();
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.5, 0.5));
+  assert.equal(tracker.getLatestTimestamp(), 1234.5);
+  tracker.destroy();
+  assert.equal(tracker.getLatestLandmarks(), null);
+  assert.equal(tracker.getLatestTimestamp(), null);
+});
+
+test('default assets are pinned to the MediaPipe release in config.js', async () => {
+  let created;
+  vision.createFromOptions = async (fileset, options) => {
+    created = { fileset, options };
+    return { detectForVideo: () => null, close() {} };
+  };
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE });
+  await tracker.init();
+  assert.ok(created.fileset.path.endsWith(`tasks-vision@${MEDIAPIPE_VERSION}/wasm`), created.fileset.path);
+  assert.match(created.options.baseOptions.modelAssetPath, /face_landmarker\.task$/);
+  tracker.destroy();
+});
+
+test('relative asset paths resolve against the page', async () => {
+  let created;
+  vision.createFromOptions = async (fileset, options) => {
+    created = { fileset, options };
+    return { detectForVideo: () => null, close() {} };
+  };
+  const tracker = new FaceTracker({
+    mediapipeModuleUrl: VISION_MODULE,
+    mediapipeWasmPath: './vendor/wasm',
+    modelAssetPath: 'models/face.task',
+  });
+  await tracker.init();
+  assert.equal(created.fileset.path, 'https://example.com/app/vendor/wasm');
+  assert.equal(created.options.baseOptions.modelAssetPath, 'https://example.com/app/models/face.task');
+  assert.equal(fetch.mock.calls[0].arguments[0], 'https://example.com/app/models/face.task');
+  tracker.destroy();
+});
+
+test('unreachable assets fail with a model-error naming them', async () => {
+  const missingModule = new FaceTracker({ mediapipeModuleUrl: './vendor/missing.mjs', assetRetries: 0 });
+  await assert.rejects(missingModule.init(), {
+    code: 'model-error',
+    message: /https:\/\/example\.com\/app\/vendor\/missing\.mjs/,
+  });
+
+  fetch.mock.mockImplementation(async () => ({ ok: false, status: 404 }));
+  const missingModel = new FaceTracker({
+    mediapipeModuleUrl: VISION_MODULE,
+    modelAssetPath: './face.task',
+    assetRetries: 0,
+  });
+  await assert.rejects(missingModel.init(), {
+    code: 'model-error',
+    message: /missing at https:\/\/example\.com\/app\/face\.task \(HTTP 404\)/,
+  });
+
+  fetch.mock.mockImplementation(async () => ({ ok: true, status: 200 }));
+  vision.forVisionTasks = async () => { throw new Error('bad wasm'); };
+  const badWasm = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, assetRetries: 0 });
+  await assert.rejects(badWasm.init(), { code: 'model-error', message: /bad wasm/ });
+});
+
+test('camera errors are mapped to error codes', async () => {
+  for (const [name, code] of [['NotAllowedError', 'permission-denied'], ['NotFoundError', 'camera-unavailable']]) {
+    navigator.mediaDevices.getUserMedia = async () => {
+      throw Object.assign(new Error(name), { name });
+    };
+    await assert.rejects(new FaceTracker({ mediapipeModuleUrl: VISION_MODULE }).init(), { code });
+  }
+});
+
+test('detection runs in a worker when the browser supports it', async () => {
+  installWorker();
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE });
+  await tracker.init();
+
+  const [worker] = workers;
+  const init = worker.messages[0];
+  assert.equal(init.type, 'init');
+  assert.equal(init.moduleUrl, VISION_MODULE);
+  assert.match(init.options.baseOptions.modelAssetPath, /face_landmarker\.task$/);
+
+  nextFrame();
+  await settle();
+  const detect = worker.messages.find((m) => m.type === 'detect');
+  assert.ok(detect.frame, 'the frame is sent along');
+
+  // One frame in flight: the next video frame waits for the result
+  nextFrame();
+  await settle();
+  assert.equal(worker.messages.filter((m) => m.type === 'detect').length, 1);
+
+  worker.reply({ type: 'result', result: { faceLandmarks: [faceAt(0.3, 0.4)] }, timestamp: detect.timestamp });
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.3, 0.4));
+
+  tracker.destroy();
+  assert.equal(worker.terminated, true);
+});
+
+test('a worker that cannot load MediaPipe falls back to in-thread detection', async () => {
+  mock.method(console, 'warn', () => {});
+  installWorker((worker, msg) => {
+    if (msg.type === 'init') worker.reply({ type: 'init-error', message: 'no OffscreenCanvas WebGL' });
+  });
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, assetRetries: 0 });
+  await tracker.init();
+  assert.equal(workers[0].terminated, true);
+
+  nextFrame();
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.5, 0.5));
+  tracker.destroy();
+});
+
+test('useWorker: false keeps detection in-thread', async () => {
+  installWorker();
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false });
+  await tracker.init();
+  assert.equal(workers.length, 0);
+  nextFrame();
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.5, 0.5));
+  tracker.destroy();
+});
+
+test('confidence thresholds change at runtime in-thread and in the worker', async () => {
+  const applied = [];
+  const create = vision.createFromOptions;
+  vision.createFromOptions = async (...args) => ({
+    ...(await create(...args)),
+    setOptions: async (options) => applied.push(options),
+  });
+  const expected = {
+    minFaceDetectionConfidence: 0.7,
+    minFacePresenceConfidence: 0.7,
+    minTrackingConfidence: 0.4,
+  };
+
+  const inThread = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false });
+  await inThread.init();
+  inThread.setConfidence({ minDetectionConfidence: 0.7, minTrackingConfidence: 0.4 });
+  assert.deepEqual(applied, [expected]);
+  inThread.destroy();
+
+  installWorker();
+  const inWorker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, minTrackingConfidence: 0.4 });
+  await inWorker.init();
+  inWorker.setConfidence({ minDetectionConfidence: 0.7 });
+  assert.deepEqual(workers[0].messages.at(-1), { type: 'options', options: expected });
+  inWorker.destroy();
+});
+
+test('frame arrivals and detection timings reach the telemetry', async () => {
+  let clock = 1000;
+  mock.method(performance, 'now', () => clock);
+  const telemetry = new PerfTelemetry();
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false });
+  await tracker.init();
+  tracker.setTelemetry(telemetry);
+
+  for (let i = 0; i < 3; i++) {
+    clock += 1000 / 30;
+    nextFrame();
+  }
+  const { stages, rates } = telemetry.summary();
+  assert.equal(stages['video-frame'].count, 2);
+  assert.ok(Math.abs(stages['video-frame'].p50 - 1000 / 30) < 1e-9);
+  assert.equal(stages.detect.count, 3);
+  assert.equal(stages['detect-age'].max, 0);
+  assert.ok(Math.abs(rates.tracking - 30) < 1e-6);
+  tracker.destroy();
+});
+
+test('with several faces the viewer and its matrix come first', async () => {
+  const matrices = [{ data: [0] }, { data: [1] }];
+  const create = vision.createFromOptions;
+  vision.createFromOptions = async (...args) => ({
+    ...(await create(...args)),
+    detectForVideo: () => ({
+      faceLandmarks: [faceAt(0.2, 0.5), faceAt(0.5, 0.5)],
+      facialTransformationMatrixes: matrices,
+    }),
+  });
+  const tracker = new FaceTracker({
+    mediapipeModuleUrl: VISION_MODULE,
+    useWorker: false,
+    maxFaces: 2,
+    viewer: { policy: 'centred' },
+  });
+  await tracker.init();
+  nextFrame();
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.5, 0.5));
+  assert.equal(tracker.getTransformationMatrix(), matrices[1]);
+  assert.equal(tracker.getFaceCount(), 2);
+  assert.equal(tracker.getViewerId(), 2);
+  tracker.destroy();
+});
+
+test('recordings keep the detector\'s face order and the viewer, and matrices stay with their faces', async () => {
+  const raw = { faceLandmarks: [faceAt(0.2, 0.5), faceAt(0.5, 0.5)], facialTransformationMatrixes: [{ data: [0] }] };
+  const create = vision.createFromOptions;
+  vision.createFromOptions = async (...args) => ({ ...(await create(...args)), detectForVideo: () => raw });
+  const tracker = new FaceTracker({
+    mediapipeModuleUrl: VISION_MODULE,
+    useWorker: false,
+    maxFaces: 2,
+    viewer: { policy: 'centred' },
+  });
+  const recorded = [];
+  tracker.setRecorder({ recordDetection: (result, timestamp, videoTime, viewer) => recorded.push([result, viewer]) });
+  await tracker.init();
+  nextFrame();
+  assert.equal(recorded.at(-1)[0], raw);
+  assert.equal(recorded.at(-1)[1], 1);
+  // The centred face has no matrix of its own
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.5, 0.5));
+  assert.equal(tracker.getTransformationMatrix(), null);
+  tracker.destroy();
+});
+
+test('the camera is picked by name and can be switched at runtime', async () => {
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false, camera: 'c920' });
+  await tracker.init();
+  assert.deepEqual(tracker.getCamera(), { deviceId: 'cam-2', label: 'USB Webcam C920' });
+  assert.deepEqual(await tracker.listCameras(), [
+    { deviceId: 'cam-1', label: 'Integrated Camera' },
+    { deviceId: 'cam-2', label: 'USB Webcam C920' },
+  ]);
+
+  const [previous] = video.srcObject.getVideoTracks();
+  assert.deepEqual(await tracker.setCamera('cam-1'), { deviceId: 'cam-1', label: 'Integrated Camera' });
+  assert.equal(previous.readyState, 'ended', 'the old stream is stopped');
+
+  await assert.rejects(tracker.setCamera('document camera'), { code: 'camera-unavailable' });
+  assert.equal(tracker.getCamera().deviceId, 'cam-1', 'the current camera keeps running');
+
+  tracker.destroy();
+  assert.equal(deviceListeners.length, 0);
+});
+
+test('an unplugged camera is replaced and taken back when it returns', async () => {
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false, camera: 'cam-2' });
+  const errors = [];
+  tracker.on('error', (err) => errors.push(err.code));
+  await tracker.init();
+
+  const usb = cameras.pop();
+  video.srcObject.getVideoTracks()[0].end();
+  await settle();
+  await settle();
+  assert.deepEqual(errors, ['camera-lost']);
+  assert.equal(tracker.getCamera().deviceId, 'cam-1');
+
+  cameras.push(usb);
+  await deviceListeners[0]();
+  await settle();
+  assert.equal(tracker.getCamera().deviceId, 'cam-2');
+  tracker.destroy();
+});
+
+test('a new video resolution is reported until the tracker is destroyed', async () => {
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE });
+  const sizes = [];
+  tracker.on('videoSize', (width, height) => sizes.push([width, height]));
+  await tracker.init();
+
+  Object.assign(video, { videoWidth: 1280, videoHeight: 720 });
+  video.listeners.resize();
+  video.listeners.resize();
+  assert.deepEqual(sizes.at(-1), [1280, 720]);
+  assert.equal(sizes.filter(([width]) => width === 1280).length, 1);
+
+  tracker.destroy();
+  assert.equal(video.listeners.resize, undefined);
+});
+
+test('asset checks are retried with a doubling delay, but not a missing file', async () => {
+  const warnings = [];
+  mock.method(console, 'warn', (message) => warnings.push(message));
+  const responses = [new Error('offline'), { ok: false, status: 503 }, { ok: true, status: 200 }];
+  fetch.mock.mockImplementation(async () => {
+    const response = responses.shift();
+    if (response instanceof Error) throw response;
+    return response;
+  });
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, assetRetryDelayMs: 1 });
+  await tracker.init();
+  assert.deepEqual(warnings, [
+    'FaceTracker: Checking the face landmarker model failed, retrying in 1 ms.',
+    'FaceTracker: Checking the face landmarker model failed, retrying in 2 ms.',
+  ]);
+  tracker.destroy();
+
+  warnings.length = 0;
+  fetch.mock.mockImplementation(async () => ({ ok: false, status: 404 }));
+  await assert.rejects(
+    new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, assetRetryDelayMs: 1 }).init(),
+    { code: 'model-error' }
+  );
+  assert.deepEqual(warnings, []);
+
+  fetch.mock.mockImplementation(async () => ({ ok: false, status: 500 }));
+  await assert.rejects(
+    new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, assetRetries: 2, assetRetryDelayMs: 1 }).init(),
+    { code: 'model-error', message: /HTTP 500/ }
+  );
+  assert.equal(warnings.length, 2);
+});
+
+test('the WASM fileset and the worker are retried with a fresh attempt each', async () => {
+  const warnings = [];
+  mock.method(console, 'warn', (message) => warnings.push(message));
+  let wasmFailures = 1;
+  const forVisionTasks = vision.forVisionTasks;
+  vision.forVisionTasks = async (path) => {
+    if (wasmFailures-- > 0) throw new Error('offline');
+    return forVisionTasks(path);
+  };
+  const inThread = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false, assetRetryDelayMs: 1 });
+  await inThread.init();
+  assert.deepEqual(warnings, [
+    'FaceTracker: Loading the MediaPipe WASM fileset and model failed, retrying in 1 ms.',
+  ]);
+  inThread.destroy();
+
+  let workerFailures = 1;
+  installWorker((worker, msg) => {
+    if (msg.type !== 'init') return;
+    worker.reply(workerFailures-- > 0 ? { type: 'init-error', message: 'offline' } : { type: 'ready' });
+  });
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, delegate: 'CPU', assetRetryDelayMs: 1 });
+  await tracker.init();
+  assert.equal(workers.length, 2);
+  assert.equal(workers[0].terminated, true);
+  assert.deepEqual(tracker.getDetector(), { delegate: 'CPU', worker: true });
+  tracker.destroy();
+});
+
+test('the landmarker falls back to the CPU when the GPU delegate fails to load', async () => {
+  mock.method(console, 'warn', () => {});
+  const create = vision.createFromOptions;
+  vision.createFromOptions = async (fileset, options) => {
+    if (options.baseOptions.delegate === 'GPU') throw new Error('no WebGL');
+    return create(fileset, options);
+  };
+
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false });
+  await tracker.init();
+  assert.deepEqual(tracker.getDetector(), { delegate: 'CPU', worker: false });
+  nextFrame();
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.5, 0.5));
+  tracker.destroy();
+
+  const gpuOnly = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false, delegate: 'GPU', assetRetries: 0 });
+  await assert.rejects(gpuOnly.init(), { code: 'model-error', message: /no WebGL/ });
+  // A delegate that failed to load is not reported as in use
+  assert.equal(gpuOnly.getDetector().delegate, null);
+});
+
+test('a GPU that keeps failing during detection is swapped for the CPU', async () => {
+  mock.method(console, 'warn', () => {});
+  const create = vision.createFromOptions;
+  vision.createFromOptions = async (fileset, options) => {
+    const landmarker = await create(fileset, options);
+    if (options.baseOptions.delegate === 'GPU') {
+      landmarker.detectForVideo = () => { throw new Error('context lost'); };
+    }
+    return landmarker;
+  };
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE, useWorker: false });
+  const errors = [];
+  tracker.on('error', (err) => errors.push(err.message));
+  await tracker.init();
+  assert.equal(tracker.getDetector().delegate, 'GPU');
+
+  for (let i = 0; i < 10; i++) nextFrame();
+  await settle();
+  assert.equal(errors.length, 10);
+  assert.deepEqual(tracker.getDetector(), { delegate: 'CPU', worker: false });
+  nextFrame();
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.5, 0.5));
+  tracker.destroy();
+});
+
+test('a crashed detection worker is replaced by in-thread detection', async () => {
+  mock.method(console, 'warn', () => {});
+  installWorker();
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE });
+  const errors = [];
+  tracker.on('error', (err) => errors.push(err.message));
+  await tracker.init();
+
+  const [worker] = workers;
+  worker.onerror({ message: 'out of memory' });
+  await settle();
+  assert.deepEqual(errors, ['out of memory']);
+  assert.equal(worker.terminated, true);
+  assert.deepEqual(tracker.getDetector(), { delegate: 'GPU', worker: false });
+
+  nextFrame();
+  assert.deepEqual(tracker.getLatestLandmarks(), faceAt(0.5, 0.5));
+  tracker.destroy();
+});
+
+test('a worker that stops answering is replaced after a timeout', async () => {
+  mock.method(console, 'warn', () => {});
+  let clock = 1000;
+  mock.method(performance, 'now', () => clock);
+  installWorker();
+  const tracker = new FaceTracker({ mediapipeModuleUrl: VISION_MODULE });
+  const errors = [];
+  tracker.on('error', (err) => errors.push(err.message));
+  await tracker.init();
+
+  nextFrame();
+  await settle();
+  clock += 3000;
+  nextFrame();
+  assert.deepEqual(errors, [], 'still within the timeout');
+
+  clock += 1;
+  nextFrame();
+  await settle();
+  assert.match(errors[0], /did not answer within 3000 ms/);
+  assert.equal(tracker.getDetector().worker, false);
+  tracker.destroy();
+});
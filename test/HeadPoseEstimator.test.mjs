@@ -0,0 +1,154 @@
+/**
+ * HeadPoseEstimator.test.mjs — Pinhole back-projection into screen-centred
+ * mm, calibration and per-eye positions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadPoseEstimator } from '../src/tracking/HeadPoseEstimator.js';
+
+const BASE = {
+  screenWidthMm: 520,
+  screenHeightMm: 300,
+  defaultViewingDistance: 600,
+  videoWidth: 640,
+  videoHeight: 480,
+  focalLengthPx: 512,
+  noseToEyesMm: { x: 0, y: 0, z: 0 },
+};
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} ≠ ${expected}`);
+}
+
+/** 478 landmarks at the image centre, nose tip and iris widths overridable */
+function face({ noseX = 0.5, noseY = 0.5, irisWidth = 0.02 } = {}) {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  landmarks[1] = { x: noseX, y: noseY, z: 0 };
+  for (const [left, right] of [[469, 471], [474, 476]]) {
+    landmarks[left] = { x: 0.5 - irisWidth / 2, y: 0.5, z: 0 };
+    landmarks[right] = { x: 0.5 + irisWidth / 2, y: 0.5, z: 0 };
+  }
+  return landmarks;
+}
+
+test('a face on the optical axis sits in front of the webcam', () => {
+  const pose = new HeadPoseEstimator(BASE).estimate(face());
+  assert.deepEqual({ x: pose.x, y: pose.y, z: pose.z }, { x: 0, y: 160, z: 600 });
+  assert.equal(pose.rotation, null);
+});
+
+test('image offsets back-project through the focal length, mirrored in X', () => {
+  // 160 px right of centre and 120 px below it, at 600 mm with f = 512 px
+  const pose = new HeadPoseEstimator(BASE).estimate(face({ noseX: 0.75, noseY: 0.75 }));
+  assertClose(pose.x, -187.5, 'x');
+  assertClose(pose.y, 160 - 140.625, 'y');
+  assertClose(pose.z, 600, 'z');
+});
+
+test('focal length defaults to videoWidth × fovFactor and honours the principal point', () => {
+  const estimator = new HeadPoseEstimator({
+    ...BASE,
+    focalLengthPx: null,
+    fovFactor: 1,
+    principalPoint: { x: 160, y: 240 },
+  });
+  // Nose at the image centre is 160 px right of the principal point
+  const pose = estimator.estimate(face());
+  assertClose(pose.x, -160 * 600 / 640, 'x');
+  assertClose(pose.y, 160, 'y');
+});
+
+test('webcam placement moves and tilts the camera frame', () => {
+  const estimator = new HeadPoseEstimator({
+    ...BASE,
+    webcamPose: { offsetXMm: -250, aboveTopEdgeMm: 20, offsetZMm: 15, tiltDeg: 10 },
+  });
+  const pose = estimator.estimate(face());
+  const tilt = 10 * Math.PI / 180;
+  assertClose(pose.x, -250, 'x');
+  assertClose(pose.y, 170 - 600 * Math.sin(tilt), 'y');
+  assertClose(pose.z, 15 + 600 * Math.cos(tilt), 'z');
+});
+
+test('iris width sets the depth along the optical axis', () => {
+  const estimator = new HeadPoseEstimator({ ...BASE, useIrisDepth: true });
+  // 0.02 × 640 = 12.8 px iris → 512 × 11.7 / 12.8 mm
+  const pose = estimator.estimate(face());
+  assertClose(pose.z, 468, 'z');
+
+  // An iris too small to measure falls back to the default distance
+  estimator.reset();
+  assertClose(estimator.estimate(face({ irisWidth: 0.001 })).z, 600, 'fallback z');
+});
+
+test('calibrate derives the focal length from a known distance', () => {
+  const estimator = new HeadPoseEstimator(BASE);
+  assertClose(estimator.calibrate(face(), 468), 512, 'focal length');
+  assert.throws(() => estimator.calibrate(face({ irisWidth: 0.001 }), 600), /iris not detected/);
+});
+
+test('sensitivity scales the deviation from the neutral position', () => {
+  const estimator = new HeadPoseEstimator({ ...BASE, sensitivityX: 2, sensitivityY: 3 });
+  estimator.setNeutralPosition({ x: -50, y: 100, z: 600 });
+  // Unscaled position is (0, 160, 600)
+  const pose = estimator.estimate(face());
+  assert.deepEqual({ x: pose.x, y: pose.y, z: pose.z }, { x: 50, y: 280, z: 600 });
+
+  // measure() reports the unscaled, unsmoothed position
+  const { irisPx, ...position } = estimator.measure(face());
+  assert.deepEqual(position, { x: 0, y: 160, z: 600 });
+  assertClose(irisPx, 12.8, 'iris width');
+});
+
+test('calibrate averages the iris width over several captures', () => {
+  const estimator = new HeadPoseEstimator(BASE);
+  // 12.8 px and 19.2 px average to 16 px → 16 × 600 / 11.7
+  const focal = estimator.calibrate([face({ irisWidth: 0.02 }), face({ irisWidth: 0.03 })], 600);
+  assertClose(focal, 16 * 600 / 11.7, 'focal length');
+});
+
+test('each eye sits half the IPD from the midpoint', () => {
+  const pose = new HeadPoseEstimator({ ...BASE, ipdMm: 60 }).estimate(face());
+  assert.deepEqual(pose.leftEye, { x: -30, y: 160, z: 600 });
+  assert.deepEqual(pose.rightEye, { x: 30, y: 160, z: 600 });
+});
+
+test('without a rotation the eye axis follows the iris centres', () => {
+  const landmarks = face();
+  // Head rolled: the image-left iris (viewer's right eye) sits higher
+  landmarks[468] = { x: 0.45, y: 0.45, z: 0 };
+  landmarks[473] = { x: 0.55, y: 0.55, z: 0 };
+  const estimator = new HeadPoseEstimator({ ...BASE, videoHeight: 640, ipdMm: 60 });
+  const { leftEye, rightEye } = estimator.estimate(landmarks);
+  assert.ok(rightEye.x > leftEye.x, 'right eye on the viewer\'s right');
+  assertClose(rightEye.y - leftEye.y, rightEye.x - leftEye.x, 'rolled 45°');
+  assertClose(Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y), 60, 'IPD');
+});
+
+test('a new video size rescales the focal length and principal point', () => {
+  const estimator = new HeadPoseEstimator({ ...BASE, principalPoint: { x: 300, y: 260 } });
+  estimator.setVideoSize(1280, 960);
+  // Same image position, twice the pixels: the pose is unchanged
+  const pose = estimator.estimate(face({ noseX: 0.75 }));
+  assertClose(pose.x, -(480 - 300) * 600 / 512, 'x');
+  assertClose(pose.y, 160 - (240 - 260) * 600 / 512, 'y');
+});
+
+test('the assumed iris diameter scales the iris depth', () => {
+  const estimator = new HeadPoseEstimator({ ...BASE, useIrisDepth: true });
+  estimator.setIrisDiameter(12.8);
+  // 512 × 12.8 / 12.8 px
+  assertClose(estimator.estimate(face()).z, 512, 'z');
+});
+
+test('the raw position is kept before smoothing and cleared without a face', () => {
+  const estimator = new HeadPoseEstimator({ ...BASE, sensitivityX: 2 });
+  assert.equal(estimator.getRawPosition(), null);
+  estimator.estimate(face());
+  estimator.estimate(face({ noseX: 0.75 }));
+  assert.deepEqual(estimator.getRawPosition(), { x: -375, y: 160, z: 600 });
+  estimator.estimate(null);
+  assert.equal(estimator.getRawPosition(), null);
+});
@@ -0,0 +1,88 @@
+/**
+ * KooimaProjection.test.mjs — Frusta and screen bases from corner positions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  calculateOffAxisFrustum,
+  calculateGeneralizedProjection,
+  screenBasis,
+  screenToWorld,
+} from '../src/projection/KooimaProjection.js';
+
+const NEAR = 10;
+const FAR = 10000;
+
+function assertVecClose(actual, expected, message) {
+  for (const axis of ['x', 'y', 'z']) {
+    assert.ok(
+      Math.abs(actual[axis] - expected[axis]) < 1e-9,
+      `${message}.${axis}: ${actual[axis]} ≠ ${expected[axis]}`
+    );
+  }
+}
+
+function assertFrustumClose(actual, expected) {
+  for (const key of ['left', 'right', 'top', 'bottom', 'near', 'far']) {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, `${key}: ${actual[key]} ≠ ${expected[key]}`);
+  }
+}
+
+/** Corners of a screen in the z = 0 plane, centred at the origin */
+const FLAT = {
+  lowerLeft: { x: -260, y: -150, z: 0 },
+  lowerRight: { x: 260, y: -150, z: 0 },
+  upperLeft: { x: -260, y: 150, z: 0 },
+};
+
+/** A 400 × 300 screen 500 mm along +X, turned to face a viewer at the origin */
+const SIDE = {
+  lowerLeft: { x: 500, y: -150, z: -200 },
+  lowerRight: { x: 500, y: -150, z: 200 },
+  upperLeft: { x: 500, y: 150, z: -200 },
+};
+
+test('corners of an axis-aligned screen give the simple off-axis frustum', () => {
+  const eye = { x: 80, y: -40, z: 600 };
+  const { frustum, viewMatrix } = calculateGeneralizedProjection(
+    eye, FLAT.lowerLeft, FLAT.lowerRight, FLAT.upperLeft, NEAR, FAR
+  );
+  assertFrustumClose(frustum, calculateOffAxisFrustum(eye, { width: 520, height: 300 }, NEAR, FAR));
+  assert.deepEqual(viewMatrix.slice(12), [-80, 40, -600, 1]);
+});
+
+test('a screen turned toward the viewer is symmetric about its normal', () => {
+  const eye = { x: 0, y: 0, z: 0 };
+  const { frustum, viewMatrix } = calculateGeneralizedProjection(
+    eye, SIDE.lowerLeft, SIDE.lowerRight, SIDE.upperLeft, NEAR, FAR
+  );
+  // 500 mm away: half-extents 200 / 150 scaled to the near plane
+  assertFrustumClose(frustum, { left: -4, right: 4, bottom: -3, top: 3, near: NEAR, far: FAR });
+  // The view matrix maps the screen normal (−X) to +Z
+  assert.deepEqual(viewMatrix.slice(0, 3), [0, 0, -1]);
+});
+
+test('an eye behind the screen is nudged in front of it', () => {
+  const { frustum } = calculateGeneralizedProjection(
+    { x: 0, y: 0, z: -50 }, FLAT.lowerLeft, FLAT.lowerRight, FLAT.upperLeft, NEAR, FAR
+  );
+  assert.ok(Number.isFinite(frustum.left) && frustum.left < 0 && frustum.right > 0);
+});
+
+test('screenBasis derives the centre, axes and size from three corners', () => {
+  const basis = screenBasis(SIDE);
+  assertVecClose(basis.centre, { x: 500, y: 0, z: 0 }, 'centre');
+  assertVecClose(basis.vr, { x: 0, y: 0, z: 1 }, 'vr');
+  assertVecClose(basis.vu, { x: 0, y: 1, z: 0 }, 'vu');
+  assertVecClose(basis.vn, { x: -1, y: 0, z: 0 }, 'vn');
+  assert.equal(basis.width, 400);
+  assert.equal(basis.height, 300);
+});
+
+test('screenToWorld places screen-local points on the oriented screen', () => {
+  const basis = screenBasis(SIDE);
+  assertVecClose(screenToWorld(basis, { x: -200, y: -150, z: 0 }), SIDE.lowerLeft, 'lower left');
+  assertVecClose(screenToWorld(basis, { x: 0, y: 0, z: 500 }), { x: 0, y: 0, z: 0 }, 'in front');
+});
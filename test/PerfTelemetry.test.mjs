@@ -0,0 +1,105 @@
+/**
+ * PerfTelemetry.test.mjs — Stage percentiles, rates and export.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PerfTelemetry } from '../src/debug/PerfTelemetry.js';
+
+let clock;
+
+beforeEach(() => {
+  clock = 1000;
+  mock.method(performance, 'now', () => clock);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete globalThis.navigator;
+});
+
+test('percentiles are nearest-rank over the recorded durations', () => {
+  const telemetry = new PerfTelemetry();
+  // 100 … 1 ms, out of order
+  for (let ms = 100; ms >= 1; ms--) telemetry.record('detect', ms);
+  assert.deepEqual(telemetry.summary().stages.detect, {
+    count: 100,
+    mean: 50.5,
+    p50: 50,
+    p95: 95,
+    p99: 99,
+    max: 100,
+  });
+});
+
+test('each stage keeps only its most recent samples', () => {
+  const telemetry = new PerfTelemetry({ windowSize: 3 });
+  for (const ms of [50, 40, 1, 2, 3]) telemetry.record('render', ms);
+  telemetry.record('render', NaN);
+  const { count, max, p50 } = telemetry.summary().stages.render;
+  assert.deepEqual({ count, max, p50 }, { count: 3, max: 3, p50: 2 });
+});
+
+test('time records how long a function took and passes its result on', () => {
+  const telemetry = new PerfTelemetry();
+  const result = telemetry.time('estimate', () => {
+    clock += 4;
+    return 'pose';
+  });
+  assert.equal(result, 'pose');
+  assert.equal(telemetry.summary().stages.estimate.max, 4);
+
+  assert.throws(() => telemetry.time('estimate', () => {
+    clock += 6;
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(telemetry.summary().stages.estimate.max, 6);
+});
+
+test('rates count events over the last two seconds', () => {
+  const telemetry = new PerfTelemetry();
+  assert.equal(telemetry.getRate('render'), 0);
+  for (let i = 0; i <= 60; i++) telemetry.tick('render', 1000 + i * 1000 / 30);
+  assert.equal(telemetry.getRate('render', 3000), 30);
+
+  // Events older than the window no longer count
+  assert.equal(telemetry.getRate('render', 10000), 0);
+  assert.deepEqual(Object.keys(telemetry.summary().rates), ['render']);
+});
+
+test('the summary text lists the rates and every stage', () => {
+  const telemetry = new PerfTelemetry();
+  telemetry.record('detect', 12.345);
+  telemetry.tick('video', 0);
+  telemetry.tick('video', 100);
+  clock = 100;
+  assert.deepEqual(telemetry.formatSummary().split('\n'), [
+    'Rates: video 10.0 Hz, tracking 0.0 Hz, render 0.0 fps',
+    'Stage (ms)    p50    p95    p99',
+    'detect       12.35  12.35  12.35',
+  ]);
+});
+
+test('samples export as CSV and JSON relative to the start', () => {
+  const telemetry = new PerfTelemetry();
+  telemetry.record('detect', 12.3456, 1010);
+  telemetry.record('render', 2, 1020.5);
+  assert.equal(
+    telemetry.exportCSV(),
+    't_ms,stage,duration_ms\n10.000,detect,12.346\n20.500,render,2.000\n'
+  );
+
+  globalThis.navigator = { userAgent: 'test' };
+  const json = JSON.parse(telemetry.exportJSON());
+  assert.equal(json.type, 'headtracking-telemetry');
+  assert.deepEqual(json.samples, [
+    { t: 10, stage: 'detect', ms: 12.346 },
+    { t: 20.5, stage: 'render', ms: 2 },
+  ]);
+  assert.equal(json.stages.render.count, 1);
+
+  telemetry.reset();
+  assert.equal(telemetry.exportCSV(), 't_ms,stage,duration_ms\n');
+  assert.deepEqual(telemetry.summary(), { stages: {}, rates: {} });
+});
@@ -0,0 +1,130 @@
+/**
+ * PoseFallback.test.mjs — Holding, easing back and blending in around
+ * tracking loss.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PoseFallback } from '../src/tracking/PoseFallback.js';
+
+const DEFAULT = { x: 0, y: 0, z: 600 };
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+}
+
+function tracked(x) {
+  return { x, y: 0, z: 600, rotation: { yaw: 0, pitch: 0, roll: 0 }, quaternion: null };
+}
+
+/** Fallback that has been tracking x = 100 for a while */
+function trackingAt100(options) {
+  const fallback = new PoseFallback({ holdMs: 500, easeMs: 1000, reacquireMs: 400, ...options });
+  fallback.update(tracked(100), -1000);
+  fallback.update(tracked(100), -500);
+  return fallback;
+}
+
+test('the default pose is shown before the first face', () => {
+  const fallback = new PoseFallback({ defaultPosition: { x: 5, y: 10, z: 700 } });
+  const pose = fallback.update(null, 0);
+  assert.deepEqual({ x: pose.x, y: pose.y, z: pose.z }, { x: 5, y: 10, z: 700 });
+  assert.deepEqual(pose.quaternion, { x: 0, y: 0, z: 0, w: 1 });
+  assert.equal(fallback.getPhase(), 'idle');
+});
+
+test('tracked poses pass through once tracking', () => {
+  const fallback = trackingAt100();
+  const pose = tracked(40);
+  fallback.update(pose, 500);
+  assert.equal(fallback.update(pose, 1000), pose);
+  assert.equal(fallback.getPhase(), 'tracking');
+});
+
+test('a lost face holds the last pose, then eases to the default', () => {
+  const fallback = trackingAt100();
+  assert.equal(fallback.update(null, 0).x, 100);
+  assert.equal(fallback.getPhase(), 'holding');
+  assert.equal(fallback.update(null, 499).x, 100);
+
+  assert.equal(fallback.update(null, 500).x, 100);
+  assert.equal(fallback.getPhase(), 'easing');
+  // Smoothstep: halfway through the ease is halfway there
+  assertClose(fallback.update(null, 1000).x, 50, 'x mid-ease');
+  assert.ok(fallback.update(null, 1400).x < 10);
+
+  assert.deepEqual(fallback.update(null, 1500).x, DEFAULT.x);
+  assert.equal(fallback.getPhase(), 'idle');
+});
+
+test('a stalled detector\'s last pose is let go once tracking counts as lost', () => {
+  const fallback = trackingAt100();
+  const stale = tracked(100);
+  assert.equal(fallback.update(stale, 0, 'degraded'), stale);
+  assert.equal(fallback.getPhase(), 'tracking');
+
+  // The same pose keeps coming, but the face is lost: hold, then ease
+  assert.equal(fallback.update(stale, 100, 'lost').x, 100);
+  assert.equal(fallback.getPhase(), 'holding');
+  fallback.update(stale, 600, 'lost');
+  assert.equal(fallback.getPhase(), 'easing');
+  assert.equal(fallback.update(stale, 1600, 'searching').x, DEFAULT.x);
+  assert.equal(fallback.getPhase(), 'idle');
+});
+
+test('a face found again is blended in from where the eye was', () => {
+  const fallback = trackingAt100();
+  fallback.update(null, 0);
+  fallback.update(null, 500);
+  fallback.update(null, 1000); // x = 50, mid-ease
+
+  assertClose(fallback.update(tracked(-50), 1000).x, 50, 'start of the blend');
+  assert.equal(fallback.getPhase(), 'reacquiring');
+  assertClose(fallback.update(tracked(-50), 1200).x, 0, 'halfway');
+  assert.equal(fallback.update(tracked(-50), 1400).x, -50);
+  assert.equal(fallback.getPhase(), 'tracking');
+});
+
+test('a face lost while blending in holds the blended pose', () => {
+  const fallback = trackingAt100();
+  fallback.update(null, 2000);
+  fallback.update(tracked(100), 3000);
+  const mid = fallback.update(tracked(100), 3200).x;
+  assert.equal(fallback.update(null, 3210).x, mid);
+  assert.equal(fallback.getPhase(), 'holding');
+});
+
+test('blendIn restarts the blend while tracking, e.g. for a new viewer', () => {
+  const fallback = trackingAt100();
+  fallback.blendIn(0);
+  assert.equal(fallback.getPhase(), 'reacquiring');
+  assertClose(fallback.update(tracked(-100), 200).x, 0, 'halfway to the new viewer');
+
+  // Without a tracked face there is nothing to blend into
+  const idle = new PoseFallback();
+  idle.blendIn(0);
+  assert.equal(idle.getPhase(), 'idle');
+});
+
+test('attract mode orbits the default pose and eases back when switched off', () => {
+  const fallback = new PoseFallback({ attractMode: true, attractRadiusMm: 80, attractPeriodMs: 4000 });
+  assert.equal(fallback.update(null, 0).x, 0);
+  assert.equal(fallback.getPhase(), 'attract');
+  // A quarter period in: full radius to the side, back at the centre height
+  const p = fallback.update(null, 1000);
+  assertClose(p.x, 80, 'x');
+  assertClose(p.y, 0, 'y');
+
+  fallback.setOptions({ attractMode: false });
+  assertClose(fallback.update(null, 1100).x, 80, 'x as the ease starts');
+  assert.equal(fallback.getPhase(), 'easing');
+  assert.equal(fallback.update(null, 1100 + 1500).x, 0);
+});
+
+test('reset starts over at the default pose', () => {
+  const fallback = trackingAt100();
+  fallback.reset();
+  assert.equal(fallback.getPhase(), 'idle');
+  assert.equal(fallback.update(null, 10).x, 0);
+});
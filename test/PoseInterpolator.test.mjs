@@ -0,0 +1,101 @@
+/**
+ * PoseInterpolator.test.mjs — Display-rate poses from tracking-rate samples.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PoseInterpolator } from '../src/tracking/PoseInterpolator.js';
+
+const DEG = Math.PI / 180;
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+}
+
+/** Head at x mm, facing the screen turned by yaw degrees */
+function pose(x, yaw = 0) {
+  return {
+    x,
+    y: 0,
+    z: 600,
+    rotation: { yaw: yaw * DEG, pitch: 0, roll: 0 },
+    quaternion: null,
+    leftEye: { x: x - 30, y: 0, z: 600 },
+    rightEye: { x: x + 30, y: 0, z: 600 },
+  };
+}
+
+/** Interpolator fed with x = 0, 10, 20 … mm at 0, 40, 80 … ms */
+function fed(options, count = 2) {
+  const interpolator = new PoseInterpolator(options);
+  for (let i = 0; i < count; i++) interpolator.push(pose(i * 10), i * 40);
+  return interpolator;
+}
+
+test('nothing is returned before the first sample, and one sample is held', () => {
+  const interpolator = new PoseInterpolator();
+  assert.equal(interpolator.sample(0), null);
+  interpolator.push(pose(5), 0);
+  assert.equal(interpolator.sample(30).x, 5);
+});
+
+test('extrapolate continues along the last interval', () => {
+  const interpolator = fed();
+  const p = interpolator.sample(60);
+  assertClose(p.x, 15, 'x');
+  assertClose(p.leftEye.x, -15, 'left eye');
+  assertClose(p.rightEye.x, 45, 'right eye');
+  // Render times before the newest sample do not rewind
+  assertClose(interpolator.sample(20).x, 10, 'x at an earlier time');
+});
+
+test('extrapolation stops maxExtrapolationMs past the newest sample', () => {
+  const interpolator = fed({ maxExtrapolationMs: 20 });
+  assertClose(interpolator.sample(1000).x, 15, 'x');
+});
+
+test('interpolate blends the pair one sample interval back', () => {
+  const interpolator = fed({ mode: 'interpolate' }, 3);
+  // Interval estimate moves from 33.3 toward 40 ms
+  const interval = 1000 / 30 + (40 - 1000 / 30) * 0.1;
+  const interval2 = interval + (40 - interval) * 0.1;
+  const p = interpolator.sample(60 + interval2);
+  assertClose(p.x, 15, 'x');
+  assertClose(interpolator.sample(80 + interval2).x, 20, 'newest');
+  assertClose(interpolator.sample(0).x, 0, 'oldest');
+});
+
+test('off returns the newest sample unchanged', () => {
+  const interpolator = fed({ mode: 'off' });
+  const newest = interpolator.sample(1000);
+  assert.equal(newest.x, 10);
+  assert.equal(newest.quaternion, null);
+});
+
+test('rotation is blended the short way and its quaternion rebuilt', () => {
+  const interpolator = new PoseInterpolator({ mode: 'interpolate' });
+  interpolator.push(pose(0, 170), 0);
+  interpolator.push(pose(0, -170), 1000 / 30);
+  const p = interpolator.sample(1000 / 30 + 1000 / 60);
+  assertClose(Math.abs(p.rotation.yaw), Math.PI, 'yaw');
+  assertClose(Math.abs(p.quaternion.y), 1, 'quaternion');
+});
+
+test('an older sample starts afresh', () => {
+  const interpolator = fed();
+  interpolator.push(pose(100), 10);
+  assertClose(interpolator.sample(50).x, 100, 'held');
+});
+
+test('unknown modes are rejected', () => {
+  assert.throws(() => new PoseInterpolator({ mode: 'cubic' }), /Unknown interpolation mode "cubic"/);
+});
+
+test('setOptions leaves omitted options unchanged', () => {
+  const interpolator = fed({ mode: 'off' });
+  interpolator.setOptions({ maxExtrapolationMs: 10 });
+  assert.equal(interpolator.sample(60).x, 10);
+  interpolator.setOptions({ mode: 'extrapolate' });
+  assertClose(interpolator.sample(60).x, 12.5, 'x');
+});
@@ -0,0 +1,122 @@
+/**
+ * PoseMath.test.mjs — Rotation conversions between matrices, angles and
+ * quaternions, eye positions and pose blending.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  rotationFromTransformMatrix,
+  rotationToEuler,
+  eulerToRotation,
+  rotationToQuaternion,
+  rotateVector,
+  eyePositions,
+  blendPose,
+} from '../src/tracking/PoseMath.js';
+
+const EPSILON = 1e-9;
+const DEG = Math.PI / 180;
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} ≠ ${expected}`);
+}
+
+/** Row-major rotation of a unit quaternion */
+function quaternionToRotation({ x, y, z, w }) {
+  return [
+    1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w),
+    2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w),
+    2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y),
+  ];
+}
+
+/** Column-major 4×4 data of a row-major 3×3 rotation, scaled */
+function transformData(r, scale = 1) {
+  const d = new Array(16).fill(0);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) d[col * 4 + row] = r[row * 3 + col] * scale;
+  }
+  d[15] = 1;
+  return d;
+}
+
+const ANGLES = [-80, -45, -10, 0, 10, 45, 80].map((a) => a * DEG);
+
+test('Euler angles survive a round trip through the rotation matrix', () => {
+  for (const yaw of ANGLES) {
+    for (const pitch of ANGLES) {
+      for (const roll of ANGLES) {
+        const e = rotationToEuler(eulerToRotation({ yaw, pitch, roll }));
+        const at = `yaw ${yaw / DEG}° pitch ${pitch / DEG}° roll ${roll / DEG}°`;
+        assertClose(e.yaw, yaw, at);
+        assertClose(e.pitch, pitch, at);
+        assertClose(e.roll, roll, at);
+      }
+    }
+  }
+});
+
+test('quaternions describe the same rotation as the matrix', () => {
+  for (const yaw of ANGLES) {
+    for (const pitch of ANGLES) {
+      for (const roll of [-170 * DEG, ...ANGLES, 170 * DEG]) {
+        const r = eulerToRotation({ yaw, pitch, roll });
+        const q = rotationToQuaternion(r);
+        assertClose(Math.hypot(q.x, q.y, q.z, q.w), 1, 'unit length');
+        quaternionToRotation(q).forEach((v, i) => assertClose(v, r[i], `element ${i}`));
+      }
+    }
+  }
+});
+
+test('gimbal lock folds roll into yaw', () => {
+  const r = eulerToRotation({ yaw: 0.3, pitch: Math.PI / 2, roll: 0 });
+  const e = rotationToEuler(r);
+  assertClose(e.pitch, Math.PI / 2, 'pitch');
+  assert.equal(e.roll, 0);
+  eulerToRotation(e).forEach((v, i) => assertClose(v, r[i], `element ${i}`));
+});
+
+test('rotationFromTransformMatrix removes scale and keeps a yaw', () => {
+  const camera = eulerToRotation({ yaw: 20 * DEG, pitch: 0, roll: 0 });
+  const r = rotationFromTransformMatrix({ data: transformData(camera, 2.5) });
+  assertClose(rotationToEuler(r).yaw, 20 * DEG, 'yaw');
+
+  const identity = rotationFromTransformMatrix({ data: transformData([1, 0, 0, 0, 1, 0, 0, 0, 1], 3) });
+  identity.forEach((v, i) => assertClose(v, [1, 0, 0, 0, 1, 0, 0, 0, 1][i], `element ${i}`));
+});
+
+test('rotationFromTransformMatrix rejects degenerate matrices', () => {
+  assert.equal(rotationFromTransformMatrix(null), null);
+  assert.equal(rotationFromTransformMatrix({ data: [1, 2, 3] }), null);
+  assert.equal(rotationFromTransformMatrix({ data: new Array(16).fill(0) }), null);
+});
+
+test('rotateVector turns +X toward −Z for a positive yaw', () => {
+  const v = rotateVector(eulerToRotation({ yaw: Math.PI / 2, pitch: 0, roll: 0 }), { x: 1, y: 0, z: 0 });
+  assert.ok(Math.abs(v.x) < EPSILON && Math.abs(v.y) < EPSILON);
+  assertClose(v.z, -1, 'z');
+});
+
+test('eyePositions places the eyes half the IPD either side of the midpoint', () => {
+  const axis = { x: Math.SQRT1_2, y: 0, z: -Math.SQRT1_2 };
+  const { left, right } = eyePositions({ x: 0, y: 100, z: 600 }, axis, 60);
+  assertClose(right.x - left.x, 60 * Math.SQRT1_2, 'x span');
+  assertClose(Math.hypot(right.x - left.x, right.y - left.y, right.z - left.z), 60, 'distance');
+  assert.deepEqual(
+    { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2, z: (left.z + right.z) / 2 },
+    { x: 0, y: 100, z: 600 }
+  );
+});
+
+test('blendPose blends positions, angles the short way, and drops unmatched eyes', () => {
+  const a = { x: 0, y: 0, z: 600, rotation: { yaw: 170 * DEG, pitch: 0, roll: 0 }, leftEye: { x: -30, y: 0, z: 600 } };
+  const b = { x: 10, y: 20, z: 500, rotation: { yaw: -170 * DEG, pitch: 0, roll: 0 } };
+  const pose = blendPose(a, b, 0.5);
+  assert.deepEqual({ x: pose.x, y: pose.y, z: pose.z }, { x: 5, y: 10, z: 550 });
+  assertClose(Math.abs(pose.rotation.yaw), Math.PI, 'yaw');
+  assert.equal(pose.leftEye, undefined);
+  assertClose(Math.abs(pose.quaternion.y), 1, 'quaternion');
+});
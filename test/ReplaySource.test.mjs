@@ -0,0 +1,171 @@
+/**
+ * ReplaySource.test.mjs — Trace playback on a controlled clock.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReplaySource, readTrace } from '../src/tracking/ReplaySource.js';
+
+// Frames every 100 ms, head x = frame number
+const TRACE = [0, 100, 200, 300].map((t, i) => ({ t: 1000 + t, head: { x: i, y: 0, z: 600 } }));
+
+let clock;
+
+beforeEach(() => {
+  clock = 0;
+  mock.method(performance, 'now', () => clock);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+async function replay(options = {}) {
+  const source = new ReplaySource({ text: JSON.stringify(TRACE), loop: false, ...options });
+  await source.init();
+  return source;
+}
+
+test('traces load from JSON arrays, frame lists and NDJSON', () => {
+  const frames = [{ t: 20, head: { x: 1, y: 2, z: 3 } }, { t: 10, landmarks: [[0.5, 0.5]] }];
+  const ndjson = [
+    JSON.stringify({ type: 'header', fps: 30 }),
+    JSON.stringify({ type: 'frame', ...frames[0] }),
+    JSON.stringify({ type: 'pose', t: 15 }),
+    JSON.stringify(frames[1]),
+  ].join('\n');
+
+  for (const text of [JSON.stringify(frames), JSON.stringify({ header: { fps: 30 }, frames }), ndjson]) {
+    const source = new ReplaySource({ loop: false });
+    source.load(text);
+    assert.equal(source.getDuration(), 10, text);
+    assert.deepEqual(source.getLatestLandmarks(), [{ x: 0.5, y: 0.5, z: 0 }]);
+    source.seek(10);
+    assert.deepEqual(source.getLatestHeadPosition(), { x: 1, y: 2, z: 3 });
+  }
+
+  const source = new ReplaySource();
+  source.load(ndjson);
+  assert.equal(source.getHeader().fps, 30);
+});
+
+test('matrices are normalised and frames without a timestamp dropped', () => {
+  const data = Array.from({ length: 16 }, (_, i) => i);
+  const source = new ReplaySource();
+  source.load(JSON.stringify([{ t: 0, matrix: data }, { head: { x: 0, y: 0, z: 0 } }]));
+  assert.equal(source.getDuration(), 0);
+  assert.deepEqual(source.getTransformationMatrix(), { rows: 4, columns: 4, data });
+  assert.equal(source.getLatestHeadPosition(), null, 'no face in the only frame');
+});
+
+test('empty and malformed traces are rejected', async () => {
+  const source = new ReplaySource();
+  assert.throws(() => source.load('[]'), /no frames/);
+  assert.throws(() => source.load('{"t": 0}\nnot json'), /line 2/);
+  await assert.rejects(new ReplaySource().init(), /url or text/);
+});
+
+test('readTrace returns the header and the frames sorted by their original time', () => {
+  const text = [
+    JSON.stringify({ type: 'header', fps: 30 }),
+    JSON.stringify({ t: 1020, head: { x: 1, y: 2, z: 3 } }),
+    JSON.stringify({ t: 1010, landmarks: [[0.5, 0.5]] }),
+  ].join('\n');
+  const { header, frames } = readTrace(text);
+  assert.equal(header.fps, 30);
+  assert.deepEqual(frames.map((f) => f.t), [1010, 1020]);
+  assert.deepEqual(frames[0].landmarks, [{ x: 0.5, y: 0.5, z: 0 }]);
+  assert.deepEqual(frames[1].head, { x: 1, y: 2, z: 3 });
+  assert.throws(() => readTrace('[{"head": null}]'), /no frames/);
+});
+
+test('playback rebases the trace and serves the frame at the playhead', async () => {
+  const source = await replay();
+  assert.equal(source.getDuration(), 300);
+  assert.equal(source.getLatestHeadPosition().x, 0);
+  clock = 250;
+  assert.equal(source.getLatestHeadPosition().x, 2);
+  clock = 1000;
+  assert.equal(source.getLatestHeadPosition().x, 3, 'clamped at the end without loop');
+});
+
+test('looping playback wraps around', async () => {
+  const source = await replay({ loop: true });
+  clock = 450;
+  assert.equal(source.getCurrentTime(), 150);
+  assert.equal(source.getLatestHeadPosition().x, 1);
+});
+
+test('seek moves the playhead, wrapping when looping', async () => {
+  const source = await replay({ loop: true });
+  source.seek(120);
+  assert.equal(source.getCurrentTime(), 120);
+  assert.equal(source.getLatestHeadPosition().x, 1);
+  source.seek(650);
+  assert.equal(source.getCurrentTime(), 50);
+  source.seek(-50);
+  assert.equal(source.getCurrentTime(), 250);
+
+  clock = 100;
+  assert.equal(source.getCurrentTime(), 50, 'playback continues from the seek');
+});
+
+test('pause holds the playhead until play', async () => {
+  const source = await replay();
+  clock = 120;
+  source.pause();
+  assert.equal(source.isPlaying(), false);
+  clock = 1000;
+  assert.equal(source.getCurrentTime(), 120);
+  source.play();
+  clock = 1050;
+  assert.equal(source.getCurrentTime(), 170);
+});
+
+test('setSpeed keeps the playhead where it is', async () => {
+  const source = await replay();
+  clock = 100;
+  source.setSpeed(3);
+  assert.equal(source.getCurrentTime(), 100);
+  clock = 150;
+  assert.equal(source.getCurrentTime(), 250);
+});
+
+test('timestamps stay put until the next frame', async () => {
+  const source = await replay();
+  clock = 30;
+  const first = source.getLatestTimestamp();
+  assert.equal(first, 0);
+  clock = 90;
+  assert.equal(source.getLatestTimestamp(), first);
+
+  clock = 130;
+  assert.equal(source.getLatestTimestamp(), 100);
+});
+
+test('timestamps do not move while paused', async () => {
+  const source = await replay();
+  clock = 150;
+  source.pause();
+  const stamp = source.getLatestTimestamp();
+  clock = 5000;
+  assert.equal(source.getLatestTimestamp(), stamp);
+  assert.equal(source.getLatestHeadPosition().x, 1);
+});
+
+test('timestamps keep the frame spacing scaled by the speed', async () => {
+  const source = await replay({ speed: 2 });
+  clock = 10;
+  const a = source.getLatestTimestamp();
+  clock = 60;
+  const b = source.getLatestTimestamp();
+  assert.equal(b - a, 50);
+});
+
+test('speed must be positive', async () => {
+  assert.throws(() => new ReplaySource({ text: '[]', speed: 0 }), /positive/);
+  const source = await replay();
+  assert.throws(() => source.setSpeed(-1), /positive/);
+  assert.throws(() => source.setSpeed(NaN), /positive/);
+});
@@ -0,0 +1,124 @@
+/**
+ * SessionRecorder.test.mjs — Recorded sessions and their replay.
+ */
+
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SessionRecorder } from '../src/tracking/SessionRecorder.js';
+import { ReplaySource } from '../src/tracking/ReplaySource.js';
+
+// The browser globals the recorder touches, and the files it downloads
+let downloads;
+
+before(() => {
+  globalThis.navigator = { userAgent: 'node' };
+  globalThis.window = { screen: { width: 1920, height: 1080 }, devicePixelRatio: 1 };
+  globalThis.document = {
+    body: { appendChild() {} },
+    createElement: () => ({ click() {}, remove() {} }),
+  };
+});
+
+after(() => {
+  delete globalThis.navigator;
+  delete globalThis.window;
+  delete globalThis.document;
+});
+
+beforeEach(() => {
+  downloads = [];
+  mock.method(URL, 'createObjectURL', (blob) => {
+    downloads.push(blob);
+    return 'blob:test';
+  });
+  mock.method(URL, 'revokeObjectURL', () => {});
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+/** A face whose landmarks all sit at (x, 0.5) */
+function face(x) {
+  return Array.from({ length: 3 }, () => ({ x, y: 0.5, z: -0.01 }));
+}
+
+test('nothing is recorded or downloaded until started', () => {
+  const recorder = new SessionRecorder();
+  recorder.recordDetection({ faceLandmarks: [face(0.5)] }, 0);
+  recorder.stop();
+  assert.equal(recorder.isRecording(), false);
+  assert.equal(downloads.length, 0);
+});
+
+test('a recorded session replays its detections', async () => {
+  const recorder = new SessionRecorder({ config: { screen: { widthMm: 597 } } });
+  recorder.start();
+  assert.equal(recorder.isRecording(), true);
+
+  const matrix = { data: Array.from({ length: 16 }, (_, i) => i) };
+  recorder.recordDetection({ faceLandmarks: [face(0.4)], facialTransformationMatrixes: [matrix] }, 1000.0004, 1);
+  recorder.recordPose({ x: 1.234, y: 2, z: 600 }, 1010);
+  recorder.recordDetection({ faceLandmarks: [] }, 1033.3);
+  recorder.recordDetection({ faceLandmarks: [face(0.6), face(0.2)] }, 1066);
+  recorder.stop();
+
+  assert.equal(downloads.length, 1);
+  const text = await downloads[0].text();
+  const lines = text.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map((l) => l.type), ['header', 'frame', 'pose', 'frame', 'frame']);
+  assert.deepEqual(lines[0].config, { screen: { widthMm: 597 } });
+  assert.equal(lines[1].t, 1000);
+  assert.deepEqual(lines[2].pose, { x: 1.23, y: 2, z: 600 });
+  assert.equal(lines[4].otherFaces.length, 1);
+
+  const source = new ReplaySource({ loop: false });
+  source.load(text);
+  assert.equal(source.getHeader().config.screen.widthMm, 597);
+  assert.equal(source.getDuration(), 66);
+  assert.equal(source.getLatestLandmarks()[0].x, 0.4);
+  assert.deepEqual(source.getTransformationMatrix().data, matrix.data);
+
+  source.seek(40);
+  assert.equal(source.getLatestLandmarks(), null, 'frame without a face');
+  source.seek(66);
+  assert.equal(source.getLatestLandmarks()[0].x, 0.6);
+});
+
+test('with several faces the recording keeps them all and replays the viewer', async () => {
+  const matrices = [0, 1].map((n) => ({ data: Array(16).fill(n) }));
+  const recorder = new SessionRecorder();
+  recorder.start();
+  recorder.recordDetection({ faceLandmarks: [face(0.2), face(0.6)], facialTransformationMatrixes: matrices }, 0, 0, 1);
+  recorder.recordDetection({ faceLandmarks: [face(0.2), face(0.6)], facialTransformationMatrixes: matrices }, 50, 0, 0);
+  recorder.recordDetection({ faceLandmarks: [face(0.3)] }, 100, 0, -1);
+  recorder.stop();
+
+  const text = await downloads[0].text();
+  const frames = text.trim().split('\n').slice(1).map((line) => JSON.parse(line));
+  assert.deepEqual(frames.map((f) => f.viewer), [1, undefined, null]);
+  assert.equal(frames[0].landmarks[0][0], 0.2, 'the detector\'s order is kept');
+  assert.deepEqual(frames[0].otherMatrices, [matrices[1].data]);
+
+  const source = new ReplaySource({ loop: false });
+  source.load(text);
+  assert.equal(source.getLatestLandmarks()[0].x, 0.6);
+  assert.equal(source.getTransformationMatrix().data[0], 1);
+  source.seek(50);
+  assert.equal(source.getLatestLandmarks()[0].x, 0.2);
+  assert.equal(source.getTransformationMatrix().data[0], 0);
+  source.seek(100);
+  assert.equal(source.getLatestLandmarks(), null, 'the viewer out of view');
+});
+
+test('landmarks are rounded to keep recordings small', async () => {
+  const recorder = new SessionRecorder();
+  recorder.start();
+  recorder.recordDetection({ faceLandmarks: [[{ x: 0.123456789, y: 0.5, z: 0 }]] }, 0);
+  recorder.stop();
+  const frame = JSON.parse((await downloads[0].text()).split('\n')[1]);
+  assert.deepEqual(frame.landmarks, [[0.12346, 0.5, 0]]);
+});
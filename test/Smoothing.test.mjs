@@ -0,0 +1,129 @@
+/**
+ * Smoothing.test.mjs — Kalman smoothing and latency-compensating prediction,
+ * and retuning the One-Euro filter.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  OneEuroFilter,
+  Vector3OneEuroFilter,
+  KalmanFilter,
+  Vector3KalmanFilter,
+} from '../src/projection/Smoothing.js';
+
+const FRAME = 1 / 30;
+
+/** Feed `signal(t)` for `frames` frames at 30 Hz; returns the last output and time. */
+function run(filter, signal, frames) {
+  let out;
+  let t = 0;
+  for (let i = 0; i < frames; i++) {
+    t = i * FRAME;
+    out = filter.filter(signal(t), t);
+  }
+  return { out, t };
+}
+
+test('the first measurement passes through unchanged', () => {
+  const filter = new KalmanFilter();
+  assert.equal(filter.predict(0), null);
+  assert.equal(filter.filter(42, 0), 42);
+  assert.equal(filter.predict(0), 42);
+});
+
+test('a constant signal stays put and predicts no motion', () => {
+  const filter = new KalmanFilter();
+  const { out, t } = run(filter, () => 100, 60);
+  assert.ok(Math.abs(out - 100) < 1e-9);
+  assert.ok(Math.abs(filter.predict(t + 0.1) - 100) < 1e-6);
+});
+
+test('noise is smoothed', () => {
+  const filter = new KalmanFilter();
+  let maxError = 0;
+  for (let i = 0; i < 120; i++) {
+    const out = filter.filter(i % 2 ? 3 : -3, i * FRAME);
+    if (i > 30) maxError = Math.max(maxError, Math.abs(out));
+  }
+  assert.ok(maxError < 3, `jitter of ±3 mm came through as ${maxError} mm`);
+});
+
+test('the velocity model tracks a ramp and extrapolates it', () => {
+  const filter = new KalmanFilter();
+  const speed = 200; // mm/s
+  const { out, t } = run(filter, (time) => speed * time, 90);
+  assert.ok(Math.abs(out - speed * t) < 0.5, `lags the ramp: ${out} vs ${speed * t}`);
+  const ahead = filter.predict(t + 0.05);
+  assert.ok(Math.abs(ahead - speed * (t + 0.05)) < 0.5, `predicted ${ahead}`);
+});
+
+test('the acceleration model tracks a parabola', () => {
+  const filter = new KalmanFilter({ model: 'acceleration', processNoise: 1e6 });
+  const signal = (time) => 100 * time * time;
+  const { t } = run(filter, signal, 90);
+  assert.ok(Math.abs(filter.predict(t + 0.05) - signal(t + 0.05)) < 1);
+});
+
+test('damping and maxHorizon limit how far the prediction reaches', () => {
+  const filter = new KalmanFilter();
+  const { out, t } = run(filter, (time) => 200 * time, 90);
+  const undamped = filter.predict(t + 1) - out;
+  const damped = filter.predict(t + 1, { damping: 0.1 }) - out;
+  const capped = filter.predict(t + 1, { maxHorizon: 0.05 }) - out;
+  assert.ok(undamped > 150);
+  assert.ok(damped > 0 && damped <= 200 * 0.1 + 0.5, `damped ${damped}`);
+  assert.ok(Math.abs(capped - 200 * 0.05) < 0.5, `capped ${capped}`);
+  assert.equal(filter.predict(t - 1), out, 'no extrapolation backwards');
+});
+
+test('repeated or out-of-order timestamps leave the state untouched', () => {
+  const filter = new KalmanFilter();
+  filter.filter(0, 0);
+  const value = filter.filter(10, 0.1);
+  assert.equal(filter.filter(500, 0.1), value);
+  assert.equal(filter.filter(500, 0.05), value);
+});
+
+test('reset forgets the state', () => {
+  const filter = new KalmanFilter();
+  run(filter, (time) => 200 * time, 30);
+  filter.reset();
+  assert.equal(filter.predict(10), null);
+  assert.equal(filter.filter(7, 10), 7);
+});
+
+test('Vector3KalmanFilter filters and predicts each axis', () => {
+  const filter = new Vector3KalmanFilter({ dampingMs: 0, maxPredictionMs: 50 });
+  assert.equal(filter.predict(0), null);
+  let t = 0;
+  for (let i = 0; i < 90; i++) {
+    t = i * FRAME;
+    filter.filter({ x: 100 * t, y: -50 * t, z: 600 }, t);
+  }
+  const p = filter.predict(t + 1);
+  assert.ok(Math.abs(p.x - 100 * (t + 0.05)) < 0.5);
+  assert.ok(Math.abs(p.y + 50 * (t + 0.05)) < 0.5);
+  assert.ok(Math.abs(p.z - 600) < 1e-6);
+});
+
+test('retuning a One-Euro filter keeps its state', () => {
+  const filter = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+  filter.filter(0, 0);
+  filter.setParameters({ minCutoff: 0.1 });
+  assert.equal(filter.beta, 0, 'omitted parameters are unchanged');
+
+  // Still smoothing from 0, and more strongly than the old cutoff would
+  const slow = filter.filter(100, FRAME);
+  const fast = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+  fast.filter(0, 0);
+  assert.ok(slow > 0 && slow < fast.filter(100, FRAME), `slow = ${slow}`);
+});
+
+test('retuning a Vector3OneEuroFilter can change its dead zone', () => {
+  const filter = new Vector3OneEuroFilter({ deadZone: 0 });
+  filter.filter({ x: 0, y: 0, z: 0 }, 0);
+  filter.setParameters({ deadZone: 50 });
+  assert.deepEqual(filter.filter({ x: 10, y: 0, z: 0 }, FRAME), { x: 0, y: 0, z: 0 });
+});
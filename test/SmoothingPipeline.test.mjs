@@ -0,0 +1,115 @@
+/**
+ * SmoothingPipeline.test.mjs — Individual stages and the stage chain.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SmoothingPipeline, createStage, STAGE_TYPES } from '../src/projection/SmoothingPipeline.js';
+
+const FRAME = 1 / 30;
+
+const at = (x, y = 0, z = 600) => ({ x, y, z });
+
+test('the gate holds single-frame jumps and gives in after maxRejects', () => {
+  const gate = createStage({ type: 'gate', maxJump: 50, maxRejects: 2 });
+  assert.deepEqual(gate.filter(at(0), 0), at(0));
+  assert.deepEqual(gate.filter(at(10), FRAME), at(10));
+
+  // A glitch is held, then the track continues from the last good position
+  assert.deepEqual(gate.filter(at(300), 2 * FRAME), at(10));
+  assert.deepEqual(gate.filter(at(15), 3 * FRAME), at(15));
+
+  // A real move is accepted once it has been rejected maxRejects times
+  assert.deepEqual(gate.filter(at(300), 4 * FRAME), at(15));
+  assert.deepEqual(gate.filter(at(300), 5 * FRAME), at(15));
+  assert.deepEqual(gate.filter(at(300), 6 * FRAME), at(300));
+});
+
+test('the gate rejects implausible speeds and repeats its decision for the same frame', () => {
+  const gate = createStage({ type: 'gate', maxJump: 1000, maxSpeed: 1000 });
+  gate.filter(at(0), 0);
+  // 100 mm in 10 ms = 10 m/s
+  assert.deepEqual(gate.filter(at(100), 0.01), at(0));
+  assert.deepEqual(gate.filter(at(5), 0.01), at(0), 'same frame polled again');
+  assert.deepEqual(gate.filter(at(20), 0.1), at(20));
+});
+
+test('the median removes a single-frame spike', () => {
+  const median = createStage({ type: 'median', size: 3 });
+  const out = [0, 1, 90, 3, 4].map((x, i) => median.filter(at(x), i * FRAME).x);
+  assert.deepEqual(out, [0, 0.5, 1, 3, 4]);
+
+  // Polling the same frame again does not push it into the window twice
+  assert.equal(median.filter(at(100), 4 * FRAME).x, 4);
+  median.reset();
+  assert.equal(median.filter(at(7), 0).x, 7);
+});
+
+test('the hard dead zone holds small moves and jumps on large ones', () => {
+  const zone = createStage({ type: 'dead-zone', threshold: 2 });
+  assert.deepEqual(zone.filter(at(0)), at(0));
+  assert.deepEqual(zone.filter(at(1.5)), at(0));
+  assert.deepEqual(zone.filter(at(0, 1.9)), at(0));
+  assert.deepEqual(zone.filter(at(2.5)), at(2.5));
+  assert.deepEqual(zone.filter(at(1)), at(2.5));
+});
+
+test('the soft dead zone drags the output at the threshold distance', () => {
+  const zone = createStage({ type: 'soft-dead-zone', threshold: 2 });
+  zone.filter(at(0));
+  assert.equal(zone.filter(at(1.5)).x, 0);
+  assert.equal(zone.filter(at(5)).x, 3);
+  assert.equal(zone.filter(at(8)).x, 6);
+
+  // Reversing needs 2 × threshold of travel before the output moves back
+  assert.equal(zone.filter(at(4)).x, 6);
+  assert.equal(zone.filter(at(3)).x, 5);
+});
+
+test('clamp limits only the configured axes', () => {
+  const clamp = createStage({ type: 'clamp', min: { z: 100 }, max: { x: 50 } });
+  assert.deepEqual(clamp.filter({ x: 80, y: -900, z: 20 }), { x: 50, y: -900, z: 100 });
+});
+
+test('unknown stage types are reported with the known ones', () => {
+  assert.throws(() => createStage({ type: 'nope' }), (err) => {
+    for (const type of Object.keys(STAGE_TYPES)) assert.match(err.message, new RegExp(type));
+    return true;
+  });
+});
+
+test('the pipeline applies stages in order and resets them all', () => {
+  const pipeline = new SmoothingPipeline([
+    { type: 'clamp', max: { x: 10 } },
+    { type: 'dead-zone', threshold: 5 },
+  ]);
+  assert.deepEqual(pipeline.filter(at(0), 0), at(0));
+  // Clamped to 10 before the dead zone sees it
+  assert.deepEqual(pipeline.filter(at(50), FRAME), at(10));
+  assert.deepEqual(pipeline.filter(at(12), 2 * FRAME), at(10));
+  pipeline.reset();
+  assert.deepEqual(pipeline.filter(at(3), 3 * FRAME), at(3));
+});
+
+test('setStages retunes a One-Euro stage in place and rebuilds the rest', () => {
+  const pipeline = new SmoothingPipeline([{ type: 'one-euro' }, { type: 'dead-zone', threshold: 2 }]);
+  pipeline.filter(at(0), 0);
+  pipeline.filter(at(0), FRAME);
+  pipeline.setStages([{ type: 'one-euro', minCutoff: 0.5 }, { type: 'dead-zone', threshold: 2 }]);
+  assert.deepEqual(pipeline.getStages(), [{ type: 'one-euro', minCutoff: 0.5 }, { type: 'dead-zone', threshold: 2 }]);
+
+  // The One-Euro stage remembers 0, so a step is smoothed rather than passed through
+  const out = pipeline.filter(at(100), 2 * FRAME);
+  assert.ok(out.x > 0 && out.x < 100, `x = ${out.x}`);
+});
+
+test('setStages starts a stage afresh when its type changes', () => {
+  const pipeline = new SmoothingPipeline([{ type: 'one-euro' }]);
+  pipeline.filter(at(0), 0);
+  pipeline.filter(at(0), FRAME);
+  pipeline.setStages([{ type: 'dead-zone', threshold: 2 }, { type: 'one-euro' }]);
+
+  // Neither stage has history, so the first sample passes through
+  assert.deepEqual(pipeline.filter(at(100), 2 * FRAME), at(100));
+});
@@ -0,0 +1,135 @@
+/**
+ * TrackingStateMachine.test.mjs — State transitions, timeouts and confidence.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TrackingStateMachine } from '../src/tracking/TrackingStateMachine.js';
+
+const FRAME = 33;
+
+/**
+ * A 478-landmark face (with irises) whose eyes are 0.2 apart.
+ * @param {Object} [options]
+ * @param {number} [options.noseX=0.5] - Nose tip x, to simulate movement or jitter
+ * @param {boolean} [options.eyesOpen=true]
+ * @param {boolean} [options.irises=true] - Include the iris landmarks
+ */
+function face({ noseX = 0.5, eyesOpen = true, irises = true } = {}) {
+  const landmarks = Array.from({ length: irises ? 478 : 468 }, () => ({ x: 0.5, y: 0.5 }));
+  const gap = eyesOpen ? 0.01 : 0;
+  Object.assign(landmarks, {
+    1: { x: noseX, y: 0.55 },
+    33: { x: 0.4, y: 0.5 }, 133: { x: 0.45, y: 0.5 },
+    159: { x: 0.42, y: 0.5 - gap }, 145: { x: 0.42, y: 0.5 + gap },
+    263: { x: 0.6, y: 0.5 }, 362: { x: 0.55, y: 0.5 },
+    386: { x: 0.58, y: 0.5 - gap }, 374: { x: 0.58, y: 0.5 + gap },
+  });
+  return landmarks;
+}
+
+function started(options) {
+  const changes = [];
+  const machine = new TrackingStateMachine({
+    ...options,
+    onChange: (state, previous) => changes.push(`${previous}→${state}`),
+  });
+  machine.start();
+  return { machine, changes };
+}
+
+test('results are ignored until start()', () => {
+  const machine = new TrackingStateMachine();
+  machine.update(face(), 0);
+  assert.equal(machine.getState(), 'initialising');
+  machine.start();
+  assert.equal(machine.getState(), 'searching');
+});
+
+test('a steady face is tracked with full confidence', () => {
+  const { machine, changes } = started();
+  for (let i = 0; i < 5; i++) machine.update(face({ noseX: 0.5 + i * 0.01 }), i * FRAME);
+  assert.equal(machine.getState(), 'tracking');
+  assert.deepEqual(changes, ['initialising→searching', 'searching→tracking']);
+
+  const status = machine.getStatus(4 * FRAME);
+  assert.ok(status.jitter < 1e-9, 'steady movement is not jitter');
+  assert.equal(status.irisVisible, true);
+  assert.ok(Math.abs(status.confidence - 1) < 1e-9);
+});
+
+test('jitter degrades tracking and recovery needs it well below maxJitter', () => {
+  const { machine } = started({ maxJitter: 0.05 });
+  let t = 0;
+  for (let i = 0; i < 10; i++, t += FRAME) {
+    machine.update(face({ noseX: 0.5 + (i % 2 ? 0.01 : -0.01) }), t);
+  }
+  assert.equal(machine.getState(), 'degraded');
+  assert.ok(machine.getStatus(t).confidence < 0.5);
+
+  let frames = 0;
+  while (machine.getState() === 'degraded' && frames < 100) {
+    machine.update(face(), t);
+    t += FRAME;
+    frames++;
+  }
+  assert.equal(machine.getState(), 'tracking');
+  assert.ok(machine.getStatus(t).jitter <= 0.05 * 0.75);
+});
+
+test('hidden irises degrade tracking only after outlasting a blink', () => {
+  const { machine } = started();
+  let t = 0;
+  machine.update(face(), t);
+  for (let i = 0; i < 9; i++) machine.update(face({ eyesOpen: false }), t += FRAME);
+  assert.equal(machine.getState(), 'tracking');
+  machine.update(face({ eyesOpen: false }), t += FRAME);
+  assert.equal(machine.getState(), 'degraded');
+  machine.update(face(), t += FRAME);
+  assert.equal(machine.getState(), 'tracking');
+
+  // Without the iris model every frame counts as hidden
+  for (let i = 0; i < 10; i++) machine.update(face({ irises: false }), t += FRAME);
+  assert.equal(machine.getState(), 'degraded');
+  assert.equal(machine.getStatus(t).irisVisible, false);
+});
+
+test('a lost face goes back to searching after lostTimeoutMs', () => {
+  const { machine, changes } = started({ lostTimeoutMs: 1000 });
+  machine.update(face(), 0);
+  machine.update(null, 100);
+  assert.equal(machine.getState(), 'lost');
+  assert.equal(machine.getStatus(100).confidence, 0);
+
+  machine.check(900);
+  assert.equal(machine.getState(), 'lost');
+  machine.check(1100);
+  assert.equal(machine.getState(), 'searching');
+  assert.deepEqual(changes.slice(1), ['searching→tracking', 'tracking→lost', 'lost→searching']);
+});
+
+test('stalled results degrade and then lose the face', () => {
+  const { machine } = started({ staleAfterMs: 250, lostTimeoutMs: 1500 });
+  machine.update(face(), 0);
+  machine.check(200);
+  assert.equal(machine.getState(), 'tracking');
+
+  machine.check(300);
+  assert.equal(machine.getState(), 'degraded');
+  const fading = machine.getStatus(875).confidence;
+  assert.ok(fading > 0.4 && fading < 0.6, `confidence ${fading} halfway to the timeout`);
+
+  machine.check(1600);
+  assert.equal(machine.getState(), 'lost');
+});
+
+test('reset returns to initialising and forgets measurements', () => {
+  const { machine } = started();
+  machine.update(face(), 0);
+  machine.reset();
+  const status = machine.getStatus(0);
+  assert.equal(status.state, 'initialising');
+  assert.equal(status.ageMs, null);
+  assert.equal(status.jitter, null);
+});
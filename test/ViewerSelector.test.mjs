@@ -0,0 +1,102 @@
+/**
+ * ViewerSelector.test.mjs — Face matching, viewer policies and switching hysteresis.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ViewerSelector } from '../src/tracking/ViewerSelector.js';
+
+const FRAME = 33;
+
+/**
+ * A face with its nose tip at (x, 0.5).
+ * @param {number} x
+ * @param {number} [size=0.02] - Iris width; larger is nearer the camera
+ */
+function face(x, size = 0.02) {
+  const landmarks = Array.from({ length: 478 }, () => ({ x, y: 0.5 }));
+  for (const [a, b] of [[469, 471], [474, 476]]) {
+    landmarks[a] = { x: x - size / 2, y: 0.5 };
+    landmarks[b] = { x: x + size / 2, y: 0.5 };
+  }
+  return landmarks;
+}
+
+function selector(options) {
+  const changes = [];
+  const viewers = new ViewerSelector({
+    ...options,
+    onChange: (id, previous) => changes.push([previous, id]),
+  });
+  return { viewers, changes };
+}
+
+test('faces keep their ids while they move and swap places in the array', () => {
+  const { viewers } = selector({ policy: 'locked' });
+  assert.equal(viewers.select([face(0.3), face(0.7)], 0), 0);
+  const id = viewers.getViewerId();
+
+  // The viewer is now second in the detection order and has moved a little
+  assert.equal(viewers.select([face(0.72), face(0.35)], FRAME), 1);
+  assert.equal(viewers.getViewerId(), id);
+  assert.equal(viewers.getFaceCount(), 2);
+});
+
+test('locked keeps the first viewer even when someone nearer arrives', () => {
+  const { viewers, changes } = selector({ policy: 'locked' });
+  viewers.select([face(0.3)], 0);
+  for (let t = FRAME; t < 2000; t += FRAME) {
+    assert.equal(viewers.select([face(0.3), face(0.7, 0.05)], t), 0);
+  }
+  assert.deepEqual(changes, [[null, 1]]);
+});
+
+test('locked waits lostTimeoutMs for a viewer who left the picture', () => {
+  const { viewers } = selector({ policy: 'locked', lostTimeoutMs: 1000 });
+  viewers.select([face(0.3), face(0.7)], 0);
+  viewers.select([], 100);
+  assert.equal(viewers.getViewerId(), 1, 'nobody in view');
+
+  assert.equal(viewers.select([face(0.7)], 500), -1);
+  assert.equal(viewers.getViewerId(), 1);
+  assert.equal(viewers.select([face(0.7)], 1100), 0);
+  assert.equal(viewers.getViewerId(), 2);
+});
+
+test('nearest switches only after the other face is preferred for switchDelayMs', () => {
+  const { viewers, changes } = selector({ policy: 'nearest', switchDelayMs: 500 });
+  viewers.select([face(0.3, 0.03), face(0.7, 0.02)], 0);
+  assert.equal(viewers.getViewerId(), 1);
+
+  // The second person steps closer
+  viewers.select([face(0.3, 0.03), face(0.7, 0.04)], 100);
+  viewers.select([face(0.3, 0.03), face(0.7, 0.04)], 500);
+  assert.equal(viewers.getViewerId(), 1);
+  assert.equal(viewers.select([face(0.3, 0.03), face(0.7, 0.04)], 600), 1);
+  assert.equal(viewers.getViewerId(), 2);
+  assert.deepEqual(changes, [[null, 1], [1, 2]]);
+});
+
+test('an interrupted preference restarts the switch delay', () => {
+  const { viewers } = selector({ policy: 'nearest', switchDelayMs: 500 });
+  viewers.select([face(0.3, 0.03), face(0.7, 0.02)], 0);
+  viewers.select([face(0.3, 0.03), face(0.7, 0.04)], 100);
+  viewers.select([face(0.3, 0.03), face(0.7, 0.02)], 400);
+  viewers.select([face(0.3, 0.03), face(0.7, 0.04)], 500);
+  viewers.select([face(0.3, 0.03), face(0.7, 0.04)], 700);
+  assert.equal(viewers.getViewerId(), 1);
+  viewers.select([face(0.3, 0.03), face(0.7, 0.04)], 1000);
+  assert.equal(viewers.getViewerId(), 2);
+});
+
+test('centred prefers the face nearest the image centre and hands over at once when the viewer leaves', () => {
+  const { viewers } = selector({ policy: 'centred' });
+  assert.equal(viewers.select([face(0.1), face(0.55)], 0), 1);
+  assert.equal(viewers.select([face(0.1)], FRAME), 0);
+  assert.equal(viewers.getViewerId(), 1);
+});
+
+test('unknown policies are rejected', () => {
+  assert.throws(() => new ViewerSelector({ policy: 'loudest' }), /Unknown viewer policy "loudest"/);
+});
@@ -0,0 +1,74 @@
+/**
+ * WindowPlacement.test.mjs — Locating the canvas on the physical monitor.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WindowPlacement } from '../src/projection/WindowPlacement.js';
+
+let rect;
+let placement;
+
+beforeEach(() => {
+  rect = { left: 0, top: 0, width: 1920, height: 1080 };
+  globalThis.window = {
+    screen: { width: 1920, height: 1080 },
+    screenX: 0,
+    screenY: 0,
+    outerWidth: 1920,
+    outerHeight: 1080,
+    innerWidth: 1920,
+    innerHeight: 1080,
+  };
+  placement = new WindowPlacement({ getBoundingClientRect: () => rect });
+});
+
+afterEach(() => {
+  delete globalThis.window;
+});
+
+test('a fullscreen canvas covers the whole screen', () => {
+  assert.equal(placement.getRectMm(), null);
+  assert.equal(placement.update(0.25), true);
+  assert.deepEqual(placement.getRectMm(), { left: -240, right: 240, top: 135, bottom: -135 });
+});
+
+test('a window off-centre maps to its part of the screen, below the browser chrome', () => {
+  Object.assign(window, {
+    screenX: 960,
+    screenY: 0,
+    outerWidth: 960,
+    outerHeight: 1080,
+    innerWidth: 944,  // 8 px borders
+    innerHeight: 980, // 92 px of tabs and toolbars plus an 8 px bottom border
+  });
+  rect = { left: 0, top: 0, width: 944, height: 980 };
+  placement.update(0.25);
+  assert.deepEqual(placement.getRectMm(), {
+    left: (968 - 960) * 0.25,
+    right: (968 + 944 - 960) * 0.25,
+    top: (540 - 92) * 0.25,
+    bottom: (540 - 92 - 980) * 0.25,
+  });
+});
+
+test('the origin of a secondary monitor is subtracted', () => {
+  window.screen = { width: 1920, height: 1080, left: 1920, top: 0 };
+  window.screenX = 1920;
+  placement.update(0.25);
+  assert.equal(placement.getRectMm().left, -240);
+});
+
+test('update reports whether the rectangle changed', () => {
+  assert.equal(placement.update(0.25), true);
+  assert.equal(placement.update(0.25), false);
+  window.screenX = 10;
+  assert.equal(placement.update(0.25), true);
+  assert.equal(placement.update(0.3), true);
+  assert.equal(placement.update(0.3), false);
+
+  placement.reset();
+  assert.equal(placement.getRectMm(), null);
+  assert.equal(placement.update(0.3), true);
+});
@@ -0,0 +1,58 @@
+/**
+ * evaluate-filters.test.mjs — Metrics of the offline filter evaluation tool.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MetricAccumulator, createRunner, movingAverage } from '../tools/evaluate-filters.mjs';
+
+const SPEED = 100; // mm/s
+
+/** 10 s of steady movement along x at 30 Hz */
+function ramp() {
+  const t = Array.from({ length: 300 }, (_, i) => i / 30);
+  return { t, pos: t.map((ti) => ({ x: SPEED * ti, y: 0, z: 600 })) };
+}
+
+function evaluate(filter, params) {
+  const segment = ramp();
+  const filtered = createRunner(filter, params)(segment);
+  const metrics = new MetricAccumulator(30);
+  metrics.add(segment, filtered, movingAverage(segment.t, segment.pos));
+  return { ...metrics.result(), filtered, segment };
+}
+
+/** Steady-state delay of the output behind the ramp (ms) */
+function trueLagMs({ filtered, segment }) {
+  const last = segment.t.length - 1;
+  return (segment.pos[last].x - filtered[last].x) / SPEED * 1000;
+}
+
+test('lag matches the time constant of a plain low-pass filter', () => {
+  // beta = 0: an exponential filter with τ = 1 / (2π · 2 Hz) ≈ 80 ms
+  const run = evaluate('Vector3OneEuroFilter', { minCutoff: 2, beta: 0, deadZone: 0 });
+  assert.ok(Math.abs(run.lagMs - trueLagMs(run)) < 2, `lag ${run.lagMs} ms, expected ${trueLagMs(run)} ms`);
+});
+
+test('lags shorter than the search step are not rounded to 0', () => {
+  for (const beta of [1, 0.5, 0.1]) {
+    const run = evaluate('Vector3OneEuroFilter', { minCutoff: 0.25, beta, deadZone: 0 });
+    const expected = trueLagMs(run);
+    assert.ok(run.lagMs > 0, `beta ${beta}: lag ${run.lagMs} ms`);
+    assert.ok(Math.abs(run.lagMs - expected) < 1, `beta ${beta}: lag ${run.lagMs} ms, expected ${expected} ms`);
+  }
+});
+
+test('a constant-velocity Kalman filter has no lag on a ramp and prediction runs ahead', () => {
+  const plain = evaluate('Vector3KalmanFilter', { predictionMs: 0 });
+  assert.ok(Math.abs(plain.lagMs) < 1, `lag ${plain.lagMs} ms`);
+
+  // Predicting 30 ms ahead, damped with τ = 100 ms: 100 · (1 − e^−0.3) ≈ 26 ms
+  const ahead = evaluate('Vector3KalmanFilter', { predictionMs: 30 });
+  assert.ok(Math.abs(ahead.lagMs + 25.9) < 1, `lag ${ahead.lagMs} ms`);
+});
+
+test('jitter is not measured while the head moves', () => {
+  assert.ok(Number.isNaN(evaluate('Vector3OneEuroFilter', { deadZone: 0 }).jitterMm));
+});
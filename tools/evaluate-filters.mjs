@@ -0,0 +1,629 @@
+#!/usr/bin/env node
+/**
+ * evaluate-filters.mjs — Offline evaluation of smoothing filters on recorded traces.
+ *
+ * Runs head positions from recorded traces (session recordings made with
+ * the R key, or any trace ReplaySource accepts) through a filter from
+ * src/projection/Smoothing.js for every combination of a parameter grid,
+ * and reports per combination:
+ *
+ *   jitter    — RMS deviation (mm) of the output from the locally averaged
+ *               raw signal while the head is still
+ *   lag       — delay (ms) of the output behind the averaged raw signal:
+ *               the time shift that best aligns the two while the head
+ *               moves, interpolated between the steps of the search
+ *               (negative when a predictor runs ahead)
+ *   overshoot — largest excursion (mm) of the output beyond the range the
+ *               averaged raw signal covered over the preceding 0.5 s
+ *
+ * Results go to <out>/filter-eval.csv and <out>/filter-eval.html (a
+ * jitter / lag scatter plot and raw vs. filtered time series).
+ *
+ * Usage:
+ *   node tools/evaluate-filters.mjs <trace.ndjson> [more traces…] [options]
+ *
+ * Options:
+ *   --filter <name>      Smoothing.js export: Vector3OneEuroFilter (default),
+ *                        OneEuroFilter, Vector3KalmanFilter or KalmanFilter.
+ *                        Scalar filters are applied to each axis separately.
+ *   --param <k>=<v,…>    Values to try for one constructor option; repeatable.
+ *                        Replaces that option's default grid. Filters with a
+ *                        predict() method also accept predictionMs.
+ *   --out <dir>          Output directory (default: filter-eval)
+ *   --still-speed <mm/s> Speed below which the head counts as still (default: 30)
+ *   --axis <x|y|z>       Axis shown in the time-series plot (default: x)
+ *
+ * Example:
+ *   node tools/evaluate-filters.mjs session.ndjson --param minCutoff=0.5,1,2 --param beta=0,0.3,1
+ *
+ * Landmark traces are converted to head positions with HeadPoseEstimator,
+ * configured from the trace header (the recording's config.js) when present.
+ * Requires Node.js 20.19 or later.
+ *
+ * The metrics (MetricAccumulator, movingAverage) and createRunner are
+ * exported for the tests; importing the module does not run the tool.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+
+import * as Smoothing from '../src/projection/Smoothing.js';
+import { readTrace } from '../src/tracking/ReplaySource.js';
+import { HeadPoseEstimator } from '../src/tracking/HeadPoseEstimator.js';
+import { CONFIG } from '../src/config.js';
+
+/** Parameter grids tried when no --param overrides them */
+const DEFAULT_GRIDS = {
+  OneEuroFilter: { minCutoff: [0.25, 0.5, 1, 2], beta: [0, 0.1, 0.5, 1] },
+  Vector3OneEuroFilter: { minCutoff: [0.25, 0.5, 1, 2], beta: [0, 0.1, 0.5, 1], deadZone: [0, 2] },
+  KalmanFilter: { processNoise: [5e3, 2e4, 1e5], measurementNoise: [1, 4, 16] },
+  Vector3KalmanFilter: {
+    processNoise: [5e3, 2e4, 1e5],
+    measurementNoise: [1, 4, 16],
+    predictionMs: [0, 30],
+  },
+};
+
+/** Gaps longer than this (s) split a trace into separately filtered segments */
+const MAX_GAP_S = 0.25;
+
+/** Width of the centred moving average used as the noise-free reference (s) */
+const REFERENCE_WINDOW_S = 0.3;
+
+/** Look-back window for the overshoot envelope (s) */
+const OVERSHOOT_WINDOW_S = 0.5;
+
+/** Resampling step and search range for the lag estimate (s) */
+const LAG_STEP_S = 0.005;
+const MAX_LAG_S = 0.3;
+
+const AXES = ['x', 'y', 'z'];
+
+// -----------------------------------------------------------------------------
+// Command line
+// -----------------------------------------------------------------------------
+
+function parseArgs(argv) {
+  const args = {
+    traces: [],
+    filter: 'Vector3OneEuroFilter',
+    params: {},
+    out: 'filter-eval',
+    stillSpeed: 30,
+    axis: 'x',
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value.`);
+      return argv[++i];
+    };
+
+    if (arg === '--filter') {
+      args.filter = value();
+    } else if (arg === '--param') {
+      const [key, list] = value().split('=');
+      const values = (list ?? '').split(',').map(Number);
+      if (!key || values.some((v) => !Number.isFinite(v))) {
+        throw new Error(`Invalid --param "${argv[i]}" (expected name=1,2,3).`);
+      }
+      args.params[key] = values;
+    } else if (arg === '--out') {
+      args.out = value();
+    } else if (arg === '--still-speed') {
+      args.stillSpeed = Number(value());
+    } else if (arg === '--axis') {
+      args.axis = value();
+      if (!AXES.includes(args.axis)) throw new Error('--axis must be x, y or z.');
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}.`);
+    } else {
+      args.traces.push(arg);
+    }
+  }
+  return args;
+}
+
+function printUsage() {
+  console.log(
+    'Usage: node tools/evaluate-filters.mjs <trace…> [--filter <name>] ' +
+    '[--param <k>=<v,…>]… [--out <dir>] [--still-speed <mm/s>] [--axis <x|y|z>]'
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Traces → raw head positions
+// -----------------------------------------------------------------------------
+
+/**
+ * Load a trace and return its raw head positions, split into segments at
+ * gaps and frames without a face.
+ *
+ * @returns {Promise<Array<{ t: number[], pos: Array<{x: number, y: number, z: number}> }>>}
+ */
+async function loadSegments(path) {
+  const { header, frames } = readTrace(await readFile(path, 'utf8'));
+  const estimator = createEstimator(header);
+
+  const segments = [];
+  let current = null;
+  let lastT = -Infinity;
+  for (const frame of frames) {
+    const t = frame.t / 1000;
+    const pos = frame.head
+      ?? (frame.landmarks ? estimator.measure(frame.landmarks, frame.matrix) : null);
+
+    if (!pos || t - lastT > MAX_GAP_S) {
+      current = null;
+    }
+    if (pos) {
+      if (!current) {
+        current = { t: [], pos: [] };
+        segments.push(current);
+      }
+      current.t.push(t);
+      current.pos.push({ x: pos.x, y: pos.y, z: pos.z });
+      lastT = t;
+    }
+  }
+  // Too short to say anything about
+  return segments.filter((s) => s.t.length >= 10);
+}
+
+/** HeadPoseEstimator set up like the app that recorded the trace. */
+function createEstimator(header) {
+  const config = header?.config ?? CONFIG;
+  return new HeadPoseEstimator({
+    screenWidthMm: config.screen.widthMm,
+    screenHeightMm: config.screen.heightMm,
+    defaultViewingDistance: config.projection.defaultViewingDistance,
+    videoWidth: header?.video?.width ?? config.tracking.videoWidth,
+    videoHeight: header?.video?.height ?? config.tracking.videoHeight,
+    sensitivityX: config.headPose.sensitivityX,
+    sensitivityY: config.headPose.sensitivityY,
+    sensitivityZ: config.headPose.sensitivityZ,
+    useIrisDepth: config.headPose.useIrisDepth,
+    irisDiameterMm: config.headPose.irisDiameterMm,
+    useRotation: config.headPose.useRotation,
+    noseToEyesMm: config.headPose.noseToEyesMm,
+    focalLengthPx: config.webcam?.focalLengthPx ?? null,
+    fovFactor: config.headPose.fovFactor,
+    principalPoint: config.webcam?.principalPointX != null && config.webcam?.principalPointY != null
+      ? { x: config.webcam.principalPointX, y: config.webcam.principalPointY }
+      : null,
+    webcamPose: config.webcam,
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Filtering
+// -----------------------------------------------------------------------------
+
+/**
+ * Build a function that filters one segment with the given parameters.
+ * Scalar filters get one instance per axis.
+ */
+export function createRunner(name, params) {
+  const Filter = Smoothing[name];
+  if (typeof Filter !== 'function') {
+    throw new Error(`Smoothing.js has no filter "${name}".`);
+  }
+  const { predictionMs = 0, ...options } = params;
+  const ahead = predictionMs / 1000;
+
+  if (name.startsWith('Vector3')) {
+    return (segment) => {
+      const filter = new Filter(options);
+      return segment.pos.map((p, i) => {
+        const out = filter.filter(p, segment.t[i]);
+        return ahead > 0 && filter.predict ? filter.predict(segment.t[i] + ahead) : out;
+      });
+    };
+  }
+
+  return (segment) => {
+    const filters = AXES.map(() => new Filter(options));
+    return segment.pos.map((p, i) => {
+      const out = {};
+      AXES.forEach((axis, a) => {
+        const value = filters[a].filter(p[axis], segment.t[i]);
+        out[axis] = ahead > 0 && filters[a].predict
+          ? filters[a].predict(segment.t[i] + ahead)
+          : value;
+      });
+      return out;
+    });
+  };
+}
+
+/** Cartesian product of a { name: values[] } grid. */
+function expandGrid(grid) {
+  return Object.entries(grid).reduce(
+    (combos, [key, values]) => combos.flatMap((c) => values.map((v) => ({ ...c, [key]: v }))),
+    [{}]
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Metrics
+// -----------------------------------------------------------------------------
+
+/**
+ * Accumulates jitter, lag and overshoot over the segments of one run.
+ */
+export class MetricAccumulator {
+  constructor(stillSpeed) {
+    this._stillSpeed = stillSpeed;
+    this._jitterSum = 0;
+    this._jitterCount = 0;
+    this._overshoot = 0;
+    const shifts = 2 * Math.round(MAX_LAG_S / LAG_STEP_S) + 1;
+    this._lagError = new Float64Array(shifts);
+    this._lagCount = new Uint32Array(shifts);
+  }
+
+  /**
+   * @param {{ t: number[], pos: Object[] }} segment - Raw positions
+   * @param {Object[]} filtered - Filter output for the same frames
+   * @param {Object[]} reference - Centred moving average of the raw positions
+   */
+  add(segment, filtered, reference) {
+    const { t } = segment;
+    const n = t.length;
+
+    for (let i = 0; i < n; i++) {
+      // Jitter: deviation from the reference while the head is still
+      const a = Math.max(i - 1, 0);
+      const b = Math.min(i + 1, n - 1);
+      const speed = distance(reference[b], reference[a]) / (t[b] - t[a] || Infinity);
+      if (speed < this._stillSpeed) {
+        this._jitterSum += distance(filtered[i], reference[i]) ** 2;
+        this._jitterCount++;
+      }
+
+      // Overshoot: excursion beyond the reference's recent range
+      let excess = 0;
+      for (const axis of AXES) {
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (let j = i; j >= 0 && t[i] - t[j] <= OVERSHOOT_WINDOW_S; j--) {
+          lo = Math.min(lo, reference[j][axis]);
+          hi = Math.max(hi, reference[j][axis]);
+        }
+        const v = filtered[i][axis];
+        excess += Math.max(0, v - hi, lo - v) ** 2;
+      }
+      this._overshoot = Math.max(this._overshoot, Math.sqrt(excess));
+    }
+
+    // Lag: the time shift that best aligns the output with the reference
+    // while the head moves, searched on a uniform grid
+    const ref = resample(t, reference);
+    const out = resample(t, filtered);
+    const moving = ref.map((p, i) => i > 0 &&
+      distance(p, ref[i - 1]) / LAG_STEP_S >= this._stillSpeed);
+    const maxShift = (this._lagError.length - 1) / 2;
+    for (let k = -maxShift; k <= maxShift; k++) {
+      for (let i = Math.max(0, -k); i < ref.length && i + k < out.length; i++) {
+        if (!moving[i]) continue;
+        this._lagError[k + maxShift] += distance(out[i + k], ref[i]) ** 2;
+        this._lagCount[k + maxShift]++;
+      }
+    }
+  }
+
+  /** @returns {{ jitterMm: number, lagMs: number, overshootMm: number }} */
+  result() {
+    const maxShift = (this._lagError.length - 1) / 2;
+    const errors = Array.from(this._lagError, (e, k) => e / this._lagCount[k]);
+    let best = maxShift;
+    let bestError = Infinity;
+    errors.forEach((error, k) => {
+      if (error < bestError) {
+        best = k;
+        bestError = error;
+      }
+    });
+
+    // The error is close to quadratic around its minimum: fit a parabola
+    // through the best shift and its neighbours, so lags shorter than a
+    // step do not round to 0
+    let fraction = 0;
+    const [before, after] = [errors[best - 1], errors[best + 1]];
+    const curvature = before - 2 * bestError + after;
+    if (curvature > 0) {
+      fraction = (before - after) / (2 * curvature);
+    }
+
+    return {
+      jitterMm: this._jitterCount ? Math.sqrt(this._jitterSum / this._jitterCount) : NaN,
+      lagMs: bestError < Infinity ? (best - maxShift + fraction) * LAG_STEP_S * 1000 : NaN,
+      overshootMm: this._overshoot,
+    };
+  }
+}
+
+/** Centred moving average over REFERENCE_WINDOW_S. */
+export function movingAverage(t, pos) {
+  const half = REFERENCE_WINDOW_S / 2;
+  let lo = 0;
+  let hi = 0;
+  const sum = { x: 0, y: 0, z: 0 };
+  return t.map((ti) => {
+    while (hi < t.length && t[hi] <= ti + half) {
+      AXES.forEach((a) => { sum[a] += pos[hi][a]; });
+      hi++;
+    }
+    while (t[lo] < ti - half) {
+      AXES.forEach((a) => { sum[a] -= pos[lo][a]; });
+      lo++;
+    }
+    const n = hi - lo;
+    return { x: sum.x / n, y: sum.y / n, z: sum.z / n };
+  });
+}
+
+/** Linear interpolation onto a LAG_STEP_S grid. */
+function resample(t, pos) {
+  const out = [];
+  let j = 0;
+  for (let ti = t[0]; ti <= t[t.length - 1]; ti += LAG_STEP_S) {
+    while (j < t.length - 2 && t[j + 1] < ti) j++;
+    const span = t[j + 1] - t[j];
+    const u = span > 0 ? Math.min(Math.max((ti - t[j]) / span, 0), 1) : 0;
+    out.push({
+      x: pos[j].x + (pos[j + 1].x - pos[j].x) * u,
+      y: pos[j].y + (pos[j + 1].y - pos[j].y) * u,
+      z: pos[j].z + (pos[j + 1].z - pos[j].z) * u,
+    });
+  }
+  return out;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// -----------------------------------------------------------------------------
+// Output
+// -----------------------------------------------------------------------------
+
+/**
+ * Mark rows not beaten on both jitter and lag by any other row, and pick
+ * as recommended the one with the best balance of the two (each measured
+ * relative to its median). Running ahead counts as lag like falling behind.
+ */
+function rankResults(rows) {
+  const lag = (r) => Math.abs(r.lagMs);
+  for (const row of rows) {
+    row.pareto = !rows.some((o) => o !== row &&
+      o.jitterMm <= row.jitterMm && lag(o) <= lag(row) &&
+      (o.jitterMm < row.jitterMm || lag(o) < lag(row)));
+  }
+  const median = (values) => values.sort((a, b) => a - b)[values.length >> 1] || 1;
+  const jitterScale = median(rows.map((r) => r.jitterMm));
+  const lagScale = median(rows.map(lag));
+  const score = (r) => r.jitterMm / jitterScale + lag(r) / lagScale;
+  return rows.filter((r) => r.pareto).sort((a, b) => score(a) - score(b))[0] ?? rows[0];
+}
+
+function toCsv(rows, paramNames) {
+  const header = ['trace', ...paramNames, 'jitterMm', 'lagMs', 'overshootMm', 'pareto'];
+  const lines = rows.map((r) => [
+    r.trace,
+    ...paramNames.map((k) => r.params[k]),
+    r.jitterMm.toFixed(3),
+    r.lagMs.toFixed(1),
+    r.overshootMm.toFixed(3),
+    r.pareto ? 1 : 0,
+  ].join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+function describe(params) {
+  return Object.entries(params).map(([k, v]) => `${k}=${v}`).join(' ');
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/** Jitter (x) vs. lag (y) scatter plot as inline SVG. */
+function scatterSvg(rows, recommended) {
+  const W = 640, H = 400, M = 50;
+  const xs = rows.map((r) => r.jitterMm);
+  const ys = rows.map((r) => r.lagMs);
+  const [x0, x1] = [Math.min(0, ...xs), Math.max(...xs) || 1];
+  const [y0, y1] = [Math.min(0, ...ys), Math.max(...ys) || 1];
+  const sx = (v) => M + ((v - x0) / (x1 - x0 || 1)) * (W - 2 * M);
+  const sy = (v) => H - M - ((v - y0) / (y1 - y0 || 1)) * (H - 2 * M);
+
+  const points = rows.map((r) => {
+    const fill = r === recommended ? '#e4572e' : r.pareto ? '#2e86de' : '#aaa';
+    return `<circle cx="${sx(r.jitterMm).toFixed(1)}" cy="${sy(r.lagMs).toFixed(1)}" r="${r === recommended ? 6 : 4}" fill="${fill}">` +
+      `<title>${escapeHtml(describe(r.params))}\njitter ${r.jitterMm.toFixed(2)} mm, lag ${r.lagMs.toFixed(0)} ms, overshoot ${r.overshootMm.toFixed(2)} mm</title></circle>`;
+  }).join('');
+
+  return `<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">
+  <line x1="${M}" y1="${H - M}" x2="${W - M}" y2="${H - M}" stroke="#333"/>
+  <line x1="${M}" y1="${M}" x2="${M}" y2="${H - M}" stroke="#333"/>
+  <text x="${W / 2}" y="${H - 12}" text-anchor="middle">jitter (mm RMS)  ${x0.toFixed(2)} – ${x1.toFixed(2)}</text>
+  <text x="14" y="${H / 2}" text-anchor="middle" transform="rotate(-90 14 ${H / 2})">lag (ms)  ${y0.toFixed(0)} – ${y1.toFixed(0)}</text>
+  ${points}
+</svg>`;
+}
+
+/** Raw vs. filtered time series for one segment, as inline SVG. */
+function seriesSvg(segment, series, axis) {
+  const W = 900, H = 300, M = 40;
+  const t = segment.t;
+  const all = [segment.pos, ...series.map((s) => s.values)].flatMap((vals) => vals.map((p) => p[axis]));
+  const [v0, v1] = [Math.min(...all), Math.max(...all)];
+  const sx = (ti) => M + ((ti - t[0]) / (t[t.length - 1] - t[0] || 1)) * (W - 2 * M);
+  const sy = (v) => H - M - ((v - v0) / (v1 - v0 || 1)) * (H - 2 * M);
+  const path = (vals) => vals.map((p, i) => `${i ? 'L' : 'M'}${sx(t[i]).toFixed(1)},${sy(p[axis]).toFixed(1)}`).join('');
+
+  const lines = [{ label: 'raw', values: segment.pos, color: '#bbb' }, ...series]
+    .map((s) => `<path d="${path(s.values)}" fill="none" stroke="${s.color}" stroke-width="1.2"/>`)
+    .join('');
+  const legend = [{ label: 'raw', color: '#bbb' }, ...series]
+    .map((s, i) => `<text x="${M + 10}" y="${M + 14 * i}" fill="${s.color}">${escapeHtml(s.label)}</text>`)
+    .join('');
+
+  return `<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">
+  <line x1="${M}" y1="${H - M}" x2="${W - M}" y2="${H - M}" stroke="#333"/>
+  <text x="${W / 2}" y="${H - 12}" text-anchor="middle">time (s), ${(t[t.length - 1] - t[0]).toFixed(1)} s · ${axis} ${v0.toFixed(0)} – ${v1.toFixed(0)} mm</text>
+  ${lines}${legend}
+</svg>`;
+}
+
+function toHtml({ filter, summary, recommended, segment, series, axis, traces }) {
+  const rows = summary
+    .slice()
+    .sort((a, b) => a.jitterMm - b.jitterMm)
+    .map((r) => `<tr${r === recommended ? ' class="best"' : ''}><td>${escapeHtml(describe(r.params))}</td>` +
+      `<td>${r.jitterMm.toFixed(2)}</td><td>${r.lagMs.toFixed(0)}</td><td>${r.overshootMm.toFixed(2)}</td>` +
+      `<td>${r.pareto ? '✓' : ''}</td></tr>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Filter evaluation — ${escapeHtml(filter)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-top: 1em; }
+  td, th { padding: 2px 10px; border-bottom: 1px solid #ddd; text-align: right; }
+  td:first-child, th:first-child { text-align: left; font-family: monospace; }
+  tr.best { background: #fde3da; }
+  svg { font-size: 12px; display: block; margin: 1em 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(filter)}</h1>
+<p>Traces: ${traces.map(escapeHtml).join(', ')}</p>
+<p>Recommended: <code>${escapeHtml(describe(recommended.params))}</code> —
+jitter ${recommended.jitterMm.toFixed(2)} mm, lag ${recommended.lagMs.toFixed(0)} ms,
+overshoot ${recommended.overshootMm.toFixed(2)} mm</p>
+<h2>Jitter vs. lag</h2>
+<p>Blue: not beaten on both jitter and lag by another setting. Red: recommended.</p>
+${scatterSvg(summary, recommended)}
+<h2>Longest segment</h2>
+${seriesSvg(segment, series, axis)}
+<h2>All settings (mean over traces)</h2>
+<table>
+<tr><th>parameters</th><th>jitter (mm)</th><th>lag (ms)</th><th>overshoot (mm)</th><th>pareto</th></tr>
+${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+// -----------------------------------------------------------------------------
+// Main
+// -----------------------------------------------------------------------------
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.traces.length === 0) {
+    printUsage();
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  if (typeof Smoothing[args.filter] !== 'function') {
+    throw new Error(`Smoothing.js has no filter "${args.filter}".`);
+  }
+
+  const grid = { ...(DEFAULT_GRIDS[args.filter] ?? {}), ...args.params };
+  const combos = expandGrid(grid);
+  const paramNames = Object.keys(grid);
+
+  const traces = [];
+  for (const path of args.traces) {
+    const segments = await loadSegments(path);
+    if (segments.length === 0) {
+      console.warn(`${path}: no usable head positions, skipped.`);
+      continue;
+    }
+    const references = segments.map((s) => movingAverage(s.t, s.pos));
+    traces.push({ name: basename(path), segments, references });
+  }
+  if (traces.length === 0) {
+    throw new Error('No trace contained usable head positions.');
+  }
+
+  console.log(`${args.filter}: ${combos.length} settings × ${traces.length} trace(s)`);
+
+  const rows = [];
+  const summary = combos.map((params) => {
+    const run = createRunner(args.filter, params);
+    const perTrace = traces.map((trace) => {
+      const metrics = new MetricAccumulator(args.stillSpeed);
+      trace.segments.forEach((segment, i) => {
+        metrics.add(segment, run(segment), trace.references[i]);
+      });
+      const row = { trace: trace.name, params, ...metrics.result() };
+      rows.push(row);
+      return row;
+    });
+    const mean = (key) => perTrace.reduce((s, r) => s + r[key], 0) / perTrace.length;
+    return {
+      trace: 'mean',
+      params,
+      jitterMm: mean('jitterMm'),
+      lagMs: mean('lagMs'),
+      overshootMm: mean('overshootMm'),
+    };
+  });
+
+  const recommended = rankResults(summary);
+  rankResults(rows);
+
+  // Time series: longest segment, recommended vs. the extremes
+  const segment = traces.flatMap((tr) => tr.segments).sort((a, b) => b.t.length - a.t.length)[0];
+  const smoothest = summary.reduce((a, b) => (b.jitterMm < a.jitterMm ? b : a));
+  const fastest = summary.reduce((a, b) => (Math.abs(b.lagMs) < Math.abs(a.lagMs) ? b : a));
+  const series = [
+    { row: recommended, color: '#e4572e', label: 'recommended' },
+    { row: smoothest, color: '#2e86de', label: 'least jitter' },
+    { row: fastest, color: '#17a589', label: 'least lag' },
+  ].map(({ row, color, label }) => ({
+    color,
+    label: `${label}: ${describe(row.params)}`,
+    values: createRunner(args.filter, row.params)(segment),
+  }));
+
+  await mkdir(args.out, { recursive: true });
+  const csvPath = join(args.out, 'filter-eval.csv');
+  const htmlPath = join(args.out, 'filter-eval.html');
+  await writeFile(csvPath, toCsv([...rows, ...summary], paramNames));
+  await writeFile(htmlPath, toHtml({
+    filter: args.filter,
+    summary,
+    recommended,
+    segment,
+    series,
+    axis: args.axis,
+    traces: traces.map((tr) => tr.name),
+  }));
+
+  console.log(`Recommended: ${describe(recommended.params)}`);
+  console.log(
+    `  jitter ${recommended.jitterMm.toFixed(2)} mm, lag ${recommended.lagMs.toFixed(0)} ms, ` +
+    `overshoot ${recommended.overshootMm.toFixed(2)} mm`
+  );
+  console.log(`Wrote ${csvPath} and ${htmlPath}`);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === import.meta.filename) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}